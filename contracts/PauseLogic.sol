@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StakingTypes.sol";
+
+/**
+ * @dev Emergency controls for StakingContract: the staking and claiming
+ * pauses, the irreversible emergency mode, and the lifecycle phase of the
+ * current round they feed into.
+ */
+library PauseLogic {
+    event StakingPaused(address indexed account);
+    event StakingUnpaused(address indexed account);
+    event ClaimingPaused(address indexed account);
+    event ClaimingUnpaused(address indexed account);
+    event EmergencyModeEnabled(address indexed account);
+    
+    /**
+     * @dev Halt stake() and restake()
+     */
+    function pauseStaking(StakingState storage s, address _account) external {
+        if (s.stakingPaused) {
+            revert IStakingErrors.StakingIsPaused();
+        }
+        s.stakingPaused = true;
+        
+        emit StakingPaused(_account);
+    }
+    
+    /**
+     * @dev Resume stake() and restake()
+     */
+    function unpauseStaking(StakingState storage s, address _account) external {
+        if (!s.stakingPaused) {
+            revert IStakingErrors.StakingNotPaused();
+        }
+        s.stakingPaused = false;
+        
+        emit StakingUnpaused(_account);
+    }
+    
+    /**
+     * @dev Halt claim(), unstake() and restake()
+     */
+    function pauseClaiming(StakingState storage s, address _account) external {
+        if (s.claimingPaused) {
+            revert IStakingErrors.ClaimingIsPaused();
+        }
+        s.claimingPaused = true;
+        
+        emit ClaimingPaused(_account);
+    }
+    
+    /**
+     * @dev Resume claim(), unstake() and restake()
+     */
+    function unpauseClaiming(StakingState storage s, address _account) external {
+        if (!s.claimingPaused) {
+            revert IStakingErrors.ClaimingNotPaused();
+        }
+        s.claimingPaused = false;
+        
+        emit ClaimingUnpaused(_account);
+    }
+    
+    /**
+     * @dev Switch to emergency mode for good
+     */
+    function enableEmergencyMode(StakingState storage s, address _account) external {
+        if (s.emergencyMode) {
+            revert IStakingErrors.EmergencyModeActive();
+        }
+        s.emergencyMode = true;
+        
+        emit EmergencyModeEnabled(_account);
+    }
+    
+    /**
+     * @dev The current round's lifecycle phase. Emergency mode takes
+     * precedence, and Paused replaces Deposit while staking is paused and
+     * Claimable while claiming is paused.
+     */
+    function currentPhase(StakingState storage s) external view returns (StakingPhase) {
+        if (s.emergencyMode) {
+            return StakingPhase.Emergency;
+        }
+        
+        Round storage round = s.rounds[s.currentRoundId];
+        if (round.startTime == 0 || block.timestamp < round.startTime) {
+            return StakingPhase.NotStarted;
+        }
+        if (block.timestamp <= round.depositWindowEnd) {
+            return s.stakingPaused ? StakingPhase.Paused : StakingPhase.Deposit;
+        }
+        if (block.timestamp < round.endTime) {
+            return StakingPhase.Locked;
+        }
+        return s.claimingPaused ? StakingPhase.Paused : StakingPhase.Claimable;
+    }
+    
+    /**
+     * @dev Revert unless emergency mode is active
+     */
+    function checkEmergencyMode(StakingState storage s) internal view {
+        if (!s.emergencyMode) {
+            revert IStakingErrors.EmergencyModeNotActive();
+        }
+    }
+}
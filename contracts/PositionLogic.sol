@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RewardTokenLogic.sol";
+import "./VestingLogic.sol";
+import "./PauseLogic.sol";
+
+/**
+ * @dev Position stakes for StakingContract. Each position is a separate stake
+ * in the round it was made in, owned by the holder of its StakePosition token.
+ */
+library PositionLogic {
+    event PositionTokenSet(address indexed positionToken);
+    event PositionStaked(uint256 indexed roundId, uint256 indexed tokenId, address indexed owner, uint256 amount);
+    event PositionClaimed(
+        uint256 indexed roundId,
+        uint256 indexed tokenId,
+        address indexed holder,
+        uint256 stakedAmount,
+        uint256 rewardAmount
+    );
+    event PositionEmergencyWithdrawn(uint256 indexed roundId, uint256 indexed tokenId, address indexed holder, uint256 amount);
+    
+    /**
+     * @dev Enable position stakes with a position token bound to the calling
+     * contract. The token can only be set once.
+     */
+    function setPositionToken(StakingState storage s, StakePosition _positionToken) external {
+        if (address(s.positionToken) != address(0)) {
+            revert IStakingErrors.PositionTokenAlreadySet();
+        }
+        if (_positionToken.staking() != address(this)) {
+            revert IStakingErrors.PositionTokenNotBound();
+        }
+        
+        s.positionToken = _positionToken;
+        
+        emit PositionTokenSet(address(_positionToken));
+    }
+    
+    /**
+     * @dev Stake a staker's tokens in the current round as a new position and
+     * mint them its position token
+     * @param _staker Address paying the tokens and receiving the position token
+     * @param _amount Amount of tokens to stake
+     * @return tokenId Id of the minted position token
+     */
+    function stakePosition(StakingState storage s, address _staker, uint256 _amount) external returns (uint256 tokenId) {
+        if (address(s.positionToken) == address(0)) {
+            revert IStakingErrors.PositionsNotEnabled();
+        }
+        
+        uint256 roundId = s.currentRoundId;
+        
+        if (_amount == 0) {
+            revert IStakingErrors.ZeroAmount();
+        }
+        StakingLedger.checkCap(s, roundId, _amount);
+        
+        StakingLedger.transferIn(s, _staker, _amount);
+        
+        StakingLedger.recordAddressStake(s, roundId, _staker, _amount);
+        
+        tokenId = ++s.positionCount;
+        s.positions[tokenId] = Position(roundId, block.timestamp);
+        StakingLedger.creditStake(s, roundId, s.positionStakes[tokenId], _amount);
+        StakingLedger.checkFunded(s);
+        
+        s.positionToken.mint(_staker, tokenId);
+        
+        emit PositionStaked(roundId, tokenId, _staker, _amount);
+    }
+    
+    /**
+     * @dev Burn a position token and send the position's staked tokens +
+     * rewards to its holder after the round's staking period ends
+     * @param _holder Caller, who must hold the position token
+     * @param _tokenId Position token id
+     */
+    function claimPosition(StakingState storage s, address _holder, uint256 _tokenId) external {
+        uint256 roundId = s.positions[_tokenId].roundId;
+        StakeInfo storage positionStake = s.positionStakes[_tokenId];
+        
+        if (roundId == 0) {
+            revert IStakingErrors.PositionNotFound();
+        }
+        if (block.timestamp < s.rounds[roundId].endTime) {
+            revert IStakingErrors.StakingNotEnded();
+        }
+        if (positionStake.claimed) {
+            revert IStakingErrors.AlreadyClaimed();
+        }
+        if (s.positionToken.ownerOf(_tokenId) != _holder) {
+            revert IStakingErrors.NotPositionOwner();
+        }
+        
+        uint256 stakedAmount = positionStake.amount;
+        uint256 rewardAmount = StakingLedger.settledReward(s, roundId, positionStake);
+        uint256[] memory tokenRewards = RewardTokenLogic.tokenRewards(s, roundId, positionStake, s.rounds[roundId].endTime);
+        
+        positionStake.claimed = true;
+        s.outstandingPrincipal -= stakedAmount;
+        s.outstandingRewards -= rewardAmount;
+        StakingLedger.recordClaim(s, roundId, stakedAmount, rewardAmount, true);
+        s.positionToken.burn(_tokenId);
+        
+        StakingLedger.transfer(s, _holder, stakedAmount + VestingLogic.vest(s, roundId, _holder, rewardAmount));
+        RewardTokenLogic.pay(s, roundId, _holder, _holder, tokenRewards);
+        
+        emit PositionClaimed(roundId, _tokenId, _holder, stakedAmount, rewardAmount);
+    }
+    
+    /**
+     * @dev Burn a position token and send the position's principal without
+     * rewards to its holder, in emergency mode
+     * @param _holder Caller, who must hold the position token
+     * @param _tokenId Position token id
+     */
+    function emergencyWithdrawPosition(StakingState storage s, address _holder, uint256 _tokenId) external {
+        PauseLogic.checkEmergencyMode(s);
+        
+        uint256 roundId = s.positions[_tokenId].roundId;
+        StakeInfo storage positionStake = s.positionStakes[_tokenId];
+        
+        if (roundId == 0) {
+            revert IStakingErrors.PositionNotFound();
+        }
+        if (positionStake.claimed) {
+            revert IStakingErrors.AlreadyClaimed();
+        }
+        if (s.positionToken.ownerOf(_tokenId) != _holder) {
+            revert IStakingErrors.NotPositionOwner();
+        }
+        
+        uint256 stakedAmount = positionStake.amount;
+        uint256 endTime = s.rounds[roundId].endTime;
+        
+        positionStake.claimed = true;
+        s.outstandingPrincipal -= stakedAmount;
+        StakingLedger.releaseReward(s, roundId, StakingLedger.calculateReward(s, roundId, positionStake, endTime));
+        RewardTokenLogic.release(s, roundId, RewardTokenLogic.tokenRewards(s, roundId, positionStake, endTime));
+        StakingLedger.forfeitStake(s, roundId, positionStake.tierId, stakedAmount, positionStake.weightedDepositTime);
+        s.positionToken.burn(_tokenId);
+        
+        StakingLedger.transfer(s, _holder, stakedAmount);
+        
+        emit PositionEmergencyWithdrawn(roundId, _tokenId, _holder, stakedAmount);
+    }
+    
+    /**
+     * @dev A position's round, stake and rewards by token id
+     */
+    function positionInfo(StakingState storage s, uint256 _tokenId) external view returns (
+        uint256 roundId,
+        uint256 stakedAmount,
+        uint256 depositTime,
+        bool claimed,
+        uint256 potentialReward,
+        uint256 accruedReward
+    ) {
+        Position storage position = s.positions[_tokenId];
+        StakeInfo storage positionStake = s.positionStakes[_tokenId];
+        roundId = position.roundId;
+        stakedAmount = positionStake.amount;
+        depositTime = position.depositTime;
+        claimed = positionStake.claimed;
+        potentialReward = StakingLedger.calculateReward(s, roundId, positionStake, s.rounds[roundId].endTime);
+        accruedReward = StakingLedger.calculateReward(s, roundId, positionStake, block.timestamp);
+    }
+    
+    /**
+     * @dev A position's rewards per token, with the staking token's rewards first
+     */
+    function positionRewardBreakdown(StakingState storage s, uint256 _tokenId) external view returns (
+        address[] memory tokens,
+        uint256[] memory potentialRewards,
+        uint256[] memory accruedRewards
+    ) {
+        uint256 roundId = s.positions[_tokenId].roundId;
+        StakeInfo storage positionStake = s.positionStakes[_tokenId];
+        
+        (tokens, potentialRewards, accruedRewards) = RewardTokenLogic.rewardBreakdown(
+            s,
+            roundId,
+            positionStake,
+            positionStake.amount,
+            positionStake.amount
+        );
+        potentialRewards[0] = StakingLedger.calculateReward(s, roundId, positionStake, s.rounds[roundId].endTime);
+        accruedRewards[0] = StakingLedger.calculateReward(s, roundId, positionStake, block.timestamp);
+    }
+}
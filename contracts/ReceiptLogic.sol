@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./RewardTokenLogic.sol";
+import "./VestingLogic.sol";
+
+/**
+ * @dev Receipt rounds for StakingContract. A receipt round pools its deposits
+ * in one stake and mints StakeReceipt tokens 1:1; the holders own the pooled
+ * stake and its rewards pro rata to their balances.
+ */
+library ReceiptLogic {
+    event ReceiptTokenSet(uint256 indexed roundId, address indexed receiptToken);
+    event Claimed(
+        uint256 indexed roundId,
+        address indexed user,
+        address indexed recipient,
+        uint256 stakedAmount,
+        uint256 rewardAmount
+    );
+    
+    /**
+     * @dev Make a round a receipt round. The receipt token must be bound to the
+     * calling contract and its round, which must not have started or must have
+     * no stakes yet. Receipts pool the round's stakes, which would let late
+     * deposits share the accrual of early ones, so TimeProportional mode has
+     * no receipt rounds.
+     */
+    function setReceiptToken(StakingState storage s, StakeReceipt _receiptToken) external {
+        if (s.rewardMode == RewardMode.TimeProportional) {
+            revert IStakingErrors.ReceiptsInTimeProportionalMode();
+        }
+        if (_receiptToken.staking() != address(this)) {
+            revert IStakingErrors.ReceiptTokenNotBound();
+        }
+        
+        uint256 roundId = _receiptToken.roundId();
+        if (roundId < s.currentRoundId) {
+            revert IStakingErrors.RoundEnded();
+        }
+        if (address(s.receiptTokens[roundId]) != address(0)) {
+            revert IStakingErrors.ReceiptTokenAlreadySet();
+        }
+        if (s.rounds[roundId].totalStaked != 0) {
+            revert IStakingErrors.RoundHasStakes();
+        }
+        
+        s.receiptTokens[roundId] = _receiptToken;
+        
+        emit ReceiptTokenSet(roundId, address(_receiptToken));
+    }
+    
+    /**
+     * @dev Redeem part of a holder's receipts in an ended receipt round for the
+     * principal plus the pooled reward, pro rata to the receipts burned
+     * @param _roundId Receipt round to redeem from
+     * @param _user Receipt holder, who receives the tokens
+     * @param _amount Amount of receipts to burn
+     */
+    function redeem(StakingState storage s, uint256 _roundId, address _user, uint256 _amount) external {
+        StakeReceipt receiptToken = s.receiptTokens[_roundId];
+        
+        if (address(receiptToken) == address(0)) {
+            revert IStakingErrors.NotReceiptRound();
+        }
+        if (_amount == 0) {
+            revert IStakingErrors.ZeroAmount();
+        }
+        if (_amount > receiptToken.balanceOf(_user)) {
+            revert IStakingErrors.AmountExceedsReceipts();
+        }
+        
+        redeemTo(s, _roundId, _user, _user, _amount);
+    }
+    
+    /**
+     * @dev Burn a user's receipts and send the redeemed principal plus the pool's
+     * reward on it to the recipient. The pool shrinks pro rata, so the reward
+     * per receipt left is unchanged, and the reward paid is the drop in the
+     * pool's reward, so the redemptions add up to the pool's reward exactly.
+     */
+    function redeemTo(
+        StakingState storage s,
+        uint256 _roundId,
+        address _user,
+        address _recipient,
+        uint256 _amount
+    ) internal {
+        StakeInfo storage pool = s.receiptStakes[_roundId];
+        
+        uint256 poolReward = StakingLedger.settledReward(s, _roundId, pool);
+        uint256[] memory tokenRewards = RewardTokenLogic.tokenRewards(s, _roundId, pool, s.rounds[_roundId].endTime);
+        StakingLedger.shrinkStake(pool, _amount);
+        uint256 rewardAmount = poolReward - StakingLedger.settledReward(s, _roundId, pool);
+        tokenRewards = RewardTokenLogic.subtract(
+            tokenRewards,
+            RewardTokenLogic.tokenRewards(s, _roundId, pool, s.rounds[_roundId].endTime)
+        );
+        
+        s.outstandingPrincipal -= _amount;
+        s.outstandingRewards -= rewardAmount;
+        
+        s.receiptTokens[_roundId].burn(_user, _amount);
+        s.redeemedReceipts[_roundId][_user] += _amount;
+        StakingLedger.recordClaim(s, _roundId, _amount, rewardAmount, s.receiptTokens[_roundId].balanceOf(_user) == 0);
+        
+        StakingLedger.transfer(s, _recipient, _amount + VestingLogic.vest(s, _roundId, _recipient, rewardAmount));
+        RewardTokenLogic.pay(s, _roundId, _user, _recipient, tokenRewards);
+        
+        emit Claimed(_roundId, _user, _recipient, _amount, rewardAmount);
+    }
+    
+    /**
+     * @dev Add a deposit to a receipt round's pool and mint its receipts
+     * @return isFirstStake Whether the user held no receipts before
+     */
+    function deposit(StakingState storage s, uint256 _roundId, address _user, uint256 _amount) internal returns (bool isFirstStake) {
+        StakeReceipt receiptToken = s.receiptTokens[_roundId];
+        isFirstStake = receiptToken.balanceOf(_user) == 0;
+        StakingLedger.creditStake(s, _roundId, s.receiptStakes[_roundId], _amount);
+        receiptToken.mint(_user, _amount);
+    }
+    
+    /**
+     * @dev Burn a holder's receipts and take their share out of the pool,
+     * forfeiting its reward, for an emergency withdrawal
+     * @return stakedAmount Principal of the burned receipts
+     */
+    function forfeit(StakingState storage s, uint256 _roundId, address _user) internal returns (uint256 stakedAmount) {
+        StakeReceipt receiptToken = s.receiptTokens[_roundId];
+        stakedAmount = receiptToken.balanceOf(_user);
+        if (stakedAmount == 0) {
+            revert IStakingErrors.NoTokensStaked();
+        }
+        
+        StakeInfo storage pool = s.receiptStakes[_roundId];
+        uint256 endTime = s.rounds[_roundId].endTime;
+        uint256 poolReward = StakingLedger.calculateReward(s, _roundId, pool, endTime);
+        uint256[] memory tokenRewards = RewardTokenLogic.tokenRewards(s, _roundId, pool, endTime);
+        uint256 weight = pool.weightedDepositTime;
+        StakingLedger.shrinkStake(pool, stakedAmount);
+        StakingLedger.releaseReward(s, _roundId, poolReward - StakingLedger.calculateReward(s, _roundId, pool, endTime));
+        RewardTokenLogic.release(
+            s,
+            _roundId,
+            RewardTokenLogic.subtract(tokenRewards, RewardTokenLogic.tokenRewards(s, _roundId, pool, endTime))
+        );
+        StakingLedger.forfeitStake(s, _roundId, pool.tierId, stakedAmount, weight - pool.weightedDepositTime);
+        receiptToken.burn(_user, stakedAmount);
+        s.redeemedReceipts[_roundId][_user] += stakedAmount;
+    }
+    
+    /**
+     * @dev A holder's receipts and their share of the pool's projected and
+     * accrued rewards
+     */
+    function share(StakingState storage s, uint256 _roundId, address _user) internal view returns (
+        uint256 stakedAmount,
+        uint256 rewardAmount,
+        uint256 accruedReward
+    ) {
+        StakeInfo storage pool = s.receiptStakes[_roundId];
+        stakedAmount = s.receiptTokens[_roundId].balanceOf(_user);
+        if (stakedAmount > 0) {
+            rewardAmount = (StakingLedger.calculateReward(s, _roundId, pool, s.rounds[_roundId].endTime) * stakedAmount) / pool.amount;
+            accruedReward = (StakingLedger.calculateReward(s, _roundId, pool, block.timestamp) * stakedAmount) / pool.amount;
+        }
+    }
+}
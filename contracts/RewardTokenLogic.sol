@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StakingLedger.sol";
+
+/**
+ * @dev Additional reward tokens for StakingContract. Each round can pay its
+ * stakers rewards in up to MAX_REWARD_TOKENS other tokens, at their own rates
+ * on the round's stakes, on top of the staking token.
+ */
+library RewardTokenLogic {
+    uint256 internal constant MAX_REWARD_TOKENS = 4; // Additional reward tokens per round
+    
+    event RewardTokenAdded(uint256 indexed roundId, address indexed token, uint256 rewardBps);
+    event RewardTokenDeposited(address indexed token, address indexed from, uint256 amount);
+    event UnusedRewardTokensWithdrawn(address indexed token, address indexed to, uint256 amount);
+    event RewardTokenClaimed(
+        uint256 indexed roundId,
+        address indexed user,
+        address indexed recipient,
+        address token,
+        uint256 amount
+    );
+    event RewardTokenOwed(
+        uint256 indexed roundId,
+        address indexed user,
+        address indexed recipient,
+        address token,
+        uint256 amount
+    );
+    event OwedRewardTokenClaimed(address indexed token, address indexed recipient, uint256 amount);
+    
+    /**
+     * @dev Add a reward token to the current round, until it ends, or to a
+     * future round
+     * @param _roundId Current or future round
+     * @param _token Reward token, other than the staking token
+     * @param _rewardBps Reward rate in basis points, in reward token units per staked token unit
+     */
+    function addRewardToken(StakingState storage s, uint256 _roundId, IERC20 _token, uint256 _rewardBps) external {
+        if (address(_token) == address(0) || _token == s.stakingToken) {
+            revert IStakingErrors.InvalidRewardToken();
+        }
+        if (_rewardBps == 0) {
+            revert IStakingErrors.ZeroRewardRate();
+        }
+        if (_roundId == 0) {
+            revert IStakingErrors.InvalidRound();
+        }
+        if (s.emergencyMode) {
+            revert IStakingErrors.EmergencyModeActive();
+        }
+        uint256 currentRoundId = s.currentRoundId;
+        if (_roundId < currentRoundId || (_roundId == currentRoundId && block.timestamp >= s.rounds[_roundId].endTime)) {
+            revert IStakingErrors.RoundEnded();
+        }
+        
+        RewardToken[] storage tokens = s.rewardTokens[_roundId];
+        if (tokens.length >= MAX_REWARD_TOKENS) {
+            revert IStakingErrors.TooManyRewardTokens();
+        }
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i].token == _token) {
+                revert IStakingErrors.RewardTokenAlreadyAdded();
+            }
+        }
+        
+        tokens.push(RewardToken(_token, _rewardBps, 0));
+        s.isRewardToken[address(_token)] = true;
+        if (_roundId == currentRoundId) {
+            // Stakes already in the round earn the new token as well
+            StakingLedger.syncRewardObligation(s, _roundId);
+        }
+        
+        emit RewardTokenAdded(_roundId, address(_token), _rewardBps);
+    }
+    
+    /**
+     * @dev Take a deposit for the rewards of a reward token from a funder
+     */
+    function deposit(StakingState storage s, address _from, IERC20 _token, uint256 _amount) external {
+        if (!s.isRewardToken[address(_token)]) {
+            revert IStakingErrors.NotRewardToken();
+        }
+        if (!_token.transferFrom(_from, address(this), _amount)) {
+            revert IStakingErrors.TransferFailed();
+        }
+        s.rewardTokenDeposited[address(_token)] += _amount;
+        
+        emit RewardTokenDeposited(address(_token), _from, _amount);
+    }
+    
+    /**
+     * @dev Send part of a reward token's surplus over the rewards owed in it
+     */
+    function withdrawSurplus(StakingState storage s, address _to, IERC20 _token, uint256 _amount) external {
+        if (!s.isRewardToken[address(_token)]) {
+            revert IStakingErrors.NotRewardToken();
+        }
+        if (_amount > surplus(s, _token)) {
+            revert IStakingErrors.ExceedsSurplus();
+        }
+        
+        if (!_token.transfer(_to, _amount)) {
+            revert IStakingErrors.TransferFailed();
+        }
+        
+        emit UnusedRewardTokensWithdrawn(address(_token), _to, _amount);
+    }
+    
+    /**
+     * @dev A reward token's balance in excess of the rewards owed in it
+     */
+    function surplus(StakingState storage s, IERC20 _token) internal view returns (uint256) {
+        uint256 balance = _token.balanceOf(address(this));
+        uint256 owed = s.rewardTokenOutstanding[address(_token)];
+        return balance > owed ? balance - owed : 0;
+    }
+    
+    /**
+     * @dev A stake's rewards in each of its round's reward tokens up to a point
+     * in time, in the order the tokens were added
+     */
+    function tokenRewards(
+        StakingState storage s,
+        uint256 _roundId,
+        StakeInfo storage _stake,
+        uint256 _until
+    ) internal view returns (uint256[] memory rewards) {
+        RewardToken[] storage tokens = s.rewardTokens[_roundId];
+        rewards = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            rewards[i] = StakingLedger.rewardAtRate(s, _roundId, _stake, tokens[i].rewardBps, _until);
+        }
+    }
+    
+    /**
+     * @dev Pay the rewards of an ended round's stake in its reward tokens.
+     * ProRata settlement only applies to the staking token. A reward the
+     * contract's balance cannot cover is paid as far as it goes, and the rest
+     * is owed to the recipient until claimOwed(), so an underfunded token
+     * never blocks the principal and staking-token rewards.
+     */
+    function pay(
+        StakingState storage s,
+        uint256 _roundId,
+        address _user,
+        address _recipient,
+        uint256[] memory _rewards
+    ) internal {
+        RewardToken[] storage tokens = s.rewardTokens[_roundId];
+        for (uint256 i = 0; i < _rewards.length; i++) {
+            if (_rewards[i] == 0) {
+                continue;
+            }
+            
+            IERC20 token = tokens[i].token;
+            uint256 paid = _payAvailable(s, token, _recipient, _rewards[i]);
+            if (paid > 0) {
+                emit RewardTokenClaimed(_roundId, _user, _recipient, address(token), paid);
+            }
+            if (paid < _rewards[i]) {
+                s.owedRewardTokens[_recipient][address(token)] += _rewards[i] - paid;
+                
+                emit RewardTokenOwed(_roundId, _user, _recipient, address(token), _rewards[i] - paid);
+            }
+        }
+    }
+    
+    /**
+     * @dev Pay a recipient the reward tokens owed to them from underfunded
+     * payouts, as far as the contract's balance goes
+     * @return amount Reward tokens transferred; the rest stays owed
+     */
+    function claimOwed(StakingState storage s, address _recipient, IERC20 _token) external returns (uint256 amount) {
+        uint256 owed = s.owedRewardTokens[_recipient][address(_token)];
+        if (owed == 0) {
+            revert IStakingErrors.NoOwedRewardTokens();
+        }
+        
+        amount = _payAvailable(s, _token, _recipient, owed);
+        if (amount == 0) {
+            revert IStakingErrors.InsufficientRewardTokenBalance();
+        }
+        s.owedRewardTokens[_recipient][address(_token)] = owed - amount;
+        
+        emit OwedRewardTokenClaimed(address(_token), _recipient, amount);
+    }
+    
+    /**
+     * @dev Release the obligations of forfeited reward token rewards
+     */
+    function release(StakingState storage s, uint256 _roundId, uint256[] memory _rewards) internal {
+        RewardToken[] storage tokens = s.rewardTokens[_roundId];
+        for (uint256 i = 0; i < _rewards.length; i++) {
+            tokens[i].rewardObligation -= _rewards[i];
+            s.rewardTokenOutstanding[address(tokens[i].token)] -= _rewards[i];
+        }
+    }
+    
+    /**
+     * @dev Element-wise difference of two reward lists of the same round
+     */
+    function subtract(uint256[] memory _a, uint256[] memory _b) internal pure returns (uint256[] memory) {
+        for (uint256 i = 0; i < _a.length; i++) {
+            _a[i] -= _b[i];
+        }
+        return _a;
+    }
+    
+    /**
+     * @dev Transfer up to an amount of a reward token, capped at the
+     * contract's balance, and take it off the token's outstanding rewards
+     */
+    function _payAvailable(
+        StakingState storage s,
+        IERC20 _token,
+        address _to,
+        uint256 _amount
+    ) private returns (uint256 paid) {
+        uint256 balance = _token.balanceOf(address(this));
+        paid = _amount < balance ? _amount : balance;
+        if (paid == 0) {
+            return 0;
+        }
+        
+        s.rewardTokenOutstanding[address(_token)] -= paid;
+        if (!_token.transfer(_to, paid)) {
+            revert IStakingErrors.TransferFailed();
+        }
+    }
+    
+    /**
+     * @dev Per-token rewards of a stake, or of a holder's share of a pooled
+     * stake. The staking token comes first; the caller fills in its rewards.
+     */
+    function rewardBreakdown(
+        StakingState storage s,
+        uint256 _roundId,
+        StakeInfo storage _stake,
+        uint256 _share,
+        uint256 _total
+    ) internal view returns (
+        address[] memory tokens,
+        uint256[] memory potentialRewards,
+        uint256[] memory accruedRewards
+    ) {
+        RewardToken[] storage roundTokens = s.rewardTokens[_roundId];
+        tokens = new address[](roundTokens.length + 1);
+        potentialRewards = new uint256[](roundTokens.length + 1);
+        accruedRewards = new uint256[](roundTokens.length + 1);
+        
+        tokens[0] = address(s.stakingToken);
+        
+        uint256 endTime = s.rounds[_roundId].endTime;
+        for (uint256 i = 0; i < roundTokens.length; i++) {
+            tokens[i + 1] = address(roundTokens[i].token);
+            if (_share > 0) {
+                uint256 rewardBps = roundTokens[i].rewardBps;
+                potentialRewards[i + 1] = (StakingLedger.rewardAtRate(s, _roundId, _stake, rewardBps, endTime) * _share) / _total;
+                accruedRewards[i + 1] = (StakingLedger.rewardAtRate(s, _roundId, _stake, rewardBps, block.timestamp) * _share) / _total;
+            }
+        }
+    }
+}
@@ -0,0 +1,329 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StakingLedger.sol";
+
+/**
+ * @dev Round administration for StakingContract: opening, scheduling and
+ * cancelling rounds, and the timelocked deposit window and cap changes of a
+ * live round.
+ */
+library RoundLogic {
+    uint256 internal constant MAX_REWARD_TIERS = 8; // Reward tiers per round, including the base tier
+    
+    event StakingStarted(
+        uint256 indexed roundId,
+        uint256 startTime,
+        uint256 depositWindowEnd,
+        uint256 endTime,
+        uint256 rewardBps,
+        uint256 maxTotalStake
+    );
+    event RewardTierAdded(
+        uint256 indexed roundId,
+        uint256 indexed tierId,
+        uint256 minStake,
+        uint256 lockDuration,
+        uint256 rewardBps
+    );
+    event StakingRescheduled(uint256 indexed roundId, uint256 startTime, uint256 depositWindowEnd, uint256 endTime);
+    event StakingScheduleCancelled(uint256 indexed roundId);
+    event RoundChangeQueued(
+        uint256 indexed roundId,
+        uint256 depositWindowEnd,
+        uint256 maxTotalStake,
+        uint256 executableAt
+    );
+    event RoundChangeExecuted(uint256 indexed roundId, uint256 depositWindowEnd, uint256 maxTotalStake);
+    event RoundChangeCancelled(uint256 indexed roundId);
+    
+    /**
+     * @dev Open the next round, starting at _startAt, once the current one has
+     * ended, with the given parameters and reward tiers on top of the base rate
+     * @param _tiers Additional tiers, numbered from 1
+     */
+    function startRound(
+        StakingState storage s,
+        uint256 _startAt,
+        uint256 _depositWindow,
+        uint256 _stakingDuration,
+        uint256 _rewardBps,
+        uint256 _maxTotalStake,
+        RewardTier[] memory _tiers
+    ) public {
+        validateRoundParams(_depositWindow, _stakingDuration, _rewardBps, _maxTotalStake);
+        if (_tiers.length >= MAX_REWARD_TIERS) {
+            revert IStakingErrors.TooManyTiers();
+        }
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            if (_tiers[i].rewardBps > StakingLedger.BPS_DENOMINATOR) {
+                revert IStakingErrors.RewardBpsTooHigh();
+            }
+        }
+        if (block.timestamp < s.rounds[s.currentRoundId].endTime) {
+            revert IStakingErrors.CurrentRoundNotEnded();
+        }
+        
+        uint256 roundId = ++s.currentRoundId;
+        Round storage round = s.rounds[roundId];
+        round.startTime = _startAt;
+        round.depositWindowEnd = _startAt + _depositWindow;
+        round.endTime = _startAt + _stakingDuration;
+        round.rewardBps = _rewardBps;
+        round.maxTotalStake = _maxTotalStake;
+        s.roundVesting[roundId] = s.rewardVesting;
+        
+        emit StakingStarted(
+            roundId,
+            round.startTime,
+            round.depositWindowEnd,
+            round.endTime,
+            _rewardBps,
+            _maxTotalStake
+        );
+        
+        RewardTier[] storage tiers = s.rewardTiers[roundId];
+        tiers.push(RewardTier(0, 0, _rewardBps));
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            tiers.push(_tiers[i]);
+            
+            emit RewardTierAdded(roundId, i + 1, _tiers[i].minStake, _tiers[i].lockDuration, _tiers[i].rewardBps);
+        }
+    }
+    
+    /**
+     * @dev Open the next round at a future time, or move the current round to
+     * it if the current round is still waiting for its start, keeping its
+     * window lengths
+     */
+    function scheduleRound(
+        StakingState storage s,
+        uint256 _startAt,
+        uint256 _depositWindow,
+        uint256 _stakingDuration,
+        uint256 _rewardBps,
+        uint256 _maxTotalStake
+    ) external {
+        if (_startAt <= block.timestamp) {
+            revert IStakingErrors.StartNotInFuture();
+        }
+        
+        uint256 roundId = s.currentRoundId;
+        Round storage round = s.rounds[roundId];
+        if (block.timestamp >= round.startTime) {
+            startRound(s, _startAt, _depositWindow, _stakingDuration, _rewardBps, _maxTotalStake, new RewardTier[](0));
+            return;
+        }
+        
+        round.depositWindowEnd = _startAt + (round.depositWindowEnd - round.startTime);
+        round.endTime = _startAt + (round.endTime - round.startTime);
+        round.startTime = _startAt;
+        
+        emit StakingRescheduled(roundId, _startAt, round.depositWindowEnd, round.endTime);
+    }
+    
+    /**
+     * @dev Cancel the current round before its scheduled start, making the
+     * previous round the current round again. The round's reward tokens and
+     * receipt token go with it, so the next round to reuse its id starts clean.
+     */
+    function cancelScheduledRound(StakingState storage s) external {
+        uint256 roundId = s.currentRoundId;
+        if (block.timestamp >= s.rounds[roundId].startTime) {
+            revert IStakingErrors.NoScheduledRound();
+        }
+        
+        delete s.rounds[roundId];
+        delete s.rewardTiers[roundId];
+        delete s.roundVesting[roundId];
+        delete s.roundChanges[roundId];
+        delete s.rewardTokens[roundId];
+        delete s.receiptTokens[roundId];
+        s.currentRoundId = roundId - 1;
+        
+        emit StakingScheduleCancelled(roundId);
+    }
+    
+    /**
+     * @dev Snapshot an ended round's reward pool (ProRata mode)
+     */
+    function settleRound(StakingState storage s, uint256 _roundId) external {
+        if (s.settlementMode != SettlementMode.ProRata) {
+            revert IStakingErrors.ProRataNotEnabled();
+        }
+        if (s.rounds[_roundId].startTime == 0) {
+            revert IStakingErrors.RoundNotStarted();
+        }
+        if (s.rounds[_roundId].settled) {
+            revert IStakingErrors.RoundAlreadySettled();
+        }
+        
+        StakingLedger.settleRound(s, _roundId);
+    }
+    
+    /**
+     * @dev Queue a deposit window extension and/or a new cap for the current
+     * round, executable after _delay and before its deposit window closes
+     */
+    function queueRoundChange(
+        StakingState storage s,
+        uint256 _depositWindowEnd,
+        uint256 _maxTotalStake,
+        uint256 _delay
+    ) external {
+        uint256 roundId = s.currentRoundId;
+        if (_depositWindowEnd == 0 && _maxTotalStake == 0) {
+            revert IStakingErrors.NothingToChange();
+        }
+        if (s.roundChanges[roundId].executableAt != 0) {
+            revert IStakingErrors.RoundChangeAlreadyQueued();
+        }
+        _validateRoundChange(s, roundId, _depositWindowEnd, _maxTotalStake);
+        
+        uint256 executableAt = block.timestamp + _delay;
+        if (executableAt > s.rounds[roundId].depositWindowEnd) {
+            revert IStakingErrors.RoundChangeAfterDepositWindow();
+        }
+        s.roundChanges[roundId] = RoundChange(_depositWindowEnd, _maxTotalStake, executableAt);
+        
+        emit RoundChangeQueued(roundId, _depositWindowEnd, _maxTotalStake, executableAt);
+    }
+    
+    /**
+     * @dev Apply the current round's queued change once its timelock has
+     * passed, checking it again against the round as it is now
+     */
+    function executeRoundChange(StakingState storage s) external {
+        uint256 roundId = s.currentRoundId;
+        RoundChange memory change = s.roundChanges[roundId];
+        if (change.executableAt == 0) {
+            revert IStakingErrors.NoRoundChangeQueued();
+        }
+        if (block.timestamp < change.executableAt) {
+            revert IStakingErrors.RoundChangeTimelocked();
+        }
+        _validateRoundChange(s, roundId, change.depositWindowEnd, change.maxTotalStake);
+        
+        delete s.roundChanges[roundId];
+        Round storage round = s.rounds[roundId];
+        if (change.depositWindowEnd > 0) {
+            round.depositWindowEnd = change.depositWindowEnd;
+        }
+        if (change.maxTotalStake > 0) {
+            round.maxTotalStake = change.maxTotalStake;
+        }
+        
+        emit RoundChangeExecuted(roundId, round.depositWindowEnd, round.maxTotalStake);
+    }
+    
+    /**
+     * @dev Drop the current round's queued change
+     */
+    function cancelRoundChange(StakingState storage s) external {
+        uint256 roundId = s.currentRoundId;
+        if (s.roundChanges[roundId].executableAt == 0) {
+            revert IStakingErrors.NoRoundChangeQueued();
+        }
+        
+        delete s.roundChanges[roundId];
+        
+        emit RoundChangeCancelled(roundId);
+    }
+    
+    /**
+     * @dev Rewards needed to pay a round's cap at its highest tier rate, or for
+     * a round not opened yet, to pay the given default cap at the default rate
+     */
+    function requiredRewards(
+        StakingState storage s,
+        uint256 _roundId,
+        uint256 _defaultMaxTotalStake,
+        uint256 _defaultRewardBps
+    ) external view returns (uint256) {
+        if (_roundId > s.currentRoundId) {
+            return (_defaultMaxTotalStake * _defaultRewardBps) / StakingLedger.BPS_DENOMINATOR;
+        }
+        
+        RewardTier[] storage tiers = s.rewardTiers[_roundId];
+        uint256 maxRewardBps;
+        for (uint256 i = 0; i < tiers.length; i++) {
+            if (tiers[i].rewardBps > maxRewardBps) {
+                maxRewardBps = tiers[i].rewardBps;
+            }
+        }
+        return (s.rounds[_roundId].maxTotalStake * maxRewardBps) / StakingLedger.BPS_DENOMINATOR;
+    }
+    
+    /**
+     * @dev The reward rate a round's stakers are paid at, scaled in ProRata mode
+     * by the share of the round's rewards its pool covers
+     */
+    function effectiveRewardBps(StakingState storage s, uint256 _roundId) external view returns (uint256) {
+        Round storage round = s.rounds[_roundId];
+        if (s.settlementMode == SettlementMode.Full || round.rewardObligation == 0) {
+            return round.rewardBps;
+        }
+        
+        uint256 pool = round.settled ? round.rewardPool : StakingLedger.availableRewardPool(s, _roundId);
+        return (round.rewardBps * pool) / round.rewardObligation;
+    }
+    
+    /**
+     * @dev Check that a deposit window or cap change only loosens a round whose
+     * deposit window is still open
+     */
+    function _validateRoundChange(
+        StakingState storage s,
+        uint256 _roundId,
+        uint256 _depositWindowEnd,
+        uint256 _maxTotalStake
+    ) private view {
+        Round storage round = s.rounds[_roundId];
+        if (round.startTime == 0) {
+            revert IStakingErrors.StakingNotStarted();
+        }
+        if (block.timestamp > round.depositWindowEnd) {
+            revert IStakingErrors.DepositWindowClosed();
+        }
+        
+        if (_depositWindowEnd > 0) {
+            if (_depositWindowEnd <= round.depositWindowEnd) {
+                revert IStakingErrors.DepositWindowNotExtended();
+            }
+            if (_depositWindowEnd > round.endTime) {
+                revert IStakingErrors.DepositWindowExceedsDuration();
+            }
+        }
+        if (_maxTotalStake > 0) {
+            if (_maxTotalStake < round.totalStaked) {
+                revert IStakingErrors.CapBelowTotalStaked();
+            }
+        }
+    }
+    
+    /**
+     * @dev Validate round parameters
+     */
+    function validateRoundParams(
+        uint256 _depositWindow,
+        uint256 _stakingDuration,
+        uint256 _rewardBps,
+        uint256 _maxTotalStake
+    ) internal pure {
+        if (_depositWindow == 0) {
+            revert IStakingErrors.ZeroDepositWindow();
+        }
+        if (_stakingDuration == 0) {
+            revert IStakingErrors.ZeroStakingDuration();
+        }
+        if (_depositWindow > _stakingDuration) {
+            revert IStakingErrors.DepositWindowExceedsDuration();
+        }
+        if (_rewardBps > StakingLedger.BPS_DENOMINATOR) {
+            revert IStakingErrors.RewardBpsTooHigh();
+        }
+        if (_maxTotalStake == 0) {
+            revert IStakingErrors.ZeroMaxTotalStake();
+        }
+    }
+}
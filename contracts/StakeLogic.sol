@@ -0,0 +1,721 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./ReceiptLogic.sol";
+import "./PauseLogic.sol";
+
+/**
+ * @dev Address stakes for StakingContract: deposits, unstakes, claims,
+ * restakes and emergency withdrawals, the settings and allowlist that govern
+ * them, and the per-user views over them. Receipt rounds are handed to
+ * ReceiptLogic.
+ */
+library StakeLogic {
+    // EIP-712 claim authorization signed by a staker for claimBySig()
+    bytes32 internal constant CLAIM_TYPEHASH =
+        keccak256("Claim(uint256 roundId,address staker,address recipient,uint256 nonce,uint256 deadline)");
+    
+    event Staked(uint256 indexed roundId, address indexed user, uint256 amount);
+    event StakeIncreased(uint256 indexed roundId, address indexed user, uint256 additionalAmount, uint256 totalAmount);
+    event StakedFor(
+        uint256 indexed roundId,
+        address indexed payer,
+        address indexed beneficiary,
+        uint256 amount,
+        uint256 totalAmount
+    );
+    event Claimed(
+        uint256 indexed roundId,
+        address indexed user,
+        address indexed recipient,
+        uint256 stakedAmount,
+        uint256 rewardAmount
+    );
+    event Unstaked(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 amount,
+        uint256 penalty,
+        uint256 remainingAmount
+    );
+    event EmergencyWithdrawn(uint256 indexed roundId, address indexed user, uint256 amount);
+    event BatchDistributed(uint256 indexed roundId, uint256 from, uint256 to, uint256 paidCount);
+    event Restaked(
+        uint256 indexed fromRoundId,
+        uint256 indexed toRoundId,
+        address indexed user,
+        uint256 stakedAmount,
+        uint256 rewardAmount,
+        bool compounded
+    );
+    event TierSelected(uint256 indexed roundId, address indexed user, uint256 indexed tierId);
+    event AllowlistRegistered(address indexed account, uint256 allocation);
+    event StakeLimitsUpdated(uint256 minStake, uint256 maxStake);
+    event UnstakePenaltyUpdated(uint256 penaltyBps, PenaltyDestination destination);
+    event UnusedTokensWithdrawn(address indexed to, uint256 amount);
+    
+    /**
+     * @dev Take tokens from a staker and add them to its stake in the current
+     * round, in the given reward tier
+     */
+    function stake(StakingState storage s, address _staker, uint256 _amount, uint256 _tierId) external {
+        uint256 roundId = s.currentRoundId;
+        
+        if (_amount == 0) {
+            revert IStakingErrors.ZeroAmount();
+        }
+        StakingLedger.checkCap(s, roundId, _amount);
+        
+        // Transfer tokens from user to contract
+        StakingLedger.transferIn(s, _staker, _amount);
+        
+        bool isFirstStake = _addStake(s, roundId, _staker, _amount);
+        _selectTier(s, roundId, _staker, _tierId);
+        StakingLedger.checkFunded(s);
+        
+        if (isFirstStake) {
+            // First stake - emit Staked event
+            emit Staked(roundId, _staker, _amount);
+        } else {
+            // Increase existing stake - emit StakeIncreased event
+            emit StakeIncreased(roundId, _staker, _amount, StakingLedger.stakedBalance(s, roundId, _staker));
+        }
+    }
+    
+    /**
+     * @dev Stake tokens paid by a payer on behalf of another address
+     */
+    function stakeFor(StakingState storage s, address _payer, address _beneficiary, uint256 _amount) external {
+        uint256 roundId = s.currentRoundId;
+        
+        if (_beneficiary == address(0)) {
+            revert IStakingErrors.InvalidBeneficiary();
+        }
+        if (_amount == 0) {
+            revert IStakingErrors.ZeroAmount();
+        }
+        StakingLedger.checkCap(s, roundId, _amount);
+        
+        StakingLedger.transferIn(s, _payer, _amount);
+        
+        _addStake(s, roundId, _beneficiary, _amount);
+        StakingLedger.checkFunded(s);
+        
+        emit StakedFor(roundId, _payer, _beneficiary, _amount, StakingLedger.stakedBalance(s, roundId, _beneficiary));
+    }
+    
+    /**
+     * @dev Stake tokens paid by a payer on behalf of several addresses, with
+     * a single token transfer. The whole batch must fit in the round's cap.
+     */
+    function stakeForMany(
+        StakingState storage s,
+        address _payer,
+        address[] calldata _beneficiaries,
+        uint256[] calldata _amounts
+    ) external {
+        uint256 roundId = s.currentRoundId;
+        
+        if (_beneficiaries.length == 0) {
+            revert IStakingErrors.NoBeneficiaries();
+        }
+        if (_beneficiaries.length != _amounts.length) {
+            revert IStakingErrors.ArrayLengthMismatch();
+        }
+        
+        uint256 totalAmount;
+        for (uint256 i = 0; i < _beneficiaries.length; i++) {
+            if (_beneficiaries[i] == address(0)) {
+                revert IStakingErrors.InvalidBeneficiary();
+            }
+            if (_amounts[i] == 0) {
+                revert IStakingErrors.ZeroAmount();
+            }
+            totalAmount += _amounts[i];
+        }
+        StakingLedger.checkCap(s, roundId, totalAmount);
+        
+        StakingLedger.transferIn(s, _payer, totalAmount);
+        
+        for (uint256 i = 0; i < _beneficiaries.length; i++) {
+            _addStake(s, roundId, _beneficiaries[i], _amounts[i]);
+            
+            emit StakedFor(roundId, _payer, _beneficiaries[i], _amounts[i], StakingLedger.stakedBalance(s, roundId, _beneficiaries[i]));
+        }
+        StakingLedger.checkFunded(s);
+    }
+    
+    /**
+     * @dev Roll a user's stake in an ended round into the current round without
+     * a token transfer, compounding the reward or paying it out
+     */
+    function restake(StakingState storage s, address _user, uint256 _fromRoundId, bool _compound) external {
+        uint256 roundId = s.currentRoundId;
+        if (_fromRoundId == roundId) {
+            revert IStakingErrors.RestakeIntoSameRound();
+        }
+        
+        StakeInfo storage fromStake = s.stakes[_fromRoundId][_user];
+        if (fromStake.amount == 0) {
+            revert IStakingErrors.NoTokensStaked();
+        }
+        if (fromStake.claimed) {
+            revert IStakingErrors.AlreadyClaimed();
+        }
+        if (block.timestamp < StakingLedger.unlockTime(s, _fromRoundId, fromStake)) {
+            revert IStakingErrors.StakeLocked();
+        }
+        
+        uint256 stakedAmount = fromStake.amount;
+        uint256 rewardAmount = StakingLedger.settledReward(s, _fromRoundId, fromStake);
+        uint256 restakeAmount = _compound ? stakedAmount + rewardAmount : stakedAmount;
+        uint256[] memory tokenRewards = RewardTokenLogic.tokenRewards(s, _fromRoundId, fromStake, s.rounds[_fromRoundId].endTime);
+        
+        StakingLedger.checkCap(s, roundId, restakeAmount);
+        
+        // Mark the old stake as settled
+        fromStake.claimed = true;
+        s.outstandingPrincipal -= stakedAmount;
+        s.outstandingRewards -= rewardAmount;
+        StakingLedger.recordClaim(s, _fromRoundId, stakedAmount, rewardAmount, true);
+        
+        _addStake(s, roundId, _user, restakeAmount);
+        StakingLedger.checkFunded(s);
+        
+        if (!_compound) {
+            uint256 paidAmount = VestingLogic.vest(s, _fromRoundId, _user, rewardAmount);
+            if (paidAmount > 0) {
+                StakingLedger.transfer(s, _user, paidAmount);
+            }
+        }
+        RewardTokenLogic.pay(s, _fromRoundId, _user, _user, tokenRewards);
+        
+        emit Restaked(_fromRoundId, roundId, _user, stakedAmount, rewardAmount, _compound);
+    }
+    
+    /**
+     * @dev Withdraw part or all of a user's stake in the current round before
+     * the staking period ends, less the early unstake penalty
+     * @param _owner Recipient of the penalty under PenaltyDestination.Owner
+     */
+    function unstake(StakingState storage s, address _user, uint256 _amount, address _owner) external {
+        uint256 roundId = s.currentRoundId;
+        StakeReceipt receiptToken = s.receiptTokens[roundId];
+        StakeInfo storage userStake = address(receiptToken) != address(0)
+            ? s.receiptStakes[roundId]
+            : s.stakes[roundId][_user];
+        
+        if (s.rounds[roundId].startTime == 0) {
+            revert IStakingErrors.StakingNotStarted();
+        }
+        if (block.timestamp >= s.rounds[roundId].endTime) {
+            revert IStakingErrors.StakingEnded();
+        }
+        _checkUnstakeAmount(s, roundId, _user, _amount, userStake.tierId);
+        
+        uint256 penalty = (_amount * s.unstakePenaltyBps) / StakingLedger.BPS_DENOMINATOR;
+        _debitStake(s, roundId, userStake, _amount);
+        
+        if (penalty > 0) {
+            if (s.penaltyDestination == PenaltyDestination.Owner) {
+                StakingLedger.transfer(s, _owner, penalty);
+            } else if (s.penaltyDestination == PenaltyDestination.Stakers) {
+                s.rounds[roundId].redistributedPenalties += penalty;
+            }
+            // PenaltyDestination.RewardPool: the penalty stays in the contract
+        }
+        if (s.rounds[roundId].totalStaked == 0) {
+            // Nobody is left to share the redistributed penalties, so they stay in the contract
+            s.rounds[roundId].redistributedPenalties = 0;
+        }
+        StakingLedger.syncRewardObligation(s, roundId);
+        
+        if (address(receiptToken) != address(0)) {
+            receiptToken.burn(_user, _amount);
+        }
+        
+        // Receipt holders can unstake more than was staked to them
+        uint256 stakedBy = s.totalStakedBy[roundId][_user];
+        s.totalStakedBy[roundId][_user] = stakedBy > _amount ? stakedBy - _amount : 0;
+        
+        StakingLedger.transfer(s, _user, _amount - penalty);
+        
+        emit Unstaked(roundId, _user, _amount, penalty, StakingLedger.stakedBalance(s, roundId, _user));
+    }
+    
+    /**
+     * @dev Settle a staker's stake in an ended round and send principal +
+     * rewards to the recipient
+     */
+    function claim(StakingState storage s, uint256 _roundId, address _user, address _recipient) external {
+        _claim(s, _roundId, _user, _recipient);
+    }
+    
+    /**
+     * @dev Claim for a staker who signed a Claim message with the given nonce
+     * under the calling contract's EIP-712 domain
+     */
+    function claimBySig(
+        StakingState storage s,
+        uint256 _roundId,
+        address _staker,
+        address _recipient,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes32 _domainSeparator,
+        bytes calldata _signature
+    ) external {
+        if (block.timestamp > _deadline) {
+            revert IStakingErrors.SignatureExpired();
+        }
+        
+        bytes32 digest = MessageHashUtils.toTypedDataHash(
+            _domainSeparator,
+            keccak256(abi.encode(CLAIM_TYPEHASH, _roundId, _staker, _recipient, _nonce, _deadline))
+        );
+        if (!SignatureChecker.isValidSignatureNow(_staker, digest, _signature)) {
+            revert IStakingErrors.InvalidSignature();
+        }
+        
+        _claim(s, _roundId, _staker, _recipient);
+    }
+    
+    /**
+     * @dev Withdraw a user's principal in a round without rewards, in emergency mode
+     */
+    function emergencyWithdraw(StakingState storage s, uint256 _roundId, address _user) external {
+        PauseLogic.checkEmergencyMode(s);
+        
+        uint256 stakedAmount;
+        if (address(s.receiptTokens[_roundId]) != address(0)) {
+            stakedAmount = ReceiptLogic.forfeit(s, _roundId, _user);
+        } else {
+            StakeInfo storage userStake = s.stakes[_roundId][_user];
+            if (userStake.amount == 0) {
+                revert IStakingErrors.NoTokensStaked();
+            }
+            if (userStake.claimed) {
+                revert IStakingErrors.AlreadyClaimed();
+            }
+            
+            uint256 endTime = s.rounds[_roundId].endTime;
+            stakedAmount = userStake.amount;
+            userStake.claimed = true;
+            StakingLedger.releaseReward(s, _roundId, StakingLedger.calculateReward(s, _roundId, userStake, endTime));
+            RewardTokenLogic.release(s, _roundId, RewardTokenLogic.tokenRewards(s, _roundId, userStake, endTime));
+            StakingLedger.forfeitStake(s, _roundId, userStake.tierId, stakedAmount, userStake.weightedDepositTime);
+        }
+        s.outstandingPrincipal -= stakedAmount;
+        
+        StakingLedger.transfer(s, _user, stakedAmount);
+        
+        emit EmergencyWithdrawn(_roundId, _user, stakedAmount);
+    }
+    
+    /**
+     * @dev Claim for the stakers at indexes [_from, _to) of an ended round's
+     * stakers array, skipping those with nothing to claim yet
+     * @return paidCount Number of stakers paid
+     */
+    function distributeBatch(
+        StakingState storage s,
+        uint256 _roundId,
+        uint256 _from,
+        uint256 _to
+    ) external returns (uint256 paidCount) {
+        address[] storage roundStakers = s.stakers[_roundId];
+        if (_to > roundStakers.length) {
+            _to = roundStakers.length;
+        }
+        if (_from >= _to) {
+            revert IStakingErrors.InvalidRange();
+        }
+        
+        StakeReceipt receiptToken = s.receiptTokens[_roundId];
+        for (uint256 i = _from; i < _to; i++) {
+            address user = roundStakers[i];
+            StakeInfo storage userStake = s.stakes[_roundId][user];
+            bool claimable = address(receiptToken) != address(0)
+                ? receiptToken.balanceOf(user) > 0
+                : userStake.amount > 0 && !userStake.claimed && block.timestamp >= StakingLedger.unlockTime(s, _roundId, userStake);
+            if (claimable) {
+                _claim(s, _roundId, user, user);
+                paidCount++;
+            }
+        }
+        
+        emit BatchDistributed(_roundId, _from, _to, paidCount);
+    }
+    
+    /**
+     * @dev Register an address and its allocation on the current allowlist,
+     * with a Merkle proof of its (address, allocation) leaf
+     */
+    function registerAllowlist(
+        StakingState storage s,
+        address _account,
+        uint256 _allocation,
+        bytes32[] calldata _proof
+    ) external {
+        bytes32 root = s.allowlistRoot;
+        if (root == bytes32(0)) {
+            revert IStakingErrors.AllowlistNotEnabled();
+        }
+        
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(_account, _allocation))));
+        if (!MerkleProof.verifyCalldata(_proof, root, leaf)) {
+            revert IStakingErrors.InvalidAllowlistProof();
+        }
+        
+        s.allowlisted[root][_account] = true;
+        s.allowlistAllocations[root][_account] = _allocation;
+        
+        emit AllowlistRegistered(_account, _allocation);
+    }
+    
+    /**
+     * @dev Set the per-address limits on the total staked to an address in a round
+     */
+    function setStakeLimits(StakingState storage s, uint256 _minStake, uint256 _maxStake) external {
+        if (_maxStake != 0 && _minStake > _maxStake) {
+            revert IStakingErrors.MinimumExceedsMaximum();
+        }
+        
+        s.minStakePerAddress = _minStake;
+        s.maxStakePerAddress = _maxStake;
+        
+        emit StakeLimitsUpdated(_minStake, _maxStake);
+    }
+    
+    /**
+     * @dev Set the early unstake penalty and where it goes
+     */
+    function setUnstakePenalty(StakingState storage s, uint256 _penaltyBps, PenaltyDestination _destination) external {
+        if (_penaltyBps > StakingLedger.BPS_DENOMINATOR) {
+            revert IStakingErrors.PenaltyTooHigh();
+        }
+        
+        s.unstakePenaltyBps = _penaltyBps;
+        s.penaltyDestination = _destination;
+        
+        emit UnstakePenaltyUpdated(_penaltyBps, _destination);
+    }
+    
+    /**
+     * @dev Send part of the staking token balance in excess of what is owed to stakers
+     */
+    function withdrawSurplus(StakingState storage s, address _to, uint256 _amount) external {
+        if (_amount > surplus(s)) {
+            revert IStakingErrors.ExceedsSurplus();
+        }
+        
+        StakingLedger.transfer(s, _to, _amount);
+        
+        emit UnusedTokensWithdrawn(_to, _amount);
+    }
+    
+    /**
+     * @dev The staking token balance in excess of what is owed to stakers
+     */
+    function surplus(StakingState storage s) public view returns (uint256) {
+        uint256 balance = s.stakingToken.balanceOf(address(this));
+        uint256 obligations = StakingLedger.totalObligations(s);
+        return balance > obligations ? balance - obligations : 0;
+    }
+    
+    /**
+     * @dev The current round's timestamps, totals and a user's stake in it. The
+     * caller fills in the phase and the funding figures.
+     */
+    function overview(StakingState storage s, address _user) external view returns (Overview memory info) {
+        uint256 roundId = s.currentRoundId;
+        Round storage round = s.rounds[roundId];
+        
+        info.roundId = roundId;
+        info.startTime = round.startTime;
+        info.depositWindowEnd = round.depositWindowEnd;
+        info.endTime = round.endTime;
+        info.currentTime = block.timestamp;
+        info.rewardBps = round.rewardBps;
+        info.totalStaked = round.totalStaked;
+        info.maxTotalStake = round.maxTotalStake;
+        info.remainingCapacity = round.maxTotalStake - round.totalStaked;
+        info.stakerCount = s.stakers[roundId].length;
+        
+        (info.userStaked, info.userPotentialReward, info.userAccruedReward) = _userReward(s, roundId, _user);
+        info.userClaimed = _isClaimed(s, roundId, _user);
+    }
+    
+    /**
+     * @dev A page of a round's stakers, in the order they first staked
+     */
+    function stakersPage(StakingState storage s, uint256 _roundId, uint256 _offset, uint256 _limit) external view returns (
+        address[] memory page
+    ) {
+        address[] storage roundStakers = s.stakers[_roundId];
+        uint256 end = StakingLedger.pageEnd(roundStakers.length, _offset, _limit);
+        
+        page = new address[](end > _offset ? end - _offset : 0);
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = roundStakers[_offset + i];
+        }
+    }
+    
+    /**
+     * @dev A user's staked amount and its projected and accrued rewards in a round
+     */
+    function userReward(StakingState storage s, uint256 _roundId, address _user) external view returns (
+        uint256 stakedAmount,
+        uint256 rewardAmount,
+        uint256 accruedReward
+    ) {
+        return _userReward(s, _roundId, _user);
+    }
+    
+    /**
+     * @dev A user's stake in a round, its rewards, tier and unlock time
+     */
+    function userStakeInfo(StakingState storage s, uint256 _roundId, address _user) external view returns (
+        uint256 stakedAmount,
+        bool claimed,
+        uint256 potentialReward,
+        uint256 accruedReward,
+        uint256 tierId,
+        uint256 unlockTime
+    ) {
+        StakeInfo storage userStake = s.stakes[_roundId][_user];
+        (stakedAmount, potentialReward, accruedReward) = _userReward(s, _roundId, _user);
+        claimed = _isClaimed(s, _roundId, _user);
+        tierId = userStake.tierId;
+        unlockTime = StakingLedger.unlockTime(s, _roundId, userStake);
+    }
+    
+    /**
+     * @dev A page of a round's stakers with their stakes, in the terms of userStakeInfo()
+     */
+    function stakesPage(StakingState storage s, uint256 _roundId, uint256 _offset, uint256 _limit) external view returns (
+        address[] memory users,
+        uint256[] memory amounts,
+        bool[] memory claimed,
+        uint256[] memory rewards
+    ) {
+        address[] storage roundStakers = s.stakers[_roundId];
+        uint256 end = StakingLedger.pageEnd(roundStakers.length, _offset, _limit);
+        uint256 count = end > _offset ? end - _offset : 0;
+        
+        users = new address[](count);
+        amounts = new uint256[](count);
+        claimed = new bool[](count);
+        rewards = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            address user = roundStakers[_offset + i];
+            users[i] = user;
+            (amounts[i], rewards[i], ) = _userReward(s, _roundId, user);
+            claimed[i] = _isClaimed(s, _roundId, user);
+        }
+    }
+    
+    /**
+     * @dev A user's rewards in a round per token, with the staking token's rewards first
+     */
+    function rewardBreakdown(StakingState storage s, uint256 _roundId, address _user) external view returns (
+        address[] memory tokens,
+        uint256[] memory potentialRewards,
+        uint256[] memory accruedRewards
+    ) {
+        (uint256 stakedAmount, uint256 rewardAmount, uint256 accruedReward) = _userReward(s, _roundId, _user);
+        
+        bool receiptRound = address(s.receiptTokens[_roundId]) != address(0);
+        StakeInfo storage rewardStake = receiptRound ? s.receiptStakes[_roundId] : s.stakes[_roundId][_user];
+        uint256 poolAmount = receiptRound ? rewardStake.amount : stakedAmount;
+        
+        (tokens, potentialRewards, accruedRewards) = RewardTokenLogic.rewardBreakdown(s, _roundId, rewardStake, stakedAmount, poolAmount);
+        potentialRewards[0] = rewardAmount;
+        accruedRewards[0] = accruedReward;
+    }
+    
+    /**
+     * @dev Settle a staker's stake in an ended round and send principal +
+     * rewards to the recipient
+     */
+    function _claim(StakingState storage s, uint256 _roundId, address _user, address _recipient) private {
+        if (_recipient == address(0)) {
+            revert IStakingErrors.InvalidRecipient();
+        }
+        
+        StakeReceipt receiptToken = s.receiptTokens[_roundId];
+        if (address(receiptToken) != address(0)) {
+            uint256 receipts = receiptToken.balanceOf(_user);
+            if (receipts == 0) {
+                revert IStakingErrors.NoTokensStaked();
+            }
+            ReceiptLogic.redeemTo(s, _roundId, _user, _recipient, receipts);
+            return;
+        }
+        
+        StakeInfo storage userStake = s.stakes[_roundId][_user];
+        
+        if (userStake.amount == 0) {
+            revert IStakingErrors.NoTokensStaked();
+        }
+        if (userStake.claimed) {
+            revert IStakingErrors.AlreadyClaimed();
+        }
+        if (block.timestamp < StakingLedger.unlockTime(s, _roundId, userStake)) {
+            revert IStakingErrors.StakeLocked();
+        }
+        
+        uint256 stakedAmount = userStake.amount;
+        uint256 rewardAmount = StakingLedger.settledReward(s, _roundId, userStake);
+        uint256 totalAmount = stakedAmount + VestingLogic.vest(s, _roundId, _recipient, rewardAmount);
+        uint256[] memory tokenRewards = RewardTokenLogic.tokenRewards(s, _roundId, userStake, s.rounds[_roundId].endTime);
+        
+        // Mark as claimed
+        userStake.claimed = true;
+        s.outstandingPrincipal -= stakedAmount;
+        s.outstandingRewards -= rewardAmount;
+        StakingLedger.recordClaim(s, _roundId, stakedAmount, rewardAmount, true);
+        
+        // Transfer tokens + rewards
+        StakingLedger.transfer(s, _recipient, totalAmount);
+        RewardTokenLogic.pay(s, _roundId, _user, _recipient, tokenRewards);
+        
+        emit Claimed(_roundId, _user, _recipient, stakedAmount, rewardAmount);
+    }
+    
+    /**
+     * @dev Revert unless a user can unstake _amount from a round and keep
+     * nothing or at least the per-address and tier minimums staked
+     */
+    function _checkUnstakeAmount(
+        StakingState storage s,
+        uint256 _roundId,
+        address _user,
+        uint256 _amount,
+        uint256 _tierId
+    ) private view {
+        if (_amount == 0) {
+            revert IStakingErrors.ZeroAmount();
+        }
+        uint256 balance = StakingLedger.stakedBalance(s, _roundId, _user);
+        if (_amount > balance) {
+            revert IStakingErrors.AmountExceedsStake();
+        }
+        
+        uint256 remaining = balance - _amount;
+        if (remaining != 0 && remaining < s.minStakePerAddress) {
+            revert IStakingErrors.RemainingBelowMinimum();
+        }
+        if (remaining != 0 && remaining < s.rewardTiers[_roundId][_tierId].minStake) {
+            revert IStakingErrors.RemainingBelowTierMinimum();
+        }
+    }
+    
+    /**
+     * @dev Take _amount out of a stake and its round's totals, freeing up the
+     * capacity in the round and keeping the average deposit time of the
+     * remaining stake unchanged
+     */
+    function _debitStake(StakingState storage s, uint256 _roundId, StakeInfo storage _stake, uint256 _amount) private {
+        uint256 weightReduction = (_stake.weightedDepositTime * _amount) / _stake.amount;
+        StakingLedger.debitRound(s, _roundId, _stake.tierId, _amount, weightReduction);
+        _stake.weightedDepositTime -= weightReduction;
+        _stake.amount -= _amount;
+        s.outstandingPrincipal -= _amount;
+    }
+    
+    /**
+     * @dev Credit _amount to a user's stake in a round
+     * @return isFirstStake Whether this is the user's first stake in the round
+     */
+    function _addStake(StakingState storage s, uint256 _roundId, address _user, uint256 _amount) private returns (bool isFirstStake) {
+        StakingLedger.recordAddressStake(s, _roundId, _user, _amount);
+        
+        if (address(s.receiptTokens[_roundId]) != address(0)) {
+            isFirstStake = ReceiptLogic.deposit(s, _roundId, _user, _amount);
+        } else {
+            StakeInfo storage userStake = s.stakes[_roundId][_user];
+            isFirstStake = userStake.amount == 0;
+            StakingLedger.creditStake(s, _roundId, userStake, _amount);
+        }
+        
+        // A user who fully unstaked and stakes again is already listed
+        if (!s.isStaker[_roundId][_user]) {
+            s.isStaker[_roundId][_user] = true;
+            s.stakers[_roundId].push(_user);
+        }
+    }
+    
+    /**
+     * @dev Move a user's stake in a round to another reward tier, re-weighting
+     * the round's totals at the new rate
+     */
+    function _selectTier(StakingState storage s, uint256 _roundId, address _user, uint256 _tierId) private {
+        StakeInfo storage userStake = s.stakes[_roundId][_user];
+        uint256 currentTierId = userStake.tierId;
+        if (_tierId == currentTierId) {
+            return;
+        }
+        
+        RewardTier[] storage tiers = s.rewardTiers[_roundId];
+        if (_tierId >= tiers.length) {
+            revert IStakingErrors.InvalidTier();
+        }
+        if (address(s.receiptTokens[_roundId]) != address(0)) {
+            revert IStakingErrors.TierInReceiptRound();
+        }
+        if (userStake.amount < tiers[_tierId].minStake) {
+            revert IStakingErrors.BelowTierMinimum();
+        }
+        if (tiers[_tierId].lockDuration < tiers[currentTierId].lockDuration) {
+            revert IStakingErrors.CannotShortenLock();
+        }
+        
+        uint256 oldBps = tiers[currentTierId].rewardBps;
+        uint256 newBps = tiers[_tierId].rewardBps;
+        Round storage round = s.rounds[_roundId];
+        round.totalStakedBps = round.totalStakedBps - userStake.amount * oldBps + userStake.amount * newBps;
+        round.totalWeightedDepositTimeBps = round.totalWeightedDepositTimeBps -
+            userStake.weightedDepositTime * oldBps + userStake.weightedDepositTime * newBps;
+        userStake.tierId = _tierId;
+        StakingLedger.syncRewardObligation(s, _roundId);
+        
+        emit TierSelected(_roundId, _user, _tierId);
+    }
+    
+    /**
+     * @dev A user's staked amount and its projected and accrued rewards in a
+     * round. Receipts share the pooled stake's rewards pro rata.
+     */
+    function _userReward(StakingState storage s, uint256 _roundId, address _user) private view returns (
+        uint256 stakedAmount,
+        uint256 rewardAmount,
+        uint256 accruedReward
+    ) {
+        if (address(s.receiptTokens[_roundId]) != address(0)) {
+            return ReceiptLogic.share(s, _roundId, _user);
+        }
+        
+        StakeInfo storage userStake = s.stakes[_roundId][_user];
+        stakedAmount = userStake.amount;
+        rewardAmount = StakingLedger.calculateReward(s, _roundId, userStake, s.rounds[_roundId].endTime);
+        accruedReward = StakingLedger.calculateReward(s, _roundId, userStake, block.timestamp);
+    }
+    
+    /**
+     * @dev Whether a user's stake in a round has been claimed. Receipt rounds
+     * keep no per-user stake, so a holder counts as claimed once they have
+     * redeemed receipts and hold none left. Receipts transferred away are not
+     * a claim.
+     */
+    function _isClaimed(StakingState storage s, uint256 _roundId, address _user) private view returns (bool) {
+        StakeReceipt receiptToken = s.receiptTokens[_roundId];
+        if (address(receiptToken) == address(0)) {
+            return s.stakes[_roundId][_user].claimed;
+        }
+        return s.redeemedReceipts[_roundId][_user] > 0 && receiptToken.balanceOf(_user) == 0;
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @dev Transferable receipt for a position stake. The staking contract mints a
+ * token for each position and burns it when the position is claimed; the
+ * position itself is kept in the staking contract under the token id.
+ */
+contract StakePosition is ERC721 {
+    address public immutable staking; // Only contract allowed to mint and burn
+    
+    /**
+     * @param _name Token collection name
+     * @param _symbol Token collection symbol
+     * @param _staking Staking contract the positions belong to
+     */
+    constructor(string memory _name, string memory _symbol, address _staking) ERC721(_name, _symbol) {
+        require(_staking != address(0), "Invalid staking contract");
+        staking = _staking;
+    }
+    
+    modifier onlyStaking() {
+        require(msg.sender == staking, "Caller is not the staking contract");
+        _;
+    }
+    
+    /**
+     * @dev Mint a position token (staking contract only)
+     */
+    function mint(address _to, uint256 _tokenId) external onlyStaking {
+        _mint(_to, _tokenId);
+    }
+    
+    /**
+     * @dev Burn a claimed position's token (staking contract only)
+     */
+    function burn(uint256 _tokenId) external onlyStaking {
+        _burn(_tokenId);
+    }
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @dev Liquid receipt for a round's stakes, minted 1:1 with the staked tokens.
+ * The staking contract pools the round's deposits and burns receipts when they
+ * are redeemed for principal plus the pool's reward, pro rata.
+ */
+contract StakeReceipt is ERC20 {
+    address public immutable staking; // Only contract allowed to mint and burn
+    uint256 public immutable roundId; // Round whose stakes the receipts represent
+    
+    /**
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param _staking Staking contract the receipts belong to
+     * @param _roundId Round whose stakes the receipts represent
+     */
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        address _staking,
+        uint256 _roundId
+    ) ERC20(_name, _symbol) {
+        require(_staking != address(0), "Invalid staking contract");
+        require(_roundId > 0, "Invalid round");
+        staking = _staking;
+        roundId = _roundId;
+    }
+    
+    modifier onlyStaking() {
+        require(msg.sender == staking, "Caller is not the staking contract");
+        _;
+    }
+    
+    /**
+     * @dev Mint receipts for a deposit (staking contract only)
+     */
+    function mint(address _to, uint256 _amount) external onlyStaking {
+        _mint(_to, _amount);
+    }
+    
+    /**
+     * @dev Burn redeemed or unstaked receipts (staking contract only)
+     */
+    function burn(address _from, uint256 _amount) external onlyStaking {
+        _burn(_from, _amount);
+    }
+}
@@ -2,222 +2,1356 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlDefaultAdminRules.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./StakingTypes.sol";
+import "./StakingLedger.sol";
+import "./VestingLogic.sol";
+import "./RewardTokenLogic.sol";
+import "./ReceiptLogic.sol";
+import "./PositionLogic.sol";
+import "./StakeLogic.sol";
+import "./RoundLogic.sol";
+import "./PauseLogic.sol";
 
-contract StakingContract is Ownable, ReentrancyGuard {
-    IERC20 public stakingToken;
+/**
+ * @dev Round-based staking. Stakes, claims and their views run in the linked
+ * logic libraries on the contract's StakingState; the contract keeps access
+ * control, round administration and the emergency controls.
+ */
+contract StakingContract is IStakingErrors, ERC2771Context, AccessControlDefaultAdminRules, EIP712, Nonces, ReentrancyGuard {
+    // Roles; the default admin grants and revokes them and is transferred in two steps
+    bytes32 public constant CAMPAIGN_ADMIN_ROLE = keccak256("CAMPAIGN_ADMIN_ROLE"); // Opens and configures rounds
+    bytes32 public constant REWARD_FUNDER_ROLE = keccak256("REWARD_FUNDER_ROLE"); // Deposits rewards
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE"); // Withdraws the surplus
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE"); // Pauses and enables emergency mode
     
-    uint256 public constant DEPOSIT_WINDOW = 48 hours; // Deposit window: 48 hours
-    uint256 public constant STAKING_DURATION = 14 days; // Staking duration: 14 days
-    uint256 public constant REWARD_PERCENTAGE = 10; // Reward percentage: 10%
-    uint256 public constant MAX_TOTAL_STAKE = 50_000_000 * 10**18; // Maximum cap: 50M tokens
+    uint256 public constant BPS_DENOMINATOR = StakingLedger.BPS_DENOMINATOR; // 100% in basis points
+    uint256 public constant MAX_REWARD_TIERS = RoundLogic.MAX_REWARD_TIERS; // Reward tiers per round, including the base tier
+    uint256 public constant MAX_REWARD_TOKENS = RewardTokenLogic.MAX_REWARD_TOKENS; // Additional reward tokens per round
     
-    uint256 public startTime;
-    uint256 public endTime;
-    uint256 public totalStaked;
+    // EIP-712 claim authorization signed by a staker for claimBySig()
+    bytes32 public constant CLAIM_TYPEHASH = StakeLogic.CLAIM_TYPEHASH;
     
-    struct StakeInfo {
-        uint256 amount;
-        bool claimed;
-    }
+    // Defaults for rounds opened with startStaking()
+    uint256 public immutable DEPOSIT_WINDOW; // Deposit window length in seconds
+    uint256 public immutable STAKING_DURATION; // Staking duration in seconds, from start
+    uint256 public immutable REWARD_BPS; // Reward rate in basis points
+    uint256 public immutable MAX_TOTAL_STAKE; // Maximum total stake across all users
+    
+    uint256 public immutable ROUND_CHANGE_DELAY; // Timelock on deposit window and cap changes, in seconds
     
-    mapping(address => StakeInfo) public stakes;
-    address[] public stakers;
+    // Rounds, stakes and their accounting, exposed through the getters below
+    StakingState private s;
     
-    event Staked(address indexed user, uint256 amount);
-    event StakeIncreased(address indexed user, uint256 additionalAmount, uint256 totalAmount);
-    event Claimed(address indexed user, uint256 stakedAmount, uint256 rewardAmount);
-    event StakingStarted(uint256 startTime);
+    uint256 public totalRewardsDeposited; // Rewards deposited through depositRewards()
+    
+    event Staked(uint256 indexed roundId, address indexed user, uint256 amount);
+    event StakeIncreased(uint256 indexed roundId, address indexed user, uint256 additionalAmount, uint256 totalAmount);
+    event StakedFor(
+        uint256 indexed roundId,
+        address indexed payer,
+        address indexed beneficiary,
+        uint256 amount,
+        uint256 totalAmount
+    );
+    event Claimed(
+        uint256 indexed roundId,
+        address indexed user,
+        address indexed recipient,
+        uint256 stakedAmount,
+        uint256 rewardAmount
+    );
+    event Unstaked(
+        uint256 indexed roundId,
+        address indexed user,
+        uint256 amount,
+        uint256 penalty,
+        uint256 remainingAmount
+    );
+    event PositionTokenSet(address indexed positionToken);
+    event PositionStaked(uint256 indexed roundId, uint256 indexed tokenId, address indexed owner, uint256 amount);
+    event PositionClaimed(
+        uint256 indexed roundId,
+        uint256 indexed tokenId,
+        address indexed holder,
+        uint256 stakedAmount,
+        uint256 rewardAmount
+    );
+    event PositionEmergencyWithdrawn(uint256 indexed roundId, uint256 indexed tokenId, address indexed holder, uint256 amount);
+    event ReceiptTokenSet(uint256 indexed roundId, address indexed receiptToken);
+    event StakeLimitsUpdated(uint256 minStake, uint256 maxStake);
+    event AllowlistRootUpdated(bytes32 root);
+    event AllowlistRegistered(address indexed account, uint256 allocation);
+    event UnstakePenaltyUpdated(uint256 penaltyBps, PenaltyDestination destination);
+    event RewardsDeposited(address indexed from, uint256 amount);
+    event RewardVestingUpdated(uint256 duration, uint256 cliff);
+    event RewardsVesting(uint256 indexed roundId, address indexed beneficiary, uint256 amount);
+    event RewardsReleased(uint256 indexed roundId, address indexed beneficiary, uint256 amount);
+    event RewardTokenAdded(uint256 indexed roundId, address indexed token, uint256 rewardBps);
+    event RewardTokenDeposited(address indexed token, address indexed from, uint256 amount);
+    event RewardTokenClaimed(
+        uint256 indexed roundId,
+        address indexed user,
+        address indexed recipient,
+        address token,
+        uint256 amount
+    );
+    event RewardTokenOwed(
+        uint256 indexed roundId,
+        address indexed user,
+        address indexed recipient,
+        address token,
+        uint256 amount
+    );
+    event OwedRewardTokenClaimed(address indexed token, address indexed recipient, uint256 amount);
+    event UnusedRewardTokensWithdrawn(address indexed token, address indexed to, uint256 amount);
+    event UnusedTokensWithdrawn(address indexed to, uint256 amount);
+    event RequireFundedRewardsUpdated(bool enabled);
+    event RoundSettled(uint256 indexed roundId, uint256 rewardPool, uint256 rewardObligation);
+    event BatchDistributed(uint256 indexed roundId, uint256 from, uint256 to, uint256 paidCount);
+    event StakingPaused(address indexed account);
+    event StakingUnpaused(address indexed account);
+    event ClaimingPaused(address indexed account);
+    event ClaimingUnpaused(address indexed account);
+    event EmergencyModeEnabled(address indexed account);
+    event EmergencyWithdrawn(uint256 indexed roundId, address indexed user, uint256 amount);
+    event Restaked(
+        uint256 indexed fromRoundId,
+        uint256 indexed toRoundId,
+        address indexed user,
+        uint256 stakedAmount,
+        uint256 rewardAmount,
+        bool compounded
+    );
+    event RewardTierAdded(
+        uint256 indexed roundId,
+        uint256 indexed tierId,
+        uint256 minStake,
+        uint256 lockDuration,
+        uint256 rewardBps
+    );
+    event TierSelected(uint256 indexed roundId, address indexed user, uint256 indexed tierId);
+    event StakingRescheduled(uint256 indexed roundId, uint256 startTime, uint256 depositWindowEnd, uint256 endTime);
+    event StakingScheduleCancelled(uint256 indexed roundId);
+    event RoundChangeQueued(
+        uint256 indexed roundId,
+        uint256 depositWindowEnd,
+        uint256 maxTotalStake,
+        uint256 executableAt
+    );
+    event RoundChangeExecuted(uint256 indexed roundId, uint256 depositWindowEnd, uint256 maxTotalStake);
+    event RoundChangeCancelled(uint256 indexed roundId);
+    event StakingStarted(
+        uint256 indexed roundId,
+        uint256 startTime,
+        uint256 depositWindowEnd,
+        uint256 endTime,
+        uint256 rewardBps,
+        uint256 maxTotalStake
+    );
     
-    constructor(address _stakingToken) Ownable(msg.sender) {
-        stakingToken = IERC20(_stakingToken);
+    /**
+     * @param _stakingToken Token staked and paid out as reward
+     * @param _depositWindow Default deposit window length in seconds
+     * @param _stakingDuration Default staking period length in seconds, from start
+     * @param _rewardBps Default reward rate in basis points
+     * @param _maxTotalStake Default maximum total stake per round
+     * @param _rewardMode Reward mode for all rounds
+     * @param _settlementMode Settlement mode for all rounds
+     * @param _roundChangeDelay Timelock on deposit window and cap changes, in seconds
+     * @param _trustedForwarder ERC-2771 forwarder allowed to relay calls for users, or the zero address for none
+     */
+    constructor(
+        address _stakingToken,
+        uint256 _depositWindow,
+        uint256 _stakingDuration,
+        uint256 _rewardBps,
+        uint256 _maxTotalStake,
+        RewardMode _rewardMode,
+        SettlementMode _settlementMode,
+        uint256 _roundChangeDelay,
+        address _trustedForwarder
+    ) ERC2771Context(_trustedForwarder) AccessControlDefaultAdminRules(0, msg.sender) EIP712("StakingContract", "1") {
+        RoundLogic.validateRoundParams(_depositWindow, _stakingDuration, _rewardBps, _maxTotalStake);
+        if (_roundChangeDelay == 0) {
+            revert ZeroRoundChangeDelay();
+        }
+        
+        s.stakingToken = IERC20(_stakingToken);
+        DEPOSIT_WINDOW = _depositWindow;
+        STAKING_DURATION = _stakingDuration;
+        REWARD_BPS = _rewardBps;
+        MAX_TOTAL_STAKE = _maxTotalStake;
+        ROUND_CHANGE_DELAY = _roundChangeDelay;
+        s.rewardMode = _rewardMode;
+        s.settlementMode = _settlementMode;
+        
+        _grantRole(CAMPAIGN_ADMIN_ROLE, msg.sender);
+        _grantRole(REWARD_FUNDER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
     }
     
     modifier onlyDuringDepositWindow() {
-        require(startTime > 0, "Staking not started yet");
-        require(block.timestamp >= startTime, "Staking not started yet");
-        require(block.timestamp <= startTime + DEPOSIT_WINDOW, "Deposit window closed");
+        _checkDepositWindow();
+        _;
+    }
+    
+    modifier whenStakingNotPaused() {
+        _checkStakingNotPaused();
+        _;
+    }
+    
+    modifier whenClaimingNotPaused() {
+        _checkClaimingNotPaused();
+        _;
+    }
+    
+    modifier whenPayoutsNotPaused() {
+        _checkPayoutsNotPaused();
         _;
     }
     
-    modifier onlyAfterStakingEnd() {
-        require(block.timestamp >= endTime, "Staking period not ended yet");
+    modifier onlyAfterStakingEnd(uint256 _roundId) {
+        _checkStakingEnded(_roundId);
         _;
     }
     
     /**
-     * @dev Start the staking period (owner only)
+     * @dev Open the next round with the default parameters (campaign admin only)
      */
-    function startStaking() external onlyOwner {
-        require(startTime == 0, "Staking already started");
-        
-        startTime = block.timestamp;
-        endTime = startTime + STAKING_DURATION;
-        
-        emit StakingStarted(startTime);
+    function startStaking() external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        _startRound(DEPOSIT_WINDOW, STAKING_DURATION, REWARD_BPS, MAX_TOTAL_STAKE, new RewardTier[](0));
+    }
+    
+    /**
+     * @dev Open the next round with the default parameters, starting at a future
+     * time (campaign admin only). If the current round is still waiting for its
+     * start, it is moved to the new time instead, keeping its window lengths.
+     * @param _startAt Timestamp the deposit window opens at
+     */
+    function scheduleStaking(uint256 _startAt) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        RoundLogic.scheduleRound(s, _startAt, DEPOSIT_WINDOW, STAKING_DURATION, REWARD_BPS, MAX_TOTAL_STAKE);
+    }
+    
+    /**
+     * @dev Cancel the current round before its scheduled start (campaign admin
+     * only). The previous round becomes the current round again, and the next
+     * round opened reuses the cancelled round's id.
+     */
+    function cancelScheduledStaking() external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        RoundLogic.cancelScheduledRound(s);
     }
     
     /**
-     * @dev Stake tokens or increase existing stake
+     * @dev Open the next round with its own parameters (campaign admin only)
+     * @param _depositWindow Deposit window length in seconds
+     * @param _stakingDuration Staking period length in seconds, from start
+     * @param _rewardBps Reward rate in basis points
+     * @param _maxTotalStake Maximum total stake for the round
+     */
+    function startRound(
+        uint256 _depositWindow,
+        uint256 _stakingDuration,
+        uint256 _rewardBps,
+        uint256 _maxTotalStake
+    ) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        _startRound(_depositWindow, _stakingDuration, _rewardBps, _maxTotalStake, new RewardTier[](0));
+    }
+    
+    /**
+     * @dev Open the next round with its own parameters and reward tiers on top
+     * of the base rate, which stakers choose with stakeWithTier() (campaign admin only)
+     * @param _depositWindow Deposit window length in seconds
+     * @param _stakingDuration Staking period length in seconds, from start
+     * @param _rewardBps Base reward rate in basis points (tier 0)
+     * @param _maxTotalStake Maximum total stake for the round
+     * @param _tiers Additional tiers, numbered from 1
+     */
+    function startTieredRound(
+        uint256 _depositWindow,
+        uint256 _stakingDuration,
+        uint256 _rewardBps,
+        uint256 _maxTotalStake,
+        RewardTier[] calldata _tiers
+    ) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        _startRound(_depositWindow, _stakingDuration, _rewardBps, _maxTotalStake, _tiers);
+    }
+    
+    /**
+     * @dev Stake tokens or increase existing stake in the current round
      * @param _amount Amount of tokens to stake
      */
-    function stake(uint256 _amount) external onlyDuringDepositWindow nonReentrant {
-        require(_amount > 0, "Amount must be greater than 0");
-        require(totalStaked + _amount <= MAX_TOTAL_STAKE, "Exceeds maximum cap of 150M tokens");
-        
-        // Transfer tokens from user to contract
-        require(
-            stakingToken.transferFrom(msg.sender, address(this), _amount),
-            "Transfer failed"
-        );
-        
-        // Check if user is staking for the first time
-        bool isFirstStake = stakes[msg.sender].amount == 0;
-        
-        // Update the stake
-        stakes[msg.sender].amount += _amount;
-        totalStaked += _amount;
-        
-        if (isFirstStake) {
-            // First stake - add to stakers array and emit Staked event
-            stakers.push(msg.sender);
-            emit Staked(msg.sender, _amount);
-        } else {
-            // Increase existing stake - emit StakeIncreased event
-            emit StakeIncreased(msg.sender, _amount, stakes[msg.sender].amount);
-        }
+    function stake(uint256 _amount) external onlyDuringDepositWindow whenStakingNotPaused nonReentrant {
+        _stake(_amount, s.stakes[s.currentRoundId][_msgSender()].tierId);
     }
     
     /**
-     * @dev Withdraw staked tokens + rewards after the staking period ends
+     * @dev Stake tokens in the current round and move the whole stake to a reward
+     * tier. The stake must reach the tier's minimum, and a stake can only move
+     * to a tier with at least the same lock.
+     * @param _amount Amount of tokens to stake
+     * @param _tierId Tier in the round's tier table
      */
-    function claim() external onlyAfterStakingEnd nonReentrant {
-        StakeInfo storage userStake = stakes[msg.sender];
-        
-        require(userStake.amount > 0, "No tokens staked");
-        require(!userStake.claimed, "Rewards already claimed");
-        
-        uint256 stakedAmount = userStake.amount;
-        uint256 rewardAmount = (stakedAmount * REWARD_PERCENTAGE) / 100;
-        uint256 totalAmount = stakedAmount + rewardAmount;
+    function stakeWithTier(uint256 _amount, uint256 _tierId) external onlyDuringDepositWindow whenStakingNotPaused nonReentrant {
+        _stake(_amount, _tierId);
+    }
+    
+    /**
+     * @dev Stake tokens in the current round, approving the transfer with an
+     * EIP-2612 permit signed by the caller instead of a separate approve().
+     * A failing permit is ignored, so a permit front-run from the mempool
+     * does not block the stake; the transfer then needs the allowance.
+     * @param _amount Amount of tokens to stake, and the permit's value
+     * @param _deadline Permit deadline
+     * @param _v Permit signature v
+     * @param _r Permit signature r
+     * @param _s Permit signature s
+     */
+    function stakeWithPermit(
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external onlyDuringDepositWindow whenStakingNotPaused nonReentrant {
+        try IERC20Permit(address(s.stakingToken)).permit(_msgSender(), address(this), _amount, _deadline, _v, _r, _s) {} catch {}
+        _stake(_amount, s.stakes[s.currentRoundId][_msgSender()].tierId);
+    }
+    
+    /**
+     * @dev Stake tokens paid by the caller on behalf of another address
+     * @param _beneficiary Address credited with the stake
+     * @param _amount Amount of tokens to stake
+     */
+    function stakeFor(address _beneficiary, uint256 _amount) external onlyDuringDepositWindow whenStakingNotPaused nonReentrant {
+        StakeLogic.stakeFor(s, _msgSender(), _beneficiary, _amount);
+    }
+    
+    /**
+     * @dev Stake tokens paid by the caller on behalf of several addresses, with
+     * a single token transfer. The whole batch must fit in the round's cap.
+     * @param _beneficiaries Addresses credited with the stakes
+     * @param _amounts Amount of tokens to stake for each beneficiary
+     */
+    function stakeForMany(
+        address[] calldata _beneficiaries,
+        uint256[] calldata _amounts
+    ) external onlyDuringDepositWindow whenStakingNotPaused nonReentrant {
+        StakeLogic.stakeForMany(s, _msgSender(), _beneficiaries, _amounts);
+    }
+    
+    /**
+     * @dev Stake tokens in the current round as a new position, minting the
+     * caller a StakePosition token. Whoever holds the token claims the position.
+     * @param _amount Amount of tokens to stake
+     * @return tokenId Id of the minted position token
+     */
+    function stakePosition(uint256 _amount) external onlyDuringDepositWindow whenStakingNotPaused nonReentrant returns (uint256 tokenId) {
+        return PositionLogic.stakePosition(s, _msgSender(), _amount);
+    }
+    
+    /**
+     * @dev Roll an ended round's stake into the current round without a token
+     * transfer. The reward is added to the new stake when compounding, and paid
+     * out to the user otherwise.
+     * @param _fromRoundId Ended round to roll over from
+     * @param _compound Whether to restake the earned reward as well
+     */
+    function restake(uint256 _fromRoundId, bool _compound) external
+        onlyDuringDepositWindow
+        onlyAfterStakingEnd(_fromRoundId)
+        whenStakingNotPaused
+        whenClaimingNotPaused
+        nonReentrant
+    {
+        StakeLogic.restake(s, _msgSender(), _fromRoundId, _compound);
+    }
+    
+    /**
+     * @dev Withdraw part or all of the current round's stake before the staking
+     * period ends. The penalty is deducted from the returned principal and the
+     * reward on the withdrawn amount is forfeited.
+     * @param _amount Amount of staked tokens to withdraw
+     */
+    function unstake(uint256 _amount) external whenClaimingNotPaused nonReentrant {
+        StakeLogic.unstake(s, _msgSender(), _amount, owner());
+    }
+    
+    /**
+     * @dev Withdraw staked tokens + rewards after the round's staking period ends
+     * @param _roundId Round to claim from
+     */
+    function claim(uint256 _roundId) external onlyAfterStakingEnd(_roundId) whenClaimingNotPaused nonReentrant {
+        _claim(_roundId, _msgSender());
+    }
+    
+    /**
+     * @dev Withdraw staked tokens + rewards to another address after the round's staking period ends
+     * @param _roundId Round to claim from
+     * @param _recipient Address receiving the tokens
+     */
+    function claimTo(uint256 _roundId, address _recipient) external onlyAfterStakingEnd(_roundId) whenClaimingNotPaused nonReentrant {
+        _claim(_roundId, _recipient);
+    }
+    
+    /**
+     * @dev Claim for a staker who authorized it with an EIP-712 signature, so
+     * anyone can submit the claim. Each signature can be used once.
+     * @param _roundId Round to claim from
+     * @param _staker Staker who signed the authorization
+     * @param _recipient Address receiving the tokens
+     * @param _deadline Timestamp after which the signature is no longer valid
+     * @param _signature Staker's signature of the Claim message
+     */
+    function claimBySig(
+        uint256 _roundId,
+        address _staker,
+        address _recipient,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external onlyAfterStakingEnd(_roundId) whenClaimingNotPaused nonReentrant {
+        StakeLogic.claimBySig(s, _roundId, _staker, _recipient, _useNonce(_staker), _deadline, _domainSeparatorV4(), _signature);
+    }
+    
+    /**
+     * @dev Redeem part of the caller's receipts in an ended receipt round for
+     * the principal plus the pooled reward, pro rata to the receipts burned.
+     * claim() redeems the whole balance.
+     * @param _roundId Receipt round to redeem from
+     * @param _amount Amount of receipts to burn
+     */
+    function redeem(uint256 _roundId, uint256 _amount) external onlyAfterStakingEnd(_roundId) whenClaimingNotPaused nonReentrant {
+        ReceiptLogic.redeem(s, _roundId, _msgSender(), _amount);
+    }
+    
+    /**
+     * @dev Burn a position token and withdraw the position's staked tokens +
+     * rewards to its holder after the round's staking period ends
+     * @param _tokenId Position token id
+     */
+    function claimPosition(uint256 _tokenId) external whenClaimingNotPaused nonReentrant {
+        PositionLogic.claimPosition(s, _msgSender(), _tokenId);
+    }
+    
+    /**
+     * @dev Withdraw a round's principal without rewards once emergency mode is
+     * enabled, whether or not the round has ended
+     * @param _roundId Round to withdraw from
+     */
+    function emergencyWithdraw(uint256 _roundId) external nonReentrant {
+        StakeLogic.emergencyWithdraw(s, _roundId, _msgSender());
+    }
+    
+    /**
+     * @dev Burn a position token and withdraw the position's principal without
+     * rewards to its holder once emergency mode is enabled
+     * @param _tokenId Position token id
+     */
+    function emergencyWithdrawPosition(uint256 _tokenId) external nonReentrant {
+        PositionLogic.emergencyWithdrawPosition(s, _msgSender(), _tokenId);
+    }
+    
+    /**
+     * @dev Claim for the stakers listed at indexes [_from, _to) of an ended
+     * round's stakers array, paying each their principal + rewards. Stakers
+     * that already claimed, have nothing staked or are still locked by their
+     * tier are skipped, so slices can be retried (campaign admin only).
+     * @param _roundId Ended round to distribute
+     * @param _from First index of the slice
+     * @param _to Index after the last one of the slice, capped at the number of stakers
+     * @return paidCount Number of stakers paid
+     */
+    function distributeBatch(
+        uint256 _roundId,
+        uint256 _from,
+        uint256 _to
+    ) external onlyRole(CAMPAIGN_ADMIN_ROLE) onlyAfterStakingEnd(_roundId) whenClaimingNotPaused nonReentrant returns (uint256 paidCount) {
+        return StakeLogic.distributeBatch(s, _roundId, _from, _to);
+    }
+    
+    /**
+     * @dev Snapshot an ended round's reward pool (ProRata mode). The first claim
+     * or restake from the round does this as well; calling it explicitly fixes
+     * the pool before anyone claims.
+     * @param _roundId Ended round to settle
+     */
+    function settleRound(uint256 _roundId) external onlyAfterStakingEnd(_roundId) {
+        RoundLogic.settleRound(s, _roundId);
+    }
+    
+    /**
+     * @dev Prove that an address is on the current allowlist, with its
+     * allocation, so it can be staked to. Anyone can submit the proof.
+     * @param _account Allowlisted address
+     * @param _allocation Maximum total the address may have staked, or zero for no limit
+     * @param _proof Merkle proof of the (address, allocation) leaf
+     */
+    function registerAllowlist(address _account, uint256 _allocation, bytes32[] calldata _proof) external {
+        StakeLogic.registerAllowlist(s, _account, _allocation, _proof);
+    }
+    
+    /**
+     * @dev Release the caller's vested rewards from every round's vesting schedule
+     * @return amount Rewards transferred to the caller
+     */
+    function releaseRewards() external whenPayoutsNotPaused nonReentrant returns (uint256 amount) {
+        return VestingLogic.release(s, _msgSender());
+    }
+    
+    /**
+     * @dev Claim the reward tokens owed to the caller from payouts the
+     * contract's balance could not cover, as far as it covers them now
+     * @param _token Reward token
+     * @return amount Reward tokens transferred to the caller
+     */
+    function claimOwedRewardTokens(IERC20 _token) external whenPayoutsNotPaused nonReentrant returns (uint256 amount) {
+        return RewardTokenLogic.claimOwed(s, _msgSender(), _token);
+    }
+    
+    /**
+     * @dev Deposit tokens for rewards (reward funder only)
+     * @param _amount Amount of tokens to deposit for rewards
+     */
+    function depositRewards(uint256 _amount) external onlyRole(REWARD_FUNDER_ROLE) {
+        _depositRewards(_amount);
+    }
+    
+    /**
+     * @dev Deposit tokens for the rewards of a reward token, or of the staking
+     * token, which is the same as depositRewards(_amount) (reward funder only)
+     * @param _token Reward token, added to a round with addRewardToken()
+     * @param _amount Amount of tokens to deposit for rewards
+     */
+    function depositRewards(IERC20 _token, uint256 _amount) external onlyRole(REWARD_FUNDER_ROLE) {
+        if (_token == s.stakingToken) {
+            _depositRewards(_amount);
+            return;
+        }
         
-        // Mark as claimed
-        userStake.claimed = true;
+        RewardTokenLogic.deposit(s, _msgSender(), _token, _amount);
+    }
+    
+    /**
+     * @dev Pay a round's stakers rewards in another token as well, at its own
+     * rate. The token can be added to the current round until it ends, or to a
+     * future round, outside emergency mode (campaign admin only).
+     * @param _roundId Current or future round
+     * @param _token Reward token, other than the staking token
+     * @param _rewardBps Reward rate in basis points, in reward token units per staked token unit
+     */
+    function addRewardToken(uint256 _roundId, IERC20 _token, uint256 _rewardBps) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        RewardTokenLogic.addRewardToken(s, _roundId, _token, _rewardBps);
+    }
+    
+    /**
+     * @dev Enable position stakes with a StakePosition token bound to this
+     * contract. The token can only be set once (campaign admin only).
+     * @param _positionToken Position token minted for each position stake
+     */
+    function setPositionToken(StakePosition _positionToken) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        PositionLogic.setPositionToken(s, _positionToken);
+    }
+    
+    /**
+     * @dev Set the per-address limits on the total staked to an address in a
+     * round, checked on every deposit (campaign admin only)
+     * @param _minStake Minimum total, or zero for none
+     * @param _maxStake Maximum total, or zero for none
+     */
+    function setStakeLimits(uint256 _minStake, uint256 _maxStake) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        StakeLogic.setStakeLimits(s, _minStake, _maxStake);
+    }
+    
+    /**
+     * @dev Restrict staking to the addresses of a Merkle allowlist. Each leaf is
+     * an (address, allocation) pair; addresses register with registerAllowlist()
+     * before they can be staked to. A new root replaces earlier registrations,
+     * and the zero root disables the allowlist (campaign admin only).
+     * @param _root Merkle root of the allowlist
+     */
+    function setAllowlistRoot(bytes32 _root) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        s.allowlistRoot = _root;
         
-        // Transfer tokens + rewards
-        require(
-            stakingToken.transfer(msg.sender, totalAmount),
-            "Transfer failed"
-        );
-
+        emit AllowlistRootUpdated(_root);
+    }
+    
+    /**
+     * @dev Make a round a receipt round: its deposits are pooled and mint
+     * StakeReceipt tokens 1:1. The receipt token is bound to this contract and
+     * the round, which must not have started or must have no stakes yet.
+     * Not available in TimeProportional mode (campaign admin only).
+     * @param _receiptToken Receipt token for its round
+     */
+    function setReceiptToken(StakeReceipt _receiptToken) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        ReceiptLogic.setReceiptToken(s, _receiptToken);
+    }
+    
+    /**
+     * @dev Refuse stakes whose rewards the contract cannot cover (campaign admin only)
+     * @param _enabled Whether stake() and restake() check reward funding
+     */
+    function setRequireFundedRewards(bool _enabled) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        s.requireFundedRewards = _enabled;
         
-        emit Claimed(msg.sender, stakedAmount, rewardAmount);
+        emit RequireFundedRewardsUpdated(_enabled);
     }
     
     /**
-     * @dev Deposit tokens for rewards (owner only)
-     * @param _amount Amount of tokens to deposit for rewards
+     * @dev Set the early unstake penalty and where it goes (campaign admin only)
+     * @param _penaltyBps Penalty in basis points of the unstaked amount
+     * @param _destination Recipient of the penalties
+     */
+    function setUnstakePenalty(uint256 _penaltyBps, PenaltyDestination _destination) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        StakeLogic.setUnstakePenalty(s, _penaltyBps, _destination);
+    }
+    
+    /**
+     * @dev Vest the staking-token rewards of rounds opened from now on linearly
+     * from the end of the round instead of paying them at claim. Principal is
+     * still paid at claim (campaign admin only).
+     * @param _duration Vesting period in seconds, or zero to pay rewards at claim
+     * @param _cliff Seconds after the end of the round before anything vests
+     */
+    function setRewardVesting(uint256 _duration, uint256 _cliff) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        VestingLogic.setRewardVesting(s, _duration, _cliff);
+    }
+    
+    /**
+     * @dev Queue a later deposit window end and/or a new cap for the current
+     * round, executable after ROUND_CHANGE_DELAY and before the deposit window
+     * closes (campaign admin only). The window can only be extended, up to the end of the staking period, and the
+     * cap cannot go below the total already staked, so no stake or lock is cut.
+     * @param _depositWindowEnd New deposit window end, or zero to keep it
+     * @param _maxTotalStake New maximum total stake, or zero to keep it
      */
-    function depositRewards(uint256 _amount) external onlyOwner {
-        require(
-            stakingToken.transferFrom(msg.sender, address(this), _amount),
-            "Transfer failed"
-        );
+    function queueRoundChange(uint256 _depositWindowEnd, uint256 _maxTotalStake) external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        RoundLogic.queueRoundChange(s, _depositWindowEnd, _maxTotalStake, ROUND_CHANGE_DELAY);
     }
     
     /**
-     * @dev Withdraw unused tokens from contract (owner only, after staking ends)
+     * @dev Apply the current round's queued change once its timelock has
+     * passed. The change is checked again against the round as it is now
+     * (campaign admin only).
+     */
+    function executeRoundChange() external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        RoundLogic.executeRoundChange(s);
+    }
+    
+    /**
+     * @dev Drop the current round's queued change (campaign admin only)
+     */
+    function cancelRoundChange() external onlyRole(CAMPAIGN_ADMIN_ROLE) {
+        RoundLogic.cancelRoundChange(s);
+    }
+    
+    /**
+     * @dev Halt stake() and restake() (pauser only)
+     */
+    function pauseStaking() external onlyRole(PAUSER_ROLE) {
+        PauseLogic.pauseStaking(s, _msgSender());
+    }
+    
+    /**
+     * @dev Resume stake() and restake() (pauser only)
+     */
+    function unpauseStaking() external onlyRole(PAUSER_ROLE) {
+        PauseLogic.unpauseStaking(s, _msgSender());
+    }
+    
+    /**
+     * @dev Halt claim(), unstake() and restake() (pauser only)
+     */
+    function pauseClaiming() external onlyRole(PAUSER_ROLE) {
+        PauseLogic.pauseClaiming(s, _msgSender());
+    }
+    
+    /**
+     * @dev Resume claim(), unstake() and restake() (pauser only)
+     */
+    function unpauseClaiming() external onlyRole(PAUSER_ROLE) {
+        PauseLogic.unpauseClaiming(s, _msgSender());
+    }
+    
+    /**
+     * @dev Let every staker withdraw their principal without rewards through
+     * emergencyWithdraw(). Staking, claiming and unstaking stop for good
+     * (pauser only).
+     */
+    function enableEmergencyMode() external onlyRole(PAUSER_ROLE) {
+        PauseLogic.enableEmergencyMode(s, _msgSender());
+    }
+    
+    /**
+     * @dev Withdraw unused tokens to the caller (treasurer only, after the last started round ends).
+     * Principal and rewards owed to stakers can never be withdrawn.
+     * @param _amount Amount to withdraw
+     */
+    function withdrawUnusedTokens(uint256 _amount) external onlyRole(TREASURER_ROLE) onlyAfterStakingEnd(_lastStartedRoundId()) {
+        StakeLogic.withdrawSurplus(s, _msgSender(), _amount);
+    }
+    
+    /**
+     * @dev Withdraw unused reward tokens to the caller (treasurer only).
+     * Rewards owed to stakers can never be withdrawn.
+     * @param _token Reward token
      * @param _amount Amount to withdraw
      */
-    function withdrawUnusedTokens(uint256 _amount) external onlyOwner onlyAfterStakingEnd {
-        require(
-            stakingToken.transfer(owner(), _amount),
-            "Transfer failed"
-        );
+    function withdrawUnusedRewardTokens(IERC20 _token, uint256 _amount) external onlyRole(TREASURER_ROLE) {
+        RewardTokenLogic.withdrawSurplus(s, _msgSender(), _token, _amount);
+    }
+    
+    /**
+     * @dev EIP-712 domain separator for claimBySig() signatures
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+    
+    /**
+     * @dev Token staked and paid out as reward
+     */
+    function stakingToken() external view returns (IERC20) {
+        return s.stakingToken;
+    }
+    
+    /**
+     * @dev Reward mode for all rounds
+     */
+    function REWARD_MODE() external view returns (RewardMode) {
+        return s.rewardMode;
+    }
+    
+    /**
+     * @dev Settlement mode for all rounds
+     */
+    function SETTLEMENT_MODE() external view returns (SettlementMode) {
+        return s.settlementMode;
+    }
+    
+    /**
+     * @dev Id of the current round; round ids start at 1, and 0 means no round has been opened yet
+     */
+    function currentRoundId() external view returns (uint256) {
+        return s.currentRoundId;
+    }
+    
+    /**
+     * @dev A round's schedule, rate, cap and totals
+     */
+    function rounds(uint256 _roundId) external view returns (Round memory) {
+        return s.rounds[_roundId];
+    }
+    
+    /**
+     * @dev A round's reward vesting, snapshotted from rewardVesting when it opened
+     */
+    function roundVesting(uint256 _roundId) external view returns (RewardVesting memory) {
+        return s.roundVesting[_roundId];
+    }
+    
+    /**
+     * @dev Deposit window or cap change queued for a round
+     */
+    function roundChanges(uint256 _roundId) external view returns (RoundChange memory) {
+        return s.roundChanges[_roundId];
+    }
+    
+    /**
+     * @dev Vesting of the staking-token rewards of rounds opened from now on
+     */
+    function rewardVesting() external view returns (RewardVesting memory) {
+        return s.rewardVesting;
+    }
+    
+    /**
+     * @dev Claims settled from a round
+     */
+    function claimStats(uint256 _roundId) external view returns (ClaimStats memory) {
+        return s.claimStats[_roundId];
+    }
+    
+    /**
+     * @dev A user's address stake in a round
+     */
+    function stakes(uint256 _roundId, address _user) external view returns (StakeInfo memory) {
+        return s.stakes[_roundId][_user];
+    }
+    
+    /**
+     * @dev A round's staker at an index, in the order they first staked
+     */
+    function stakers(uint256 _roundId, uint256 _index) external view returns (address) {
+        return s.stakers[_roundId][_index];
+    }
+    
+    /**
+     * @dev Position token, or zero until positions are enabled
+     */
+    function positionToken() external view returns (StakePosition) {
+        return s.positionToken;
+    }
+    
+    /**
+     * @dev Number of positions staked; token ids start at 1
+     */
+    function positionCount() external view returns (uint256) {
+        return s.positionCount;
+    }
+    
+    /**
+     * @dev A position's round and deposit time
+     */
+    function positions(uint256 _tokenId) external view returns (Position memory) {
+        return s.positions[_tokenId];
+    }
+    
+    /**
+     * @dev A round's receipt token, or zero if it is not a receipt round
+     */
+    function receiptTokens(uint256 _roundId) external view returns (StakeReceipt) {
+        return s.receiptTokens[_roundId];
+    }
+    
+    /**
+     * @dev Early unstake penalty in basis points
+     */
+    function unstakePenaltyBps() external view returns (uint256) {
+        return s.unstakePenaltyBps;
+    }
+    
+    /**
+     * @dev Where early unstake penalties go
+     */
+    function penaltyDestination() external view returns (PenaltyDestination) {
+        return s.penaltyDestination;
+    }
+    
+    /**
+     * @dev A beneficiary's vesting schedule for a round
+     */
+    function vestingSchedules(uint256 _roundId, address _beneficiary) external view returns (VestingSchedule memory) {
+        return s.vestingSchedules[_roundId][_beneficiary];
+    }
+    
+    /**
+     * @dev Minimum total staked to an address in a round, or zero for none
+     */
+    function minStakePerAddress() external view returns (uint256) {
+        return s.minStakePerAddress;
+    }
+    
+    /**
+     * @dev Maximum total staked to an address in a round, or zero for none
+     */
+    function maxStakePerAddress() external view returns (uint256) {
+        return s.maxStakePerAddress;
+    }
+    
+    /**
+     * @dev Total staked to an address in a round across stakes, receipts and positions, net of unstakes
+     */
+    function totalStakedBy(uint256 _roundId, address _user) external view returns (uint256) {
+        return s.totalStakedBy[_roundId][_user];
+    }
+    
+    /**
+     * @dev Root of the allowlist, or zero to let anyone stake
+     */
+    function allowlistRoot() external view returns (bytes32) {
+        return s.allowlistRoot;
+    }
+    
+    /**
+     * @dev Staked tokens not yet claimed, unstaked or restaked
+     */
+    function outstandingPrincipal() external view returns (uint256) {
+        return s.outstandingPrincipal;
+    }
+    
+    /**
+     * @dev Rewards owed on unclaimed stakes
+     */
+    function outstandingRewards() external view returns (uint256) {
+        return s.outstandingRewards;
+    }
+    
+    /**
+     * @dev Claimed rewards still in vesting schedules
+     */
+    function unreleasedRewards() external view returns (uint256) {
+        return s.unreleasedRewards;
+    }
+    
+    /**
+     * @dev Whether stakes whose rewards the contract cannot cover are refused
+     */
+    function requireFundedRewards() external view returns (bool) {
+        return s.requireFundedRewards;
+    }
+    
+    /**
+     * @dev Whether a token was added to at least one round as a reward token
+     */
+    function isRewardToken(address _token) external view returns (bool) {
+        return s.isRewardToken[_token];
+    }
+    
+    /**
+     * @dev Whether stake() and restake() are halted
+     */
+    function stakingPaused() external view returns (bool) {
+        return s.stakingPaused;
+    }
+    
+    /**
+     * @dev Whether claims, unstake() and restake() are halted
+     */
+    function claimingPaused() external view returns (bool) {
+        return s.claimingPaused;
+    }
+    
+    /**
+     * @dev Whether emergency mode is active; it cannot be turned off
+     */
+    function emergencyMode() external view returns (bool) {
+        return s.emergencyMode;
+    }
+    
+    /**
+     * @dev Reward tokens deposited through depositRewards(token, amount)
+     */
+    function rewardTokenDeposited(address _token) external view returns (uint256) {
+        return s.rewardTokenDeposited[_token];
+    }
+    
+    /**
+     * @dev Rewards owed in a reward token on unclaimed stakes
+     */
+    function rewardTokenOutstanding(address _token) external view returns (uint256) {
+        return s.rewardTokenOutstanding[_token];
+    }
+    
+    /**
+     * @dev Reward tokens owed to a recipient from payouts the contract's
+     * balance could not cover, claimable with claimOwedRewardTokens()
+     */
+    function owedRewardTokens(address _recipient, address _token) external view returns (uint256) {
+        return s.owedRewardTokens[_recipient][_token];
+    }
+    
+    /**
+     * @dev Get the principal and rewards owed to stakers, including rewards
+     * still vesting
+     */
+    function totalObligations() public view returns (uint256) {
+        return StakingLedger.totalObligations(s);
+    }
+    
+    /**
+     * @dev Get the contract balance in excess of what is owed to stakers
+     */
+    function withdrawableSurplus() external view returns (uint256) {
+        return StakeLogic.surplus(s);
+    }
+    
+    /**
+     * @dev Get the reward token balance in excess of the rewards owed in it
+     */
+    function rewardTokenSurplus(IERC20 _token) external view returns (uint256) {
+        return RewardTokenLogic.surplus(s, _token);
     }
     
     /**
      * @dev Calculate rewards for a user
+     * @param _roundId Round id
      * @param _user User address
      * @return stakedAmount Amount staked
-     * @return rewardAmount Calculated reward
+     * @return rewardAmount Reward projected at the end of the round
+     * @return accruedReward Reward earned so far
      */
-    function calculateReward(address _user) external view returns (uint256 stakedAmount, uint256 rewardAmount) {
-        stakedAmount = stakes[_user].amount;
-        rewardAmount = (stakedAmount * REWARD_PERCENTAGE) / 100;
+    function calculateReward(uint256 _roundId, address _user) external view returns (
+        uint256 stakedAmount,
+        uint256 rewardAmount,
+        uint256 accruedReward
+    ) {
+        return StakeLogic.userReward(s, _roundId, _user);
     }
     
     /**
-     * @dev Check if deposit window is active
+     * @dev Check if a round's deposit window is active
      */
-    function isDepositWindowOpen() external view returns (bool) {
-        return (startTime > 0 && 
-                block.timestamp >= startTime && 
-                block.timestamp <= startTime + DEPOSIT_WINDOW);
+    function isDepositWindowOpen(uint256 _roundId) external view returns (bool) {
+        Round storage round = s.rounds[_roundId];
+        return (round.startTime > 0 &&
+                block.timestamp >= round.startTime &&
+                block.timestamp <= round.depositWindowEnd);
     }
     
     /**
-     * @dev Check if staking period has ended
+     * @dev Check if a round's staking period has ended
      */
-    function isStakingEnded() external view returns (bool) {
+    function isStakingEnded(uint256 _roundId) external view returns (bool) {
+        uint256 endTime = s.rounds[_roundId].endTime;
         return (endTime > 0 && block.timestamp >= endTime);
     }
     
     /**
-     * @dev Get time information
+     * @dev Get time information for a round, including a scheduled round that
+     * has not started yet
      */
-    function getTimeInfo() external view returns (
+    function getTimeInfo(uint256 _roundId) external view returns (
         uint256 _startTime,
         uint256 _endTime,
         uint256 _depositWindowEnd,
         uint256 _currentTime
     ) {
-        _startTime = startTime;
-        _endTime = endTime;
-        _depositWindowEnd = startTime + DEPOSIT_WINDOW;
+        Round storage round = s.rounds[_roundId];
+        _startTime = round.startTime;
+        _endTime = round.endTime;
+        _depositWindowEnd = round.depositWindowEnd;
         _currentTime = block.timestamp;
     }
     
     /**
-     * @dev Get total number of stakers
+     * @dev Get the current round's lifecycle phase. Emergency mode takes
+     * precedence, and Paused replaces Deposit while staking is paused and
+     * Claimable while claiming is paused.
+     */
+    function currentPhase() public view returns (StakingPhase) {
+        return PauseLogic.currentPhase(s);
+    }
+    
+    /**
+     * @dev Get the current round's phase, timestamps, totals and funding, and
+     * the caller's stake in it, in one call
+     */
+    function getOverview() external view returns (Overview memory overview) {
+        overview = StakeLogic.overview(s, _msgSender());
+        overview.phase = currentPhase();
+        overview.requiredRewards = _requiredRewards(overview.roundId);
+        overview.totalRewardsDeposited = totalRewardsDeposited;
+    }
+    
+    /**
+     * @dev Get total number of stakers in a round
+     */
+    function getTotalStakers(uint256 _roundId) external view returns (uint256) {
+        return s.stakers[_roundId].length;
+    }
+    
+    /**
+     * @dev Get a page of a round's stakers, in the order they first staked
+     * @param _roundId Round id
+     * @param _offset Index of the first staker
+     * @param _limit Maximum number of stakers to return
+     */
+    function getStakers(uint256 _roundId, uint256 _offset, uint256 _limit) external view returns (address[] memory page) {
+        return StakeLogic.stakersPage(s, _roundId, _offset, _limit);
+    }
+    
+    /**
+     * @dev Get a page of a round's stakers with their stakes, in the terms of
+     * getUserStakeInfo()
+     * @param _roundId Round id
+     * @param _offset Index of the first staker
+     * @param _limit Maximum number of stakers to return
+     * @return users Staker addresses
+     * @return amounts Staked amounts
+     * @return claimed Whether each stake has been claimed
+     * @return rewards Rewards projected at the end of the round
      */
-    function getTotalStakers() external view returns (uint256) {
-        return stakers.length;
+    function getStakesPage(uint256 _roundId, uint256 _offset, uint256 _limit) external view returns (
+        address[] memory users,
+        uint256[] memory amounts,
+        bool[] memory claimed,
+        uint256[] memory rewards
+    ) {
+        return StakeLogic.stakesPage(s, _roundId, _offset, _limit);
     }
     
     /**
-     * @dev Get user staking information
+     * @dev Get user staking information for a round
      */
-    function getUserStakeInfo(address _user) external view returns (
+    function getUserStakeInfo(uint256 _roundId, address _user) external view returns (
         uint256 stakedAmount,
         bool claimed,
-        uint256 potentialReward
+        uint256 potentialReward,
+        uint256 accruedReward,
+        uint256 tierId,
+        uint256 unlockTime
     ) {
-        StakeInfo memory userStake = stakes[_user];
-        stakedAmount = userStake.amount;
-        claimed = userStake.claimed;
-        potentialReward = (stakedAmount * REWARD_PERCENTAGE) / 100;
+        return StakeLogic.userStakeInfo(s, _roundId, _user);
     }
-
+    
+    /**
+     * @dev Get a round's reward tier table; tier 0 is the base rate
+     */
+    function getRewardTiers(uint256 _roundId) external view returns (RewardTier[] memory) {
+        return s.rewardTiers[_roundId];
+    }
+    
+    /**
+     * @dev Get a round's additional reward tokens, their rates and obligations
+     */
+    function getRewardTokens(uint256 _roundId) external view returns (RewardToken[] memory) {
+        return s.rewardTokens[_roundId];
+    }
+    
+    /**
+     * @dev Get a user's rewards in a round per token: the staking token first,
+     * then the round's reward tokens in the order they were added
+     * @return tokens Reward tokens
+     * @return potentialRewards Rewards projected at the end of the round
+     * @return accruedRewards Rewards earned so far
+     */
+    function getRewardBreakdown(uint256 _roundId, address _user) external view returns (
+        address[] memory tokens,
+        uint256[] memory potentialRewards,
+        uint256[] memory accruedRewards
+    ) {
+        return StakeLogic.rewardBreakdown(s, _roundId, _user);
+    }
+    
+    /**
+     * @dev Get a position's rewards per token, in the order of getRewardBreakdown()
+     */
+    function getPositionRewardBreakdown(uint256 _tokenId) external view returns (
+        address[] memory tokens,
+        uint256[] memory potentialRewards,
+        uint256[] memory accruedRewards
+    ) {
+        return PositionLogic.positionRewardBreakdown(s, _tokenId);
+    }
+    
+    /**
+     * @dev Get a beneficiary's vesting schedules summed over all rounds
+     * @return total Rewards claimed into vesting
+     * @return vested Rewards vested so far, including released ones
+     * @return released Rewards already released
+     * @return pending Vested rewards that releaseRewards() would transfer now
+     */
+    function getVestingInfo(address _beneficiary) external view returns (
+        uint256 total,
+        uint256 vested,
+        uint256 released,
+        uint256 pending
+    ) {
+        return VestingLogic.vestingInfo(s, _beneficiary);
+    }
+    
+    /**
+     * @dev Get a beneficiary's vesting schedule for a round, in the terms of getVestingInfo()
+     */
+    function getRoundVestingInfo(uint256 _roundId, address _beneficiary) external view returns (
+        uint256 total,
+        uint256 vested,
+        uint256 released,
+        uint256 pending
+    ) {
+        return VestingLogic.roundVestingInfo(s, _roundId, _beneficiary);
+    }
+    
+    /**
+     * @dev Get a user's staked amount in a round: the address stake, or the
+     * receipt balance in a receipt round
+     */
+    function stakedBalance(uint256 _roundId, address _user) external view returns (uint256) {
+        return StakingLedger.stakedBalance(s, _roundId, _user);
+    }
+    
+    /**
+     * @dev Check whether an address may be staked to under the current
+     * allowlist, and its allocation (zero for no allocation limit)
+     */
+    function allowlistStatus(address _account) external view returns (bool allowed, uint256 allocation) {
+        bytes32 root = s.allowlistRoot;
+        if (root == bytes32(0)) {
+            return (true, 0);
+        }
+        return (s.allowlisted[root][_account], s.allowlistAllocations[root][_account]);
+    }
+    
+    /**
+     * @dev Get position staking information by token id
+     */
+    function getPositionInfo(uint256 _tokenId) external view returns (
+        uint256 roundId,
+        uint256 stakedAmount,
+        uint256 depositTime,
+        bool claimed,
+        uint256 potentialReward,
+        uint256 accruedReward
+    ) {
+        return PositionLogic.positionInfo(s, _tokenId);
+    }
+    
     /**
-     * @dev Get the total amount of rewards required for the maximum cap
+     * @dev Get the total amount of rewards required for a round's maximum cap.
+     * For a round that has not been opened yet, this is what startStaking()
+     * would require, so rewards can be funded before the round opens.
      */
-    function requiredRewards() external pure returns (uint256) {
-    return (MAX_TOTAL_STAKE * REWARD_PERCENTAGE) / 100;
+    function requiredRewards(uint256 _roundId) external view returns (uint256) {
+        return _requiredRewards(_roundId);
     }
     
     /**
-     * @dev Get remaining capacity in the cap
+     * @dev Rewards needed to pay a round's cap at its highest tier rate
      */
-    function getRemainingCapacity() external view returns (uint256) {
-        return MAX_TOTAL_STAKE - totalStaked;
+    function _requiredRewards(uint256 _roundId) internal view returns (uint256) {
+        return RoundLogic.requiredRewards(s, _roundId, MAX_TOTAL_STAKE, REWARD_BPS);
     }
     
     /**
-     * @dev Check if maximum cap has been reached
+     * @dev Get the reward rate a round's stakers are paid at, in basis points.
+     * In ProRata mode this is the round's rate scaled by the share of its
+     * rewards the pool covers: fixed once the round is settled, and projected
+     * from the current balance before that.
      */
-    function isCapReached() external view returns (bool) {
-        return totalStaked >= MAX_TOTAL_STAKE;
+    function effectiveRewardBps(uint256 _roundId) external view returns (uint256) {
+        return RoundLogic.effectiveRewardBps(s, _roundId);
+    }
+    
+    /**
+     * @dev Get remaining capacity in a round's cap
+     */
+    function getRemainingCapacity(uint256 _roundId) external view returns (uint256) {
+        Round storage round = s.rounds[_roundId];
+        return round.maxTotalStake - round.totalStaked;
+    }
+    
+    /**
+     * @dev Check if a round's maximum cap has been reached
+     */
+    function isCapReached(uint256 _roundId) external view returns (bool) {
+        Round storage round = s.rounds[_roundId];
+        return round.startTime > 0 && round.totalStaked >= round.maxTotalStake;
+    }
+    
+    /**
+     * @dev Open the next round now with the given parameters and reward tiers
+     */
+    function _startRound(
+        uint256 _depositWindow,
+        uint256 _stakingDuration,
+        uint256 _rewardBps,
+        uint256 _maxTotalStake,
+        RewardTier[] memory _tiers
+    ) private {
+        RoundLogic.startRound(s, block.timestamp, _depositWindow, _stakingDuration, _rewardBps, _maxTotalStake, _tiers);
+    }
+    
+    /**
+     * @dev Stake the caller's tokens in the current round at a reward tier
+     */
+    function _stake(uint256 _amount, uint256 _tierId) private {
+        StakeLogic.stake(s, _msgSender(), _amount, _tierId);
+    }
+    
+    /**
+     * @dev Claim the caller's stake in an ended round to a recipient
+     */
+    function _claim(uint256 _roundId, address _recipient) private {
+        StakeLogic.claim(s, _roundId, _msgSender(), _recipient);
+    }
+    
+    /**
+     * @dev Take a deposit of staking tokens for rewards from the caller
+     */
+    function _depositRewards(uint256 _amount) private {
+        StakingLedger.transferIn(s, _msgSender(), _amount);
+        totalRewardsDeposited += _amount;
+        
+        emit RewardsDeposited(_msgSender(), _amount);
+    }
+    
+    /**
+     * @dev Revert unless the current round's deposit window is open. The
+     * modifiers call these checks so their code is not repeated in every function.
+     */
+    function _checkDepositWindow() internal view {
+        Round storage round = s.rounds[s.currentRoundId];
+        if (round.startTime == 0) {
+            revert StakingNotStarted();
+        }
+        if (block.timestamp < round.startTime) {
+            revert StakingNotOpenYet();
+        }
+        if (block.timestamp > round.depositWindowEnd) {
+            revert DepositWindowClosed();
+        }
+    }
+    
+    /**
+     * @dev Revert if staking is paused or emergency mode is active
+     */
+    function _checkStakingNotPaused() internal view {
+        if (s.emergencyMode) {
+            revert EmergencyModeActive();
+        }
+        if (s.stakingPaused) {
+            revert StakingIsPaused();
+        }
+    }
+    
+    /**
+     * @dev Revert if claiming is paused or emergency mode is active
+     */
+    function _checkClaimingNotPaused() internal view {
+        if (s.emergencyMode) {
+            revert EmergencyModeActive();
+        }
+        _checkPayoutsNotPaused();
+    }
+    
+    /**
+     * @dev Revert if claiming is paused. Rewards already settled to their
+     * recipients, vested or owed, stay payable in emergency mode.
+     */
+    function _checkPayoutsNotPaused() internal view {
+        if (s.claimingPaused) {
+            revert ClaimingIsPaused();
+        }
+    }
+    
+    /**
+     * @dev Revert until a round's staking period has ended
+     */
+    function _checkStakingEnded(uint256 _roundId) internal view {
+        if (block.timestamp < s.rounds[_roundId].endTime) {
+            revert StakingNotEnded();
+        }
+    }
+    
+    /**
+     * @dev The current round, or the round before it while the current round
+     * is scheduled and has not started yet
+     */
+    function _lastStartedRoundId() internal view returns (uint256) {
+        uint256 roundId = s.currentRoundId;
+        if (roundId > 0 && block.timestamp < s.rounds[roundId].startTime) {
+            return roundId - 1;
+        }
+        return roundId;
+    }
+    
+    /**
+     * @dev Resolve the user behind calls relayed by the trusted forwarder
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+    
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+    
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
     }
-}
\ No newline at end of file
+}
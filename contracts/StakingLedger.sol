@@ -0,0 +1,363 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StakingTypes.sol";
+
+/**
+ * @dev Round and stake accounting shared by StakingContract and its logic
+ * libraries: rewards, reward obligations, settlement and per-address limits.
+ * Every function is internal, so each library embeds the parts it uses.
+ */
+library StakingLedger {
+    uint256 internal constant BPS_DENOMINATOR = 10_000; // 100% in basis points
+    
+    event RoundSettled(uint256 indexed roundId, uint256 rewardPool, uint256 rewardObligation);
+    
+    /**
+     * @dev Revert if adding _amount would exceed a round's cap
+     */
+    function checkCap(StakingState storage s, uint256 _roundId, uint256 _amount) internal view {
+        Round storage round = s.rounds[_roundId];
+        if (round.totalStaked + _amount > round.maxTotalStake) {
+            revert IStakingErrors.CapExceeded(round.maxTotalStake);
+        }
+    }
+    
+    /**
+     * @dev Add _amount to the total staked to an address in a round, enforcing
+     * the per-address limits and the allowlist
+     */
+    function recordAddressStake(StakingState storage s, uint256 _roundId, address _user, uint256 _amount) internal {
+        uint256 total = s.totalStakedBy[_roundId][_user] + _amount;
+        
+        if (total < s.minStakePerAddress) {
+            revert IStakingErrors.BelowMinimumStake();
+        }
+        if (s.maxStakePerAddress != 0 && total > s.maxStakePerAddress) {
+            revert IStakingErrors.ExceedsMaxStakePerAddress();
+        }
+        
+        bytes32 root = s.allowlistRoot;
+        if (root != bytes32(0)) {
+            if (!s.allowlisted[root][_user]) {
+                revert IStakingErrors.NotAllowlisted();
+            }
+            uint256 allocation = s.allowlistAllocations[root][_user];
+            if (allocation != 0 && total > allocation) {
+                revert IStakingErrors.ExceedsAllocation();
+            }
+        }
+        
+        s.totalStakedBy[_roundId][_user] = total;
+    }
+    
+    /**
+     * @dev Credit _amount deposited now to a stake and its round's totals
+     */
+    function creditStake(StakingState storage s, uint256 _roundId, StakeInfo storage _stake, uint256 _amount) internal {
+        uint256 weight = _amount * block.timestamp;
+        _stake.amount += _amount;
+        _stake.weightedDepositTime += weight;
+        
+        Round storage round = s.rounds[_roundId];
+        uint256 tierBps = s.rewardTiers[_roundId][_stake.tierId].rewardBps;
+        round.totalStaked += _amount;
+        round.totalWeightedDepositTime += weight;
+        round.totalStakedBps += _amount * tierBps;
+        round.totalWeightedDepositTimeBps += weight * tierBps;
+        s.outstandingPrincipal += _amount;
+        syncRewardObligation(s, _roundId);
+    }
+    
+    /**
+     * @dev Take _amount out of a stake, keeping its average deposit time unchanged
+     */
+    function shrinkStake(StakeInfo storage _stake, uint256 _amount) internal {
+        _stake.weightedDepositTime -= (_stake.weightedDepositTime * _amount) / _stake.amount;
+        _stake.amount -= _amount;
+    }
+    
+    /**
+     * @dev Take _amount, with _weight of weighted deposit time, out of a round's
+     * totals, freeing up the capacity in the round
+     */
+    function debitRound(StakingState storage s, uint256 _roundId, uint256 _tierId, uint256 _amount, uint256 _weight) internal {
+        Round storage round = s.rounds[_roundId];
+        uint256 tierBps = s.rewardTiers[_roundId][_tierId].rewardBps;
+        round.totalStaked -= _amount;
+        round.totalWeightedDepositTime -= _weight;
+        round.totalStakedBps -= _amount * tierBps;
+        round.totalWeightedDepositTimeBps -= _weight * tierBps;
+    }
+    
+    /**
+     * @dev Take a stake forfeited by an emergency withdrawal out of its round's
+     * totals, once its reward obligation is released, together with its share
+     * of the penalties redistributed to the round's stakers. The share is
+     * rounded up, as the released reward rounds it down.
+     */
+    function forfeitStake(StakingState storage s, uint256 _roundId, uint256 _tierId, uint256 _amount, uint256 _weight) internal {
+        Round storage round = s.rounds[_roundId];
+        uint256 penalties = round.redistributedPenalties;
+        if (penalties > 0) {
+            round.redistributedPenalties = penalties - (penalties * _amount + round.totalStaked - 1) / round.totalStaked;
+        }
+        debitRound(s, _roundId, _tierId, _amount, _weight);
+    }
+    
+    /**
+     * @dev Update a round's reward obligation after its stakes change. The bound
+     * applies the reward formula to the round's totals weighted by each stake's
+     * tier rate, so it is never below the sum of the stakers' individually
+     * rounded rewards.
+     */
+    function syncRewardObligation(StakingState storage s, uint256 _roundId) internal {
+        Round storage round = s.rounds[_roundId];
+        bool flat = s.rewardMode == RewardMode.Flat;
+        
+        uint256 obligation;
+        if (flat) {
+            obligation = round.totalStakedBps / BPS_DENOMINATOR;
+        } else {
+            obligation = (round.totalStakedBps * round.endTime - round.totalWeightedDepositTimeBps) /
+                (BPS_DENOMINATOR * (round.endTime - round.startTime));
+        }
+        obligation += round.redistributedPenalties;
+        
+        s.outstandingRewards = s.outstandingRewards + obligation - round.rewardObligation;
+        round.rewardObligation = obligation;
+        
+        // Reward tokens pay their own rate on the round's plain totals
+        RewardToken[] storage tokens = s.rewardTokens[_roundId];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            uint256 tokenObligation;
+            if (flat) {
+                tokenObligation = (round.totalStaked * tokens[i].rewardBps) / BPS_DENOMINATOR;
+            } else {
+                tokenObligation = ((round.totalStaked * round.endTime - round.totalWeightedDepositTime) * tokens[i].rewardBps) /
+                    (BPS_DENOMINATOR * (round.endTime - round.startTime));
+            }
+            
+            address token = address(tokens[i].token);
+            s.rewardTokenOutstanding[token] = s.rewardTokenOutstanding[token] + tokenObligation - tokens[i].rewardObligation;
+            tokens[i].rewardObligation = tokenObligation;
+        }
+    }
+    
+    /**
+     * @dev Revert if the contract cannot cover its obligations, when required
+     */
+    function checkFunded(StakingState storage s) internal view {
+        if (!s.requireFundedRewards) {
+            return;
+        }
+        if (s.stakingToken.balanceOf(address(this)) < totalObligations(s)) {
+            revert IStakingErrors.InsufficientRewardFunding();
+        }
+        
+        RewardToken[] storage tokens = s.rewardTokens[s.currentRoundId];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i].token.balanceOf(address(this)) < s.rewardTokenOutstanding[address(tokens[i].token)]) {
+                revert IStakingErrors.InsufficientRewardFunding();
+            }
+        }
+    }
+    
+    /**
+     * @dev Principal and rewards owed to stakers, including rewards still vesting
+     */
+    function totalObligations(StakingState storage s) internal view returns (uint256) {
+        return s.outstandingPrincipal + s.outstandingRewards + s.unreleasedRewards;
+    }
+    
+    /**
+     * @dev A user's staked amount in a round: the address stake, or the
+     * receipt balance in a receipt round
+     */
+    function stakedBalance(StakingState storage s, uint256 _roundId, address _user) internal view returns (uint256) {
+        StakeReceipt receiptToken = s.receiptTokens[_roundId];
+        if (address(receiptToken) != address(0)) {
+            return receiptToken.balanceOf(_user);
+        }
+        return s.stakes[_roundId][_user].amount;
+    }
+    
+    /**
+     * @dev Time from which a stake can be claimed or restaked: the end of the
+     * round plus its tier's lock
+     */
+    function unlockTime(StakingState storage s, uint256 _roundId, StakeInfo storage _stake) internal view returns (uint256) {
+        uint256 endTime = s.rounds[_roundId].endTime;
+        RewardTier[] storage tiers = s.rewardTiers[_roundId];
+        return _stake.tierId < tiers.length ? endTime + tiers[_stake.tierId].lockDuration : endTime;
+    }
+    
+    /**
+     * @dev Reward paid on an ended round's stake. In ProRata mode the round is
+     * settled first and the reward is scaled by the pool's share of the round's
+     * obligation, so the round's claims never exceed the snapshotted pool.
+     */
+    function settledReward(StakingState storage s, uint256 _roundId, StakeInfo storage _stake) internal returns (uint256 reward) {
+        Round storage round = s.rounds[_roundId];
+        reward = calculateReward(s, _roundId, _stake, round.endTime);
+        
+        if (s.settlementMode == SettlementMode.ProRata) {
+            if (!round.settled) {
+                settleRound(s, _roundId);
+            }
+            if (round.rewardPool < round.rewardObligation) {
+                reward = (reward * round.rewardPool) / round.rewardObligation;
+            }
+        }
+    }
+    
+    /**
+     * @dev Release the obligation of a forfeited reward, calculated at the end
+     * of the round. The round's totals shrink with it, so the pro-rata rate of
+     * the round's other stakers is unchanged.
+     */
+    function releaseReward(StakingState storage s, uint256 _roundId, uint256 _reward) internal {
+        Round storage round = s.rounds[_roundId];
+        
+        if (round.settled) {
+            uint256 share = round.rewardPool < round.rewardObligation
+                ? (_reward * round.rewardPool) / round.rewardObligation
+                : _reward;
+            round.rewardPool -= share;
+            s.outstandingRewards -= share;
+        } else {
+            s.outstandingRewards -= _reward;
+        }
+        round.rewardObligation -= _reward;
+    }
+    
+    /**
+     * @dev Add a settled claim to a round's claim statistics
+     * @param _settled Whether the claim settles a whole stake, position or receipt balance
+     */
+    function recordClaim(
+        StakingState storage s,
+        uint256 _roundId,
+        uint256 _stakedAmount,
+        uint256 _rewardAmount,
+        bool _settled
+    ) internal {
+        ClaimStats storage stats = s.claimStats[_roundId];
+        if (_settled) {
+            stats.claimedCount++;
+        }
+        stats.claimedPrincipal += _stakedAmount;
+        stats.paidRewards += _rewardAmount;
+    }
+    
+    /**
+     * @dev Snapshot a round's reward pool and release the unfunded part of its
+     * obligation, so it no longer counts against the contract's solvency
+     */
+    function settleRound(StakingState storage s, uint256 _roundId) internal {
+        Round storage round = s.rounds[_roundId];
+        uint256 pool = availableRewardPool(s, _roundId);
+        
+        round.settled = true;
+        round.rewardPool = pool;
+        s.outstandingRewards -= round.rewardObligation - pool;
+        
+        emit RoundSettled(_roundId, pool, round.rewardObligation);
+    }
+    
+    /**
+     * @dev Rewards the contract can pay a round's stakers once every principal
+     * and every other round's rewards are covered, up to the round's obligation
+     */
+    function availableRewardPool(StakingState storage s, uint256 _roundId) internal view returns (uint256) {
+        uint256 obligation = s.rounds[_roundId].rewardObligation;
+        uint256 balance = s.stakingToken.balanceOf(address(this));
+        uint256 otherObligations = totalObligations(s) - obligation;
+        
+        if (balance <= otherObligations) {
+            return 0;
+        }
+        uint256 available = balance - otherObligations;
+        return available < obligation ? available : obligation;
+    }
+    
+    /**
+     * @dev Reward earned by a stake up to a point in time. In Flat mode nothing
+     * is earned before the end of the round; in TimeProportional mode each
+     * deposit earns the stake's tier rate pro rata to the time it is staked for.
+     * Penalties redistributed to the round's stakers are added at the end.
+     * @param _until Timestamp to calculate the reward at, capped at the round's end
+     */
+    function calculateReward(
+        StakingState storage s,
+        uint256 _roundId,
+        StakeInfo storage _stake,
+        uint256 _until
+    ) internal view returns (uint256 reward) {
+        Round storage round = s.rounds[_roundId];
+        if (_stake.amount == 0) {
+            return 0;
+        }
+        reward = rewardAtRate(s, _roundId, _stake, s.rewardTiers[_roundId][_stake.tierId].rewardBps, _until);
+        
+        if (_until >= round.endTime && round.redistributedPenalties > 0 && round.totalStaked > 0) {
+            reward += (round.redistributedPenalties * _stake.amount) / round.totalStaked;
+        }
+    }
+    
+    /**
+     * @dev Reward earned by a stake at a given rate up to a point in time,
+     * under the round's reward mode
+     */
+    function rewardAtRate(
+        StakingState storage s,
+        uint256 _roundId,
+        StakeInfo storage _stake,
+        uint256 _rewardBps,
+        uint256 _until
+    ) internal view returns (uint256 reward) {
+        Round storage round = s.rounds[_roundId];
+        
+        bool ended = _until >= round.endTime;
+        if (s.rewardMode == RewardMode.Flat) {
+            if (ended) {
+                reward = (_stake.amount * _rewardBps) / BPS_DENOMINATOR;
+            }
+        } else {
+            uint256 until = ended ? round.endTime : _until;
+            uint256 stakedTime = _stake.amount * until;
+            if (stakedTime > _stake.weightedDepositTime) {
+                reward = ((stakedTime - _stake.weightedDepositTime) * _rewardBps) /
+                    (BPS_DENOMINATOR * (round.endTime - round.startTime));
+            }
+        }
+    }
+    
+    /**
+     * @dev End index of a page of a list, capped at its length
+     */
+    function pageEnd(uint256 _length, uint256 _offset, uint256 _limit) internal pure returns (uint256) {
+        if (_offset >= _length) {
+            return _offset;
+        }
+        return _limit > _length - _offset ? _length : _offset + _limit;
+    }
+    
+    /**
+     * @dev Transfer staking tokens out of the contract
+     */
+    function transfer(StakingState storage s, address _to, uint256 _amount) internal {
+        if (!s.stakingToken.transfer(_to, _amount)) {
+            revert IStakingErrors.TransferFailed();
+        }
+    }
+    
+    /**
+     * @dev Transfer staking tokens from a payer into the contract
+     */
+    function transferIn(StakingState storage s, address _from, uint256 _amount) internal {
+        if (!s.stakingToken.transferFrom(_from, address(this), _amount)) {
+            revert IStakingErrors.TransferFailed();
+        }
+    }
+}
@@ -0,0 +1,300 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./StakePosition.sol";
+import "./StakeReceipt.sol";
+
+// Types, storage and errors shared by StakingContract and its logic libraries
+
+// How rewards accrue within a round
+enum RewardMode {
+    Flat, // The full rate on every stake, paid at the end of the round
+    TimeProportional // The rate accrues per second from each deposit until the end of the round
+}
+
+// How claims are paid when the contract cannot cover every reward
+enum SettlementMode {
+    Full, // Every claim pays the full reward while the balance lasts
+    ProRata // The reward pool is snapshotted at the end of the round and shared pro rata
+}
+
+// Where early unstake penalties go
+enum PenaltyDestination {
+    Owner, // Transferred to the owner (the default admin)
+    RewardPool, // Kept in the contract to fund rewards
+    Stakers // Shared pro rata by the round's remaining stakers at claim
+}
+
+// Lifecycle phase of the current round, as reported by currentPhase()
+enum StakingPhase {
+    NotStarted, // No round opened yet, or the current round has not started
+    Deposit, // Deposit window open
+    Locked, // Deposit window closed, staking period running
+    Claimable, // Staking period ended; the next round can be opened
+    Paused, // Deposit or Claimable, with staking or claiming paused respectively
+    Emergency // Emergency mode; only emergency withdrawals are possible
+}
+
+struct Round {
+    uint256 startTime;
+    uint256 depositWindowEnd;
+    uint256 endTime;
+    uint256 rewardBps;
+    uint256 maxTotalStake;
+    uint256 totalStaked;
+    uint256 redistributedPenalties;
+    uint256 totalWeightedDepositTime; // Sum of the stakers' weightedDepositTime
+    uint256 totalStakedBps; // Sum of the stakes' amount * tier reward rate
+    uint256 totalWeightedDepositTimeBps; // Sum of the stakes' weightedDepositTime * tier reward rate
+    uint256 rewardObligation; // Upper bound of the rewards owed to the round's stakers
+    bool settled; // Whether the reward pool has been snapshotted (ProRata mode)
+    uint256 rewardPool; // Rewards available to the round's stakers when it was settled
+}
+
+struct StakeInfo {
+    uint256 amount;
+    bool claimed;
+    uint256 weightedDepositTime; // Sum of amount * deposit timestamp over the stake's deposits
+    uint256 tierId; // Reward tier in the round's tier table
+}
+
+// A round's reward tier. Tier 0 is the round's base rate, without minimum or extra lock.
+struct RewardTier {
+    uint256 minStake; // Minimum stake to choose the tier
+    uint256 lockDuration; // Lock after the end of the round, in seconds
+    uint256 rewardBps; // Reward rate in basis points
+}
+
+// A token paid as rewards in a round on top of the staking token, at its own rate
+struct RewardToken {
+    IERC20 token;
+    uint256 rewardBps; // Reward rate in basis points, in reward token units per staked token unit
+    uint256 rewardObligation; // Upper bound of the round's rewards in the token
+}
+
+// Linear vesting of a round's rewards from the end of the round
+struct RewardVesting {
+    uint256 duration; // Vesting period in seconds; zero pays rewards at claim
+    uint256 cliff; // Nothing vests before this many seconds after the end of the round
+}
+
+// Rewards claimed into a beneficiary's vesting schedule for a round
+struct VestingSchedule {
+    uint256 total;
+    uint256 released;
+}
+
+// Claims settled from a round, for reporting
+struct ClaimStats {
+    uint256 claimedCount; // Stakes and positions claimed or restaked, and receipt balances fully redeemed
+    uint256 claimedPrincipal; // Principal claimed, redeemed or restaked
+    uint256 paidRewards; // Staking-token rewards paid, vested or compounded
+}
+
+// Deposit window or cap change queued for a live round; zero keeps the current value
+struct RoundChange {
+    uint256 depositWindowEnd;
+    uint256 maxTotalStake;
+    uint256 executableAt; // Zero when nothing is queued
+}
+
+// Position stakes, each owned by the holder of its StakePosition token
+struct Position {
+    uint256 roundId;
+    uint256 depositTime;
+}
+
+// Snapshot of the current round and a user's stake in it, from getOverview()
+struct Overview {
+    StakingPhase phase;
+    uint256 roundId;
+    uint256 startTime;
+    uint256 depositWindowEnd;
+    uint256 endTime;
+    uint256 currentTime;
+    uint256 rewardBps;
+    uint256 totalStaked;
+    uint256 maxTotalStake;
+    uint256 remainingCapacity;
+    uint256 stakerCount;
+    uint256 requiredRewards; // Rewards needed if the round's cap is filled
+    uint256 totalRewardsDeposited; // Rewards deposited across all rounds
+    uint256 userStaked;
+    bool userClaimed;
+    uint256 userPotentialReward;
+    uint256 userAccruedReward;
+}
+
+// StakingContract's round and stake accounting, which the logic libraries
+// operate on. The contract exposes each field through a getter of the same name.
+struct StakingState {
+    IERC20 stakingToken;
+    RewardMode rewardMode; // Reward mode for all rounds
+    SettlementMode settlementMode; // Settlement mode for all rounds
+    
+    // Round ids start at 1; 0 means no round has been opened yet
+    uint256 currentRoundId;
+    mapping(uint256 => Round) rounds;
+    mapping(uint256 => RewardTier[]) rewardTiers;
+    mapping(uint256 => RewardToken[]) rewardTokens;
+    mapping(uint256 => RewardVesting) roundVesting; // Snapshotted from rewardVesting when a round opens
+    mapping(uint256 => ClaimStats) claimStats;
+    mapping(uint256 => RoundChange) roundChanges;
+    
+    mapping(uint256 => mapping(address => StakeInfo)) stakes;
+    mapping(uint256 => address[]) stakers;
+    mapping(uint256 => mapping(address => bool)) isStaker;
+    
+    StakePosition positionToken; // Zero until positions are enabled
+    uint256 positionCount; // Token ids start at 1
+    mapping(uint256 => Position) positions;
+    mapping(uint256 => StakeInfo) positionStakes;
+    
+    // Receipt rounds pool their deposits in one stake, owned by the holders of
+    // the round's StakeReceipt tokens pro rata to their balances
+    mapping(uint256 => StakeReceipt) receiptTokens;
+    mapping(uint256 => StakeInfo) receiptStakes;
+    mapping(uint256 => mapping(address => uint256)) redeemedReceipts; // Redeemed or forfeited, per holder
+    
+    uint256 unstakePenaltyBps;
+    PenaltyDestination penaltyDestination;
+    
+    // Vesting of the staking-token rewards of rounds opened from now on
+    RewardVesting rewardVesting;
+    mapping(uint256 => mapping(address => VestingSchedule)) vestingSchedules;
+    mapping(address => uint256[]) vestingRoundIds; // Rounds with a schedule, per beneficiary
+    
+    // Per-address limits on the tokens staked to an address in a round
+    uint256 minStakePerAddress; // Zero for no minimum
+    uint256 maxStakePerAddress; // Zero for no maximum
+    mapping(uint256 => mapping(address => uint256)) totalStakedBy; // Across stakes, receipts and positions, net of unstakes
+    
+    // Allowlist of (address, allocation) leaves; a zero root lets anyone stake
+    bytes32 allowlistRoot;
+    mapping(bytes32 => mapping(address => bool)) allowlisted;
+    mapping(bytes32 => mapping(address => uint256)) allowlistAllocations; // Zero for no allocation limit
+    
+    // Solvency accounting
+    uint256 outstandingPrincipal; // Staked tokens not yet claimed, unstaked or restaked
+    uint256 outstandingRewards; // Rewards owed on unclaimed stakes
+    uint256 unreleasedRewards; // Claimed rewards still in vesting schedules
+    bool requireFundedRewards; // Refuse stakes whose rewards the contract cannot cover
+    
+    // Solvency accounting of the additional reward tokens
+    mapping(address => bool) isRewardToken; // Added to at least one round
+    mapping(address => uint256) rewardTokenDeposited; // Deposited through depositRewards(token, amount)
+    mapping(address => uint256) rewardTokenOutstanding; // Owed on unclaimed stakes, and in owedRewardTokens
+    mapping(address => mapping(address => uint256)) owedRewardTokens; // Unpaid rewards per recipient and token
+    
+    // Emergency controls
+    bool stakingPaused; // Halts stake() and restake()
+    bool claimingPaused; // Halts claims, unstake() and restake()
+    bool emergencyMode; // Irreversible; stakers can only withdraw their principal
+}
+
+/**
+ * @dev Errors of StakingContract, including those its logic libraries revert
+ * with, so they are part of the contract's ABI
+ */
+interface IStakingErrors {
+    // Rounds and their parameters
+    error ZeroDepositWindow();
+    error ZeroStakingDuration();
+    error DepositWindowExceedsDuration();
+    error RewardBpsTooHigh();
+    error ZeroMaxTotalStake();
+    error TooManyTiers();
+    error CurrentRoundNotEnded();
+    error StartNotInFuture();
+    error NoScheduledRound();
+    error InvalidRound();
+    error RoundNotStarted();
+    error RoundEnded();
+    error RoundAlreadySettled();
+    error ProRataNotEnabled();
+    
+    // Deposit window and staking period
+    error StakingNotStarted();
+    error StakingNotOpenYet();
+    error DepositWindowClosed();
+    error StakingNotEnded();
+    error StakingEnded();
+    
+    // Round changes
+    error ZeroRoundChangeDelay();
+    error NothingToChange();
+    error RoundChangeAlreadyQueued();
+    error NoRoundChangeQueued();
+    error RoundChangeTimelocked();
+    error RoundChangeAfterDepositWindow();
+    error DepositWindowNotExtended();
+    error CapBelowTotalStaked();
+    
+    // Stakes
+    error ZeroAmount();
+    error CapExceeded(uint256 maxTotalStake);
+    error InvalidBeneficiary();
+    error NoBeneficiaries();
+    error ArrayLengthMismatch();
+    error BelowMinimumStake();
+    error ExceedsMaxStakePerAddress();
+    error MinimumExceedsMaximum();
+    error NotAllowlisted();
+    error ExceedsAllocation();
+    error AllowlistNotEnabled();
+    error InvalidAllowlistProof();
+    error InvalidTier();
+    error BelowTierMinimum();
+    error CannotShortenLock();
+    error InsufficientRewardFunding();
+    
+    // Unstakes, claims and restakes
+    error NoTokensStaked();
+    error AlreadyClaimed();
+    error StakeLocked();
+    error AmountExceedsStake();
+    error RemainingBelowMinimum();
+    error RemainingBelowTierMinimum();
+    error PenaltyTooHigh();
+    error RestakeIntoSameRound();
+    error InvalidRecipient();
+    error InvalidRange();
+    error SignatureExpired();
+    error InvalidSignature();
+    error TransferFailed();
+    
+    // Positions and receipts
+    error PositionsNotEnabled();
+    error PositionTokenAlreadySet();
+    error PositionTokenNotBound();
+    error PositionNotFound();
+    error NotPositionOwner();
+    error ReceiptTokenNotBound();
+    error ReceiptTokenAlreadySet();
+    error RoundHasStakes();
+    error NotReceiptRound();
+    error AmountExceedsReceipts();
+    error TierInReceiptRound();
+    error ReceiptsInTimeProportionalMode();
+    
+    // Reward tokens and vesting
+    error InvalidRewardToken();
+    error ZeroRewardRate();
+    error TooManyRewardTokens();
+    error RewardTokenAlreadyAdded();
+    error NotRewardToken();
+    error NoOwedRewardTokens();
+    error InsufficientRewardTokenBalance();
+    error CliffExceedsDuration();
+    error NoRewardsToRelease();
+    
+    // Funds and emergency controls
+    error ExceedsSurplus();
+    error StakingIsPaused();
+    error StakingNotPaused();
+    error ClaimingIsPaused();
+    error ClaimingNotPaused();
+    error EmergencyModeActive();
+    error EmergencyModeNotActive();
+}
@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StakingLedger.sol";
+
+/**
+ * @dev Vesting of claimed staking-token rewards for StakingContract. Claims put
+ * a vesting round's rewards in the recipient's schedule for the round, which
+ * vests linearly from the end of the round and is released with release().
+ */
+library VestingLogic {
+    event RewardsVesting(uint256 indexed roundId, address indexed beneficiary, uint256 amount);
+    event RewardsReleased(uint256 indexed roundId, address indexed beneficiary, uint256 amount);
+    event RewardVestingUpdated(uint256 duration, uint256 cliff);
+    
+    /**
+     * @dev Set the vesting of the staking-token rewards of rounds opened from now on
+     */
+    function setRewardVesting(StakingState storage s, uint256 _duration, uint256 _cliff) external {
+        if (_cliff > _duration) {
+            revert IStakingErrors.CliffExceedsDuration();
+        }
+        
+        s.rewardVesting = RewardVesting(_duration, _cliff);
+        
+        emit RewardVestingUpdated(_duration, _cliff);
+    }
+    
+    /**
+     * @dev Release a beneficiary's vested rewards from every round's vesting schedule
+     * @return amount Rewards transferred to the beneficiary
+     */
+    function release(StakingState storage s, address _beneficiary) external returns (uint256 amount) {
+        uint256[] storage roundIds = s.vestingRoundIds[_beneficiary];
+        for (uint256 i = 0; i < roundIds.length; i++) {
+            VestingSchedule storage schedule = s.vestingSchedules[roundIds[i]][_beneficiary];
+            uint256 releasable = vestedAmount(s, roundIds[i], schedule) - schedule.released;
+            if (releasable > 0) {
+                schedule.released += releasable;
+                amount += releasable;
+                
+                emit RewardsReleased(roundIds[i], _beneficiary, releasable);
+            }
+        }
+        if (amount == 0) {
+            revert IStakingErrors.NoRewardsToRelease();
+        }
+        s.unreleasedRewards -= amount;
+        
+        StakingLedger.transfer(s, _beneficiary, amount);
+    }
+    
+    /**
+     * @dev A beneficiary's vesting schedules summed over all rounds
+     * @return total Rewards claimed into vesting
+     * @return vested Rewards vested so far, including released ones
+     * @return released Rewards already released
+     * @return pending Vested rewards that release() would transfer now
+     */
+    function vestingInfo(StakingState storage s, address _beneficiary) external view returns (
+        uint256 total,
+        uint256 vested,
+        uint256 released,
+        uint256 pending
+    ) {
+        uint256[] storage roundIds = s.vestingRoundIds[_beneficiary];
+        for (uint256 i = 0; i < roundIds.length; i++) {
+            VestingSchedule storage schedule = s.vestingSchedules[roundIds[i]][_beneficiary];
+            total += schedule.total;
+            vested += vestedAmount(s, roundIds[i], schedule);
+            released += schedule.released;
+        }
+        pending = vested - released;
+    }
+    
+    /**
+     * @dev A beneficiary's vesting schedule for a round, in the terms of vestingInfo()
+     */
+    function roundVestingInfo(StakingState storage s, uint256 _roundId, address _beneficiary) external view returns (
+        uint256 total,
+        uint256 vested,
+        uint256 released,
+        uint256 pending
+    ) {
+        VestingSchedule storage schedule = s.vestingSchedules[_roundId][_beneficiary];
+        total = schedule.total;
+        vested = vestedAmount(s, _roundId, schedule);
+        released = schedule.released;
+        pending = vested - released;
+    }
+    
+    /**
+     * @dev Put a claimed staking-token reward in the recipient's vesting schedule
+     * for the round, if the round vests its rewards
+     * @return paidAmount Part of the reward to transfer now
+     */
+    function vest(StakingState storage s, uint256 _roundId, address _recipient, uint256 _amount) internal returns (uint256 paidAmount) {
+        if (s.roundVesting[_roundId].duration == 0) {
+            return _amount;
+        }
+        if (_amount == 0) {
+            return 0;
+        }
+        
+        VestingSchedule storage schedule = s.vestingSchedules[_roundId][_recipient];
+        if (schedule.total == 0) {
+            s.vestingRoundIds[_recipient].push(_roundId);
+        }
+        schedule.total += _amount;
+        s.unreleasedRewards += _amount;
+        
+        emit RewardsVesting(_roundId, _recipient, _amount);
+    }
+    
+    /**
+     * @dev Part of a vesting schedule vested by now: nothing before the cliff,
+     * then linearly from the end of the round over the vesting period
+     */
+    function vestedAmount(
+        StakingState storage s,
+        uint256 _roundId,
+        VestingSchedule storage _schedule
+    ) internal view returns (uint256) {
+        RewardVesting storage vesting = s.roundVesting[_roundId];
+        uint256 start = s.rounds[_roundId].endTime;
+        
+        if (block.timestamp < start + vesting.cliff) {
+            return 0;
+        }
+        if (block.timestamp >= start + vesting.duration) {
+            return _schedule.total;
+        }
+        return (_schedule.total * (block.timestamp - start)) / vesting.duration;
+    }
+}
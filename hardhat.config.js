@@ -1,4 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/stake-for-many");
+require("./tasks/build-allowlist");
+require("./tasks/distribute");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -14,8 +17,7 @@ module.exports = {
   networks: {
     hardhat: {
       gas: 12000000,
-      blockGasLimit: 12000000,
-      allowUnlimitedContractSize: true
+      blockGasLimit: 12000000
     }
   },
   mocha: {
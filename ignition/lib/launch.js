@@ -0,0 +1,30 @@
+// Shared launch steps for the staking modules: fund the first round's
+// requiredRewards() and open it with startStaking(). Each step is its own
+// future, so an interrupted deployment resumes where it stopped.
+
+const IERC20 = "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20";
+
+// Round opened by the first startStaking() on a fresh deployment
+const FIRST_ROUND_ID = 1;
+
+function launchStaking(m, staking) {
+  // Before the round opens, requiredRewards() projects the default parameters
+  const requiredRewards = m.staticCall(staking, "requiredRewards", [FIRST_ROUND_ID]);
+  const stakingToken = m.contractAt(IERC20, m.staticCall(staking, "stakingToken"), {
+    id: "StakingToken",
+  });
+
+  const approveRewards = m.call(stakingToken, "approve", [staking, requiredRewards], {
+    id: "ApproveRewards",
+  });
+  // depositRewards is overloaded with a (token, amount) variant for reward tokens
+  const depositRewards = m.call(staking, "depositRewards(uint256)", [requiredRewards], {
+    id: "DepositRewards",
+    after: [approveRewards],
+  });
+  m.call(staking, "startStaking", [], {
+    after: [depositRewards],
+  });
+}
+
+module.exports = { launchStaking };
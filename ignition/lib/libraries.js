@@ -0,0 +1,17 @@
+// Logic libraries StakingContract is linked against, deployed by the staking modules.
+
+const STAKING_LIBRARIES = [
+  "StakeLogic",
+  "PositionLogic",
+  "ReceiptLogic",
+  "RewardTokenLogic",
+  "VestingLogic",
+  "RoundLogic",
+  "PauseLogic",
+];
+
+function stakingLibraries(m) {
+  return Object.fromEntries(STAKING_LIBRARIES.map((name) => [name, m.library(name)]));
+}
+
+module.exports = { STAKING_LIBRARIES, stakingLibraries };
@@ -0,0 +1,26 @@
+// StakingContract constructor parameters shared by the staking modules.
+// Override them per network in ignition/parameters/<network>.json.
+
+const DEPOSIT_WINDOW = 48 * 60 * 60; // 48 hours
+const STAKING_DURATION = 14 * 24 * 60 * 60; // 14 days
+const REWARD_BPS = 1000; // 10%
+const MAX_TOTAL_STAKE = 50_000_000n * 10n ** 18n; // 50M tokens
+const REWARD_MODE = 0; // RewardMode.Flat; 1 for RewardMode.TimeProportional
+const SETTLEMENT_MODE = 0; // SettlementMode.Full; 1 for SettlementMode.ProRata
+const ROUND_CHANGE_DELAY = 12 * 60 * 60; // 12 hours
+const TRUSTED_FORWARDER = "0x0000000000000000000000000000000000000000"; // ERC-2771 forwarder; none by default
+
+function stakingParameters(m) {
+  return [
+    m.getParameter("depositWindow", DEPOSIT_WINDOW),
+    m.getParameter("stakingDuration", STAKING_DURATION),
+    m.getParameter("rewardBps", REWARD_BPS),
+    m.getParameter("maxTotalStake", MAX_TOTAL_STAKE),
+    m.getParameter("rewardMode", REWARD_MODE),
+    m.getParameter("settlementMode", SETTLEMENT_MODE),
+    m.getParameter("roundChangeDelay", ROUND_CHANGE_DELAY),
+    m.getParameter("trustedForwarder", TRUSTED_FORWARDER),
+  ];
+}
+
+module.exports = { stakingParameters };
@@ -0,0 +1,21 @@
+// Deploys a MockERC20 staking token and a StakingContract using it.
+// Intended for local and test networks only.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { stakingParameters } = require("../lib/parameters");
+const { stakingLibraries } = require("../lib/libraries");
+
+const INITIAL_SUPPLY = 2_000_000_000n * 10n ** 18n; // 2B tokens
+
+module.exports = buildModule("MockStakingModule", (m) => {
+  const name = m.getParameter("name", "UOMI Token");
+  const symbol = m.getParameter("symbol", "UOMI");
+  const initialSupply = m.getParameter("initialSupply", INITIAL_SUPPLY);
+
+  const stakingToken = m.contract("MockERC20", [name, symbol, initialSupply]);
+  const staking = m.contract("StakingContract", [stakingToken, ...stakingParameters(m)], {
+    libraries: stakingLibraries(m),
+  });
+
+  return { stakingToken, staking };
+});
@@ -0,0 +1,14 @@
+// Deploys MockERC20 and StakingContract, funds requiredRewards() and starts
+// staking. Intended for local and test networks only.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const MockStakingModule = require("./MockStaking");
+const { launchStaking } = require("../lib/launch");
+
+module.exports = buildModule("MockStakingLaunchModule", (m) => {
+  const { stakingToken, staking } = m.useModule(MockStakingModule);
+
+  launchStaking(m, staking);
+
+  return { stakingToken, staking };
+});
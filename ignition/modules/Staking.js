@@ -0,0 +1,16 @@
+// Deploys StakingContract against an existing staking token.
+// Learn more about Hardhat Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { stakingParameters } = require("../lib/parameters");
+const { stakingLibraries } = require("../lib/libraries");
+
+module.exports = buildModule("StakingModule", (m) => {
+  const stakingToken = m.getParameter("stakingToken");
+
+  const staking = m.contract("StakingContract", [stakingToken, ...stakingParameters(m)], {
+    libraries: stakingLibraries(m),
+  });
+
+  return { staking };
+});
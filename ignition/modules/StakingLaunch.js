@@ -0,0 +1,13 @@
+// Deploys StakingContract, funds requiredRewards() and starts staking.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const StakingModule = require("./Staking");
+const { launchStaking } = require("../lib/launch");
+
+module.exports = buildModule("StakingLaunchModule", (m) => {
+  const { staking } = m.useModule(StakingModule);
+
+  launchStaking(m, staking);
+
+  return { staking };
+});
@@ -0,0 +1,67 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { readCsv } = require("./lib/csv");
+const { allowlistLeaf, buildMerkleTree } = require("./lib/merkle");
+
+const DEFAULT_DECIMALS = 18; // UOMI
+
+// Read address[,allocation] rows; allocations are in whole tokens and an empty
+// allocation means no limit. A header row is skipped.
+function readAllowlist(file, decimals, ethers) {
+  const rows = readCsv(file);
+  if (rows.length > 0 && !ethers.isAddress(rows[0][0])) {
+    rows.shift();
+  }
+
+  const seen = new Set();
+  return rows.map(([account, allocation], index) => {
+    if (!ethers.isAddress(account)) {
+      throw new Error(`Row ${index + 1}: invalid address "${account}"`);
+    }
+    const address = ethers.getAddress(account);
+    if (seen.has(address)) {
+      throw new Error(`Row ${index + 1}: duplicate address ${address}`);
+    }
+    seen.add(address);
+
+    const parsedAllocation = allocation ? ethers.parseUnits(allocation, decimals) : 0n;
+    if (parsedAllocation < 0n) {
+      throw new Error(`Row ${index + 1}: allocation cannot be negative`);
+    }
+    return { account: address, allocation: parsedAllocation };
+  });
+}
+
+task("build-allowlist", "Builds the allowlist Merkle root and proofs from a CSV file")
+  .addParam("csv", "CSV file of address[,allocation] rows, allocations in whole tokens")
+  .addOptionalParam("out", "JSON file to write the root and proofs to")
+  .addOptionalParam("decimals", "Staking token decimals", DEFAULT_DECIMALS, types.int)
+  .setAction(async ({ csv, out, decimals }, hre) => {
+    const { ethers } = hre;
+
+    const entries = readAllowlist(csv, decimals, ethers);
+    if (entries.length === 0) {
+      throw new Error(`No addresses in ${csv}`);
+    }
+
+    const { root, proofs } = buildMerkleTree(
+      entries.map((entry) => allowlistLeaf(entry.account, entry.allocation))
+    );
+    const allowlist = {
+      root,
+      entries: entries.map((entry, index) => ({
+        account: entry.account,
+        allocation: entry.allocation.toString(),
+        proof: proofs[index],
+      })),
+    };
+
+    if (out) {
+      fs.writeFileSync(out, JSON.stringify(allowlist, null, 2));
+    }
+    console.log(`Allowlist of ${entries.length} addresses, root ${root}${out ? ` (written to ${out})` : ""}`);
+
+    return allowlist;
+  });
+
+module.exports = { readAllowlist };
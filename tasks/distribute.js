@@ -0,0 +1,81 @@
+const { task, types } = require("hardhat/config");
+const { gasBudget, estimateBatchGas, shrinkBatchSize } = require("./lib/gas");
+
+const IERC20_METADATA = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+const INITIAL_BATCH_SIZE = 100; // Stakers tried in the first batch
+
+task("distribute", "Pays every unclaimed staker of an ended round through distributeBatch")
+  .addParam("staking", "Address of the StakingContract")
+  .addParam("round", "Ended round to distribute", undefined, types.int)
+  .addOptionalParam("batchSize", "Stakers tried in the first batch", INITIAL_BATCH_SIZE, types.int)
+  .setAction(async ({ staking, round, batchSize }, hre) => {
+    const { ethers } = hre;
+    const [caller] = await ethers.getSigners();
+
+    const stakingContract = await ethers.getContractAt("StakingContract", staking, caller);
+    const stakingToken = await ethers.getContractAt(IERC20_METADATA, await stakingContract.stakingToken(), caller);
+    const decimals = await stakingToken.decimals();
+
+    const stakerCount = Number(await stakingContract.getTotalStakers(round));
+    if (stakerCount === 0) {
+      throw new Error(`Round ${round} has no stakers`);
+    }
+
+    const budget = gasBudget(hre);
+    const estimate = (from, to) =>
+      estimateBatchGas(() => stakingContract.distributeBatch.estimateGas(round, from, to), hre);
+
+    const batches = [];
+    let paidCount = 0;
+    let totalStaked = 0n;
+    let totalRewards = 0n;
+    let start = 0;
+    let size = batchSize;
+    while (start < stakerCount) {
+      let end = Math.min(start + size, stakerCount);
+      let gas = await estimate(start, end);
+
+      // Shrink the batch in proportion to the overshoot until it fits
+      while (gas > budget) {
+        size = shrinkBatchSize(end - start, gas, budget);
+        if (size < 1) {
+          throw new Error(`A single payout needs ${gas} gas, above the ${budget} gas budget`);
+        }
+        end = start + size;
+        gas = await estimate(start, end);
+      }
+
+      const tx = await stakingContract.distributeBatch(round, start, end, { gasLimit: gas });
+      const receipt = await tx.wait();
+
+      let batchPaid = 0;
+      for (const log of receipt.logs) {
+        const event = stakingContract.interface.parseLog(log);
+        if (event?.name === "Claimed") {
+          totalStaked += event.args.stakedAmount;
+          totalRewards += event.args.rewardAmount;
+        } else if (event?.name === "BatchDistributed") {
+          batchPaid = Number(event.args.paidCount);
+        }
+      }
+      paidCount += batchPaid;
+
+      batches.push({ hash: receipt.hash, from: start, to: end, paidCount: batchPaid, gasUsed: receipt.gasUsed });
+      console.log(
+        `Batch ${batches.length}: stakers ${start}-${end - 1}, ${batchPaid} paid, ${receipt.gasUsed} gas (${receipt.hash})`
+      );
+
+      start = end;
+    }
+
+    const skippedCount = stakerCount - paidCount;
+    console.log(
+      `Paid ${paidCount} of ${stakerCount} stakers in ${batches.length} batches: ` +
+      `${ethers.formatUnits(totalStaked, decimals)} tokens principal, ` +
+      `${ethers.formatUnits(totalRewards, decimals)} tokens rewards; ` +
+      `${skippedCount} already claimed, empty or locked`
+    );
+
+    return { batches, paidCount, skippedCount, totalStaked, totalRewards };
+  });
@@ -0,0 +1,14 @@
+const fs = require("fs");
+
+// Minimal CSV reader for the staking tasks: one record per line, comma
+// separated, no quoting. Blank lines and lines starting with # are skipped.
+function readCsv(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "" && !line.startsWith("#"))
+    .map((line) => line.split(",").map((field) => field.trim()));
+}
+
+module.exports = { readCsv };
@@ -0,0 +1,33 @@
+// Gas budgeting for the batching tasks: each batch must fit in the block gas
+// limit configured for the Hardhat network, with some headroom.
+
+const GAS_HEADROOM_BPS = 1000n; // Keep each batch 10% under the block gas limit
+
+function blockGasLimit(hre) {
+  return BigInt(hre.config.networks.hardhat.blockGasLimit);
+}
+
+function gasBudget(hre) {
+  const limit = blockGasLimit(hre);
+  return limit - (limit * GAS_HEADROOM_BPS) / 10_000n;
+}
+
+// Estimate a batch transaction. A batch above the block gas limit fails to
+// estimate instead of returning a figure, so report it as just over the limit.
+async function estimateBatchGas(estimate, hre) {
+  try {
+    return await estimate();
+  } catch (error) {
+    if (/out of gas/i.test(error.message)) {
+      return blockGasLimit(hre) + 1n;
+    }
+    throw error;
+  }
+}
+
+// Shrink a batch size in proportion to the gas overshoot
+function shrinkBatchSize(size, gas, budget) {
+  return Math.min(size - 1, Number((BigInt(size) * budget) / gas));
+}
+
+module.exports = { gasBudget, estimateBatchGas, shrinkBatchSize };
@@ -0,0 +1,46 @@
+const { ethers } = require("ethers");
+
+// Merkle tree of (address, allocation) leaves, compatible with OpenZeppelin's
+// MerkleProof: leaves are double hashed and each pair is hashed in sorted order.
+function allowlistLeaf(account, allocation) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [account, allocation]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+// Build the tree over the leaves in order. Returns the root and a proof per
+// leaf; an unpaired node is carried up to the next layer as is.
+function buildMerkleTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error("Cannot build a Merkle tree without leaves");
+  }
+
+  const proofs = leaves.map(() => []);
+  let positions = leaves.map((_, index) => index);
+  let layer = leaves;
+
+  while (layer.length > 1) {
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+
+    positions = positions.map((position, leafIndex) => {
+      const sibling = position ^ 1;
+      if (sibling < layer.length) {
+        proofs[leafIndex].push(layer[sibling]);
+      }
+      return position >> 1;
+    });
+    layer = next;
+  }
+
+  return { root: layer[0], proofs };
+}
+
+module.exports = { allowlistLeaf, buildMerkleTree };
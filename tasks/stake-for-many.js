@@ -0,0 +1,100 @@
+const { task, types } = require("hardhat/config");
+const { readCsv } = require("./lib/csv");
+const { gasBudget, estimateBatchGas, shrinkBatchSize } = require("./lib/gas");
+
+const IERC20_METADATA = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+const INITIAL_BATCH_SIZE = 100; // Beneficiaries tried in the first batch
+
+// Read beneficiary,amount rows; amounts are in whole tokens. A header row is skipped.
+function readBeneficiaries(file, decimals, ethers) {
+  const rows = readCsv(file);
+  if (rows.length > 0 && !ethers.isAddress(rows[0][0]) && Number.isNaN(Number(rows[0][1]))) {
+    rows.shift();
+  }
+
+  return rows.map(([beneficiary, amount], index) => {
+    if (!ethers.isAddress(beneficiary)) {
+      throw new Error(`Row ${index + 1}: invalid beneficiary "${beneficiary}"`);
+    }
+    const parsedAmount = ethers.parseUnits(amount ?? "", decimals);
+    if (parsedAmount <= 0n) {
+      throw new Error(`Row ${index + 1}: amount must be greater than 0`);
+    }
+    return { beneficiary: ethers.getAddress(beneficiary), amount: parsedAmount };
+  });
+}
+
+function estimateStakeForMany(stakingContract, batch, hre) {
+  return estimateBatchGas(
+    () => stakingContract.stakeForMany.estimateGas(
+      batch.map((entry) => entry.beneficiary),
+      batch.map((entry) => entry.amount)
+    ),
+    hre
+  );
+}
+
+task("stake-for-many", "Stakes tokens for the beneficiaries listed in a CSV file")
+  .addParam("staking", "Address of the StakingContract")
+  .addParam("csv", "CSV file of beneficiary,amount rows, amounts in whole tokens")
+  .addOptionalParam("batchSize", "Beneficiaries tried in the first batch", INITIAL_BATCH_SIZE, types.int)
+  .setAction(async ({ staking, csv, batchSize }, hre) => {
+    const { ethers } = hre;
+    const [payer] = await ethers.getSigners();
+
+    const stakingContract = await ethers.getContractAt("StakingContract", staking, payer);
+    const stakingToken = await ethers.getContractAt(IERC20_METADATA, await stakingContract.stakingToken(), payer);
+
+    const entries = readBeneficiaries(csv, await stakingToken.decimals(), ethers);
+    if (entries.length === 0) {
+      throw new Error(`No beneficiaries in ${csv}`);
+    }
+    const totalAmount = entries.reduce((sum, entry) => sum + entry.amount, 0n);
+
+    const allowance = await stakingToken.allowance(payer.address, staking);
+    if (allowance < totalAmount) {
+      await (await stakingToken.approve(staking, totalAmount)).wait();
+    }
+
+    const budget = gasBudget(hre);
+
+    const batches = [];
+    let start = 0;
+    let size = batchSize;
+    while (start < entries.length) {
+      let batch = entries.slice(start, start + size);
+      let gas = await estimateStakeForMany(stakingContract, batch, hre);
+
+      // Shrink the batch in proportion to the overshoot until it fits
+      while (gas > budget) {
+        size = shrinkBatchSize(batch.length, gas, budget);
+        if (size < 1) {
+          throw new Error(`A single stake needs ${gas} gas, above the ${budget} gas budget`);
+        }
+        batch = entries.slice(start, start + size);
+        gas = await estimateStakeForMany(stakingContract, batch, hre);
+      }
+
+      const tx = await stakingContract.stakeForMany(
+        batch.map((entry) => entry.beneficiary),
+        batch.map((entry) => entry.amount),
+        { gasLimit: gas }
+      );
+      const receipt = await tx.wait();
+
+      batches.push({ hash: receipt.hash, size: batch.length, gasUsed: receipt.gasUsed });
+      console.log(`Batch ${batches.length}: ${batch.length} beneficiaries, ${receipt.gasUsed} gas (${receipt.hash})`);
+
+      start += batch.length;
+    }
+
+    console.log(
+      `Staked ${ethers.formatUnits(totalAmount, await stakingToken.decimals())} tokens for ` +
+      `${entries.length} beneficiaries in ${batches.length} batches`
+    );
+
+    return { batches, totalAmount };
+  });
+
+module.exports = { readBeneficiaries };
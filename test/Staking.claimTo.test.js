@@ -0,0 +1,201 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+const { signClaim } = require("./signatures");
+
+describe("StakingContract - Claim Recipients & Signed Claims", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+  const SIGNATURE_LIFETIME = 60 * 60; // 1 hour
+
+  async function stakingEndedFixture() {
+    const [owner, relayer, user1, user2, newWallet] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    await stakingContract.startStaking();
+    await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+    await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+    await stakingContract.depositRewards(STAKE_AMOUNT * 2n * REWARD_BPS / BPS_DENOMINATOR);
+    await time.increase(STAKING_DURATION);
+
+    return { stakingContract, stakingToken, owner, relayer, user1, user2, newWallet };
+  }
+
+  async function signatureDeadline() {
+    return BigInt(await time.latest()) + BigInt(SIGNATURE_LIFETIME);
+  }
+
+  function expectedPayout() {
+    return STAKE_AMOUNT + STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  describe("claim", function () {
+    it("Should name the caller as recipient", async function () {
+      const { stakingContract, user1 } = await loadFixture(stakingEndedFixture);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, STAKE_AMOUNT, expectedPayout() - STAKE_AMOUNT);
+    });
+  });
+
+  describe("claimTo", function () {
+    it("Should send principal and rewards to the recipient", async function () {
+      const { stakingContract, stakingToken, user1, newWallet } = await loadFixture(stakingEndedFixture);
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).claimTo(ROUND_ID, newWallet.address))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, newWallet.address, STAKE_AMOUNT, expectedPayout() - STAKE_AMOUNT);
+
+      expect(await stakingToken.balanceOf(newWallet.address)).to.equal(expectedPayout());
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(initialBalance);
+
+      const [, claimed] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(claimed).to.be.true;
+    });
+
+    it("Should not allow claiming again through claim", async function () {
+      const { stakingContract, user1, newWallet } = await loadFixture(stakingEndedFixture);
+
+      await stakingContract.connect(user1).claimTo(ROUND_ID, newWallet.address);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "AlreadyClaimed");
+    });
+
+    it("Should revert for the zero address", async function () {
+      const { stakingContract, user1 } = await loadFixture(stakingEndedFixture);
+
+      await expect(stakingContract.connect(user1).claimTo(ROUND_ID, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidRecipient");
+    });
+
+    it("Should revert before the round ends", async function () {
+      const { stakingContract, user1, newWallet } = await loadFixture(stakingEndedFixture);
+
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await expect(stakingContract.connect(user1).claimTo(ROUND_ID + 1, newWallet.address))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+    });
+
+    it("Should revert while claiming is paused", async function () {
+      const { stakingContract, user1, newWallet } = await loadFixture(stakingEndedFixture);
+
+      await stakingContract.pauseClaiming();
+
+      await expect(stakingContract.connect(user1).claimTo(ROUND_ID, newWallet.address))
+        .to.be.revertedWithCustomError(stakingContract, "ClaimingIsPaused");
+    });
+  });
+
+  describe("claimBySig", function () {
+    it("Should let a relayer submit a claim the staker signed", async function () {
+      const { stakingContract, stakingToken, relayer, user1, newWallet } = await loadFixture(stakingEndedFixture);
+
+      const deadline = await signatureDeadline();
+      const signature = await signClaim(stakingContract, user1, ROUND_ID, newWallet.address, deadline);
+
+      await expect(stakingContract.connect(relayer).claimBySig(ROUND_ID, user1.address, newWallet.address, deadline, signature))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, newWallet.address, STAKE_AMOUNT, expectedPayout() - STAKE_AMOUNT);
+
+      expect(await stakingToken.balanceOf(newWallet.address)).to.equal(expectedPayout());
+      expect(await stakingToken.balanceOf(relayer.address)).to.equal(0);
+      expect(await stakingContract.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should expose the EIP-712 domain", async function () {
+      const { stakingContract } = await loadFixture(stakingEndedFixture);
+
+      const { chainId } = await ethers.provider.getNetwork();
+      const expected = ethers.TypedDataEncoder.hashDomain({
+        name: "StakingContract",
+        version: "1",
+        chainId,
+        verifyingContract: stakingContract.target,
+      });
+
+      expect(await stakingContract.DOMAIN_SEPARATOR()).to.equal(expected);
+    });
+
+    it("Should revert with an expired signature", async function () {
+      const { stakingContract, relayer, user1 } = await loadFixture(stakingEndedFixture);
+
+      const deadline = await signatureDeadline();
+      const signature = await signClaim(stakingContract, user1, ROUND_ID, user1.address, deadline);
+
+      await time.increase(SIGNATURE_LIFETIME + 1);
+
+      await expect(stakingContract.connect(relayer).claimBySig(ROUND_ID, user1.address, user1.address, deadline, signature))
+        .to.be.revertedWithCustomError(stakingContract, "SignatureExpired");
+    });
+
+    it("Should revert with a signature from another account", async function () {
+      const { stakingContract, relayer, user1, user2 } = await loadFixture(stakingEndedFixture);
+
+      const deadline = await signatureDeadline();
+      const signature = await signClaim(stakingContract, user2, ROUND_ID, user2.address, deadline, 0n);
+
+      await expect(stakingContract.connect(relayer).claimBySig(ROUND_ID, user1.address, user2.address, deadline, signature))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidSignature");
+    });
+
+    it("Should revert when the recipient is changed", async function () {
+      const { stakingContract, relayer, user1, newWallet } = await loadFixture(stakingEndedFixture);
+
+      const deadline = await signatureDeadline();
+      const signature = await signClaim(stakingContract, user1, ROUND_ID, newWallet.address, deadline);
+
+      await expect(stakingContract.connect(relayer).claimBySig(ROUND_ID, user1.address, relayer.address, deadline, signature))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidSignature");
+    });
+
+    it("Should revert when a signature is replayed", async function () {
+      const { stakingContract, relayer, user1 } = await loadFixture(stakingEndedFixture);
+
+      // Authorize claims for two rounds with the same signature nonce
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      const deadline = await signatureDeadline();
+      const signature = await signClaim(stakingContract, user1, ROUND_ID, user1.address, deadline);
+      await stakingContract.connect(relayer).claimBySig(ROUND_ID, user1.address, user1.address, deadline, signature);
+
+      await expect(stakingContract.connect(relayer).claimBySig(ROUND_ID, user1.address, user1.address, deadline, signature))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidSignature");
+
+      const staleSignature = await signClaim(stakingContract, user1, ROUND_ID + 1, user1.address, deadline, 0n);
+      await expect(stakingContract.connect(relayer).claimBySig(ROUND_ID + 1, user1.address, user1.address, deadline, staleSignature))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidSignature");
+    });
+
+    it("Should revert for a stake that is already claimed", async function () {
+      const { stakingContract, relayer, user1 } = await loadFixture(stakingEndedFixture);
+
+      await stakingContract.connect(user1).claim(ROUND_ID);
+
+      const deadline = await signatureDeadline();
+      const signature = await signClaim(stakingContract, user1, ROUND_ID, user1.address, deadline);
+
+      await expect(stakingContract.connect(relayer).claimBySig(ROUND_ID, user1.address, user1.address, deadline, signature))
+        .to.be.revertedWithCustomError(stakingContract, "AlreadyClaimed");
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+
+describe("StakingContract - Batch Distribution", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000", 18); // 1K tokens
+
+  async function deployFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2, user3]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    await stakingContract.startStaking();
+    await stakingContract.depositRewards(ethers.parseUnits("10000000", 18));
+
+    return { stakingContract, stakingToken, owner, user1, user2, user3 };
+  }
+
+  async function endedRoundFixture() {
+    const fixture = await deployFixture();
+    const { stakingContract, user1, user2, user3 } = fixture;
+
+    await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+    await stakingContract.connect(user2).stake(STAKE_AMOUNT * 2n);
+    await stakingContract.connect(user3).stake(STAKE_AMOUNT * 3n);
+    await time.increase(STAKING_DURATION);
+
+    return fixture;
+  }
+
+  function rewardOn(amount) {
+    return amount * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  describe("distributeBatch", function () {
+    it("Should pay principal and reward to every staker in the slice", async function () {
+      const { stakingContract, stakingToken, user1, user2, user3 } = await loadFixture(endedRoundFixture);
+
+      const balanceBefore = await stakingToken.balanceOf(user2.address);
+      await expect(stakingContract.distributeBatch(ROUND_ID, 0, 2))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, STAKE_AMOUNT, rewardOn(STAKE_AMOUNT))
+        .and.to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user2.address, user2.address, STAKE_AMOUNT * 2n, rewardOn(STAKE_AMOUNT * 2n))
+        .and.to.emit(stakingContract, "BatchDistributed")
+        .withArgs(ROUND_ID, 0, 2, 2);
+
+      expect(await stakingToken.balanceOf(user2.address))
+        .to.equal(balanceBefore + STAKE_AMOUNT * 2n + rewardOn(STAKE_AMOUNT * 2n));
+      expect((await stakingContract.stakes(ROUND_ID, user1.address)).claimed).to.be.true;
+      expect((await stakingContract.stakes(ROUND_ID, user3.address)).claimed).to.be.false;
+    });
+
+    it("Should skip stakers that already claimed", async function () {
+      const { stakingContract, user2 } = await loadFixture(endedRoundFixture);
+
+      await stakingContract.connect(user2).claim(ROUND_ID);
+
+      await expect(stakingContract.distributeBatch(ROUND_ID, 0, 3))
+        .to.emit(stakingContract, "BatchDistributed")
+        .withArgs(ROUND_ID, 0, 3, 2);
+      await expect(stakingContract.distributeBatch(ROUND_ID, 0, 3))
+        .to.emit(stakingContract, "BatchDistributed")
+        .withArgs(ROUND_ID, 0, 3, 0);
+      expect(await stakingContract.outstandingPrincipal()).to.equal(0);
+    });
+
+    it("Should skip stakers that fully unstaked", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user1).unstake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.distributeBatch(ROUND_ID, 0, 2))
+        .to.emit(stakingContract, "BatchDistributed")
+        .withArgs(ROUND_ID, 0, 2, 1);
+    });
+
+    it("Should skip stakes still locked by their tier", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployFixture);
+
+      const lockDuration = 30 * 24 * 60 * 60; // 30 days
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startTieredRound(
+        24 * 60 * 60,
+        STAKING_DURATION,
+        REWARD_BPS,
+        ethers.parseUnits("1000000", 18),
+        [{ minStake: 0, lockDuration, rewardBps: REWARD_BPS }]
+      );
+      await stakingContract.connect(user1).stakeWithTier(STAKE_AMOUNT, 1);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.distributeBatch(ROUND_ID + 1, 0, 2))
+        .to.emit(stakingContract, "BatchDistributed")
+        .withArgs(ROUND_ID + 1, 0, 2, 1);
+
+      await time.increase(lockDuration);
+      await expect(stakingContract.distributeBatch(ROUND_ID + 1, 0, 2))
+        .to.emit(stakingContract, "BatchDistributed")
+        .withArgs(ROUND_ID + 1, 0, 2, 1);
+    });
+
+    it("Should cap the slice at the number of stakers", async function () {
+      const { stakingContract } = await loadFixture(endedRoundFixture);
+
+      await expect(stakingContract.distributeBatch(ROUND_ID, 1, 100))
+        .to.emit(stakingContract, "BatchDistributed")
+        .withArgs(ROUND_ID, 1, 3, 2);
+    });
+
+    it("Should reject an empty slice", async function () {
+      const { stakingContract } = await loadFixture(endedRoundFixture);
+
+      await expect(stakingContract.distributeBatch(ROUND_ID, 2, 2))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidRange");
+      await expect(stakingContract.distributeBatch(ROUND_ID, 3, 10))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidRange");
+    });
+
+    it("Should only distribute ended rounds", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await expect(stakingContract.distributeBatch(ROUND_ID, 0, 1))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+    });
+
+    it("Should not distribute while claiming is paused", async function () {
+      const { stakingContract } = await loadFixture(endedRoundFixture);
+
+      await stakingContract.pauseClaiming();
+
+      await expect(stakingContract.distributeBatch(ROUND_ID, 0, 3))
+        .to.be.revertedWithCustomError(stakingContract, "ClaimingIsPaused");
+    });
+
+    it("Should only let the campaign admin distribute", async function () {
+      const { stakingContract, user1 } = await loadFixture(endedRoundFixture);
+
+      await expect(stakingContract.connect(user1).distributeBatch(ROUND_ID, 0, 3))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+
+    it("Should redeem the receipts each listed staker holds in a receipt round", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployFixture);
+
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID + 1);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await receiptToken.connect(user2).transfer(user1.address, STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.distributeBatch(ROUND_ID + 1, 0, 2))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID + 1, user1.address, user1.address, STAKE_AMOUNT * 2n, rewardOn(STAKE_AMOUNT * 2n))
+        .and.to.emit(stakingContract, "BatchDistributed")
+        .withArgs(ROUND_ID + 1, 0, 2, 1);
+      expect(await receiptToken.totalSupply()).to.equal(0);
+    });
+  });
+
+  describe("distribute task", function () {
+    const STAKER_COUNT = 250;
+
+    function stakerAddress(index) {
+      return ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(index + 1), 20));
+    }
+
+    async function manyStakersFixture() {
+      const fixture = await deployFixture();
+      const { stakingContract } = fixture;
+
+      const beneficiaries = Array.from({ length: STAKER_COUNT }, (_, i) => stakerAddress(i));
+      for (let i = 0; i < STAKER_COUNT; i += 50) {
+        const batch = beneficiaries.slice(i, i + 50);
+        await stakingContract.stakeForMany(batch, batch.map(() => STAKE_AMOUNT));
+      }
+      await time.increase(STAKING_DURATION);
+
+      return fixture;
+    }
+
+    it("Should pay every unclaimed staker in batches under the block gas limit", async function () {
+      const { stakingContract, stakingToken } = await loadFixture(manyStakersFixture);
+
+      const { batches, paidCount, skippedCount, totalStaked, totalRewards } = await hre.run("distribute", {
+        staking: stakingContract.target,
+        round: ROUND_ID,
+        batchSize: STAKER_COUNT,
+      });
+
+      const blockGasLimit = BigInt(hre.config.networks.hardhat.blockGasLimit);
+      expect(batches.length).to.be.greaterThan(1);
+      for (const batch of batches) {
+        expect(batch.gasUsed).to.be.lessThan(blockGasLimit);
+      }
+      expect(batches[batches.length - 1].to).to.equal(STAKER_COUNT);
+
+      expect(paidCount).to.equal(STAKER_COUNT);
+      expect(skippedCount).to.equal(0);
+      expect(totalStaked).to.equal(STAKE_AMOUNT * BigInt(STAKER_COUNT));
+      expect(totalRewards).to.equal(rewardOn(STAKE_AMOUNT) * BigInt(STAKER_COUNT));
+      expect(await stakingToken.balanceOf(stakerAddress(STAKER_COUNT - 1)))
+        .to.equal(STAKE_AMOUNT + rewardOn(STAKE_AMOUNT));
+      expect(await stakingContract.outstandingPrincipal()).to.equal(0);
+    });
+
+    it("Should count stakers paid by an earlier run as skipped", async function () {
+      const { stakingContract } = await loadFixture(manyStakersFixture);
+
+      await stakingContract.distributeBatch(ROUND_ID, 0, 20);
+
+      const { paidCount, skippedCount } = await hre.run("distribute", {
+        staking: stakingContract.target,
+        round: ROUND_ID,
+      });
+
+      expect(paidCount).to.equal(STAKER_COUNT - 20);
+      expect(skippedCount).to.equal(20);
+    });
+
+    it("Should reject a round without stakers", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      await expect(hre.run("distribute", { staking: stakingContract.target, round: ROUND_ID }))
+        .to.be.rejectedWith(`Round ${ROUND_ID} has no stakers`);
+    });
+  });
+});
@@ -0,0 +1,404 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { INITIAL_SUPPLY, STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+
+describe("StakingContract - Emergency Controls & Error Cases", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  // Mirrors StakingContract.SettlementMode
+  const SettlementMode = { Full: 0, ProRata: 1 };
+  // Mirrors StakingContract.PenaltyDestination
+  const PenaltyDestination = { Owner: 0, RewardPool: 1, Stakers: 2 };
+
+  async function deployFixture(settlementMode) {
+    const [owner, pauser, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking({ settlementMode });
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    await stakingToken.transfer(user1.address, userAmount);
+    await stakingToken.transfer(user2.address, userAmount);
+    await stakingToken.connect(user1).approve(stakingContract.target, userAmount);
+    await stakingToken.connect(user2).approve(stakingContract.target, userAmount);
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    await stakingContract.grantRole(await stakingContract.PAUSER_ROLE(), pauser.address);
+    await stakingContract.startStaking();
+    await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+    return { stakingContract, stakingToken, owner, pauser, user1, user2 };
+  }
+
+  async function deployAndStakeFixture() {
+    return deployFixture(SettlementMode.Full);
+  }
+
+  async function proRataFixture() {
+    return deployFixture(SettlementMode.ProRata);
+  }
+
+  describe("Staking Pause", function () {
+    it("Should allow the deployer and a pauser to pause and unpause staking", async function () {
+      const { stakingContract, owner, pauser } = await loadFixture(deployAndStakeFixture);
+
+      await expect(stakingContract.pauseStaking())
+        .to.emit(stakingContract, "StakingPaused")
+        .withArgs(owner.address);
+      expect(await stakingContract.stakingPaused()).to.be.true;
+
+      await expect(stakingContract.connect(pauser).unpauseStaking())
+        .to.emit(stakingContract, "StakingUnpaused")
+        .withArgs(pauser.address);
+      expect(await stakingContract.stakingPaused()).to.be.false;
+    });
+
+    it("Should not allow other accounts to pause or unpause staking", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await expect(stakingContract.connect(user1).pauseStaking())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.PAUSER_ROLE());
+
+      await stakingContract.pauseStaking();
+      await expect(stakingContract.connect(user1).unpauseStaking())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.PAUSER_ROLE());
+    });
+
+    it("Should revert when pausing twice or unpausing while not paused", async function () {
+      const { stakingContract } = await loadFixture(deployAndStakeFixture);
+
+      await expect(stakingContract.unpauseStaking())
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotPaused");
+
+      await stakingContract.pauseStaking();
+      await expect(stakingContract.pauseStaking())
+        .to.be.revertedWithCustomError(stakingContract, "StakingIsPaused");
+    });
+
+    it("Should revert stake while paused and accept it after unpausing", async function () {
+      const { stakingContract, user2 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.pauseStaking();
+      await expect(stakingContract.connect(user2).stake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "StakingIsPaused");
+
+      await stakingContract.unpauseStaking();
+      await expect(stakingContract.connect(user2).stake(STAKE_AMOUNT))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, user2.address, STAKE_AMOUNT);
+    });
+
+    it("Should revert restake while staking is paused", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+      await stakingContract.pauseStaking();
+
+      await expect(stakingContract.connect(user1).restake(ROUND_ID, false))
+        .to.be.revertedWithCustomError(stakingContract, "StakingIsPaused");
+    });
+
+    it("Should still allow claims while staking is paused", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.depositRewards(STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR);
+      await stakingContract.pauseStaking();
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed");
+    });
+  });
+
+  describe("Claiming Pause", function () {
+    it("Should allow the deployer and a pauser to pause and unpause claiming", async function () {
+      const { stakingContract, owner, pauser } = await loadFixture(deployAndStakeFixture);
+
+      await expect(stakingContract.connect(pauser).pauseClaiming())
+        .to.emit(stakingContract, "ClaimingPaused")
+        .withArgs(pauser.address);
+      expect(await stakingContract.claimingPaused()).to.be.true;
+
+      await expect(stakingContract.unpauseClaiming())
+        .to.emit(stakingContract, "ClaimingUnpaused")
+        .withArgs(owner.address);
+      expect(await stakingContract.claimingPaused()).to.be.false;
+    });
+
+    it("Should not allow other accounts to pause or unpause claiming", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await expect(stakingContract.connect(user1).pauseClaiming())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.PAUSER_ROLE());
+
+      await stakingContract.pauseClaiming();
+      await expect(stakingContract.connect(user1).unpauseClaiming())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.PAUSER_ROLE());
+    });
+
+    it("Should revert when pausing twice or unpausing while not paused", async function () {
+      const { stakingContract } = await loadFixture(deployAndStakeFixture);
+
+      await expect(stakingContract.unpauseClaiming())
+        .to.be.revertedWithCustomError(stakingContract, "ClaimingNotPaused");
+
+      await stakingContract.pauseClaiming();
+      await expect(stakingContract.pauseClaiming())
+        .to.be.revertedWithCustomError(stakingContract, "ClaimingIsPaused");
+    });
+
+    it("Should revert claim while paused and pay it after unpausing", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      await stakingContract.depositRewards(reward);
+      await stakingContract.pauseClaiming();
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "ClaimingIsPaused");
+
+      await stakingContract.unpauseClaiming();
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, STAKE_AMOUNT, reward);
+    });
+
+    it("Should revert unstake while claiming is paused", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.pauseClaiming();
+
+      await expect(stakingContract.connect(user1).unstake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "ClaimingIsPaused");
+    });
+
+    it("Should revert restake while claiming is paused", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+      await stakingContract.pauseClaiming();
+
+      await expect(stakingContract.connect(user1).restake(ROUND_ID, false))
+        .to.be.revertedWithCustomError(stakingContract, "ClaimingIsPaused");
+    });
+
+    it("Should still allow stakes while claiming is paused", async function () {
+      const { stakingContract, user2 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.pauseClaiming();
+
+      await expect(stakingContract.connect(user2).stake(STAKE_AMOUNT))
+        .to.emit(stakingContract, "Staked");
+    });
+  });
+
+  describe("Emergency Mode", function () {
+    it("Should allow a pauser to enable emergency mode", async function () {
+      const { stakingContract, pauser } = await loadFixture(deployAndStakeFixture);
+
+      await expect(stakingContract.connect(pauser).enableEmergencyMode())
+        .to.emit(stakingContract, "EmergencyModeEnabled")
+        .withArgs(pauser.address);
+
+      expect(await stakingContract.emergencyMode()).to.be.true;
+    });
+
+    it("Should not allow other accounts to enable emergency mode", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await expect(stakingContract.connect(user1).enableEmergencyMode())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.PAUSER_ROLE());
+    });
+
+    it("Should not allow enabling emergency mode twice", async function () {
+      const { stakingContract } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.enableEmergencyMode();
+
+      await expect(stakingContract.enableEmergencyMode())
+        .to.be.revertedWithCustomError(stakingContract, "EmergencyModeActive");
+    });
+
+    it("Should return principal without rewards before the round ends", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.depositRewards(STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR);
+      await stakingContract.enableEmergencyMode();
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+      await expect(stakingContract.connect(user1).emergencyWithdraw(ROUND_ID))
+        .to.emit(stakingContract, "EmergencyWithdrawn")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT);
+      const finalBalance = await stakingToken.balanceOf(user1.address);
+
+      expect(finalBalance - initialBalance).to.equal(STAKE_AMOUNT);
+
+      const [, claimed] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(claimed).to.be.true;
+    });
+
+    it("Should release the forfeited obligations", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      const deposit = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      await stakingContract.depositRewards(deposit);
+      await stakingContract.enableEmergencyMode();
+      await stakingContract.connect(user1).emergencyWithdraw(ROUND_ID);
+
+      expect(await stakingContract.totalObligations()).to.equal(0);
+
+      await time.increase(STAKING_DURATION);
+      expect(await stakingContract.withdrawableSurplus()).to.equal(deposit);
+    });
+
+    it("Should keep the other stakers' pro-rata share in a settled round", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(proRataFixture);
+
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await stakingContract.depositRewards(STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.settleRound(ROUND_ID);
+
+      const effectiveRate = await stakingContract.effectiveRewardBps(ROUND_ID);
+
+      await stakingContract.enableEmergencyMode();
+      await stakingContract.connect(user1).emergencyWithdraw(ROUND_ID);
+
+      expect(await stakingContract.effectiveRewardBps(ROUND_ID)).to.equal(effectiveRate);
+      // user2's principal and half of its reward remain owed
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      expect(await stakingContract.totalObligations()).to.equal(STAKE_AMOUNT + reward / 2n);
+    });
+
+    it("Should take the withdrawn stake out of the round's totals", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await stakingContract.enableEmergencyMode();
+      await stakingContract.connect(user1).emergencyWithdraw(ROUND_ID);
+
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(STAKE_AMOUNT);
+      expect((await stakingContract.getOverview()).totalStaked).to.equal(STAKE_AMOUNT);
+      expect(await stakingContract.outstandingRewards()).to.equal(STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR);
+    });
+
+    it("Should take the withdrawn stake's share of redistributed penalties out of the round", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.setUnstakePenalty(1000, PenaltyDestination.Stakers);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT * 2n);
+      await stakingContract.connect(user2).unstake(STAKE_AMOUNT);
+      const penalties = STAKE_AMOUNT / 10n;
+
+      await stakingContract.enableEmergencyMode();
+      await stakingContract.connect(user1).emergencyWithdraw(ROUND_ID);
+
+      const round = await stakingContract.rounds(ROUND_ID);
+      expect(round.redistributedPenalties).to.equal(penalties / 2n);
+      expect(round.rewardObligation).to.equal(STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR + penalties / 2n);
+      const [, , reward] = await stakingContract.getUserStakeInfo(ROUND_ID, user2.address);
+      expect(reward).to.equal(round.rewardObligation);
+    });
+
+    it("Should refuse new reward tokens and keep the surplus withdrawable after a withdrawal", async function () {
+      const { stakingContract, stakingToken, owner, user1, user2 } = await loadFixture(deployAndStakeFixture);
+
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await stakingContract.depositRewards(reward * 2n);
+      await stakingContract.enableEmergencyMode();
+      await stakingContract.connect(user1).emergencyWithdraw(ROUND_ID);
+
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const rewardToken = await MockToken.deploy("Reward Token", "RWD", INITIAL_SUPPLY);
+      await expect(stakingContract.addRewardToken(ROUND_ID, rewardToken.target, 100))
+        .to.be.revertedWithCustomError(stakingContract, "EmergencyModeActive");
+
+      await time.increase(STAKING_DURATION);
+      expect(await stakingContract.withdrawableSurplus()).to.equal(reward);
+      const balanceBefore = await stakingToken.balanceOf(owner.address);
+      await stakingContract.withdrawUnusedTokens(reward);
+      expect(await stakingToken.balanceOf(owner.address)).to.equal(balanceBefore + reward);
+      expect(await stakingContract.totalObligations()).to.equal(STAKE_AMOUNT + reward);
+    });
+
+    it("Should halt stake, claim, unstake and restake", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.enableEmergencyMode();
+
+      await expect(stakingContract.connect(user2).stake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "EmergencyModeActive");
+      await expect(stakingContract.connect(user1).unstake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "EmergencyModeActive");
+
+      await time.increase(STAKING_DURATION);
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "EmergencyModeActive");
+
+      await stakingContract.startStaking();
+      await expect(stakingContract.connect(user1).restake(ROUND_ID, false))
+        .to.be.revertedWithCustomError(stakingContract, "EmergencyModeActive");
+    });
+
+    it("Should allow emergency withdrawals while claiming is paused", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.pauseClaiming();
+      await stakingContract.enableEmergencyMode();
+
+      await expect(stakingContract.connect(user1).emergencyWithdraw(ROUND_ID))
+        .to.emit(stakingContract, "EmergencyWithdrawn");
+    });
+
+    it("Should revert emergency withdrawal when emergency mode is not active", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await expect(stakingContract.connect(user1).emergencyWithdraw(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "EmergencyModeNotActive");
+    });
+
+    it("Should revert emergency withdrawal without a stake", async function () {
+      const { stakingContract, user2 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.enableEmergencyMode();
+
+      await expect(stakingContract.connect(user2).emergencyWithdraw(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "NoTokensStaked");
+    });
+
+    it("Should revert a second emergency withdrawal", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.enableEmergencyMode();
+      await stakingContract.connect(user1).emergencyWithdraw(ROUND_ID);
+
+      await expect(stakingContract.connect(user1).emergencyWithdraw(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "AlreadyClaimed");
+    });
+
+    it("Should revert emergency withdrawal of an already claimed stake", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStakeFixture);
+
+      await stakingContract.depositRewards(STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      await stakingContract.enableEmergencyMode();
+
+      await expect(stakingContract.connect(user1).emergencyWithdraw(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "AlreadyClaimed");
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { INITIAL_SUPPLY } = require("./config");
+
+const StakingModule = require("../ignition/modules/Staking");
+const MockStakingModule = require("../ignition/modules/MockStaking");
+const MockStakingLaunchModule = require("../ignition/modules/MockStakingLaunch");
+
+describe("StakingContract - Ignition Modules", function () {
+  async function deployMockStakingFixture() {
+    return ignition.deploy(MockStakingModule);
+  }
+
+  async function deployMockStakingLaunchFixture() {
+    return ignition.deploy(MockStakingLaunchModule);
+  }
+
+  describe("StakingModule", function () {
+    it("Should deploy against the given staking token", async function () {
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const stakingToken = await MockToken.deploy("UOMI Token", "UOMI", INITIAL_SUPPLY);
+
+      const { staking } = await ignition.deploy(StakingModule, {
+        parameters: { StakingModule: { stakingToken: stakingToken.target } },
+      });
+
+      expect(await staking.stakingToken()).to.equal(stakingToken.target);
+      expect(await staking.currentRoundId()).to.equal(0);
+    });
+  });
+
+  describe("MockStakingModule", function () {
+    it("Should deploy a mock token and a staking contract using it", async function () {
+      const { stakingToken, staking } = await loadFixture(deployMockStakingFixture);
+      const [owner] = await ethers.getSigners();
+
+      expect(await staking.stakingToken()).to.equal(stakingToken.target);
+      expect(await staking.owner()).to.equal(owner.address);
+      expect(await stakingToken.balanceOf(owner.address)).to.equal(INITIAL_SUPPLY);
+    });
+  });
+
+  describe("MockStakingLaunchModule", function () {
+    it("Should fund the required rewards and start staking", async function () {
+      const { stakingToken, staking } = await loadFixture(deployMockStakingLaunchFixture);
+
+      const roundId = await staking.currentRoundId();
+      const requiredRewards = await staking.requiredRewards(roundId);
+
+      expect(roundId).to.equal(1);
+      expect(await stakingToken.balanceOf(staking.target)).to.equal(requiredRewards);
+      expect(await staking.isDepositWindowOpen(roundId)).to.be.true;
+    });
+
+    it("Should fund the rewards before opening the deposit window", async function () {
+      const { staking } = await loadFixture(deployMockStakingLaunchFixture);
+
+      const [deposited] = await staking.queryFilter(staking.filters.RewardsDeposited());
+      const [started] = await staking.queryFilter(staking.filters.StakingStarted());
+
+      expect(deposited.blockNumber).to.be.lessThan(started.blockNumber);
+    });
+  });
+});
@@ -1,5 +1,13 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const {
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  deployStaking,
+} = require("./config");
 
 describe("StakingContract - Incremental Staking", function () {
   let stakingContract;
@@ -9,21 +17,13 @@ describe("StakingContract - Incremental Staking", function () {
   let user2;
   let user3;
 
-  const INITIAL_SUPPLY = ethers.parseUnits("2000000000", 18); // 2B tokens
-  const DEPOSIT_WINDOW = 24 * 60 * 60; // 24 hours
-  const STAKING_DURATION = 14 * 24 * 60 * 60; // 14 days
-  const MAX_TOTAL_STAKE = ethers.parseUnits("150000000", 18); // 150M tokens
+  const ROUND_ID = 1; // First round opened by startStaking()
 
   beforeEach(async function () {
     [owner, user1, user2, user3] = await ethers.getSigners();
 
-    // Deploy mock ERC20 token
-    const MockERC20 = await ethers.getContractFactory("MockERC20");
-    token = await MockERC20.deploy("Test Token", "TEST", INITIAL_SUPPLY);
-
-    // Deploy staking contract
-    const StakingContract = await ethers.getContractFactory("StakingContract");
-    stakingContract = await StakingContract.deploy(await token.getAddress());
+    // Deploy the staking contract and its token
+    ({ stakingToken: token, stakingContract } = await deployStaking());
 
     // Distribute tokens to users
     const userAmount = ethers.parseUnits("200000000", 18); // 200M tokens each (increased for cap tests)
@@ -47,35 +47,35 @@ describe("StakingContract - Incremental Staking", function () {
       // First stake
       await expect(stakingContract.connect(user1).stake(firstStake))
         .to.emit(stakingContract, "Staked")
-        .withArgs(user1.address, firstStake);
+        .withArgs(ROUND_ID, user1.address, firstStake);
 
       // Check stake info after first stake
-      const [amount1, claimed1] = await stakingContract.getUserStakeInfo(user1.address);
+      const [amount1, claimed1] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(amount1).to.equal(firstStake);
       expect(claimed1).to.be.false;
 
       // Second stake (increment)
       await expect(stakingContract.connect(user1).stake(secondStake))
         .to.emit(stakingContract, "StakeIncreased")
-        .withArgs(user1.address, secondStake, firstStake + secondStake);
+        .withArgs(ROUND_ID, user1.address, secondStake, firstStake + secondStake);
 
       // Check stake info after second stake
-      const [amount2, claimed2] = await stakingContract.getUserStakeInfo(user1.address);
+      const [amount2, claimed2] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(amount2).to.equal(firstStake + secondStake);
       expect(claimed2).to.be.false;
 
       // Third stake (increment again)
       await expect(stakingContract.connect(user1).stake(thirdStake))
         .to.emit(stakingContract, "StakeIncreased")
-        .withArgs(user1.address, thirdStake, firstStake + secondStake + thirdStake);
+        .withArgs(ROUND_ID, user1.address, thirdStake, firstStake + secondStake + thirdStake);
 
       // Check final stake info
-      const [finalAmount, finalClaimed] = await stakingContract.getUserStakeInfo(user1.address);
+      const [finalAmount, finalClaimed] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(finalAmount).to.equal(firstStake + secondStake + thirdStake);
       expect(finalClaimed).to.be.false;
 
       // Check total staked
-      expect(await stakingContract.totalStaked()).to.equal(firstStake + secondStake + thirdStake);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(firstStake + secondStake + thirdStake);
     });
 
     it("Should only add user to stakers array once", async function () {
@@ -85,18 +85,18 @@ describe("StakingContract - Incremental Staking", function () {
       await token.connect(user1).approve(await stakingContract.getAddress(), firstStake + secondStake);
 
       // Check initial stakers count
-      expect(await stakingContract.getTotalStakers()).to.equal(0);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(0);
 
       // First stake
       await stakingContract.connect(user1).stake(firstStake);
-      expect(await stakingContract.getTotalStakers()).to.equal(1);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(1);
 
       // Second stake (should not increase stakers count)
       await stakingContract.connect(user1).stake(secondStake);
-      expect(await stakingContract.getTotalStakers()).to.equal(1);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(1);
 
       // Verify user is in stakers array
-      expect(await stakingContract.stakers(0)).to.equal(user1.address);
+      expect(await stakingContract.stakers(ROUND_ID, 0)).to.equal(user1.address);
     });
 
     it("Should emit correct events for first stake vs incremental stakes", async function () {
@@ -108,13 +108,13 @@ describe("StakingContract - Incremental Staking", function () {
       // First stake should emit Staked event
       await expect(stakingContract.connect(user1).stake(firstStake))
         .to.emit(stakingContract, "Staked")
-        .withArgs(user1.address, firstStake)
+        .withArgs(ROUND_ID, user1.address, firstStake)
         .and.not.to.emit(stakingContract, "StakeIncreased");
 
       // Second stake should emit StakeIncreased event
       await expect(stakingContract.connect(user1).stake(secondStake))
         .to.emit(stakingContract, "StakeIncreased")
-        .withArgs(user1.address, secondStake, firstStake + secondStake)
+        .withArgs(ROUND_ID, user1.address, secondStake, firstStake + secondStake)
         .and.not.to.emit(stakingContract, "Staked");
     });
   });
@@ -142,9 +142,9 @@ describe("StakingContract - Incremental Staking", function () {
       await stakingContract.connect(user3).stake(stake1);
 
       // Verify final amounts
-      const [amount1] = await stakingContract.getUserStakeInfo(user1.address);
-      const [amount2] = await stakingContract.getUserStakeInfo(user2.address);
-      const [amount3] = await stakingContract.getUserStakeInfo(user3.address);
+      const [amount1] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      const [amount2] = await stakingContract.getUserStakeInfo(ROUND_ID, user2.address);
+      const [amount3] = await stakingContract.getUserStakeInfo(ROUND_ID, user3.address);
 
       expect(amount1).to.equal(stake1 + stake2);
       expect(amount2).to.equal(stake2 + stake3);
@@ -152,10 +152,10 @@ describe("StakingContract - Incremental Staking", function () {
 
       // Verify total staked
       const expectedTotal = (stake1 + stake2) + (stake2 + stake3) + stake1;
-      expect(await stakingContract.totalStaked()).to.equal(expectedTotal);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(expectedTotal);
 
       // Verify stakers count
-      expect(await stakingContract.getTotalStakers()).to.equal(3);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(3);
     });
   });
 
@@ -168,7 +168,7 @@ describe("StakingContract - Incremental Staking", function () {
 
       // First large stake
       await stakingContract.connect(user1).stake(largeStake);
-      expect(await stakingContract.totalStaked()).to.equal(largeStake);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(largeStake);
 
       // Add user2 with large stake to approach cap
       const user2Stake = ethers.parseUnits("100000000", 18); // 100M 
@@ -178,10 +178,10 @@ describe("StakingContract - Incremental Staking", function () {
       // Now total is 130M, trying to add 30M more would give 160M, exceeding 150M cap
       await expect(
         stakingContract.connect(user1).stake(incrementStake)
-      ).to.be.revertedWith("Exceeds maximum cap of 150M tokens");
+      ).to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
 
       // Verify stake wasn't changed
-      const [amount] = await stakingContract.getUserStakeInfo(user1.address);
+      const [amount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(amount).to.equal(largeStake);
     });
 
@@ -208,11 +208,11 @@ describe("StakingContract - Incremental Staking", function () {
       await stakingContract.connect(user1).stake(secondStake);
 
       // Verify total is exactly at cap
-      expect(await stakingContract.totalStaked()).to.equal(MAX_TOTAL_STAKE);
-      expect(await stakingContract.isCapReached()).to.be.true;
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(MAX_TOTAL_STAKE);
+      expect(await stakingContract.isCapReached(ROUND_ID)).to.be.true;
 
       // Verify user's total stake
-      const [amount] = await stakingContract.getUserStakeInfo(user1.address);
+      const [amount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(amount).to.equal(firstStake + secondStake);
     });
   });
@@ -234,10 +234,10 @@ describe("StakingContract - Incremental Staking", function () {
       // Try to increment stake after window closes
       await expect(
         stakingContract.connect(user1).stake(secondStake)
-      ).to.be.revertedWith("Deposit window closed");
+      ).to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
 
       // Verify stake wasn't changed
-      const [amount] = await stakingContract.getUserStakeInfo(user1.address);
+      const [amount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(amount).to.equal(firstStake);
     });
 
@@ -258,7 +258,7 @@ describe("StakingContract - Incremental Staking", function () {
       await stakingContract.connect(user1).stake(secondStake);
 
       // Verify final amount
-      const [amount] = await stakingContract.getUserStakeInfo(user1.address);
+      const [amount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(amount).to.equal(firstStake + secondStake);
     });
   });
@@ -275,11 +275,11 @@ describe("StakingContract - Incremental Staking", function () {
       await stakingContract.connect(user1).stake(firstStake);
       await stakingContract.connect(user1).stake(secondStake);
 
-      // Calculate expected reward (10% of total)
-      const expectedReward = (totalStake * 10n) / 100n;
+      // Calculate expected reward on the total stake
+      const expectedReward = (totalStake * REWARD_BPS) / BPS_DENOMINATOR;
 
       // Check reward calculation
-      const [stakedAmount, rewardAmount] = await stakingContract.calculateReward(user1.address);
+      const [stakedAmount, rewardAmount] = await stakingContract.calculateReward(ROUND_ID, user1.address);
       expect(stakedAmount).to.equal(totalStake);
       expect(rewardAmount).to.equal(expectedReward);
     });
@@ -288,7 +288,7 @@ describe("StakingContract - Incremental Staking", function () {
       const firstStake = ethers.parseUnits("1000", 18);
       const secondStake = ethers.parseUnits("500", 18);
       const totalStake = firstStake + secondStake;
-      const expectedReward = (totalStake * 10n) / 100n;
+      const expectedReward = (totalStake * REWARD_BPS) / BPS_DENOMINATOR;
 
       await token.connect(user1).approve(await stakingContract.getAddress(), totalStake);
 
@@ -309,9 +309,9 @@ describe("StakingContract - Incremental Staking", function () {
       const initialBalance = await token.balanceOf(user1.address);
 
       // Claim
-      await expect(stakingContract.connect(user1).claim())
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
         .to.emit(stakingContract, "Claimed")
-        .withArgs(user1.address, totalStake, expectedReward);
+        .withArgs(ROUND_ID, user1.address, user1.address, totalStake, expectedReward);
 
       // Verify balance increase
       const finalBalance = await token.balanceOf(user1.address);
@@ -329,7 +329,7 @@ describe("StakingContract - Incremental Staking", function () {
       await stakingContract.connect(user1).stake(firstStake);
       await stakingContract.connect(user1).stake(secondStake);
 
-      const [amount] = await stakingContract.getUserStakeInfo(user1.address);
+      const [amount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(amount).to.equal(firstStake + secondStake);
     });
 
@@ -346,11 +346,11 @@ describe("StakingContract - Incremental Staking", function () {
       }
 
       // Verify final amount
-      const [amount] = await stakingContract.getUserStakeInfo(user1.address);
+      const [amount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(amount).to.equal(totalAmount);
 
       // Verify only counted as one staker
-      expect(await stakingContract.getTotalStakers()).to.equal(1);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(1);
     });
 
     it("Should maintain state consistency with mixed users and incremental stakes", async function () {
@@ -369,11 +369,11 @@ describe("StakingContract - Incremental Staking", function () {
       await stakingContract.connect(user2).stake(stake1);
 
       // Verify state consistency
-      expect(await stakingContract.getTotalStakers()).to.equal(2);
-      expect(await stakingContract.totalStaked()).to.equal(stake1 + stake2 + stake1);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(2);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(stake1 + stake2 + stake1);
 
-      const [amount1] = await stakingContract.getUserStakeInfo(user1.address);
-      const [amount2] = await stakingContract.getUserStakeInfo(user2.address);
+      const [amount1] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      const [amount2] = await stakingContract.getUserStakeInfo(ROUND_ID, user2.address);
 
       expect(amount1).to.equal(stake1 + stake2);
       expect(amount2).to.equal(stake1);
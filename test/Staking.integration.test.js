@@ -4,24 +4,22 @@ const {
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const {
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  deployStaking,
+} = require("./config");
 
 describe("StakingContract - Integration Tests", function () {
-  const DEPOSIT_WINDOW = 24 * 60 * 60; // 24 hours in seconds
-  const STAKING_DURATION = 14 * 24 * 60 * 60; // 14 days in seconds
-  const REWARD_PERCENTAGE = 10;
-  const MAX_TOTAL_STAKE = ethers.parseUnits("150000000", 18); // 150M tokens
-  const INITIAL_SUPPLY = ethers.parseUnits("2000000000", 18); // 2B tokens
+  const ROUND_ID = 1; // First round opened by startStaking()
 
   async function deployStakingFixture() {
     const [owner, user1, user2, user3, user4, user5] = await ethers.getSigners();
 
-    // Deploy mock ERC20 token
-    const MockToken = await ethers.getContractFactory("MockERC20");
-    const stakingToken = await MockToken.deploy("UOMI Token", "UOMI", INITIAL_SUPPLY);
-
-    // Deploy staking contract
-    const StakingContract = await ethers.getContractFactory("StakingContract");
-    const stakingContract = await StakingContract.deploy(stakingToken.target);
+    const { stakingToken, stakingContract } = await deployStaking();
 
     // Transfer tokens to users for testing
     const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
@@ -69,11 +67,11 @@ describe("StakingContract - Integration Tests", function () {
       await stakingContract.connect(user3).stake(stakeAmount3);
       
       // Check total staked
-      const totalStaked = await stakingContract.totalStaked();
+      const totalStaked = (await stakingContract.rounds(ROUND_ID)).totalStaked;
       expect(totalStaked).to.equal(stakeAmount1 + stakeAmount2 + stakeAmount3);
       
       // Calculate total rewards needed
-      const totalRewards = totalStaked * BigInt(REWARD_PERCENTAGE) / 100n;
+      const totalRewards = totalStaked * REWARD_BPS / BPS_DENOMINATOR;
       
       // Owner deposits rewards
       await stakingToken.connect(owner).approve(stakingContract.target, totalRewards);
@@ -84,21 +82,21 @@ describe("StakingContract - Integration Tests", function () {
       
       // Users claim their rewards
       const user1InitialBalance = await stakingToken.balanceOf(user1.address);
-      await stakingContract.connect(user1).claim();
+      await stakingContract.connect(user1).claim(ROUND_ID);
       const user1FinalBalance = await stakingToken.balanceOf(user1.address);
-      const user1Reward = stakeAmount1 * BigInt(REWARD_PERCENTAGE) / 100n;
+      const user1Reward = stakeAmount1 * REWARD_BPS / BPS_DENOMINATOR;
       expect(user1FinalBalance - user1InitialBalance).to.equal(stakeAmount1 + user1Reward);
       
       const user2InitialBalance = await stakingToken.balanceOf(user2.address);
-      await stakingContract.connect(user2).claim();
+      await stakingContract.connect(user2).claim(ROUND_ID);
       const user2FinalBalance = await stakingToken.balanceOf(user2.address);
-      const user2Reward = stakeAmount2 * BigInt(REWARD_PERCENTAGE) / 100n;
+      const user2Reward = stakeAmount2 * REWARD_BPS / BPS_DENOMINATOR;
       expect(user2FinalBalance - user2InitialBalance).to.equal(stakeAmount2 + user2Reward);
       
       const user3InitialBalance = await stakingToken.balanceOf(user3.address);
-      await stakingContract.connect(user3).claim();
+      await stakingContract.connect(user3).claim(ROUND_ID);
       const user3FinalBalance = await stakingToken.balanceOf(user3.address);
-      const user3Reward = stakeAmount3 * BigInt(REWARD_PERCENTAGE) / 100n;
+      const user3Reward = stakeAmount3 * REWARD_BPS / BPS_DENOMINATOR;
       expect(user3FinalBalance - user3InitialBalance).to.equal(stakeAmount3 + user3Reward);
     });
 
@@ -120,14 +118,14 @@ describe("StakingContract - Integration Tests", function () {
       
       // Should not be able to stake anymore
       await expect(stakingContract.connect(user1).stake(stakeAmount))
-        .to.be.revertedWith("Deposit window closed");
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
     });
 
     it("Should handle claiming at staking end boundary", async function () {
       const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployAndStartStakingFixture);
       
       const stakeAmount = ethers.parseUnits("1000000", 18);
-      const expectedReward = stakeAmount * BigInt(REWARD_PERCENTAGE) / 100n;
+      const expectedReward = stakeAmount * REWARD_BPS / BPS_DENOMINATOR;
       
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       await stakingContract.connect(user1).stake(stakeAmount);
@@ -139,14 +137,14 @@ describe("StakingContract - Integration Tests", function () {
       await time.increase(STAKING_DURATION - 10);
       
       // Should not be able to claim yet
-      await expect(stakingContract.connect(user1).claim())
-        .to.be.revertedWith("Staking period not ended yet");
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
       
       // Fast forward to exactly when staking ends
       await time.increase(10);
       
       // Should now be able to claim
-      await expect(stakingContract.connect(user1).claim())
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
         .to.not.be.reverted;
     });
   });
@@ -165,14 +163,14 @@ describe("StakingContract - Integration Tests", function () {
       // Second user tries to stake amount that would exceed cap
       await stakingToken.connect(user2).approve(stakingContract.target, smallStake);
       await expect(stakingContract.connect(user2).stake(smallStake))
-        .to.be.revertedWith("Exceeds maximum cap of 150M tokens");
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
       
       // Check that exactly cap amount can still be staked
-      const remainingCapacity = await stakingContract.getRemainingCapacity();
+      const remainingCapacity = await stakingContract.getRemainingCapacity(ROUND_ID);
       await stakingContract.connect(user2).stake(remainingCapacity);
       
-      expect(await stakingContract.isCapReached()).to.be.true;
-      expect(await stakingContract.totalStaked()).to.equal(MAX_TOTAL_STAKE);
+      expect(await stakingContract.isCapReached(ROUND_ID)).to.be.true;
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(MAX_TOTAL_STAKE);
     });
 
     it("Should handle exact cap reached scenario", async function () {
@@ -196,10 +194,10 @@ describe("StakingContract - Integration Tests", function () {
       await stakingToken.connect(user4).approve(stakingContract.target, stake4);
       await stakingContract.connect(user4).stake(stake4);
       
-      expect(await stakingContract.totalStaked()).to.equal(MAX_TOTAL_STAKE);
-      expect(await stakingContract.isCapReached()).to.be.true;
-      expect(await stakingContract.getRemainingCapacity()).to.equal(0);
-      expect(await stakingContract.getTotalStakers()).to.equal(4);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(MAX_TOTAL_STAKE);
+      expect(await stakingContract.isCapReached(ROUND_ID)).to.be.true;
+      expect(await stakingContract.getRemainingCapacity(ROUND_ID)).to.equal(0);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(4);
     });
   });
 
@@ -208,7 +206,7 @@ describe("StakingContract - Integration Tests", function () {
       const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployAndStartStakingFixture);
       
       const smallStake = ethers.parseUnits("1", 18); // 1 token
-      const expectedReward = smallStake * BigInt(REWARD_PERCENTAGE) / 100n; // Should be 0.15 tokens
+      const expectedReward = smallStake * REWARD_BPS / BPS_DENOMINATOR; // Should be 0.15 tokens
       
       await stakingToken.connect(user1).approve(stakingContract.target, smallStake);
       await stakingContract.connect(user1).stake(smallStake);
@@ -219,7 +217,7 @@ describe("StakingContract - Integration Tests", function () {
       await time.increase(STAKING_DURATION + 1);
       
       const initialBalance = await stakingToken.balanceOf(user1.address);
-      await stakingContract.connect(user1).claim();
+      await stakingContract.connect(user1).claim(ROUND_ID);
       const finalBalance = await stakingToken.balanceOf(user1.address);
       
       expect(finalBalance - initialBalance).to.equal(smallStake + expectedReward);
@@ -229,7 +227,7 @@ describe("StakingContract - Integration Tests", function () {
       const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployAndStartStakingFixture);
       
       const largeStake = MAX_TOTAL_STAKE; // Stake entire cap
-      const expectedReward = largeStake * BigInt(REWARD_PERCENTAGE) / 100n;
+      const expectedReward = largeStake * REWARD_BPS / BPS_DENOMINATOR;
       
       await stakingToken.connect(user1).approve(stakingContract.target, largeStake);
       await stakingContract.connect(user1).stake(largeStake);
@@ -240,7 +238,7 @@ describe("StakingContract - Integration Tests", function () {
       await time.increase(STAKING_DURATION + 1);
       
       const initialBalance = await stakingToken.balanceOf(user1.address);
-      await stakingContract.connect(user1).claim();
+      await stakingContract.connect(user1).claim(ROUND_ID);
       const finalBalance = await stakingToken.balanceOf(user1.address);
       
       expect(finalBalance - initialBalance).to.equal(largeStake + expectedReward);
@@ -264,10 +262,10 @@ describe("StakingContract - Integration Tests", function () {
         await stakingContract.connect(signers[i]).stake(stakePerUser);
       }
       
-      expect(await stakingContract.getTotalStakers()).to.equal(maxStakers);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(maxStakers);
       
       // Deposit rewards
-      const totalRewards = (MAX_TOTAL_STAKE * BigInt(REWARD_PERCENTAGE)) / 100n;
+      const totalRewards = (MAX_TOTAL_STAKE * REWARD_BPS) / BPS_DENOMINATOR;
       await stakingToken.connect(owner).approve(stakingContract.target, totalRewards);
       await stakingContract.connect(owner).depositRewards(totalRewards);
       
@@ -275,10 +273,69 @@ describe("StakingContract - Integration Tests", function () {
       
       // All users claim
       for (let i = 1; i <= maxStakers; i++) {
-        await expect(stakingContract.connect(signers[i]).claim())
+        await expect(stakingContract.connect(signers[i]).claim(ROUND_ID))
           .to.not.be.reverted;
       }
     });
+
+    it("Should page through the maximum number of stakers consistently", async function () {
+      const { stakingContract, stakingToken, owner } = await loadFixture(deployAndStartStakingFixture);
+      
+      const signers = await ethers.getSigners();
+      const maxStakers = Math.min(10, signers.length - 1); // Same stakers as above
+      const pageSize = 3; // Leaves a partial last page
+      
+      const stakePerUser = MAX_TOTAL_STAKE / BigInt(maxStakers);
+      
+      for (let i = 1; i <= maxStakers; i++) {
+        await stakingToken.transfer(signers[i].address, stakePerUser + ethers.parseUnits("1000", 18));
+        await stakingToken.connect(signers[i]).approve(stakingContract.target, stakePerUser);
+        await stakingContract.connect(signers[i]).stake(stakePerUser);
+      }
+      
+      const totalRewards = (MAX_TOTAL_STAKE * REWARD_BPS) / BPS_DENOMINATOR;
+      await stakingToken.connect(owner).approve(stakingContract.target, totalRewards);
+      await stakingContract.connect(owner).depositRewards(totalRewards);
+      
+      await time.increase(STAKING_DURATION + 1);
+      
+      // Half the users claim
+      const claimers = Math.floor(maxStakers / 2);
+      for (let i = 1; i <= claimers; i++) {
+        await stakingContract.connect(signers[i]).claim(ROUND_ID);
+      }
+      
+      // Every page matches the per-index getters
+      const totalStakers = Number(await stakingContract.getTotalStakers(ROUND_ID));
+      expect(totalStakers).to.equal(maxStakers);
+      
+      const paged = [];
+      for (let offset = 0; offset < totalStakers; offset += pageSize) {
+        const addresses = await stakingContract.getStakers(ROUND_ID, offset, pageSize);
+        const [users, amounts, claimed, rewards] = await stakingContract.getStakesPage(ROUND_ID, offset, pageSize);
+        expect(users).to.deep.equal(addresses);
+        
+        for (let j = 0; j < users.length; j++) {
+          expect(users[j]).to.equal(await stakingContract.stakers(ROUND_ID, offset + j));
+          
+          const [stakedAmount, isClaimed, potentialReward] = await stakingContract.getUserStakeInfo(ROUND_ID, users[j]);
+          expect(amounts[j]).to.equal(stakedAmount);
+          expect(claimed[j]).to.equal(isClaimed);
+          expect(rewards[j]).to.equal(potentialReward);
+        }
+        paged.push(...users);
+      }
+      
+      expect(paged).to.deep.equal(signers.slice(1, maxStakers + 1).map((signer) => signer.address));
+      expect(await stakingContract.getStakers(ROUND_ID, totalStakers, pageSize)).to.deep.equal([]);
+      
+      // The aggregates match the claims made
+      const stakerReward = (stakePerUser * REWARD_BPS) / BPS_DENOMINATOR;
+      const stats = await stakingContract.claimStats(ROUND_ID);
+      expect(stats.claimedCount).to.equal(claimers);
+      expect(stats.claimedPrincipal).to.equal(stakePerUser * BigInt(claimers));
+      expect(stats.paidRewards).to.equal(stakerReward * BigInt(claimers));
+    });
   });
 
   describe("Security Tests", function () {
@@ -293,7 +350,7 @@ describe("StakingContract - Integration Tests", function () {
       
       // The ReentrancyGuard should prevent any reentrancy attacks
       // This is more of a structural test - the modifiers should prevent issues
-      expect(await stakingContract.stakes(user1.address)).to.not.equal([0, false]);
+      expect(await stakingContract.stakes(ROUND_ID, user1.address)).to.not.equal([0, false]);
     });
 
     it("Should handle token transfer failures gracefully", async function () {
@@ -309,7 +366,7 @@ describe("StakingContract - Integration Tests", function () {
       const hugeAmount = ethers.parseUnits("100000000000", 18);
       await stakingToken.connect(user1).approve(stakingContract.target, hugeAmount);
       await expect(stakingContract.connect(user1).stake(hugeAmount))
-        .to.be.revertedWith("Exceeds maximum cap of 150M tokens");
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
     });
   });
 
@@ -319,7 +376,7 @@ describe("StakingContract - Integration Tests", function () {
       
       // Start staking and get the exact start time
       await stakingContract.startStaking();
-      const startTime = await stakingContract.startTime();
+      const startTime = (await stakingContract.rounds(ROUND_ID)).startTime;
       
       const stakeAmount = ethers.parseUnits("1000000", 18);
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
@@ -336,18 +393,18 @@ describe("StakingContract - Integration Tests", function () {
       
       // Should not be able to stake anymore
       await expect(stakingContract.connect(user1).stake(stakeAmount))
-        .to.be.revertedWith("Deposit window closed");
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
     });
 
     it("Should handle claims at exact staking end boundary", async function () {
       const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployStakingFixture);
       
       await stakingContract.startStaking();
-      const startTime = await stakingContract.startTime();
+      const startTime = (await stakingContract.rounds(ROUND_ID)).startTime;
       const endTime = Number(startTime) + STAKING_DURATION;
       
       const stakeAmount = ethers.parseUnits("1000000", 18);
-      const expectedReward = stakeAmount * BigInt(REWARD_PERCENTAGE) / 100n;
+      const expectedReward = stakeAmount * REWARD_BPS / BPS_DENOMINATOR;
       
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       await stakingContract.connect(user1).stake(stakeAmount);
@@ -359,7 +416,7 @@ describe("StakingContract - Integration Tests", function () {
       await time.setNextBlockTimestamp(endTime);
       
       // Should be able to claim at the exact boundary
-      await expect(stakingContract.connect(user1).claim())
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
         .to.not.be.reverted;
     });
   });
@@ -0,0 +1,308 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { STAKING_DURATION, MAX_TOTAL_STAKE, deployStaking } = require("./config");
+
+describe("StakingContract - Per-Address Limits & Allowlist", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const MIN_STAKE = ethers.parseUnits("100", 18); // 100 tokens
+  const MAX_STAKE = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  async function deployAndStartStakingFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2, user3]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    await stakingContract.startStaking();
+
+    return { stakingContract, stakingToken, owner, user1, user2, user3 };
+  }
+
+  async function limitsFixture() {
+    const fixture = await deployAndStartStakingFixture();
+    await fixture.stakingContract.setStakeLimits(MIN_STAKE, MAX_STAKE);
+    return fixture;
+  }
+
+  function writeCsv(lines) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "build-allowlist-")), "allowlist.csv");
+    fs.writeFileSync(file, lines.join("\n"));
+    return file;
+  }
+
+  function entryFor(allowlist, account) {
+    return allowlist.entries.find((entry) => entry.account === account);
+  }
+
+  describe("Stake Limits", function () {
+    it("Should let the campaign admin set the limits", async function () {
+      const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.setStakeLimits(MIN_STAKE, MAX_STAKE))
+        .to.emit(stakingContract, "StakeLimitsUpdated")
+        .withArgs(MIN_STAKE, MAX_STAKE);
+      expect(await stakingContract.minStakePerAddress()).to.equal(MIN_STAKE);
+      expect(await stakingContract.maxStakePerAddress()).to.equal(MAX_STAKE);
+    });
+
+    it("Should reject a minimum above the maximum", async function () {
+      const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.setStakeLimits(MAX_STAKE + 1n, MAX_STAKE))
+        .to.be.revertedWithCustomError(stakingContract, "MinimumExceedsMaximum");
+      await expect(stakingContract.setStakeLimits(MAX_STAKE + 1n, 0)).to.not.be.reverted;
+    });
+
+    it("Should only let the campaign admin set the limits", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(user1).setStakeLimits(MIN_STAKE, MAX_STAKE))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+
+    it("Should require the first stake to reach the minimum, but not later increases", async function () {
+      const { stakingContract, user1 } = await loadFixture(limitsFixture);
+
+      await expect(stakingContract.connect(user1).stake(MIN_STAKE - 1n))
+        .to.be.revertedWithCustomError(stakingContract, "BelowMinimumStake");
+
+      await stakingContract.connect(user1).stake(MIN_STAKE);
+      await stakingContract.connect(user1).stake(1n);
+
+      expect(await stakingContract.totalStakedBy(ROUND_ID, user1.address)).to.equal(MIN_STAKE + 1n);
+    });
+
+    it("Should enforce the maximum across repeated stakes", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(limitsFixture);
+
+      await stakingContract.connect(user1).stake(MAX_STAKE / 2n);
+      await stakingContract.connect(user1).stake(MAX_STAKE / 2n);
+
+      await expect(stakingContract.connect(user1).stake(1n))
+        .to.be.revertedWithCustomError(stakingContract, "ExceedsMaxStakePerAddress");
+
+      // Other addresses have their own maximum
+      await stakingContract.connect(user2).stake(MAX_STAKE);
+    });
+
+    it("Should stop a single address from filling the cap", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      // Without limits one 300M-token holder fills the whole cap
+      await stakingContract.connect(user1).stake(MAX_TOTAL_STAKE);
+      expect(await stakingContract.isCapReached(ROUND_ID)).to.be.true;
+
+      const { stakingContract: limited, user1: whale } = await loadFixture(limitsFixture);
+      await expect(limited.connect(whale).stake(MAX_TOTAL_STAKE))
+        .to.be.revertedWithCustomError(stakingContract, "ExceedsMaxStakePerAddress");
+      await expect(limited.connect(whale).stake(MAX_TOTAL_STAKE + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
+    });
+
+    it("Should count stakes made for an address towards its limits", async function () {
+      const { stakingContract, user1 } = await loadFixture(limitsFixture);
+
+      await stakingContract.stakeFor(user1.address, MAX_STAKE);
+
+      await expect(stakingContract.connect(user1).stake(MIN_STAKE))
+        .to.be.revertedWithCustomError(stakingContract, "ExceedsMaxStakePerAddress");
+      await expect(stakingContract.stakeForMany([user1.address], [1n]))
+        .to.be.revertedWithCustomError(stakingContract, "ExceedsMaxStakePerAddress");
+    });
+
+    it("Should free the maximum on unstake and keep the remainder above the minimum", async function () {
+      const { stakingContract, user1 } = await loadFixture(limitsFixture);
+
+      await stakingContract.connect(user1).stake(MAX_STAKE);
+
+      await expect(stakingContract.connect(user1).unstake(MAX_STAKE - MIN_STAKE + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "RemainingBelowMinimum");
+
+      await stakingContract.connect(user1).unstake(MAX_STAKE - MIN_STAKE);
+      expect(await stakingContract.totalStakedBy(ROUND_ID, user1.address)).to.equal(MIN_STAKE);
+
+      await stakingContract.connect(user1).stake(MAX_STAKE - MIN_STAKE);
+      await stakingContract.connect(user1).unstake(MAX_STAKE);
+      expect(await stakingContract.totalStakedBy(ROUND_ID, user1.address)).to.equal(0);
+    });
+
+    it("Should apply the limits to each round separately", async function () {
+      const { stakingContract, user1 } = await loadFixture(limitsFixture);
+
+      await stakingContract.connect(user1).stake(MAX_STAKE);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+
+      await stakingContract.connect(user1).stake(MAX_STAKE);
+      expect(await stakingContract.totalStakedBy(ROUND_ID + 1, user1.address)).to.equal(MAX_STAKE);
+    });
+  });
+
+  describe("Allowlist", function () {
+    async function allowlistFixture() {
+      const fixture = await deployAndStartStakingFixture();
+      const { stakingContract, user1, user2, user3 } = fixture;
+
+      const csv = writeCsv([
+        "address,allocation",
+        `${user1.address},500`,
+        `${user2.address},`,
+        "# Partners without a stake",
+        "0x0000000000000000000000000000000000000001,10",
+        "0x0000000000000000000000000000000000000002,20",
+        "0x0000000000000000000000000000000000000003,30",
+      ]);
+      const allowlist = await hre.run("build-allowlist", { csv });
+      await stakingContract.setAllowlistRoot(allowlist.root);
+
+      return { ...fixture, allowlist, notListed: user3 };
+    }
+
+    it("Should let the campaign admin set the root", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const root = ethers.keccak256("0x01");
+      await expect(stakingContract.setAllowlistRoot(root))
+        .to.emit(stakingContract, "AllowlistRootUpdated")
+        .withArgs(root);
+      expect(await stakingContract.allowlistRoot()).to.equal(root);
+
+      await expect(stakingContract.connect(user1).setAllowlistRoot(root))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+
+    it("Should let anyone stake while no root is set", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const [allowed, allocation] = await stakingContract.allowlistStatus(user1.address);
+      expect(allowed).to.be.true;
+      expect(allocation).to.equal(0);
+
+      await expect(stakingContract.registerAllowlist(user1.address, 0, []))
+        .to.be.revertedWithCustomError(stakingContract, "AllowlistNotEnabled");
+    });
+
+    it("Should only let registered addresses be staked to", async function () {
+      const { stakingContract, allowlist, user1, notListed } = await loadFixture(allowlistFixture);
+
+      await expect(stakingContract.connect(user1).stake(1n))
+        .to.be.revertedWithCustomError(stakingContract, "NotAllowlisted");
+
+      const entry = entryFor(allowlist, user1.address);
+      await expect(stakingContract.registerAllowlist(entry.account, entry.allocation, entry.proof))
+        .to.emit(stakingContract, "AllowlistRegistered")
+        .withArgs(user1.address, ethers.parseUnits("500", 18));
+
+      await stakingContract.connect(user1).stake(ethers.parseUnits("500", 18));
+
+      await expect(stakingContract.connect(notListed).stake(1n))
+        .to.be.revertedWithCustomError(stakingContract, "NotAllowlisted");
+      await expect(stakingContract.connect(notListed).stakeFor(user1.address, 1n))
+        .to.be.revertedWithCustomError(stakingContract, "ExceedsAllocation");
+    });
+
+    it("Should enforce the allocation across repeated stakes", async function () {
+      const { stakingContract, allowlist, user1 } = await loadFixture(allowlistFixture);
+
+      const entry = entryFor(allowlist, user1.address);
+      await stakingContract.registerAllowlist(entry.account, entry.allocation, entry.proof);
+
+      await stakingContract.connect(user1).stake(ethers.parseUnits("300", 18));
+      await expect(stakingContract.connect(user1).stake(ethers.parseUnits("201", 18)))
+        .to.be.revertedWithCustomError(stakingContract, "ExceedsAllocation");
+
+      const [allowed, allocation] = await stakingContract.allowlistStatus(user1.address);
+      expect(allowed).to.be.true;
+      expect(allocation).to.equal(ethers.parseUnits("500", 18));
+    });
+
+    it("Should only apply the per-address maximum to an address without an allocation", async function () {
+      const { stakingContract, allowlist, user2 } = await loadFixture(allowlistFixture);
+
+      const entry = entryFor(allowlist, user2.address);
+      expect(entry.allocation).to.equal("0");
+      await stakingContract.registerAllowlist(entry.account, entry.allocation, entry.proof);
+
+      await stakingContract.setStakeLimits(0, MAX_STAKE);
+      await stakingContract.connect(user2).stake(MAX_STAKE);
+      await expect(stakingContract.connect(user2).stake(1n))
+        .to.be.revertedWithCustomError(stakingContract, "ExceedsMaxStakePerAddress");
+    });
+
+    it("Should verify the proof of every entry", async function () {
+      const { stakingContract, allowlist } = await loadFixture(allowlistFixture);
+
+      for (const entry of allowlist.entries) {
+        await stakingContract.registerAllowlist(entry.account, entry.allocation, entry.proof);
+        const [allowed] = await stakingContract.allowlistStatus(entry.account);
+        expect(allowed).to.be.true;
+      }
+    });
+
+    it("Should reject a wrong allocation or proof", async function () {
+      const { stakingContract, allowlist, user1, notListed } = await loadFixture(allowlistFixture);
+
+      const entry = entryFor(allowlist, user1.address);
+      await expect(stakingContract.registerAllowlist(entry.account, ethers.parseUnits("501", 18), entry.proof))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidAllowlistProof");
+      await expect(stakingContract.registerAllowlist(notListed.address, entry.allocation, entry.proof))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidAllowlistProof");
+    });
+
+    it("Should drop registrations when the root changes", async function () {
+      const { stakingContract, allowlist, user1 } = await loadFixture(allowlistFixture);
+
+      const entry = entryFor(allowlist, user1.address);
+      await stakingContract.registerAllowlist(entry.account, entry.allocation, entry.proof);
+
+      await stakingContract.setAllowlistRoot(ethers.keccak256("0x01"));
+      await expect(stakingContract.connect(user1).stake(1n))
+        .to.be.revertedWithCustomError(stakingContract, "NotAllowlisted");
+
+      await stakingContract.setAllowlistRoot(ethers.ZeroHash);
+      await stakingContract.connect(user1).stake(ethers.parseUnits("600", 18));
+    });
+  });
+
+  describe("build-allowlist task", function () {
+    it("Should write the root and proofs to a JSON file", async function () {
+      const [, user1, user2] = await ethers.getSigners();
+
+      const csv = writeCsv([`${user1.address},1.5`, `${user2.address.toLowerCase()},2`]);
+      const out = path.join(path.dirname(csv), "allowlist.json");
+
+      const allowlist = await hre.run("build-allowlist", { csv, out, decimals: 6 });
+
+      expect(JSON.parse(fs.readFileSync(out, "utf8"))).to.deep.equal(allowlist);
+      expect(allowlist.entries.map((entry) => entry.account)).to.deep.equal([user1.address, user2.address]);
+      expect(allowlist.entries.map((entry) => entry.allocation)).to.deep.equal(["1500000", "2000000"]);
+    });
+
+    it("Should reject invalid and duplicate addresses", async function () {
+      const [, user1] = await ethers.getSigners();
+
+      await expect(hre.run("build-allowlist", { csv: writeCsv([`${user1.address},1`, "not-an-address,1"]) }))
+        .to.be.rejectedWith('Row 2: invalid address "not-an-address"');
+      await expect(hre.run("build-allowlist", { csv: writeCsv([user1.address, user1.address.toLowerCase()]) }))
+        .to.be.rejectedWith(`Row 2: duplicate address ${user1.address}`);
+      await expect(hre.run("build-allowlist", { csv: writeCsv(["address,allocation"]) }))
+        .to.be.rejectedWith("No addresses in");
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+const { signPermit, signForwardRequest } = require("./signatures");
+
+describe("StakingContract - Meta-Transactions", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  async function deployAndStartStakingFixture() {
+    const [owner, relayer, user1, user2] = await ethers.getSigners();
+
+    const Forwarder = await ethers.getContractFactory("MockForwarder");
+    const forwarder = await Forwarder.deploy("StakingForwarder");
+
+    const { stakingToken, stakingContract } = await deployStaking({ trustedForwarder: forwarder.target });
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    await stakingToken.transfer(user1.address, userAmount);
+    await stakingToken.transfer(user2.address, userAmount);
+    await stakingToken.connect(user1).approve(stakingContract.target, userAmount);
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    await stakingContract.startStaking();
+
+    return { stakingContract, stakingToken, forwarder, owner, relayer, user1, user2 };
+  }
+
+  // Relay a call signed by `signer` through the forwarder, paid for by `relayer`
+  async function relay(forwarder, relayer, signer, target, functionName, args, options) {
+    const request = await signForwardRequest(forwarder, signer, target, functionName, args, options);
+    return forwarder.connect(relayer).execute(request);
+  }
+
+  describe("Trusted Forwarder", function () {
+    it("Should trust the configured forwarder", async function () {
+      const { stakingContract, forwarder, relayer } = await loadFixture(deployAndStartStakingFixture);
+
+      expect(await stakingContract.trustedForwarder()).to.equal(forwarder.target);
+      expect(await stakingContract.isTrustedForwarder(forwarder.target)).to.be.true;
+      expect(await stakingContract.isTrustedForwarder(relayer.address)).to.be.false;
+    });
+
+    it("Should keep direct calls working", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT);
+    });
+  });
+
+  describe("Relayed Calls", function () {
+    it("Should credit a relayed stake to the signer", async function () {
+      const { stakingContract, forwarder, relayer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const initialEth = await ethers.provider.getBalance(user1.address);
+
+      await expect(relay(forwarder, relayer, user1, stakingContract, "stake", [STAKE_AMOUNT]))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT);
+
+      const [stakedAmount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(stakedAmount).to.equal(STAKE_AMOUNT);
+
+      const [relayerStake] = await stakingContract.getUserStakeInfo(ROUND_ID, relayer.address);
+      expect(relayerStake).to.equal(0);
+
+      // The relayer paid the gas
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(initialEth);
+    });
+
+    it("Should stake gaslessly with a relayed permit", async function () {
+      const { stakingContract, stakingToken, forwarder, relayer, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      const initialEth = await ethers.provider.getBalance(user2.address);
+      const deadline = BigInt(await time.latest()) + 3600n;
+      const { v, r, s } = await signPermit(stakingToken, user2, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await expect(relay(forwarder, relayer, user2, stakingContract, "stakeWithPermit", [STAKE_AMOUNT, deadline, v, r, s]))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, user2.address, STAKE_AMOUNT);
+
+      expect(await ethers.provider.getBalance(user2.address)).to.equal(initialEth);
+    });
+
+    it("Should pay a relayed claim to the signer", async function () {
+      const { stakingContract, stakingToken, forwarder, relayer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      await stakingContract.depositRewards(reward);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+
+      await expect(relay(forwarder, relayer, user1, stakingContract, "claim", [ROUND_ID]))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, STAKE_AMOUNT, reward);
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(initialBalance + STAKE_AMOUNT + reward);
+      expect(await stakingToken.balanceOf(relayer.address)).to.equal(0);
+    });
+
+    it("Should restake for the signer", async function () {
+      const { stakingContract, forwarder, relayer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      await stakingContract.depositRewards(reward);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+
+      await expect(relay(forwarder, relayer, user1, stakingContract, "restake", [ROUND_ID, true]))
+        .to.emit(stakingContract, "Restaked")
+        .withArgs(ROUND_ID, ROUND_ID + 1, user1.address, STAKE_AMOUNT, reward, true);
+
+      const [stakedAmount] = await stakingContract.getUserStakeInfo(ROUND_ID + 1, user1.address);
+      expect(stakedAmount).to.equal(STAKE_AMOUNT + reward);
+    });
+
+    it("Should unstake for the signer", async function () {
+      const { stakingContract, forwarder, relayer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await expect(relay(forwarder, relayer, user1, stakingContract, "unstake", [STAKE_AMOUNT]))
+        .to.emit(stakingContract, "Unstaked")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT, 0, 0);
+    });
+
+    it("Should check roles against the signer", async function () {
+      const { stakingContract, forwarder, owner, relayer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(relay(forwarder, relayer, user1, stakingContract, "pauseStaking", []))
+        .to.be.revertedWithCustomError(forwarder, "FailedCall");
+
+      await expect(relay(forwarder, relayer, owner, stakingContract, "pauseStaking", []))
+        .to.emit(stakingContract, "StakingPaused")
+        .withArgs(owner.address);
+    });
+  });
+
+  describe("Forward Request Error Cases", function () {
+    it("Should reject a request signed by another account", async function () {
+      const { stakingContract, forwarder, relayer, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      const request = await signForwardRequest(forwarder, user2, stakingContract, "stake", [STAKE_AMOUNT]);
+      request.from = user1.address;
+
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+    });
+
+    it("Should reject a replayed request", async function () {
+      const { stakingContract, forwarder, relayer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const request = await signForwardRequest(forwarder, user1, stakingContract, "stake", [STAKE_AMOUNT]);
+      await forwarder.connect(relayer).execute(request);
+
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+    });
+
+    it("Should reject an expired request", async function () {
+      const { stakingContract, forwarder, relayer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deadline = BigInt(await time.latest()) - 1n;
+      const request = await signForwardRequest(forwarder, user1, stakingContract, "stake", [STAKE_AMOUNT], { deadline });
+
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderExpiredRequest")
+        .withArgs(deadline);
+    });
+
+    it("Should reject requests through an untrusted forwarder", async function () {
+      const { stakingContract, relayer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const Forwarder = await ethers.getContractFactory("MockForwarder");
+      const untrustedForwarder = await Forwarder.deploy("UntrustedForwarder");
+
+      const request = await signForwardRequest(untrustedForwarder, user1, stakingContract, "stake", [STAKE_AMOUNT]);
+
+      await expect(untrustedForwarder.connect(relayer).execute(request))
+        .to.be.revertedWithCustomError(untrustedForwarder, "ERC2771UntrustfulTarget")
+        .withArgs(stakingContract.target, untrustedForwarder.target);
+    });
+
+    it("Should ignore a sender appended to a direct call", async function () {
+      const { stakingContract, owner, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      // Appending an address to the calldata only works through the trusted forwarder
+      const data = stakingContract.interface.encodeFunctionData("stake", [STAKE_AMOUNT]) + user1.address.slice(2);
+
+      await expect(owner.sendTransaction({ to: stakingContract.target, data }))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, owner.address, STAKE_AMOUNT);
+    });
+  });
+});
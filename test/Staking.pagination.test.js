@@ -0,0 +1,201 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+
+describe("StakingContract - Pagination and Claim Statistics", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  async function deployFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2, user3]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+    await stakingContract.depositRewards(ethers.parseUnits("10000000", 18));
+
+    return { stakingContract, stakingToken, owner, user1, user2, user3 };
+  }
+
+  async function stakedFixture() {
+    const fixture = await deployFixture();
+    const { stakingContract, user1, user2, user3 } = fixture;
+
+    await stakingContract.startStaking();
+    await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+    await stakingContract.connect(user2).stake(STAKE_AMOUNT * 2n);
+    await stakingContract.connect(user3).stake(STAKE_AMOUNT * 3n);
+
+    return fixture;
+  }
+
+  function rewardOn(amount) {
+    return amount * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  describe("Pages", function () {
+    it("Should return stakers and their stakes in staking order", async function () {
+      const { stakingContract, user1, user2, user3 } = await loadFixture(stakedFixture);
+
+      expect(await stakingContract.getStakers(ROUND_ID, 0, 10))
+        .to.deep.equal([user1.address, user2.address, user3.address]);
+
+      const [users, amounts, claimed, rewards] = await stakingContract.getStakesPage(ROUND_ID, 1, 2);
+      expect(users).to.deep.equal([user2.address, user3.address]);
+      expect(amounts).to.deep.equal([STAKE_AMOUNT * 2n, STAKE_AMOUNT * 3n]);
+      expect(claimed).to.deep.equal([false, false]);
+      expect(rewards).to.deep.equal([rewardOn(STAKE_AMOUNT * 2n), rewardOn(STAKE_AMOUNT * 3n)]);
+    });
+
+    it("Should return empty pages past the end or for a zero limit", async function () {
+      const { stakingContract } = await loadFixture(stakedFixture);
+
+      expect(await stakingContract.getStakers(ROUND_ID, 3, 10)).to.deep.equal([]);
+      expect(await stakingContract.getStakers(ROUND_ID, 1, 0)).to.deep.equal([]);
+      expect(await stakingContract.getStakers(ROUND_ID + 1, 0, 10)).to.deep.equal([]);
+
+      const [users, amounts] = await stakingContract.getStakesPage(ROUND_ID, 5, 10);
+      expect(users).to.deep.equal([]);
+      expect(amounts).to.deep.equal([]);
+    });
+
+    it("Should not overflow with a maximum limit", async function () {
+      const { stakingContract } = await loadFixture(stakedFixture);
+
+      expect((await stakingContract.getStakers(ROUND_ID, 2, ethers.MaxUint256)).length).to.equal(1);
+    });
+
+    it("Should list fully unstaked stakers with a zero amount", async function () {
+      const { stakingContract, user2 } = await loadFixture(stakedFixture);
+
+      await stakingContract.connect(user2).unstake(STAKE_AMOUNT * 2n);
+
+      const [users, amounts, , rewards] = await stakingContract.getStakesPage(ROUND_ID, 1, 1);
+      expect(users).to.deep.equal([user2.address]);
+      expect(amounts).to.deep.equal([0n]);
+      expect(rewards).to.deep.equal([0n]);
+    });
+
+    it("Should report receipt balances in receipt rounds", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployFixture);
+
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await receiptToken.connect(user1).transfer(user2.address, STAKE_AMOUNT / 2n);
+
+      const [, amounts, , rewards] = await stakingContract.getStakesPage(ROUND_ID, 0, 2);
+      expect(amounts).to.deep.equal([STAKE_AMOUNT / 2n, STAKE_AMOUNT * 3n / 2n]);
+      expect(rewards).to.deep.equal([rewardOn(STAKE_AMOUNT / 2n), rewardOn(STAKE_AMOUNT * 3n / 2n)]);
+    });
+
+    it("Should flag redeemed receipt balances as claimed in receipt rounds", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployFixture);
+
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      let [, , claimed] = await stakingContract.getStakesPage(ROUND_ID, 0, 2);
+      expect(claimed).to.deep.equal([false, false]);
+
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      await stakingContract.connect(user2).redeem(ROUND_ID, STAKE_AMOUNT / 2n);
+      [, , claimed] = await stakingContract.getStakesPage(ROUND_ID, 0, 2);
+      expect(claimed).to.deep.equal([true, false]);
+      expect((await stakingContract.getUserStakeInfo(ROUND_ID, user1.address)).claimed).to.equal(true);
+    });
+
+    it("Should not flag receipt balances transferred away as claimed", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployFixture);
+
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await receiptToken.connect(user1).transfer(user2.address, STAKE_AMOUNT);
+
+      let [, amounts, claimed] = await stakingContract.getStakesPage(ROUND_ID, 0, 2);
+      expect(amounts).to.deep.equal([0n, STAKE_AMOUNT * 2n]);
+      expect(claimed).to.deep.equal([false, false]);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user2).claim(ROUND_ID);
+      [, , claimed] = await stakingContract.getStakesPage(ROUND_ID, 0, 2);
+      expect(claimed).to.deep.equal([false, true]);
+    });
+  });
+
+  describe("Claim Statistics", function () {
+    it("Should count claims, claimed principal and paid rewards", async function () {
+      const { stakingContract, user1, user3 } = await loadFixture(stakedFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      await stakingContract.connect(user3).claim(ROUND_ID);
+
+      const stats = await stakingContract.claimStats(ROUND_ID);
+      expect(stats.claimedCount).to.equal(2);
+      expect(stats.claimedPrincipal).to.equal(STAKE_AMOUNT * 4n);
+      expect(stats.paidRewards).to.equal(rewardOn(STAKE_AMOUNT * 4n));
+
+      const [, , claimed] = await stakingContract.getStakesPage(ROUND_ID, 0, 3);
+      expect(claimed).to.deep.equal([true, false, true]);
+    });
+
+    it("Should count restakes, but not emergency withdrawals", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(stakedFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).restake(ROUND_ID, true);
+      await stakingContract.enableEmergencyMode();
+      await stakingContract.connect(user2).emergencyWithdraw(ROUND_ID);
+
+      const stats = await stakingContract.claimStats(ROUND_ID);
+      expect(stats.claimedCount).to.equal(1);
+      expect(stats.claimedPrincipal).to.equal(STAKE_AMOUNT);
+      expect(stats.paidRewards).to.equal(rewardOn(STAKE_AMOUNT));
+    });
+
+    it("Should count a receipt balance once it is fully redeemed", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployFixture);
+
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await stakingContract.connect(user1).redeem(ROUND_ID, STAKE_AMOUNT / 4n);
+      let stats = await stakingContract.claimStats(ROUND_ID);
+      expect(stats.claimedCount).to.equal(0);
+      expect(stats.claimedPrincipal).to.equal(STAKE_AMOUNT / 4n);
+
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      stats = await stakingContract.claimStats(ROUND_ID);
+      expect(stats.claimedCount).to.equal(1);
+      expect(stats.claimedPrincipal).to.equal(STAKE_AMOUNT);
+      expect(stats.paidRewards).to.equal(rewardOn(STAKE_AMOUNT));
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DEPOSIT_WINDOW, MAX_TOTAL_STAKE, deployStaking } = require("./config");
+const { signPermit } = require("./signatures");
+
+describe("StakingContract - Permit Staking", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+  const PERMIT_LIFETIME = 60 * 60; // 1 hour
+
+  async function deployAndStartStakingFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    // No approvals: every stake in this suite goes through a permit
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    await stakingToken.transfer(user1.address, userAmount);
+    await stakingToken.transfer(user2.address, userAmount);
+
+    await stakingContract.startStaking();
+
+    return { stakingContract, stakingToken, owner, user1, user2 };
+  }
+
+  async function permitDeadline() {
+    return BigInt(await time.latest()) + BigInt(PERMIT_LIFETIME);
+  }
+
+  describe("stakeWithPermit", function () {
+    it("Should stake in a single transaction without an approval", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT);
+
+      const [stakedAmount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(stakedAmount).to.equal(STAKE_AMOUNT);
+      expect(await stakingToken.allowance(user1.address, stakingContract.target)).to.equal(0);
+      expect(await stakingToken.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should increase an existing stake", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      let deadline = await permitDeadline();
+      let signature = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+      await stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, signature.v, signature.r, signature.s);
+
+      deadline = await permitDeadline();
+      signature = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, signature.v, signature.r, signature.s))
+        .to.emit(stakingContract, "StakeIncreased")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT, STAKE_AMOUNT * 2n);
+    });
+
+    it("Should respect the cap", async function () {
+      const { stakingContract, stakingToken, owner } = await loadFixture(deployAndStartStakingFixture);
+
+      const amount = MAX_TOTAL_STAKE + 1n;
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, owner, stakingContract.target, amount, deadline);
+
+      await expect(stakingContract.stakeWithPermit(amount, deadline, v, r, s))
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
+    });
+
+    it("Should respect the deposit window", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await time.increase(DEPOSIT_WINDOW + 1);
+
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+  });
+
+  describe("Front-Running", function () {
+    it("Should stake when the permit was already submitted by someone else", async function () {
+      const { stakingContract, stakingToken, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      // Copied from the mempool and submitted first
+      await stakingToken.connect(user2).permit(user1.address, stakingContract.target, STAKE_AMOUNT, deadline, v, r, s);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT);
+      expect(await stakingToken.allowance(user1.address, stakingContract.target)).to.equal(0);
+    });
+
+    it("Should use an existing allowance when the permit fails", async function () {
+      const { stakingContract, stakingToken, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingToken.connect(user1).approve(stakingContract.target, STAKE_AMOUNT);
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user2, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT);
+    });
+  });
+
+  describe("Permit Error Cases", function () {
+    it("Should revert with an expired permit", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deadline = BigInt(await time.latest()) - 1n;
+      const { v, r, s } = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.be.revertedWithCustomError(stakingToken, "ERC20InsufficientAllowance")
+        .withArgs(stakingContract.target, 0, STAKE_AMOUNT);
+    });
+
+    it("Should revert when the permit expires before it is used", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await time.increase(PERMIT_LIFETIME + 1);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.be.revertedWithCustomError(stakingToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert when a permit is replayed", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s);
+
+      // The nonce has moved on, so the permit fails and the allowance is spent
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.be.revertedWithCustomError(stakingToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert with a permit signed by another account", async function () {
+      const { stakingContract, stakingToken, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user2, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.be.revertedWithCustomError(stakingToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert when the permit is for a different amount", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT * 2n, deadline, v, r, s))
+        .to.be.revertedWithCustomError(stakingToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert when the permit names another spender", async function () {
+      const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user1, owner.address, STAKE_AMOUNT, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.be.revertedWithCustomError(stakingToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert while staking is paused", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.pauseStaking();
+
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(stakingToken, user1, stakingContract.target, STAKE_AMOUNT, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(STAKE_AMOUNT, deadline, v, r, s))
+        .to.be.revertedWithCustomError(stakingContract, "StakingIsPaused");
+    });
+  });
+});
@@ -0,0 +1,296 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  deployStaking,
+} = require("./config");
+
+describe("StakingContract - Phases and Overview", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  // Mirrors the StakingPhase enum
+  const Phase = {
+    NotStarted: 0n,
+    Deposit: 1n,
+    Locked: 2n,
+    Claimable: 3n,
+    Paused: 4n,
+    Emergency: 5n,
+  };
+
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    return { stakingContract, stakingToken, owner, user1, user2 };
+  }
+
+  async function startedFixture() {
+    const fixture = await deployFixture();
+    await fixture.stakingContract.startStaking();
+
+    const round = await fixture.stakingContract.rounds(ROUND_ID);
+    return { ...fixture, round };
+  }
+
+  function rewardOn(amount) {
+    return amount * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  describe("currentPhase", function () {
+    it("Should be NotStarted before the first round", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      expect(await stakingContract.currentPhase()).to.equal(Phase.NotStarted);
+    });
+
+    it("Should be Deposit from the start time", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      expect(await time.latest()).to.equal(round.startTime);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Deposit);
+    });
+
+    it("Should stay Deposit just before and at the deposit window close", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await time.increaseTo(round.depositWindowEnd - 1n);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Deposit);
+
+      await time.increaseTo(round.depositWindowEnd);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Deposit);
+      expect(round.depositWindowEnd - round.startTime).to.equal(DEPOSIT_WINDOW);
+    });
+
+    it("Should be Locked one second after the deposit window closes", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await time.increaseTo(round.depositWindowEnd + 1n);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Locked);
+    });
+
+    it("Should stay Locked until just before the end time", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await time.increaseTo(round.endTime - 1n);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Locked);
+    });
+
+    it("Should be Claimable from exactly the end time", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await time.increaseTo(round.endTime);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Claimable);
+      expect(round.endTime - round.startTime).to.equal(STAKING_DURATION);
+    });
+
+    it("Should agree with staking and claiming at the boundaries", async function () {
+      const { stakingContract, user1, user2, round } = await loadFixture(startedFixture);
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT * 2n));
+
+      await time.setNextBlockTimestamp(round.depositWindowEnd);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Deposit);
+
+      await time.setNextBlockTimestamp(round.depositWindowEnd + 1n);
+      await expect(stakingContract.connect(user2).stake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Locked);
+
+      await time.setNextBlockTimestamp(round.endTime);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Claimable);
+    });
+
+    it("Should report the newest round once the next one starts", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await time.increaseTo(round.endTime);
+      await stakingContract.startStaking();
+
+      expect(await stakingContract.currentRoundId()).to.equal(ROUND_ID + 1);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Deposit);
+    });
+
+    it("Should be Paused while staking is paused in the deposit window", async function () {
+      const { stakingContract } = await loadFixture(startedFixture);
+
+      await stakingContract.pauseStaking();
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Paused);
+
+      await stakingContract.unpauseStaking();
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Deposit);
+    });
+
+    it("Should ignore pauses that do not affect the current phase", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await stakingContract.pauseClaiming();
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Deposit);
+
+      await stakingContract.unpauseClaiming();
+      await stakingContract.pauseStaking();
+      await time.increaseTo(round.depositWindowEnd + 1n);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Locked);
+
+      await time.increaseTo(round.endTime);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Claimable);
+    });
+
+    it("Should be Paused while claiming is paused after the end time", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await time.increaseTo(round.endTime);
+      await stakingContract.pauseClaiming();
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Paused);
+
+      await stakingContract.unpauseClaiming();
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Claimable);
+    });
+
+    it("Should be Emergency in emergency mode in any phase", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await stakingContract.pauseStaking();
+      await stakingContract.enableEmergencyMode();
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Emergency);
+
+      await time.increaseTo(round.endTime);
+      expect(await stakingContract.currentPhase()).to.equal(Phase.Emergency);
+    });
+  });
+
+  describe("getOverview", function () {
+    it("Should return an empty overview before the first round", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployFixture);
+
+      const overview = await stakingContract.connect(user1).getOverview();
+      expect(overview.phase).to.equal(Phase.NotStarted);
+      expect(overview.roundId).to.equal(0);
+      expect(overview.startTime).to.equal(0);
+      expect(overview.endTime).to.equal(0);
+      expect(overview.totalStaked).to.equal(0);
+      expect(overview.remainingCapacity).to.equal(0);
+      expect(overview.userStaked).to.equal(0);
+    });
+
+    it("Should return the round's timestamps, totals and funding", async function () {
+      const { stakingContract, user1, user2, round } = await loadFixture(startedFixture);
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT));
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT * 2n);
+
+      const overview = await stakingContract.getOverview();
+      expect(overview.phase).to.equal(Phase.Deposit);
+      expect(overview.roundId).to.equal(ROUND_ID);
+      expect(overview.startTime).to.equal(round.startTime);
+      expect(overview.depositWindowEnd).to.equal(round.depositWindowEnd);
+      expect(overview.endTime).to.equal(round.endTime);
+      expect(overview.currentTime).to.equal(await time.latest());
+      expect(overview.rewardBps).to.equal(REWARD_BPS);
+      expect(overview.totalStaked).to.equal(STAKE_AMOUNT * 3n);
+      expect(overview.maxTotalStake).to.equal(MAX_TOTAL_STAKE);
+      expect(overview.remainingCapacity).to.equal(MAX_TOTAL_STAKE - STAKE_AMOUNT * 3n);
+      expect(overview.stakerCount).to.equal(2);
+      expect(overview.requiredRewards).to.equal(await stakingContract.requiredRewards(ROUND_ID));
+      expect(overview.totalRewardsDeposited).to.equal(rewardOn(STAKE_AMOUNT));
+    });
+
+    it("Should return the caller's position", async function () {
+      const { stakingContract, user1, user2, round } = await loadFixture(startedFixture);
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT * 3n));
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT * 2n);
+
+      let overview = await stakingContract.connect(user2).getOverview();
+      expect(overview.userStaked).to.equal(STAKE_AMOUNT * 2n);
+      expect(overview.userClaimed).to.be.false;
+      expect(overview.userPotentialReward).to.equal(rewardOn(STAKE_AMOUNT * 2n));
+      expect(overview.userAccruedReward).to.be.lessThan(overview.userPotentialReward);
+
+      await time.increaseTo(round.endTime);
+      await stakingContract.connect(user2).claim(ROUND_ID);
+
+      overview = await stakingContract.connect(user2).getOverview();
+      expect(overview.phase).to.equal(Phase.Claimable);
+      expect(overview.userClaimed).to.be.true;
+
+      overview = await stakingContract.connect(user1).getOverview();
+      expect(overview.userStaked).to.equal(STAKE_AMOUNT);
+      expect(overview.userClaimed).to.be.false;
+      expect(overview.userAccruedReward).to.equal(rewardOn(STAKE_AMOUNT));
+    });
+
+    it("Should return the caller's receipt position in a receipt round", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployFixture);
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await stakingContract.startStaking();
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT * 2n));
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+
+      let overview = await stakingContract.connect(user1).getOverview();
+      expect(overview.userStaked).to.equal(STAKE_AMOUNT);
+      expect(overview.userClaimed).to.be.false;
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+
+      overview = await stakingContract.connect(user1).getOverview();
+      expect(overview.userStaked).to.equal(0);
+      expect(overview.userClaimed).to.be.true;
+
+      overview = await stakingContract.connect(user2).getOverview();
+      expect(overview.userStaked).to.equal(STAKE_AMOUNT);
+      expect(overview.userClaimed).to.be.false;
+    });
+
+    it("Should not report receipts transferred away as claimed", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployFixture);
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await receiptToken.connect(user1).transfer(user2.address, STAKE_AMOUNT);
+
+      let overview = await stakingContract.connect(user1).getOverview();
+      expect(overview.userStaked).to.equal(0);
+      expect(overview.userClaimed).to.be.false;
+
+      overview = await stakingContract.connect(user2).getOverview();
+      expect(overview.userStaked).to.equal(STAKE_AMOUNT);
+      expect(overview.userClaimed).to.be.false;
+    });
+
+    it("Should report no remaining capacity once the cap is filled", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(startedFixture);
+
+      await stakingContract.connect(user1).stake(MAX_TOTAL_STAKE / 2n);
+      await stakingContract.connect(user2).stake(MAX_TOTAL_STAKE / 2n);
+
+      const overview = await stakingContract.getOverview();
+      expect(overview.totalStaked).to.equal(MAX_TOTAL_STAKE);
+      expect(overview.remainingCapacity).to.equal(0);
+    });
+  });
+});
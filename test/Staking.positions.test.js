@@ -0,0 +1,263 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, MAX_TOTAL_STAKE, deployStaking } = require("./config");
+
+describe("StakingContract - Position NFTs", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const TOKEN_ID = 1; // First position minted
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  async function deployFixture() {
+    const [owner, user1, user2, buyer] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const StakePosition = await ethers.getContractFactory("StakePosition");
+    const positionToken = await StakePosition.deploy("UOMI Stake Position", "UOMI-POS", stakingContract.target);
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    return { stakingContract, stakingToken, positionToken, StakePosition, owner, user1, user2, buyer };
+  }
+
+  async function positionStakedFixture() {
+    const fixture = await deployFixture();
+    const { stakingContract, positionToken, user1 } = fixture;
+
+    await stakingContract.setPositionToken(positionToken.target);
+    await stakingContract.startStaking();
+    await stakingContract.connect(user1).stakePosition(STAKE_AMOUNT);
+    await stakingContract.depositRewards(STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR);
+
+    return fixture;
+  }
+
+  function expectedReward(amount) {
+    return amount * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  describe("Position Token", function () {
+    it("Should let the campaign admin set the position token once", async function () {
+      const { stakingContract, positionToken, StakePosition } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.setPositionToken(positionToken.target))
+        .to.emit(stakingContract, "PositionTokenSet")
+        .withArgs(positionToken.target);
+      expect(await stakingContract.positionToken()).to.equal(positionToken.target);
+
+      const other = await StakePosition.deploy("Other", "OTHER", stakingContract.target);
+      await expect(stakingContract.setPositionToken(other.target))
+        .to.be.revertedWithCustomError(stakingContract, "PositionTokenAlreadySet");
+    });
+
+    it("Should reject a position token bound to another contract", async function () {
+      const { stakingContract, StakePosition, user1 } = await loadFixture(deployFixture);
+
+      const foreign = await StakePosition.deploy("Foreign", "FOREIGN", user1.address);
+
+      await expect(stakingContract.setPositionToken(foreign.target))
+        .to.be.revertedWithCustomError(stakingContract, "PositionTokenNotBound");
+    });
+
+    it("Should only let the campaign admin set the position token", async function () {
+      const { stakingContract, positionToken, user1 } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.connect(user1).setPositionToken(positionToken.target))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+
+    it("Should only let the staking contract mint and burn", async function () {
+      const { positionToken, user1 } = await loadFixture(deployFixture);
+
+      await expect(positionToken.connect(user1).mint(user1.address, TOKEN_ID))
+        .to.be.revertedWith("Caller is not the staking contract");
+      await expect(positionToken.connect(user1).burn(TOKEN_ID))
+        .to.be.revertedWith("Caller is not the staking contract");
+    });
+
+    it("Should reject the zero address as staking contract", async function () {
+      const { StakePosition } = await loadFixture(deployFixture);
+
+      await expect(StakePosition.deploy("Position", "POS", ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid staking contract");
+    });
+  });
+
+  describe("stakePosition", function () {
+    it("Should revert until positions are enabled", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+
+      await expect(stakingContract.connect(user1).stakePosition(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "PositionsNotEnabled");
+    });
+
+    it("Should mint a position token holding amount, round and deposit time", async function () {
+      const { stakingContract, positionToken, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.setPositionToken(positionToken.target);
+      await stakingContract.startStaking();
+
+      await expect(stakingContract.connect(user1).stakePosition(STAKE_AMOUNT))
+        .to.emit(stakingContract, "PositionStaked")
+        .withArgs(ROUND_ID, TOKEN_ID, user1.address, STAKE_AMOUNT)
+        .and.to.emit(positionToken, "Transfer")
+        .withArgs(ethers.ZeroAddress, user1.address, TOKEN_ID);
+      const depositTime = await time.latest();
+
+      expect(await positionToken.ownerOf(TOKEN_ID)).to.equal(user1.address);
+      expect(await stakingContract.positionCount()).to.equal(1);
+
+      const [roundId, stakedAmount, positionDepositTime, claimed, potentialReward, accruedReward] =
+        await stakingContract.getPositionInfo(TOKEN_ID);
+      expect(roundId).to.equal(ROUND_ID);
+      expect(stakedAmount).to.equal(STAKE_AMOUNT);
+      expect(positionDepositTime).to.equal(depositTime);
+      expect(claimed).to.be.false;
+      expect(potentialReward).to.equal(expectedReward(STAKE_AMOUNT));
+      expect(accruedReward).to.equal(0);
+    });
+
+    it("Should mint a separate position for each stake", async function () {
+      const { stakingContract, positionToken, user1 } = await loadFixture(positionStakedFixture);
+
+      await stakingContract.connect(user1).stakePosition(STAKE_AMOUNT * 2n);
+
+      expect(await positionToken.balanceOf(user1.address)).to.equal(2);
+      const [, secondAmount] = await stakingContract.getPositionInfo(TOKEN_ID + 1);
+      expect(secondAmount).to.equal(STAKE_AMOUNT * 2n);
+    });
+
+    it("Should count towards the round's totals and cap, but not the address stakes", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(positionStakedFixture);
+
+      const round = await stakingContract.rounds(ROUND_ID);
+      expect(round.totalStaked).to.equal(STAKE_AMOUNT);
+      expect(await stakingContract.outstandingPrincipal()).to.equal(STAKE_AMOUNT);
+      expect(await stakingContract.outstandingRewards()).to.equal(expectedReward(STAKE_AMOUNT));
+
+      const [addressStake] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(addressStake).to.equal(0);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(0);
+
+      await expect(stakingContract.connect(user2).stakePosition(MAX_TOTAL_STAKE - STAKE_AMOUNT + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
+    });
+
+    it("Should revert after the deposit window", async function () {
+      const { stakingContract, user1 } = await loadFixture(positionStakedFixture);
+
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).stakePosition(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+  });
+
+  describe("claimPosition", function () {
+    it("Should pay a position transferred mid-lock to its new owner", async function () {
+      const { stakingContract, stakingToken, positionToken, user1, buyer } = await loadFixture(positionStakedFixture);
+
+      await time.increase(STAKING_DURATION / 2);
+      await positionToken.connect(user1).transferFrom(user1.address, buyer.address, TOKEN_ID);
+      expect(await positionToken.ownerOf(TOKEN_ID)).to.equal(buyer.address);
+
+      await time.increase(STAKING_DURATION / 2);
+
+      await expect(stakingContract.connect(user1).claimPosition(TOKEN_ID))
+        .to.be.revertedWithCustomError(stakingContract, "NotPositionOwner");
+
+      const reward = expectedReward(STAKE_AMOUNT);
+      await expect(stakingContract.connect(buyer).claimPosition(TOKEN_ID))
+        .to.emit(stakingContract, "PositionClaimed")
+        .withArgs(ROUND_ID, TOKEN_ID, buyer.address, STAKE_AMOUNT, reward)
+        .and.to.emit(positionToken, "Transfer")
+        .withArgs(buyer.address, ethers.ZeroAddress, TOKEN_ID);
+
+      expect(await stakingToken.balanceOf(buyer.address)).to.equal(STAKE_AMOUNT + reward);
+      await expect(positionToken.ownerOf(TOKEN_ID))
+        .to.be.revertedWithCustomError(positionToken, "ERC721NonexistentToken")
+        .withArgs(TOKEN_ID);
+
+      const [, stakedAmount, , claimed] = await stakingContract.getPositionInfo(TOKEN_ID);
+      expect(stakedAmount).to.equal(STAKE_AMOUNT);
+      expect(claimed).to.be.true;
+      expect(await stakingContract.totalObligations()).to.equal(0);
+    });
+
+    it("Should revert before the round ends", async function () {
+      const { stakingContract, user1 } = await loadFixture(positionStakedFixture);
+
+      await expect(stakingContract.connect(user1).claimPosition(TOKEN_ID))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+    });
+
+    it("Should revert for an unknown position", async function () {
+      const { stakingContract, user1 } = await loadFixture(positionStakedFixture);
+
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).claimPosition(TOKEN_ID + 1))
+        .to.be.revertedWithCustomError(stakingContract, "PositionNotFound");
+    });
+
+    it("Should revert when claimed twice", async function () {
+      const { stakingContract, user1 } = await loadFixture(positionStakedFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claimPosition(TOKEN_ID);
+
+      await expect(stakingContract.connect(user1).claimPosition(TOKEN_ID))
+        .to.be.revertedWithCustomError(stakingContract, "AlreadyClaimed");
+    });
+
+    it("Should revert while claiming is paused", async function () {
+      const { stakingContract, user1 } = await loadFixture(positionStakedFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.pauseClaiming();
+
+      await expect(stakingContract.connect(user1).claimPosition(TOKEN_ID))
+        .to.be.revertedWithCustomError(stakingContract, "ClaimingIsPaused");
+    });
+  });
+
+  describe("emergencyWithdrawPosition", function () {
+    it("Should return the principal to the current holder", async function () {
+      const { stakingContract, stakingToken, positionToken, user1, buyer } = await loadFixture(positionStakedFixture);
+
+      await positionToken.connect(user1).transferFrom(user1.address, buyer.address, TOKEN_ID);
+      await stakingContract.enableEmergencyMode();
+
+      await expect(stakingContract.connect(user1).emergencyWithdrawPosition(TOKEN_ID))
+        .to.be.revertedWithCustomError(stakingContract, "NotPositionOwner");
+
+      await expect(stakingContract.connect(buyer).emergencyWithdrawPosition(TOKEN_ID))
+        .to.emit(stakingContract, "PositionEmergencyWithdrawn")
+        .withArgs(ROUND_ID, TOKEN_ID, buyer.address, STAKE_AMOUNT);
+
+      expect(await stakingToken.balanceOf(buyer.address)).to.equal(STAKE_AMOUNT);
+      expect(await positionToken.balanceOf(buyer.address)).to.equal(0);
+      expect(await stakingContract.totalObligations()).to.equal(0);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(0);
+    });
+
+    it("Should revert outside emergency mode", async function () {
+      const { stakingContract, user1 } = await loadFixture(positionStakedFixture);
+
+      await expect(stakingContract.connect(user1).emergencyWithdrawPosition(TOKEN_ID))
+        .to.be.revertedWithCustomError(stakingContract, "EmergencyModeNotActive");
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DEPOSIT_WINDOW, STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+
+describe("StakingContract - Time-Proportional Rewards", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  // Mirrors StakingContract.RewardMode
+  const RewardMode = { Flat: 0, TimeProportional: 1 };
+
+  async function deployFixture(rewardMode) {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking({ rewardMode });
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    await stakingToken.transfer(user1.address, userAmount);
+    await stakingToken.transfer(user2.address, userAmount);
+    await stakingToken.connect(user1).approve(stakingContract.target, userAmount);
+    await stakingToken.connect(user2).approve(stakingContract.target, userAmount);
+
+    const rewardAmount = ethers.parseUnits("50000000", 18);
+    await stakingToken.approve(stakingContract.target, rewardAmount);
+    await stakingContract.depositRewards(rewardAmount);
+
+    await stakingContract.startStaking();
+    const round = await stakingContract.rounds(ROUND_ID);
+
+    return {
+      stakingContract,
+      stakingToken,
+      owner,
+      user1,
+      user2,
+      startTime: Number(round.startTime),
+      endTime: Number(round.endTime),
+    };
+  }
+
+  async function timeProportionalFixture() {
+    return deployFixture(RewardMode.TimeProportional);
+  }
+
+  async function flatFixture() {
+    return deployFixture(RewardMode.Flat);
+  }
+
+  // Reward for `amount` staked at `depositTime` until the round ends
+  function proportionalReward(amount, depositTime, endTime) {
+    return amount * BigInt(endTime - depositTime) * REWARD_BPS / (BPS_DENOMINATOR * BigInt(STAKING_DURATION));
+  }
+
+  async function stakeAt(stakingContract, user, amount, timestamp) {
+    await time.setNextBlockTimestamp(timestamp);
+    await stakingContract.connect(user).stake(amount);
+  }
+
+  describe("Deployment", function () {
+    it("Should expose the configured reward mode", async function () {
+      const { stakingContract } = await loadFixture(timeProportionalFixture);
+
+      expect(await stakingContract.REWARD_MODE()).to.equal(RewardMode.TimeProportional);
+    });
+  });
+
+  describe("Reward Accrual", function () {
+    it("Should pay less to a late depositor", async function () {
+      const { stakingContract, user1, user2, startTime, endTime } = await loadFixture(timeProportionalFixture);
+
+      const earlyTime = startTime + 1;
+      const lateTime = startTime + DEPOSIT_WINDOW;
+
+      await stakeAt(stakingContract, user1, STAKE_AMOUNT, earlyTime);
+      await stakeAt(stakingContract, user2, STAKE_AMOUNT, lateTime);
+
+      const [, earlyReward] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+      const [, lateReward] = await stakingContract.calculateReward(ROUND_ID, user2.address);
+
+      expect(earlyReward).to.equal(proportionalReward(STAKE_AMOUNT, earlyTime, endTime));
+      expect(lateReward).to.equal(proportionalReward(STAKE_AMOUNT, lateTime, endTime));
+      expect(lateReward).to.be.lessThan(earlyReward);
+    });
+
+    it("Should weight repeated stakes by their deposit time", async function () {
+      const { stakingContract, user1, startTime, endTime } = await loadFixture(timeProportionalFixture);
+
+      const firstTime = startTime + 100;
+      const secondTime = startTime + DEPOSIT_WINDOW / 2;
+      const secondStake = ethers.parseUnits("500000", 18);
+
+      await stakeAt(stakingContract, user1, STAKE_AMOUNT, firstTime);
+      await stakeAt(stakingContract, user1, secondStake, secondTime);
+
+      const [stakedAmount, projectedReward] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+
+      expect(stakedAmount).to.equal(STAKE_AMOUNT + secondStake);
+      const expected = proportionalReward(STAKE_AMOUNT, firstTime, endTime) +
+        proportionalReward(secondStake, secondTime, endTime);
+      // The contract sums the weights before dividing, so it can round up by 1 wei
+      expect(projectedReward - expected).to.be.lessThanOrEqual(1n);
+    });
+
+    it("Should report accrued reward growing until the end of the round", async function () {
+      const { stakingContract, user1, startTime, endTime } = await loadFixture(timeProportionalFixture);
+
+      const depositTime = startTime + 10;
+      await stakeAt(stakingContract, user1, STAKE_AMOUNT, depositTime);
+
+      const projected = proportionalReward(STAKE_AMOUNT, depositTime, endTime);
+      const halfway = depositTime + (endTime - depositTime) / 2;
+
+      await time.increaseTo(halfway);
+      const [, , potential, accrued] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+
+      expect(potential).to.equal(projected);
+      expect(accrued).to.equal(projected - proportionalReward(STAKE_AMOUNT, halfway, endTime));
+
+      await time.increaseTo(endTime + 100);
+      const [, , , accruedAtEnd] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(accruedAtEnd).to.equal(projected);
+    });
+
+    it("Should pay the time-proportional reward on claim", async function () {
+      const { stakingContract, stakingToken, user1, startTime, endTime } = await loadFixture(timeProportionalFixture);
+
+      const depositTime = startTime + DEPOSIT_WINDOW / 4;
+      await stakeAt(stakingContract, user1, STAKE_AMOUNT, depositTime);
+
+      const expectedReward = proportionalReward(STAKE_AMOUNT, depositTime, endTime);
+      await time.increaseTo(endTime);
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, STAKE_AMOUNT, expectedReward);
+
+      const finalBalance = await stakingToken.balanceOf(user1.address);
+      expect(finalBalance - initialBalance).to.equal(STAKE_AMOUNT + expectedReward);
+    });
+
+    it("Should keep the average deposit time after a partial unstake", async function () {
+      const { stakingContract, user1, startTime, endTime } = await loadFixture(timeProportionalFixture);
+
+      const depositTime = startTime + 100;
+      await stakeAt(stakingContract, user1, STAKE_AMOUNT, depositTime);
+      await stakingContract.connect(user1).unstake(STAKE_AMOUNT / 2n);
+
+      const [, projectedReward] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+
+      expect(projectedReward).to.equal(proportionalReward(STAKE_AMOUNT / 2n, depositTime, endTime));
+    });
+  });
+
+  describe("Flat Mode", function () {
+    it("Should pay the full rate regardless of deposit time", async function () {
+      const { stakingContract, user1, user2, startTime } = await loadFixture(flatFixture);
+
+      await stakeAt(stakingContract, user1, STAKE_AMOUNT, startTime + 1);
+      await stakeAt(stakingContract, user2, STAKE_AMOUNT, startTime + DEPOSIT_WINDOW);
+
+      const [, earlyReward] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+      const [, lateReward] = await stakingContract.calculateReward(ROUND_ID, user2.address);
+
+      expect(earlyReward).to.equal(STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR);
+      expect(lateReward).to.equal(earlyReward);
+    });
+
+    it("Should only report the reward as accrued at the end of the round", async function () {
+      const { stakingContract, user1, endTime } = await loadFixture(flatFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      const [, , accruedBefore] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+      expect(accruedBefore).to.equal(0);
+
+      await time.increaseTo(endTime);
+
+      const [, rewardAmount, accruedReward] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+      expect(accruedReward).to.equal(rewardAmount);
+    });
+  });
+});
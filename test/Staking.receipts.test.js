@@ -0,0 +1,324 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+
+describe("StakingContract - Liquid Receipt Tokens", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  // Mirrors StakingContract.RewardMode and PenaltyDestination
+  const RewardMode = { Flat: 0, TimeProportional: 1 };
+  const PenaltyDestination = { Owner: 0, RewardPool: 1, Stakers: 2 };
+
+  async function deployFixture(rewardMode = RewardMode.Flat) {
+    const [owner, user1, user2, buyer] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking({ rewardMode });
+
+    const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+    const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    return { stakingContract, stakingToken, receiptToken, StakeReceipt, owner, user1, user2, buyer };
+  }
+
+  async function receiptStakedFixture() {
+    const fixture = await deployFixture();
+    const { stakingContract, receiptToken, user1 } = fixture;
+
+    await stakingContract.setReceiptToken(receiptToken.target);
+    await stakingContract.startStaking();
+    await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+    await stakingContract.depositRewards(STAKE_AMOUNT * 2n * REWARD_BPS / BPS_DENOMINATOR);
+
+    return fixture;
+  }
+
+  function expectedReward(amount) {
+    return amount * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  describe("Receipt Token", function () {
+    it("Should let the campaign admin set a receipt token for a round that has not started", async function () {
+      const { stakingContract, receiptToken } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.setReceiptToken(receiptToken.target))
+        .to.emit(stakingContract, "ReceiptTokenSet")
+        .withArgs(ROUND_ID, receiptToken.target);
+      expect(await stakingContract.receiptTokens(ROUND_ID)).to.equal(receiptToken.target);
+    });
+
+    it("Should allow setting the current round's receipt token before anyone stakes", async function () {
+      const { stakingContract, receiptToken, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      expect(await receiptToken.balanceOf(user1.address)).to.equal(STAKE_AMOUNT);
+    });
+
+    it("Should reject a round that already has stakes", async function () {
+      const { stakingContract, receiptToken, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await expect(stakingContract.setReceiptToken(receiptToken.target))
+        .to.be.revertedWithCustomError(stakingContract, "RoundHasStakes");
+    });
+
+    it("Should reject an earlier round", async function () {
+      const { stakingContract, receiptToken } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+
+      await expect(stakingContract.setReceiptToken(receiptToken.target))
+        .to.be.revertedWithCustomError(stakingContract, "RoundEnded");
+    });
+
+    it("Should reject a second receipt token for the same round", async function () {
+      const { stakingContract, receiptToken, StakeReceipt } = await loadFixture(deployFixture);
+
+      await stakingContract.setReceiptToken(receiptToken.target);
+      const other = await StakeReceipt.deploy("Other", "OTHER", stakingContract.target, ROUND_ID);
+
+      await expect(stakingContract.setReceiptToken(other.target))
+        .to.be.revertedWithCustomError(stakingContract, "ReceiptTokenAlreadySet");
+    });
+
+    it("Should reject a receipt token bound to another contract", async function () {
+      const { stakingContract, StakeReceipt, user1 } = await loadFixture(deployFixture);
+
+      const foreign = await StakeReceipt.deploy("Foreign", "FOREIGN", user1.address, ROUND_ID);
+
+      await expect(stakingContract.setReceiptToken(foreign.target))
+        .to.be.revertedWithCustomError(stakingContract, "ReceiptTokenNotBound");
+    });
+
+    it("Should reject a receipt token in TimeProportional mode", async function () {
+      const { stakingContract, receiptToken } = await deployFixture(RewardMode.TimeProportional);
+
+      await expect(stakingContract.setReceiptToken(receiptToken.target))
+        .to.be.revertedWithCustomError(stakingContract, "ReceiptsInTimeProportionalMode");
+    });
+
+    it("Should only let the campaign admin set a receipt token", async function () {
+      const { stakingContract, receiptToken, user1 } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.connect(user1).setReceiptToken(receiptToken.target))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+
+    it("Should only let the staking contract mint and burn", async function () {
+      const { receiptToken, user1 } = await loadFixture(deployFixture);
+
+      await expect(receiptToken.connect(user1).mint(user1.address, STAKE_AMOUNT))
+        .to.be.revertedWith("Caller is not the staking contract");
+      await expect(receiptToken.connect(user1).burn(user1.address, STAKE_AMOUNT))
+        .to.be.revertedWith("Caller is not the staking contract");
+    });
+  });
+
+  describe("Staking", function () {
+    it("Should mint receipts 1:1 and pool the stake", async function () {
+      const { stakingContract, receiptToken, user1 } = await loadFixture(receiptStakedFixture);
+
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.emit(stakingContract, "StakeIncreased")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT, STAKE_AMOUNT * 2n)
+        .and.to.emit(receiptToken, "Transfer")
+        .withArgs(ethers.ZeroAddress, user1.address, STAKE_AMOUNT);
+
+      expect(await receiptToken.balanceOf(user1.address)).to.equal(STAKE_AMOUNT * 2n);
+      expect(await stakingContract.stakedBalance(ROUND_ID, user1.address)).to.equal(STAKE_AMOUNT * 2n);
+      expect((await stakingContract.stakes(ROUND_ID, user1.address)).amount).to.equal(0);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(STAKE_AMOUNT * 2n);
+
+      const [stakedAmount, claimed, potentialReward] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(stakedAmount).to.equal(STAKE_AMOUNT * 2n);
+      expect(claimed).to.be.false;
+      expect(potentialReward).to.equal(expectedReward(STAKE_AMOUNT * 2n));
+    });
+
+    it("Should mint receipts to the beneficiary of stakeFor", async function () {
+      const { stakingContract, receiptToken, owner, user2 } = await loadFixture(receiptStakedFixture);
+
+      await expect(stakingContract.stakeFor(user2.address, STAKE_AMOUNT))
+        .to.emit(stakingContract, "StakedFor")
+        .withArgs(ROUND_ID, owner.address, user2.address, STAKE_AMOUNT, STAKE_AMOUNT);
+
+      expect(await receiptToken.balanceOf(user2.address)).to.equal(STAKE_AMOUNT);
+      expect(await receiptToken.balanceOf(owner.address)).to.equal(0);
+    });
+
+    it("Should leave rounds without a receipt token unchanged", async function () {
+      const { stakingContract, receiptToken, user1 } = await loadFixture(receiptStakedFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      expect(await stakingContract.receiptTokens(ROUND_ID + 1)).to.equal(ethers.ZeroAddress);
+      expect((await stakingContract.stakes(ROUND_ID + 1, user1.address)).amount).to.equal(STAKE_AMOUNT);
+      expect(await receiptToken.totalSupply()).to.equal(0);
+    });
+  });
+
+  describe("Redemption", function () {
+    it("Should pay receipts transferred mid-lock to their new holder", async function () {
+      const { stakingContract, stakingToken, receiptToken, user1, buyer } = await loadFixture(receiptStakedFixture);
+
+      const sold = STAKE_AMOUNT / 4n;
+      await time.increase(STAKING_DURATION / 2);
+      await receiptToken.connect(user1).transfer(buyer.address, sold);
+
+      expect(await stakingContract.stakedBalance(ROUND_ID, buyer.address)).to.equal(sold);
+      const [, buyerReward] = await stakingContract.calculateReward(ROUND_ID, buyer.address);
+      expect(buyerReward).to.equal(expectedReward(sold));
+
+      await time.increase(STAKING_DURATION / 2);
+
+      await expect(stakingContract.connect(buyer).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, buyer.address, buyer.address, sold, expectedReward(sold));
+      expect(await stakingToken.balanceOf(buyer.address)).to.equal(sold + expectedReward(sold));
+
+      const remaining = STAKE_AMOUNT - sold;
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, remaining, expectedReward(remaining));
+
+      expect(await receiptToken.totalSupply()).to.equal(0);
+      expect(await stakingContract.totalObligations()).to.equal(0);
+    });
+
+    it("Should redeem part of the receipts and keep the reward per receipt", async function () {
+      const { stakingContract, stakingToken, receiptToken, user1 } = await loadFixture(receiptStakedFixture);
+
+      await time.increase(STAKING_DURATION);
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+      const firstPart = STAKE_AMOUNT / 3n;
+      await stakingContract.connect(user1).redeem(ROUND_ID, firstPart);
+
+      const firstReward = (await stakingToken.balanceOf(user1.address)) - initialBalance - firstPart;
+      expect(firstReward).to.be.closeTo(expectedReward(firstPart), 1n);
+      expect(await receiptToken.balanceOf(user1.address)).to.equal(STAKE_AMOUNT - firstPart);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(STAKE_AMOUNT);
+      expect(await stakingContract.outstandingPrincipal()).to.equal(STAKE_AMOUNT - firstPart);
+
+      await stakingContract.connect(user1).redeem(ROUND_ID, STAKE_AMOUNT - firstPart);
+
+      // The partial redemptions add up to the pool's reward exactly
+      expect(await stakingToken.balanceOf(user1.address))
+        .to.equal(initialBalance + STAKE_AMOUNT + expectedReward(STAKE_AMOUNT));
+      expect(await stakingContract.totalObligations()).to.equal(0);
+    });
+
+    it("Should claim the whole receipt balance to a recipient", async function () {
+      const { stakingContract, stakingToken, receiptToken, user1, buyer } = await loadFixture(receiptStakedFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claimTo(ROUND_ID, buyer.address);
+
+      expect(await stakingToken.balanceOf(buyer.address)).to.equal(STAKE_AMOUNT + expectedReward(STAKE_AMOUNT));
+      expect(await receiptToken.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should revert for a holder without receipts", async function () {
+      const { stakingContract, user2 } = await loadFixture(receiptStakedFixture);
+
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user2).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "NoTokensStaked");
+      await expect(stakingContract.connect(user2).redeem(ROUND_ID, 1))
+        .to.be.revertedWithCustomError(stakingContract, "AmountExceedsReceipts");
+    });
+
+    it("Should revert redeem with invalid parameters", async function () {
+      const { stakingContract, user1 } = await loadFixture(receiptStakedFixture);
+
+      await expect(stakingContract.connect(user1).redeem(ROUND_ID, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).redeem(ROUND_ID, 0))
+        .to.be.revertedWithCustomError(stakingContract, "ZeroAmount");
+      await expect(stakingContract.connect(user1).redeem(ROUND_ID, STAKE_AMOUNT + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "AmountExceedsReceipts");
+
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).redeem(ROUND_ID + 1, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "NotReceiptRound");
+    });
+  });
+
+  describe("Unstake and Emergency Withdrawal", function () {
+    it("Should burn receipts on early unstake and free the capacity", async function () {
+      const { stakingContract, stakingToken, receiptToken, owner, user1 } = await loadFixture(receiptStakedFixture);
+
+      const penaltyBps = 500n; // 5%
+      await stakingContract.setUnstakePenalty(penaltyBps, PenaltyDestination.RewardPool);
+
+      const withdrawn = STAKE_AMOUNT / 2n;
+      const penalty = withdrawn * penaltyBps / BPS_DENOMINATOR;
+      const balanceBefore = await stakingToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).unstake(withdrawn))
+        .to.emit(stakingContract, "Unstaked")
+        .withArgs(ROUND_ID, user1.address, withdrawn, penalty, STAKE_AMOUNT - withdrawn);
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(balanceBefore + withdrawn - penalty);
+      expect(await receiptToken.balanceOf(user1.address)).to.equal(STAKE_AMOUNT - withdrawn);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(STAKE_AMOUNT - withdrawn);
+      expect(await stakingContract.outstandingRewards()).to.equal(expectedReward(STAKE_AMOUNT - withdrawn));
+
+      await expect(stakingContract.connect(owner).unstake(1))
+        .to.be.revertedWithCustomError(stakingContract, "AmountExceedsStake");
+    });
+
+    it("Should burn receipts and return principal in emergency mode", async function () {
+      const { stakingContract, stakingToken, receiptToken, user1, buyer } = await loadFixture(receiptStakedFixture);
+
+      const sold = STAKE_AMOUNT / 2n;
+      await receiptToken.connect(user1).transfer(buyer.address, sold);
+      await stakingContract.enableEmergencyMode();
+
+      await expect(stakingContract.connect(buyer).emergencyWithdraw(ROUND_ID))
+        .to.emit(stakingContract, "EmergencyWithdrawn")
+        .withArgs(ROUND_ID, buyer.address, sold);
+
+      expect(await stakingToken.balanceOf(buyer.address)).to.equal(sold);
+      expect(await receiptToken.balanceOf(buyer.address)).to.equal(0);
+      expect(await stakingContract.outstandingRewards()).to.equal(expectedReward(STAKE_AMOUNT - sold));
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(STAKE_AMOUNT - sold);
+
+      await stakingContract.connect(user1).emergencyWithdraw(ROUND_ID);
+      expect(await stakingContract.totalObligations()).to.equal(0);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(0);
+
+      await expect(stakingContract.connect(user1).emergencyWithdraw(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "NoTokensStaked");
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  deployStaking,
+} = require("./config");
+
+describe("StakingContract - Restaking", function () {
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  async function firstRoundEndedFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    await stakingToken.transfer(user1.address, userAmount);
+    await stakingToken.transfer(user2.address, userAmount);
+    await stakingToken.connect(user1).approve(stakingContract.target, userAmount);
+    await stakingToken.connect(user2).approve(stakingContract.target, userAmount);
+
+    const rewardAmount = ethers.parseUnits("50000000", 18);
+    await stakingToken.approve(stakingContract.target, rewardAmount);
+    await stakingContract.depositRewards(rewardAmount);
+
+    await stakingContract.startStaking();
+    await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+    await time.increase(STAKING_DURATION);
+
+    return { stakingContract, stakingToken, owner, user1, user2 };
+  }
+
+  async function secondRoundStartedFixture() {
+    const fixture = await firstRoundEndedFixture();
+    await fixture.stakingContract.startStaking();
+    return fixture;
+  }
+
+  describe("Restake Principal", function () {
+    it("Should move principal into the next round and pay out the reward", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      const expectedReward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+      const initialContractBalance = await stakingToken.balanceOf(stakingContract.target);
+
+      await expect(stakingContract.connect(user1).restake(1, false))
+        .to.emit(stakingContract, "Restaked")
+        .withArgs(1, 2, user1.address, STAKE_AMOUNT, expectedReward, false);
+
+      const [round1Amount, round1Claimed] = await stakingContract.getUserStakeInfo(1, user1.address);
+      const [round2Amount, round2Claimed] = await stakingContract.getUserStakeInfo(2, user1.address);
+
+      expect(round1Amount).to.equal(STAKE_AMOUNT);
+      expect(round1Claimed).to.be.true;
+      expect(round2Amount).to.equal(STAKE_AMOUNT);
+      expect(round2Claimed).to.be.false;
+      expect((await stakingContract.rounds(2)).totalStaked).to.equal(STAKE_AMOUNT);
+      expect(await stakingContract.stakers(2, 0)).to.equal(user1.address);
+
+      expect(await stakingToken.balanceOf(user1.address) - initialBalance).to.equal(expectedReward);
+      expect(initialContractBalance - await stakingToken.balanceOf(stakingContract.target)).to.equal(expectedReward);
+    });
+
+    it("Should add to an existing stake in the next round", async function () {
+      const { stakingContract, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      const newStake = ethers.parseUnits("500000", 18);
+      await stakingContract.connect(user1).stake(newStake);
+
+      await stakingContract.connect(user1).restake(1, false);
+
+      const [round2Amount] = await stakingContract.getUserStakeInfo(2, user1.address);
+      expect(round2Amount).to.equal(newStake + STAKE_AMOUNT);
+      expect(await stakingContract.getTotalStakers(2)).to.equal(1);
+    });
+  });
+
+  describe("Compound", function () {
+    it("Should move principal and reward into the next round without transfers", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      const expectedReward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+      const initialContractBalance = await stakingToken.balanceOf(stakingContract.target);
+
+      await expect(stakingContract.connect(user1).restake(1, true))
+        .to.emit(stakingContract, "Restaked")
+        .withArgs(1, 2, user1.address, STAKE_AMOUNT, expectedReward, true);
+
+      const [round2Amount] = await stakingContract.getUserStakeInfo(2, user1.address);
+      expect(round2Amount).to.equal(STAKE_AMOUNT + expectedReward);
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(initialBalance);
+      expect(await stakingToken.balanceOf(stakingContract.target)).to.equal(initialContractBalance);
+    });
+
+    it("Should pay the compounded stake at the next round's rate", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      await stakingContract.connect(user1).restake(1, true);
+      const [compounded] = await stakingContract.getUserStakeInfo(2, user1.address);
+
+      await time.increase(STAKING_DURATION);
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+      await stakingContract.connect(user1).claim(2);
+      const finalBalance = await stakingToken.balanceOf(user1.address);
+
+      expect(finalBalance - initialBalance).to.equal(compounded + compounded * REWARD_BPS / BPS_DENOMINATOR);
+    });
+  });
+
+  describe("Restake Error Cases", function () {
+    it("Should not allow restaking when no round is in its deposit window", async function () {
+      const { stakingContract, user1 } = await loadFixture(firstRoundEndedFixture);
+
+      await expect(stakingContract.connect(user1).restake(1, false))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+
+    it("Should not allow restaking after the next round's deposit window closes", async function () {
+      const { stakingContract, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      await time.increase(DEPOSIT_WINDOW + 1);
+
+      await expect(stakingContract.connect(user1).restake(1, false))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+
+    it("Should not allow restaking from a round that has not ended", async function () {
+      const { stakingContract, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      await expect(stakingContract.connect(user1).restake(2, false))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+    });
+
+    it("Should not allow restaking without a stake", async function () {
+      const { stakingContract, user2 } = await loadFixture(secondRoundStartedFixture);
+
+      await expect(stakingContract.connect(user2).restake(1, false))
+        .to.be.revertedWithCustomError(stakingContract, "NoTokensStaked");
+    });
+
+    it("Should not allow restaking a claimed stake", async function () {
+      const { stakingContract, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      await stakingContract.connect(user1).claim(1);
+
+      await expect(stakingContract.connect(user1).restake(1, false))
+        .to.be.revertedWithCustomError(stakingContract, "AlreadyClaimed");
+    });
+
+    it("Should not allow restaking twice or claiming after restaking", async function () {
+      const { stakingContract, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      await stakingContract.connect(user1).restake(1, true);
+
+      await expect(stakingContract.connect(user1).restake(1, true))
+        .to.be.revertedWithCustomError(stakingContract, "AlreadyClaimed");
+      await expect(stakingContract.connect(user1).claim(1))
+        .to.be.revertedWithCustomError(stakingContract, "AlreadyClaimed");
+    });
+
+    it("Should respect the next round's cap", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(secondRoundStartedFixture);
+
+      // Fill round 2 so that only the principal fits, not principal + reward
+      await stakingContract.connect(user2).stake(MAX_TOTAL_STAKE - STAKE_AMOUNT);
+
+      await expect(stakingContract.connect(user1).restake(1, true))
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
+
+      await expect(stakingContract.connect(user1).restake(1, false))
+        .to.not.be.reverted;
+      expect(await stakingContract.isCapReached(2)).to.be.true;
+    });
+  });
+});
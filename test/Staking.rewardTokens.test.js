@@ -0,0 +1,435 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  INITIAL_SUPPLY,
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  deployStaking,
+} = require("./config");
+
+describe("StakingContract - Reward Tokens", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+  const PARTNER_BPS = 500n; // 5% in partner tokens
+  const PARTNER_FUNDING = ethers.parseUnits("10000000", 18); // 10M partner tokens
+
+  // Mirrors StakingContract.RewardMode
+  const RewardMode = { Flat: 0, TimeProportional: 1 };
+
+  async function deployFixture(rewardMode = RewardMode.Flat) {
+    const [owner, user1, user2, recipient] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking({ rewardMode });
+    const MockToken = await ethers.getContractFactory("MockERC20");
+    const partnerToken = await MockToken.deploy("Partner Token", "PART", INITIAL_SUPPLY);
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+    await partnerToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    return { stakingContract, stakingToken, partnerToken, MockToken, owner, user1, user2, recipient };
+  }
+
+  async function depositTokenRewards(stakingContract, token, amount) {
+    return stakingContract["depositRewards(address,uint256)"](token, amount);
+  }
+
+  async function rewardTokenFixture() {
+    const fixture = await deployFixture();
+    const { stakingContract, partnerToken } = fixture;
+
+    await stakingContract.startStaking();
+    await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS);
+    await stakingContract.depositRewards(ethers.parseUnits("10000000", 18));
+    await depositTokenRewards(stakingContract, partnerToken.target, PARTNER_FUNDING);
+
+    return fixture;
+  }
+
+  async function proportionalFixture() {
+    const fixture = await deployFixture(RewardMode.TimeProportional);
+    const { stakingContract, partnerToken } = fixture;
+
+    await stakingContract.startStaking();
+    await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS);
+
+    return fixture;
+  }
+
+  function partnerReward(amount) {
+    return amount * PARTNER_BPS / BPS_DENOMINATOR;
+  }
+
+  describe("Adding Reward Tokens", function () {
+    it("Should add a reward token to the current round", async function () {
+      const { stakingContract, partnerToken } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+      await expect(stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS))
+        .to.emit(stakingContract, "RewardTokenAdded")
+        .withArgs(ROUND_ID, partnerToken.target, PARTNER_BPS);
+
+      const tokens = await stakingContract.getRewardTokens(ROUND_ID);
+      expect(tokens.length).to.equal(1);
+      expect(tokens[0].token).to.equal(partnerToken.target);
+      expect(tokens[0].rewardBps).to.equal(PARTNER_BPS);
+      expect(await stakingContract.isRewardToken(partnerToken.target)).to.be.true;
+    });
+
+    it("Should add a reward token to a future round", async function () {
+      const { stakingContract, partnerToken } = await loadFixture(deployFixture);
+
+      await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS);
+      await stakingContract.startStaking();
+
+      expect((await stakingContract.getRewardTokens(ROUND_ID)).length).to.equal(1);
+      expect((await stakingContract.getRewardTokens(ROUND_ID + 1)).length).to.equal(0);
+    });
+
+    it("Should credit stakes already in the round", async function () {
+      const { stakingContract, partnerToken, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS);
+
+      expect(await stakingContract.rewardTokenOutstanding(partnerToken.target)).to.equal(partnerReward(STAKE_AMOUNT));
+      expect((await stakingContract.getRewardTokens(ROUND_ID))[0].rewardObligation).to.equal(partnerReward(STAKE_AMOUNT));
+    });
+
+    it("Should reject invalid reward tokens", async function () {
+      const { stakingContract, stakingToken, partnerToken, MockToken } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.addRewardToken(0, partnerToken.target, PARTNER_BPS))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidRound");
+
+      await stakingContract.startStaking();
+      await expect(stakingContract.addRewardToken(ROUND_ID, stakingToken.target, PARTNER_BPS))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidRewardToken");
+      await expect(stakingContract.addRewardToken(ROUND_ID, ethers.ZeroAddress, PARTNER_BPS))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidRewardToken");
+      await expect(stakingContract.addRewardToken(ROUND_ID, partnerToken.target, 0))
+        .to.be.revertedWithCustomError(stakingContract, "ZeroRewardRate");
+
+      await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS);
+      await expect(stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS))
+        .to.be.revertedWithCustomError(stakingContract, "RewardTokenAlreadyAdded");
+
+      const maxTokens = await stakingContract.MAX_REWARD_TOKENS();
+      for (let i = 1n; i < maxTokens; i++) {
+        const token = await MockToken.deploy(`Reward ${i}`, `R${i}`, 0);
+        await stakingContract.addRewardToken(ROUND_ID, token.target, PARTNER_BPS);
+      }
+      const extraToken = await MockToken.deploy("Extra", "EXTRA", 0);
+      await expect(stakingContract.addRewardToken(ROUND_ID, extraToken.target, PARTNER_BPS))
+        .to.be.revertedWithCustomError(stakingContract, "TooManyRewardTokens");
+
+      await time.increase(STAKING_DURATION);
+      await expect(stakingContract.addRewardToken(ROUND_ID, extraToken.target, PARTNER_BPS))
+        .to.be.revertedWithCustomError(stakingContract, "RoundEnded");
+    });
+
+    it("Should only let the campaign admin add reward tokens", async function () {
+      const { stakingContract, partnerToken, user1 } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.connect(user1).addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+  });
+
+  describe("Funding", function () {
+    it("Should deposit reward tokens", async function () {
+      const { stakingContract, partnerToken, owner } = await loadFixture(rewardTokenFixture);
+
+      await expect(depositTokenRewards(stakingContract, partnerToken.target, PARTNER_FUNDING))
+        .to.emit(stakingContract, "RewardTokenDeposited")
+        .withArgs(partnerToken.target, owner.address, PARTNER_FUNDING);
+
+      expect(await stakingContract.rewardTokenDeposited(partnerToken.target)).to.equal(PARTNER_FUNDING * 2n);
+      expect(await partnerToken.balanceOf(stakingContract.target)).to.equal(PARTNER_FUNDING * 2n);
+    });
+
+    it("Should deposit staking token rewards through the token variant", async function () {
+      const { stakingContract, stakingToken, owner } = await loadFixture(rewardTokenFixture);
+
+      const depositedBefore = await stakingContract.totalRewardsDeposited();
+      await expect(depositTokenRewards(stakingContract, stakingToken.target, STAKE_AMOUNT))
+        .to.emit(stakingContract, "RewardsDeposited")
+        .withArgs(owner.address, STAKE_AMOUNT);
+      expect(await stakingContract.totalRewardsDeposited()).to.equal(depositedBefore + STAKE_AMOUNT);
+    });
+
+    it("Should reject tokens that are not reward tokens", async function () {
+      const { stakingContract, MockToken } = await loadFixture(rewardTokenFixture);
+
+      const otherToken = await MockToken.deploy("Other", "OTHER", INITIAL_SUPPLY);
+      await expect(depositTokenRewards(stakingContract, otherToken.target, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "NotRewardToken");
+    });
+
+    it("Should only let the reward funder deposit reward tokens", async function () {
+      const { stakingContract, partnerToken, user1 } = await loadFixture(rewardTokenFixture);
+
+      await expect(stakingContract.connect(user1)["depositRewards(address,uint256)"](partnerToken.target, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.REWARD_FUNDER_ROLE());
+    });
+
+    it("Should refuse stakes whose reward tokens are not funded when required", async function () {
+      const { stakingContract, partnerToken, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+      await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS);
+      await stakingContract.depositRewards(STAKE_AMOUNT);
+      await stakingContract.setRequireFundedRewards(true);
+
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "InsufficientRewardFunding");
+
+      await depositTokenRewards(stakingContract, partnerToken.target, partnerReward(STAKE_AMOUNT));
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+    });
+
+    it("Should only let the treasurer withdraw the reward token surplus", async function () {
+      const { stakingContract, partnerToken, owner, user1 } = await loadFixture(rewardTokenFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      const surplus = PARTNER_FUNDING - partnerReward(STAKE_AMOUNT);
+      expect(await stakingContract.rewardTokenSurplus(partnerToken.target)).to.equal(surplus);
+
+      await expect(stakingContract.withdrawUnusedRewardTokens(partnerToken.target, surplus + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "ExceedsSurplus");
+      await expect(stakingContract.connect(user1).withdrawUnusedRewardTokens(partnerToken.target, surplus))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.TREASURER_ROLE());
+
+      await expect(stakingContract.withdrawUnusedRewardTokens(partnerToken.target, surplus))
+        .to.emit(stakingContract, "UnusedRewardTokensWithdrawn")
+        .withArgs(partnerToken.target, owner.address, surplus);
+      expect(await partnerToken.balanceOf(stakingContract.target)).to.equal(partnerReward(STAKE_AMOUNT));
+    });
+  });
+
+  describe("Claims", function () {
+    it("Should pay every reward token on claim", async function () {
+      const { stakingContract, stakingToken, partnerToken, user1 } = await loadFixture(rewardTokenFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      const stakingBefore = await stakingToken.balanceOf(user1.address);
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, STAKE_AMOUNT, reward)
+        .and.to.emit(stakingContract, "RewardTokenClaimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, partnerToken.target, partnerReward(STAKE_AMOUNT));
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(stakingBefore + STAKE_AMOUNT + reward);
+      expect(await partnerToken.balanceOf(user1.address)).to.equal(partnerReward(STAKE_AMOUNT));
+      expect(await stakingContract.rewardTokenOutstanding(partnerToken.target)).to.equal(0);
+    });
+
+    it("Should pay reward tokens to the claim recipient", async function () {
+      const { stakingContract, partnerToken, user1, recipient } = await loadFixture(rewardTokenFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claimTo(ROUND_ID, recipient.address);
+
+      expect(await partnerToken.balanceOf(recipient.address)).to.equal(partnerReward(STAKE_AMOUNT));
+      expect(await partnerToken.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should pay rewards only in the reward token when the round rate is zero", async function () {
+      const { stakingContract, stakingToken, partnerToken, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.startRound(DEPOSIT_WINDOW, STAKING_DURATION, 0, MAX_TOTAL_STAKE);
+      await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS);
+      await depositTokenRewards(stakingContract, partnerToken.target, PARTNER_FUNDING);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      expect(await stakingContract.outstandingRewards()).to.equal(0);
+
+      await time.increase(STAKING_DURATION);
+      const stakingBefore = await stakingToken.balanceOf(user1.address);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(stakingBefore + STAKE_AMOUNT);
+      expect(await partnerToken.balanceOf(user1.address)).to.equal(partnerReward(STAKE_AMOUNT));
+    });
+
+    it("Should forfeit the reward token rewards of unstaked tokens", async function () {
+      const { stakingContract, partnerToken, user1 } = await loadFixture(rewardTokenFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user1).unstake(STAKE_AMOUNT / 2n);
+
+      expect(await stakingContract.rewardTokenOutstanding(partnerToken.target)).to.equal(partnerReward(STAKE_AMOUNT / 2n));
+    });
+
+    it("Should pay reward tokens out when restaking", async function () {
+      const { stakingContract, partnerToken, user1 } = await loadFixture(rewardTokenFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+
+      await expect(stakingContract.connect(user1).restake(ROUND_ID, true))
+        .to.emit(stakingContract, "RewardTokenClaimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, partnerToken.target, partnerReward(STAKE_AMOUNT));
+      expect(await partnerToken.balanceOf(user1.address)).to.equal(partnerReward(STAKE_AMOUNT));
+    });
+
+    it("Should release reward token obligations on emergency withdrawal", async function () {
+      const { stakingContract, partnerToken, user1 } = await loadFixture(rewardTokenFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.enableEmergencyMode();
+      await stakingContract.connect(user1).emergencyWithdraw(ROUND_ID);
+
+      expect(await stakingContract.rewardTokenOutstanding(partnerToken.target)).to.equal(0);
+      expect(await partnerToken.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should not block claims when a reward token is underfunded", async function () {
+      const { stakingContract, stakingToken, partnerToken, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+      await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS);
+      await stakingContract.depositRewards(ethers.parseUnits("10000000", 18));
+      const funded = partnerReward(STAKE_AMOUNT) / 4n;
+      await depositTokenRewards(stakingContract, partnerToken.target, funded);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      const owed = partnerReward(STAKE_AMOUNT) - funded;
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      const stakingBefore = await stakingToken.balanceOf(user1.address);
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "RewardTokenClaimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, partnerToken.target, funded)
+        .and.to.emit(stakingContract, "RewardTokenOwed")
+        .withArgs(ROUND_ID, user1.address, user1.address, partnerToken.target, owed);
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(stakingBefore + STAKE_AMOUNT + reward);
+      expect(await partnerToken.balanceOf(user1.address)).to.equal(funded);
+      expect(await stakingContract.owedRewardTokens(user1.address, partnerToken.target)).to.equal(owed);
+      expect(await stakingContract.rewardTokenOutstanding(partnerToken.target)).to.equal(owed);
+
+      await expect(stakingContract.connect(user1).claimOwedRewardTokens(partnerToken.target))
+        .to.be.revertedWithCustomError(stakingContract, "InsufficientRewardTokenBalance");
+
+      await depositTokenRewards(stakingContract, partnerToken.target, PARTNER_FUNDING);
+      expect(await stakingContract.rewardTokenSurplus(partnerToken.target)).to.equal(PARTNER_FUNDING - owed);
+      await expect(stakingContract.connect(user1).claimOwedRewardTokens(partnerToken.target))
+        .to.emit(stakingContract, "OwedRewardTokenClaimed")
+        .withArgs(partnerToken.target, user1.address, owed);
+
+      expect(await partnerToken.balanceOf(user1.address)).to.equal(partnerReward(STAKE_AMOUNT));
+      expect(await stakingContract.owedRewardTokens(user1.address, partnerToken.target)).to.equal(0);
+      expect(await stakingContract.rewardTokenOutstanding(partnerToken.target)).to.equal(0);
+      await expect(stakingContract.connect(user1).claimOwedRewardTokens(partnerToken.target))
+        .to.be.revertedWithCustomError(stakingContract, "NoOwedRewardTokens");
+    });
+  });
+
+  describe("Receipts and Positions", function () {
+    it("Should share reward tokens pro rata on redemption", async function () {
+      const { stakingContract, partnerToken, user1, user2 } = await loadFixture(deployFixture);
+
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await stakingContract.startStaking();
+      await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, PARTNER_BPS);
+      await stakingContract.depositRewards(STAKE_AMOUNT);
+      await depositTokenRewards(stakingContract, partnerToken.target, PARTNER_FUNDING);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT * 3n);
+      await time.increase(STAKING_DURATION);
+
+      const [, potential] = await stakingContract.getRewardBreakdown(ROUND_ID, user2.address);
+      expect(potential[1]).to.equal(partnerReward(STAKE_AMOUNT * 3n));
+
+      await stakingContract.connect(user1).redeem(ROUND_ID, STAKE_AMOUNT / 2n);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      await stakingContract.connect(user2).claim(ROUND_ID);
+
+      expect(await partnerToken.balanceOf(user1.address)).to.equal(partnerReward(STAKE_AMOUNT));
+      expect(await partnerToken.balanceOf(user2.address)).to.equal(partnerReward(STAKE_AMOUNT * 3n));
+      expect(await stakingContract.rewardTokenOutstanding(partnerToken.target)).to.equal(0);
+    });
+
+    it("Should pay reward tokens to the position holder", async function () {
+      const { stakingContract, partnerToken, user1, user2 } = await loadFixture(rewardTokenFixture);
+
+      const StakePosition = await ethers.getContractFactory("StakePosition");
+      const positionToken = await StakePosition.deploy("UOMI Stake Position", "UOMI-POS", stakingContract.target);
+      await stakingContract.setPositionToken(positionToken.target);
+
+      await stakingContract.connect(user1).stakePosition(STAKE_AMOUNT);
+      const tokenId = await stakingContract.positionCount();
+      await positionToken.connect(user1).transferFrom(user1.address, user2.address, tokenId);
+
+      const [tokens, potential] = await stakingContract.getPositionRewardBreakdown(tokenId);
+      expect(tokens[1]).to.equal(partnerToken.target);
+      expect(potential[1]).to.equal(partnerReward(STAKE_AMOUNT));
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user2).claimPosition(tokenId);
+      expect(await partnerToken.balanceOf(user2.address)).to.equal(partnerReward(STAKE_AMOUNT));
+    });
+  });
+
+  describe("Reward Breakdown", function () {
+    it("Should list the staking token first, then the reward tokens", async function () {
+      const { stakingContract, stakingToken, partnerToken, user1 } = await loadFixture(rewardTokenFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      const [tokens, potential, accrued] = await stakingContract.getRewardBreakdown(ROUND_ID, user1.address);
+      expect(tokens).to.deep.equal([stakingToken.target, partnerToken.target]);
+      expect(potential).to.deep.equal([STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR, partnerReward(STAKE_AMOUNT)]);
+      expect(accrued).to.deep.equal([0n, 0n]);
+    });
+
+    it("Should report zero rewards for addresses without a stake", async function () {
+      const { stakingContract, partnerToken, user2 } = await loadFixture(rewardTokenFixture);
+
+      const [tokens, potential] = await stakingContract.getRewardBreakdown(ROUND_ID, user2.address);
+      expect(tokens[1]).to.equal(partnerToken.target);
+      expect(potential).to.deep.equal([0n, 0n]);
+    });
+
+    it("Should accrue reward tokens over the round in TimeProportional mode", async function () {
+      const { stakingContract, partnerToken, user1 } = await loadFixture(proportionalFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      const round = await stakingContract.rounds(ROUND_ID);
+      const stakedAt = BigInt(await time.latest());
+      const expected = STAKE_AMOUNT * (round.endTime - stakedAt) * PARTNER_BPS /
+        (BPS_DENOMINATOR * BigInt(STAKING_DURATION));
+
+      expect(await stakingContract.rewardTokenOutstanding(partnerToken.target)).to.equal(expected);
+
+      await time.increase(STAKING_DURATION / 2);
+      const [, potential, accrued] = await stakingContract.getRewardBreakdown(ROUND_ID, user1.address);
+      expect(potential[1]).to.equal(expected);
+      expect(accrued[1]).to.be.greaterThan(0n);
+      expect(accrued[1]).to.be.lessThan(expected);
+    });
+  });
+});
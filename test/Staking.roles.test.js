@@ -0,0 +1,248 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_DURATION, deployStaking } = require("./config");
+
+describe("StakingContract - Roles", function () {
+  const REWARD_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  async function deployStakingFixture() {
+    const [owner, campaignAdmin, rewardFunder, treasurer, pauser, user1] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const roles = {
+      CAMPAIGN_ADMIN_ROLE: await stakingContract.CAMPAIGN_ADMIN_ROLE(),
+      REWARD_FUNDER_ROLE: await stakingContract.REWARD_FUNDER_ROLE(),
+      TREASURER_ROLE: await stakingContract.TREASURER_ROLE(),
+      PAUSER_ROLE: await stakingContract.PAUSER_ROLE(),
+      DEFAULT_ADMIN_ROLE: await stakingContract.DEFAULT_ADMIN_ROLE(),
+    };
+
+    await stakingToken.transfer(rewardFunder.address, REWARD_AMOUNT);
+    await stakingToken.connect(rewardFunder).approve(stakingContract.target, REWARD_AMOUNT);
+
+    return { stakingContract, stakingToken, roles, owner, campaignAdmin, rewardFunder, treasurer, pauser, user1 };
+  }
+
+  // Each role held by its own account, and given up by the deployer
+  async function separatedRolesFixture() {
+    const fixture = await deployStakingFixture();
+    const { stakingContract, roles, owner, campaignAdmin, rewardFunder, treasurer, pauser } = fixture;
+
+    await stakingContract.grantRole(roles.CAMPAIGN_ADMIN_ROLE, campaignAdmin.address);
+    await stakingContract.grantRole(roles.REWARD_FUNDER_ROLE, rewardFunder.address);
+    await stakingContract.grantRole(roles.TREASURER_ROLE, treasurer.address);
+    await stakingContract.grantRole(roles.PAUSER_ROLE, pauser.address);
+
+    for (const role of [roles.CAMPAIGN_ADMIN_ROLE, roles.REWARD_FUNDER_ROLE, roles.TREASURER_ROLE, roles.PAUSER_ROLE]) {
+      await stakingContract.renounceRole(role, owner.address);
+    }
+
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("Should grant every role to the deployer", async function () {
+      const { stakingContract, roles, owner } = await loadFixture(deployStakingFixture);
+
+      for (const role of Object.values(roles)) {
+        expect(await stakingContract.hasRole(role, owner.address)).to.be.true;
+      }
+      expect(await stakingContract.defaultAdmin()).to.equal(owner.address);
+    });
+  });
+
+  describe("Campaign Admin", function () {
+    it("Should allow the campaign admin to open and configure rounds", async function () {
+      const { stakingContract, campaignAdmin } = await loadFixture(separatedRolesFixture);
+
+      await expect(stakingContract.connect(campaignAdmin).startStaking())
+        .to.emit(stakingContract, "StakingStarted");
+      await expect(stakingContract.connect(campaignAdmin).setUnstakePenalty(500, 0))
+        .to.emit(stakingContract, "UnstakePenaltyUpdated");
+      await expect(stakingContract.connect(campaignAdmin).setRequireFundedRewards(true))
+        .to.emit(stakingContract, "RequireFundedRewardsUpdated");
+    });
+
+    it("Should not allow other roles to open rounds", async function () {
+      const { stakingContract, roles, owner, rewardFunder, treasurer, pauser } = await loadFixture(separatedRolesFixture);
+
+      for (const account of [owner, rewardFunder, treasurer, pauser]) {
+        await expect(stakingContract.connect(account).startStaking())
+          .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+          .withArgs(account.address, roles.CAMPAIGN_ADMIN_ROLE);
+      }
+    });
+  });
+
+  describe("Reward Funder", function () {
+    it("Should allow the reward funder to deposit rewards", async function () {
+      const { stakingContract, rewardFunder } = await loadFixture(separatedRolesFixture);
+
+      await expect(stakingContract.connect(rewardFunder).depositRewards(REWARD_AMOUNT))
+        .to.emit(stakingContract, "RewardsDeposited")
+        .withArgs(rewardFunder.address, REWARD_AMOUNT);
+    });
+
+    it("Should not allow other roles to deposit rewards", async function () {
+      const { stakingContract, roles, owner, campaignAdmin, treasurer, pauser } = await loadFixture(separatedRolesFixture);
+
+      for (const account of [owner, campaignAdmin, treasurer, pauser]) {
+        await expect(stakingContract.connect(account).depositRewards(REWARD_AMOUNT))
+          .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+          .withArgs(account.address, roles.REWARD_FUNDER_ROLE);
+      }
+    });
+  });
+
+  describe("Treasurer", function () {
+    it("Should pay the surplus to the treasurer", async function () {
+      const { stakingContract, stakingToken, campaignAdmin, rewardFunder, treasurer } = await loadFixture(separatedRolesFixture);
+
+      await stakingContract.connect(campaignAdmin).startStaking();
+      await stakingContract.connect(rewardFunder).depositRewards(REWARD_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(treasurer).withdrawUnusedTokens(REWARD_AMOUNT))
+        .to.emit(stakingContract, "UnusedTokensWithdrawn")
+        .withArgs(treasurer.address, REWARD_AMOUNT);
+
+      expect(await stakingToken.balanceOf(treasurer.address)).to.equal(REWARD_AMOUNT);
+    });
+
+    it("Should not allow other roles to withdraw the surplus", async function () {
+      const { stakingContract, roles, owner, campaignAdmin, rewardFunder, pauser } = await loadFixture(separatedRolesFixture);
+
+      await stakingContract.connect(campaignAdmin).startStaking();
+      await time.increase(STAKING_DURATION);
+
+      for (const account of [owner, campaignAdmin, rewardFunder, pauser]) {
+        await expect(stakingContract.connect(account).withdrawUnusedTokens(0))
+          .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+          .withArgs(account.address, roles.TREASURER_ROLE);
+      }
+    });
+  });
+
+  describe("Pauser", function () {
+    it("Should allow the pauser to pause and enable emergency mode", async function () {
+      const { stakingContract, pauser } = await loadFixture(separatedRolesFixture);
+
+      await expect(stakingContract.connect(pauser).pauseStaking())
+        .to.emit(stakingContract, "StakingPaused");
+      await expect(stakingContract.connect(pauser).pauseClaiming())
+        .to.emit(stakingContract, "ClaimingPaused");
+      await expect(stakingContract.connect(pauser).enableEmergencyMode())
+        .to.emit(stakingContract, "EmergencyModeEnabled");
+    });
+
+    it("Should not allow other roles to pause", async function () {
+      const { stakingContract, roles, owner, campaignAdmin, rewardFunder, treasurer } = await loadFixture(separatedRolesFixture);
+
+      for (const account of [owner, campaignAdmin, rewardFunder, treasurer]) {
+        await expect(stakingContract.connect(account).pauseStaking())
+          .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+          .withArgs(account.address, roles.PAUSER_ROLE);
+      }
+    });
+  });
+
+  describe("Role Management", function () {
+    it("Should allow the default admin to grant and revoke roles", async function () {
+      const { stakingContract, roles, user1 } = await loadFixture(deployStakingFixture);
+
+      await expect(stakingContract.grantRole(roles.PAUSER_ROLE, user1.address))
+        .to.emit(stakingContract, "RoleGranted");
+      expect(await stakingContract.hasRole(roles.PAUSER_ROLE, user1.address)).to.be.true;
+
+      await expect(stakingContract.revokeRole(roles.PAUSER_ROLE, user1.address))
+        .to.emit(stakingContract, "RoleRevoked");
+      expect(await stakingContract.hasRole(roles.PAUSER_ROLE, user1.address)).to.be.false;
+    });
+
+    it("Should not allow other roles to grant roles", async function () {
+      const { stakingContract, roles, campaignAdmin, user1 } = await loadFixture(separatedRolesFixture);
+
+      await expect(stakingContract.connect(campaignAdmin).grantRole(roles.CAMPAIGN_ADMIN_ROLE, user1.address))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(campaignAdmin.address, roles.DEFAULT_ADMIN_ROLE);
+    });
+
+    it("Should not allow granting the default admin role directly", async function () {
+      const { stakingContract, roles, user1 } = await loadFixture(deployStakingFixture);
+
+      await expect(stakingContract.grantRole(roles.DEFAULT_ADMIN_ROLE, user1.address))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlEnforcedDefaultAdminRules");
+    });
+  });
+
+  describe("Default Admin Transfer", function () {
+    it("Should transfer the default admin in two steps", async function () {
+      const { stakingContract, roles, owner, user1 } = await loadFixture(deployStakingFixture);
+
+      await expect(stakingContract.beginDefaultAdminTransfer(user1.address))
+        .to.emit(stakingContract, "DefaultAdminTransferScheduled");
+
+      // Nothing changes until the new admin accepts
+      expect(await stakingContract.defaultAdmin()).to.equal(owner.address);
+      const [pendingAdmin] = await stakingContract.pendingDefaultAdmin();
+      expect(pendingAdmin).to.equal(user1.address);
+
+      await stakingContract.connect(user1).acceptDefaultAdminTransfer();
+
+      expect(await stakingContract.defaultAdmin()).to.equal(user1.address);
+      expect(await stakingContract.owner()).to.equal(user1.address);
+      expect(await stakingContract.hasRole(roles.DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+    });
+
+    it("Should only let the pending admin accept", async function () {
+      const { stakingContract, campaignAdmin, user1 } = await loadFixture(deployStakingFixture);
+
+      await stakingContract.beginDefaultAdminTransfer(user1.address);
+
+      await expect(stakingContract.connect(campaignAdmin).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlInvalidDefaultAdmin")
+        .withArgs(campaignAdmin.address);
+    });
+
+    it("Should allow the default admin to cancel a pending transfer", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployStakingFixture);
+
+      await stakingContract.beginDefaultAdminTransfer(user1.address);
+      await expect(stakingContract.cancelDefaultAdminTransfer())
+        .to.emit(stakingContract, "DefaultAdminTransferCanceled");
+
+      await expect(stakingContract.connect(user1).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlInvalidDefaultAdmin");
+    });
+
+    it("Should not allow other accounts to start a transfer", async function () {
+      const { stakingContract, roles, user1 } = await loadFixture(deployStakingFixture);
+
+      await expect(stakingContract.connect(user1).beginDefaultAdminTransfer(user1.address))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, roles.DEFAULT_ADMIN_ROLE);
+    });
+
+    it("Should send Owner penalties to the new default admin", async function () {
+      const { stakingContract, stakingToken, user1, campaignAdmin } = await loadFixture(deployStakingFixture);
+
+      await stakingContract.beginDefaultAdminTransfer(campaignAdmin.address);
+      await stakingContract.connect(campaignAdmin).acceptDefaultAdminTransfer();
+
+      const stakeAmount = ethers.parseUnits("1000", 18);
+      await stakingToken.transfer(user1.address, stakeAmount);
+      await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
+      await stakingContract.setUnstakePenalty(1000, 0); // PenaltyDestination.Owner
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await stakingContract.connect(user1).unstake(stakeAmount);
+
+      expect(await stakingToken.balanceOf(campaignAdmin.address)).to.equal(stakeAmount / 10n);
+    });
+  });
+});
@@ -0,0 +1,365 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { REWARD_BPS, BPS_DENOMINATOR, MAX_TOTAL_STAKE, ROUND_CHANGE_DELAY, deployStaking } = require("./config");
+
+describe("StakingContract - Timelocked Round Changes", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+  const HOUR = 60 * 60;
+
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    return { stakingContract, stakingToken, owner, user1, user2 };
+  }
+
+  async function startedFixture() {
+    const fixture = await deployFixture();
+    await fixture.stakingContract.startStaking();
+
+    const round = await fixture.stakingContract.rounds(ROUND_ID);
+    return { ...fixture, round };
+  }
+
+  function rewardOn(amount) {
+    return amount * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  describe("Queueing", function () {
+    it("Should queue a change with the timelock delay", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      const newEnd = round.depositWindowEnd + BigInt(HOUR);
+      const newCap = MAX_TOTAL_STAKE * 2n;
+      const tx = await stakingContract.queueRoundChange(newEnd, newCap);
+      const executableAt = (await time.latest()) + ROUND_CHANGE_DELAY;
+
+      await expect(tx)
+        .to.emit(stakingContract, "RoundChangeQueued")
+        .withArgs(ROUND_ID, newEnd, newCap, executableAt);
+
+      const change = await stakingContract.roundChanges(ROUND_ID);
+      expect(change.depositWindowEnd).to.equal(newEnd);
+      expect(change.maxTotalStake).to.equal(newCap);
+      expect(change.executableAt).to.equal(executableAt);
+    });
+
+    it("Should not change the round until the change is executed", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await stakingContract.queueRoundChange(round.depositWindowEnd + BigInt(HOUR), MAX_TOTAL_STAKE * 2n);
+
+      const current = await stakingContract.rounds(ROUND_ID);
+      expect(current.depositWindowEnd).to.equal(round.depositWindowEnd);
+      expect(current.maxTotalStake).to.equal(MAX_TOTAL_STAKE);
+    });
+
+    it("Should reject an empty change", async function () {
+      const { stakingContract } = await loadFixture(startedFixture);
+
+      await expect(stakingContract.queueRoundChange(0, 0))
+        .to.be.revertedWithCustomError(stakingContract, "NothingToChange");
+    });
+
+    it("Should reject a second change while one is queued", async function () {
+      const { stakingContract } = await loadFixture(startedFixture);
+
+      await stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 2n);
+      await expect(stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 3n))
+        .to.be.revertedWithCustomError(stakingContract, "RoundChangeAlreadyQueued");
+    });
+
+    it("Should reject a change before any round is opened", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 2n))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotStarted");
+    });
+
+    it("Should reject a change once the deposit window has closed", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await time.increaseTo(round.depositWindowEnd + 1n);
+      await expect(stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 2n))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+
+    it("Should reject a change that would only be executable after the deposit window", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      const lastQueueTime = round.depositWindowEnd - BigInt(ROUND_CHANGE_DELAY);
+      await time.setNextBlockTimestamp(lastQueueTime + 1n);
+      await expect(stakingContract.queueRoundChange(round.depositWindowEnd + BigInt(HOUR), 0))
+        .to.be.revertedWithCustomError(stakingContract, "RoundChangeAfterDepositWindow");
+    });
+
+    it("Should only allow the campaign admin to queue, execute or cancel", async function () {
+      const { stakingContract, user1 } = await loadFixture(startedFixture);
+      const CAMPAIGN_ADMIN_ROLE = await stakingContract.CAMPAIGN_ADMIN_ROLE();
+
+      await expect(stakingContract.connect(user1).queueRoundChange(0, MAX_TOTAL_STAKE * 2n))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, CAMPAIGN_ADMIN_ROLE);
+      await expect(stakingContract.connect(user1).executeRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, CAMPAIGN_ADMIN_ROLE);
+      await expect(stakingContract.connect(user1).cancelRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, CAMPAIGN_ADMIN_ROLE);
+    });
+  });
+
+  describe("Deposit Window Extension", function () {
+    it("Should extend the deposit window after the delay", async function () {
+      const { stakingContract, user1, round } = await loadFixture(startedFixture);
+
+      const newEnd = round.depositWindowEnd + BigInt(HOUR);
+      await stakingContract.queueRoundChange(newEnd, 0);
+      await time.increase(ROUND_CHANGE_DELAY);
+
+      await expect(stakingContract.executeRoundChange())
+        .to.emit(stakingContract, "RoundChangeExecuted")
+        .withArgs(ROUND_ID, newEnd, MAX_TOTAL_STAKE);
+
+      const [, endTime, depositWindowEnd] = await stakingContract.getTimeInfo(ROUND_ID);
+      expect(depositWindowEnd).to.equal(newEnd);
+      expect(endTime).to.equal(round.endTime);
+
+      await time.setNextBlockTimestamp(newEnd);
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT)).to.not.be.reverted;
+      await time.setNextBlockTimestamp(newEnd + 1n);
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+
+    it("Should not shorten the deposit window", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await expect(stakingContract.queueRoundChange(round.depositWindowEnd, 0))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowNotExtended");
+      await expect(stakingContract.queueRoundChange(round.depositWindowEnd - 1n, 0))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowNotExtended");
+    });
+
+    it("Should not extend the deposit window past the end of the lock", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await expect(stakingContract.queueRoundChange(round.endTime + 1n, 0))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowExceedsDuration");
+      await expect(stakingContract.queueRoundChange(round.endTime, 0)).to.not.be.reverted;
+    });
+
+    it("Should keep existing stakes' lock and reward", async function () {
+      const { stakingContract, stakingToken, user1, round } = await loadFixture(startedFixture);
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT));
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await stakingContract.queueRoundChange(round.depositWindowEnd + BigInt(HOUR), 0);
+      await time.increase(ROUND_CHANGE_DELAY);
+      await stakingContract.executeRoundChange();
+
+      await time.setNextBlockTimestamp(round.endTime - 1n);
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.changeTokenBalance(stakingToken, user1, STAKE_AMOUNT + rewardOn(STAKE_AMOUNT));
+    });
+  });
+
+  describe("Cap Changes", function () {
+    it("Should raise the cap after the delay", async function () {
+      const { stakingContract, user1 } = await loadFixture(startedFixture);
+
+      await stakingContract.connect(user1).stake(MAX_TOTAL_STAKE);
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
+
+      await stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE + STAKE_AMOUNT);
+      await time.increase(ROUND_CHANGE_DELAY);
+      await stakingContract.executeRoundChange();
+
+      expect(await stakingContract.getRemainingCapacity(ROUND_ID)).to.equal(STAKE_AMOUNT);
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT)).to.not.be.reverted;
+      expect(await stakingContract.isCapReached(ROUND_ID)).to.be.true;
+    });
+
+    it("Should lower the cap down to the total staked", async function () {
+      const { stakingContract, round, user1, user2 } = await loadFixture(startedFixture);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await stakingContract.queueRoundChange(0, STAKE_AMOUNT);
+      await time.increase(ROUND_CHANGE_DELAY);
+      await expect(stakingContract.executeRoundChange())
+        .to.emit(stakingContract, "RoundChangeExecuted")
+        .withArgs(ROUND_ID, round.depositWindowEnd, STAKE_AMOUNT);
+
+      expect((await stakingContract.stakes(ROUND_ID, user1.address)).amount).to.equal(STAKE_AMOUNT);
+      expect(await stakingContract.getRemainingCapacity(ROUND_ID)).to.equal(0);
+      await expect(stakingContract.connect(user2).stake(1n))
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(STAKE_AMOUNT);
+    });
+
+    it("Should not queue a cap below the total staked", async function () {
+      const { stakingContract, user1 } = await loadFixture(startedFixture);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await expect(stakingContract.queueRoundChange(0, STAKE_AMOUNT - 1n))
+        .to.be.revertedWithCustomError(stakingContract, "CapBelowTotalStaked");
+    });
+
+    it("Should not execute a lower cap once stakes have grown past it", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(startedFixture);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await stakingContract.queueRoundChange(0, STAKE_AMOUNT * 2n);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT * 2n);
+      await time.increase(ROUND_CHANGE_DELAY);
+
+      await expect(stakingContract.executeRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "CapBelowTotalStaked");
+      expect((await stakingContract.rounds(ROUND_ID)).maxTotalStake).to.equal(MAX_TOTAL_STAKE);
+    });
+
+    it("Should raise the rewards required for the round", async function () {
+      const { stakingContract } = await loadFixture(startedFixture);
+      const required = await stakingContract.requiredRewards(ROUND_ID);
+
+      await stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 2n);
+      await time.increase(ROUND_CHANGE_DELAY);
+      await stakingContract.executeRoundChange();
+
+      expect(await stakingContract.requiredRewards(ROUND_ID)).to.equal(required * 2n);
+    });
+  });
+
+  describe("Execution", function () {
+    it("Should not execute before the delay has passed", async function () {
+      const { stakingContract } = await loadFixture(startedFixture);
+
+      await stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 2n);
+      const { executableAt } = await stakingContract.roundChanges(ROUND_ID);
+
+      await time.setNextBlockTimestamp(executableAt - 1n);
+      await expect(stakingContract.executeRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "RoundChangeTimelocked");
+
+      await time.setNextBlockTimestamp(executableAt);
+      await expect(stakingContract.executeRoundChange()).to.not.be.reverted;
+    });
+
+    it("Should clear the queued change once executed", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      // Extend the window so that another change still fits in it
+      await stakingContract.queueRoundChange(round.depositWindowEnd + BigInt(ROUND_CHANGE_DELAY), MAX_TOTAL_STAKE * 2n);
+      await time.increase(ROUND_CHANGE_DELAY);
+      await stakingContract.executeRoundChange();
+
+      expect((await stakingContract.roundChanges(ROUND_ID)).executableAt).to.equal(0);
+      await expect(stakingContract.executeRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "NoRoundChangeQueued");
+      await expect(stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 3n)).to.not.be.reverted;
+    });
+
+    it("Should execute a change queued as late as the delay allows", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      const newEnd = round.depositWindowEnd + BigInt(HOUR);
+      await time.setNextBlockTimestamp(round.depositWindowEnd - BigInt(ROUND_CHANGE_DELAY));
+      await stakingContract.queueRoundChange(newEnd, 0);
+      await time.setNextBlockTimestamp(round.depositWindowEnd);
+
+      await expect(stakingContract.executeRoundChange())
+        .to.emit(stakingContract, "RoundChangeExecuted")
+        .withArgs(ROUND_ID, newEnd, MAX_TOTAL_STAKE);
+    });
+
+    it("Should not execute once the deposit window has closed", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await stakingContract.queueRoundChange(round.depositWindowEnd + BigInt(HOUR), 0);
+      await time.increaseTo(round.depositWindowEnd + 1n);
+
+      await expect(stakingContract.executeRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+
+    it("Should use the delay set at deployment", async function () {
+      const { stakingContract } = await deployStaking({ roundChangeDelay: HOUR });
+      await stakingContract.startStaking();
+
+      await stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 2n);
+      expect(await stakingContract.ROUND_CHANGE_DELAY()).to.equal(HOUR);
+      expect((await stakingContract.roundChanges(ROUND_ID)).executableAt).to.equal((await time.latest()) + HOUR);
+
+      await time.increase(HOUR);
+      await expect(stakingContract.executeRoundChange()).to.not.be.reverted;
+    });
+
+    it("Should not execute without a queued change", async function () {
+      const { stakingContract } = await loadFixture(startedFixture);
+
+      await expect(stakingContract.executeRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "NoRoundChangeQueued");
+    });
+
+    it("Should only apply a change to the round it was queued for", async function () {
+      const { stakingContract, round } = await loadFixture(startedFixture);
+
+      await stakingContract.queueRoundChange(round.depositWindowEnd + BigInt(HOUR), 0);
+      await time.increaseTo(round.endTime);
+      await stakingContract.startStaking();
+
+      await expect(stakingContract.executeRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "NoRoundChangeQueued");
+    });
+  });
+
+  describe("Cancelling", function () {
+    it("Should cancel a queued change", async function () {
+      const { stakingContract } = await loadFixture(startedFixture);
+
+      await stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 2n);
+      await expect(stakingContract.cancelRoundChange())
+        .to.emit(stakingContract, "RoundChangeCancelled")
+        .withArgs(ROUND_ID);
+
+      expect((await stakingContract.roundChanges(ROUND_ID)).executableAt).to.equal(0);
+      await time.increase(ROUND_CHANGE_DELAY);
+      await expect(stakingContract.executeRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "NoRoundChangeQueued");
+      expect((await stakingContract.rounds(ROUND_ID)).maxTotalStake).to.equal(MAX_TOTAL_STAKE);
+    });
+
+    it("Should not cancel without a queued change", async function () {
+      const { stakingContract } = await loadFixture(startedFixture);
+
+      await expect(stakingContract.cancelRoundChange())
+        .to.be.revertedWithCustomError(stakingContract, "NoRoundChangeQueued");
+    });
+
+    it("Should drop a queued change when its scheduled round is cancelled", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      await stakingContract.scheduleStaking((await time.latest()) + HOUR);
+      await stakingContract.queueRoundChange(0, MAX_TOTAL_STAKE * 2n);
+      await stakingContract.cancelScheduledStaking();
+
+      expect((await stakingContract.roundChanges(ROUND_ID)).executableAt).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  deployStaking,
+} = require("./config");
+
+describe("StakingContract - Multi-Round Campaigns", function () {
+
+  // Parameters for a custom second round
+  const ROUND_2_DEPOSIT_WINDOW = 12 * 60 * 60; // 12 hours
+  const ROUND_2_DURATION = 30 * 24 * 60 * 60; // 30 days
+  const ROUND_2_REWARD_BPS = 2500n; // 25%
+  const ROUND_2_MAX_STAKE = ethers.parseUnits("10000000", 18); // 10M tokens
+
+  async function deployAndStartStakingFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    await stakingToken.transfer(user1.address, userAmount);
+    await stakingToken.transfer(user2.address, userAmount);
+    await stakingToken.connect(user1).approve(stakingContract.target, userAmount);
+    await stakingToken.connect(user2).approve(stakingContract.target, userAmount);
+
+    // Fund enough rewards for both rounds
+    const rewardAmount = ethers.parseUnits("50000000", 18);
+    await stakingToken.approve(stakingContract.target, rewardAmount);
+    await stakingContract.depositRewards(rewardAmount);
+
+    await stakingContract.startStaking();
+
+    return { stakingContract, stakingToken, owner, user1, user2 };
+  }
+
+  async function firstRoundEndedFixture() {
+    const fixture = await deployAndStartStakingFixture();
+    const { stakingContract, user1 } = fixture;
+
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000000", 18));
+    await time.increase(STAKING_DURATION);
+
+    return fixture;
+  }
+
+  async function secondRoundStartedFixture() {
+    const fixture = await firstRoundEndedFixture();
+    await fixture.stakingContract.startRound(
+      ROUND_2_DEPOSIT_WINDOW,
+      ROUND_2_DURATION,
+      ROUND_2_REWARD_BPS,
+      ROUND_2_MAX_STAKE
+    );
+    return fixture;
+  }
+
+  describe("Opening Rounds", function () {
+    it("Should open the first round with the default parameters", async function () {
+      const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
+
+      const round = await stakingContract.rounds(1);
+
+      expect(await stakingContract.currentRoundId()).to.equal(1);
+      expect(round.depositWindowEnd).to.equal(round.startTime + BigInt(DEPOSIT_WINDOW));
+      expect(round.endTime).to.equal(round.startTime + BigInt(STAKING_DURATION));
+      expect(round.rewardBps).to.equal(REWARD_BPS);
+      expect(round.maxTotalStake).to.equal(MAX_TOTAL_STAKE);
+    });
+
+    it("Should open a round with its own parameters", async function () {
+      const { stakingContract } = await loadFixture(firstRoundEndedFixture);
+
+      const tx = stakingContract.startRound(
+        ROUND_2_DEPOSIT_WINDOW,
+        ROUND_2_DURATION,
+        ROUND_2_REWARD_BPS,
+        ROUND_2_MAX_STAKE
+      );
+      const startTime = (await time.latest()) + 1;
+
+      await expect(tx)
+        .to.emit(stakingContract, "StakingStarted")
+        .withArgs(
+          2,
+          startTime,
+          startTime + ROUND_2_DEPOSIT_WINDOW,
+          startTime + ROUND_2_DURATION,
+          ROUND_2_REWARD_BPS,
+          ROUND_2_MAX_STAKE
+        );
+
+      const round = await stakingContract.rounds(2);
+      expect(await stakingContract.currentRoundId()).to.equal(2);
+      expect(round.rewardBps).to.equal(ROUND_2_REWARD_BPS);
+      expect(round.maxTotalStake).to.equal(ROUND_2_MAX_STAKE);
+      expect(await stakingContract.requiredRewards(2)).to.equal(
+        ROUND_2_MAX_STAKE * ROUND_2_REWARD_BPS / BPS_DENOMINATOR
+      );
+    });
+
+    it("Should project the default parameters' rewards for a round not opened yet", async function () {
+      const { stakingContract } = await loadFixture(firstRoundEndedFixture);
+
+      expect(await stakingContract.requiredRewards(2)).to.equal(
+        MAX_TOTAL_STAKE * REWARD_BPS / BPS_DENOMINATOR
+      );
+
+      await stakingContract.startRound(
+        ROUND_2_DEPOSIT_WINDOW,
+        ROUND_2_DURATION,
+        ROUND_2_REWARD_BPS,
+        ROUND_2_MAX_STAKE
+      );
+      expect(await stakingContract.requiredRewards(2)).to.equal(
+        ROUND_2_MAX_STAKE * ROUND_2_REWARD_BPS / BPS_DENOMINATOR
+      );
+    });
+
+    it("Should not allow opening a round before the current one ends", async function () {
+      const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
+
+      await time.increase(STAKING_DURATION - 10);
+
+      await expect(stakingContract.startRound(
+        ROUND_2_DEPOSIT_WINDOW,
+        ROUND_2_DURATION,
+        ROUND_2_REWARD_BPS,
+        ROUND_2_MAX_STAKE
+      )).to.be.revertedWithCustomError(stakingContract, "CurrentRoundNotEnded");
+    });
+
+    it("Should not allow non-campaign-admin to open a round", async function () {
+      const { stakingContract, user1 } = await loadFixture(firstRoundEndedFixture);
+
+      await expect(stakingContract.connect(user1).startRound(
+        ROUND_2_DEPOSIT_WINDOW,
+        ROUND_2_DURATION,
+        ROUND_2_REWARD_BPS,
+        ROUND_2_MAX_STAKE
+      )).to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+
+    it("Should validate round parameters", async function () {
+      const { stakingContract } = await loadFixture(firstRoundEndedFixture);
+
+      await expect(stakingContract.startRound(0, ROUND_2_DURATION, ROUND_2_REWARD_BPS, ROUND_2_MAX_STAKE))
+        .to.be.revertedWithCustomError(stakingContract, "ZeroDepositWindow");
+      await expect(stakingContract.startRound(ROUND_2_DURATION + 1, ROUND_2_DURATION, ROUND_2_REWARD_BPS, ROUND_2_MAX_STAKE))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowExceedsDuration");
+      await expect(stakingContract.startRound(ROUND_2_DEPOSIT_WINDOW, ROUND_2_DURATION, BPS_DENOMINATOR + 1n, ROUND_2_MAX_STAKE))
+        .to.be.revertedWithCustomError(stakingContract, "RewardBpsTooHigh");
+      await expect(stakingContract.startRound(ROUND_2_DEPOSIT_WINDOW, ROUND_2_DURATION, ROUND_2_REWARD_BPS, 0))
+        .to.be.revertedWithCustomError(stakingContract, "ZeroMaxTotalStake");
+    });
+  });
+
+  describe("Staking Across Rounds", function () {
+    it("Should keep stakes separate per round", async function () {
+      const { stakingContract, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      const stakeAmount = ethers.parseUnits("500000", 18);
+
+      await expect(stakingContract.connect(user1).stake(stakeAmount))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(2, user1.address, stakeAmount);
+
+      const [round1Amount] = await stakingContract.getUserStakeInfo(1, user1.address);
+      const [round2Amount] = await stakingContract.getUserStakeInfo(2, user1.address);
+
+      expect(round1Amount).to.equal(ethers.parseUnits("1000000", 18));
+      expect(round2Amount).to.equal(stakeAmount);
+      expect(await stakingContract.getTotalStakers(1)).to.equal(1);
+      expect(await stakingContract.getTotalStakers(2)).to.equal(1);
+      expect(await stakingContract.stakers(2, 0)).to.equal(user1.address);
+    });
+
+    it("Should enforce each round's own cap", async function () {
+      const { stakingContract, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      await expect(stakingContract.connect(user1).stake(ROUND_2_MAX_STAKE + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(ROUND_2_MAX_STAKE);
+
+      await stakingContract.connect(user1).stake(ROUND_2_MAX_STAKE);
+
+      expect(await stakingContract.isCapReached(2)).to.be.true;
+      expect(await stakingContract.isCapReached(1)).to.be.false;
+      expect(await stakingContract.getRemainingCapacity(1)).to.equal(
+        MAX_TOTAL_STAKE - ethers.parseUnits("1000000", 18)
+      );
+    });
+
+    it("Should enforce each round's own deposit window", async function () {
+      const { stakingContract, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      await time.increase(ROUND_2_DEPOSIT_WINDOW + 1);
+
+      expect(await stakingContract.isDepositWindowOpen(2)).to.be.false;
+      await expect(stakingContract.connect(user1).stake(1n))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+  });
+
+  describe("Claiming Across Rounds", function () {
+    it("Should allow claiming an ended round while the next round is open", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      const stakeAmount = ethers.parseUnits("1000000", 18);
+      const expectedReward = stakeAmount * REWARD_BPS / BPS_DENOMINATOR;
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).claim(1))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(1, user1.address, user1.address, stakeAmount, expectedReward);
+
+      const finalBalance = await stakingToken.balanceOf(user1.address);
+      expect(finalBalance - initialBalance).to.equal(stakeAmount + expectedReward);
+    });
+
+    it("Should pay each round's own reward rate", async function () {
+      const { stakingContract, user1 } = await loadFixture(secondRoundStartedFixture);
+
+      const stakeAmount = ethers.parseUnits("1000000", 18);
+      await stakingContract.connect(user1).stake(stakeAmount);
+
+      await expect(stakingContract.connect(user1).claim(2))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+
+      await time.increase(ROUND_2_DURATION);
+
+      await expect(stakingContract.connect(user1).claim(2))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(2, user1.address, user1.address, stakeAmount, stakeAmount * ROUND_2_REWARD_BPS / BPS_DENOMINATOR);
+
+      const [, claimed1] = await stakingContract.getUserStakeInfo(1, user1.address);
+      expect(claimed1).to.be.false;
+    });
+
+    it("Should not allow claiming from a round the user did not stake in", async function () {
+      const { stakingContract, user2 } = await loadFixture(secondRoundStartedFixture);
+
+      await expect(stakingContract.connect(user2).claim(1))
+        .to.be.revertedWithCustomError(stakingContract, "NoTokensStaked");
+    });
+  });
+});
@@ -0,0 +1,348 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  INITIAL_SUPPLY,
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  deployStaking,
+} = require("./config");
+
+describe("StakingContract - Scheduled Start", function () {
+  const ROUND_ID = 1; // First round opened by scheduleStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+  const DELAY = 24 * 60 * 60; // Start a day from now
+
+  async function deployFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    return { stakingContract, stakingToken, owner, user1, user2 };
+  }
+
+  async function scheduledFixture() {
+    const fixture = await deployFixture();
+
+    const startAt = (await time.latest()) + DELAY;
+    await fixture.stakingContract.scheduleStaking(startAt);
+
+    return { ...fixture, startAt };
+  }
+
+  function rewardOn(amount) {
+    return amount * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  describe("Scheduling", function () {
+    it("Should open the next round at the scheduled time", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      const startAt = (await time.latest()) + DELAY;
+      await expect(stakingContract.scheduleStaking(startAt))
+        .to.emit(stakingContract, "StakingStarted")
+        .withArgs(
+          ROUND_ID,
+          startAt,
+          startAt + DEPOSIT_WINDOW,
+          startAt + STAKING_DURATION,
+          REWARD_BPS,
+          await stakingContract.MAX_TOTAL_STAKE()
+        );
+
+      expect(await stakingContract.currentRoundId()).to.equal(ROUND_ID);
+    });
+
+    it("Should show the scheduled times in getTimeInfo", async function () {
+      const { stakingContract, startAt } = await loadFixture(scheduledFixture);
+
+      const [startTime, endTime, depositWindowEnd, currentTime] = await stakingContract.getTimeInfo(ROUND_ID);
+      expect(startTime).to.equal(startAt);
+      expect(depositWindowEnd).to.equal(startAt + DEPOSIT_WINDOW);
+      expect(endTime).to.equal(startAt + STAKING_DURATION);
+      expect(currentTime).to.be.lessThan(startAt);
+    });
+
+    it("Should reject a start that is not in the future", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      const now = await time.latest();
+      await expect(stakingContract.scheduleStaking(now))
+        .to.be.revertedWithCustomError(stakingContract, "StartNotInFuture");
+      await expect(stakingContract.scheduleStaking(now + 1))
+        .to.be.revertedWithCustomError(stakingContract, "StartNotInFuture");
+    });
+
+    it("Should reject scheduling while the current round is running", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+      await stakingContract.startStaking();
+
+      await expect(stakingContract.scheduleStaking((await time.latest()) + DELAY))
+        .to.be.revertedWithCustomError(stakingContract, "CurrentRoundNotEnded");
+    });
+
+    it("Should schedule the next round once the current one has ended", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+      await stakingContract.startStaking();
+      await time.increase(STAKING_DURATION);
+
+      const startAt = (await time.latest()) + DELAY;
+      await stakingContract.scheduleStaking(startAt);
+
+      expect(await stakingContract.currentRoundId()).to.equal(ROUND_ID + 1);
+      expect((await stakingContract.rounds(ROUND_ID + 1)).startTime).to.equal(startAt);
+    });
+
+    it("Should not let a round start immediately while one is scheduled", async function () {
+      const { stakingContract } = await loadFixture(scheduledFixture);
+
+      await expect(stakingContract.startStaking())
+        .to.be.revertedWithCustomError(stakingContract, "CurrentRoundNotEnded");
+    });
+
+    it("Should only allow the campaign admin to schedule or cancel", async function () {
+      const { stakingContract, user1 } = await loadFixture(scheduledFixture);
+      const CAMPAIGN_ADMIN_ROLE = await stakingContract.CAMPAIGN_ADMIN_ROLE();
+
+      await expect(stakingContract.connect(user1).scheduleStaking((await time.latest()) + DELAY))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, CAMPAIGN_ADMIN_ROLE);
+      await expect(stakingContract.connect(user1).cancelScheduledStaking())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, CAMPAIGN_ADMIN_ROLE);
+    });
+  });
+
+  describe("Staking Before the Start", function () {
+    it("Should reject stakes before the scheduled start", async function () {
+      const { stakingContract, user1, startAt } = await loadFixture(scheduledFixture);
+
+      await time.setNextBlockTimestamp(startAt - 1);
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotOpenYet");
+    });
+
+    it("Should reject stakes for others before the scheduled start", async function () {
+      const { stakingContract, user1 } = await loadFixture(scheduledFixture);
+
+      await expect(stakingContract.stakeFor(user1.address, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotOpenYet");
+    });
+
+    it("Should accept stakes from exactly the scheduled start", async function () {
+      const { stakingContract, user1, startAt } = await loadFixture(scheduledFixture);
+
+      await time.setNextBlockTimestamp(startAt);
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, user1.address, STAKE_AMOUNT);
+    });
+
+    it("Should report the round as not started until the scheduled start", async function () {
+      const { stakingContract, startAt } = await loadFixture(scheduledFixture);
+
+      expect(await stakingContract.isDepositWindowOpen(ROUND_ID)).to.be.false;
+      expect(await stakingContract.isStakingEnded(ROUND_ID)).to.be.false;
+      expect(await stakingContract.currentPhase()).to.equal(0); // NotStarted
+
+      await time.increaseTo(startAt);
+      expect(await stakingContract.isDepositWindowOpen(ROUND_ID)).to.be.true;
+      expect(await stakingContract.currentPhase()).to.equal(1); // Deposit
+    });
+
+    it("Should close the deposit window and pay rewards on the scheduled times", async function () {
+      const { stakingContract, stakingToken, user1, startAt } = await loadFixture(scheduledFixture);
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT));
+
+      await time.setNextBlockTimestamp(startAt + DEPOSIT_WINDOW);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+
+      await time.setNextBlockTimestamp(startAt + STAKING_DURATION - 1);
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.changeTokenBalance(stakingToken, user1, STAKE_AMOUNT + rewardOn(STAKE_AMOUNT));
+    });
+  });
+
+  describe("Rescheduling", function () {
+    it("Should move a scheduled round to a new start", async function () {
+      const { stakingContract, startAt } = await loadFixture(scheduledFixture);
+
+      const newStart = startAt + DELAY;
+      await expect(stakingContract.scheduleStaking(newStart))
+        .to.emit(stakingContract, "StakingRescheduled")
+        .withArgs(ROUND_ID, newStart, newStart + DEPOSIT_WINDOW, newStart + STAKING_DURATION);
+
+      expect(await stakingContract.currentRoundId()).to.equal(ROUND_ID);
+      const [startTime, endTime, depositWindowEnd] = await stakingContract.getTimeInfo(ROUND_ID);
+      expect(startTime).to.equal(newStart);
+      expect(depositWindowEnd).to.equal(newStart + DEPOSIT_WINDOW);
+      expect(endTime).to.equal(newStart + STAKING_DURATION);
+    });
+
+    it("Should allow bringing a scheduled start forward", async function () {
+      const { stakingContract, user1, startAt } = await loadFixture(scheduledFixture);
+
+      const newStart = startAt - DELAY / 2;
+      await stakingContract.scheduleStaking(newStart);
+
+      await time.setNextBlockTimestamp(newStart);
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT)).to.not.be.reverted;
+    });
+
+    it("Should keep the round's window lengths when rescheduled", async function () {
+      const { stakingContract, startAt } = await loadFixture(scheduledFixture);
+
+      await stakingContract.scheduleStaking(startAt + DELAY);
+      await stakingContract.scheduleStaking(startAt + DELAY * 2);
+
+      const round = await stakingContract.rounds(ROUND_ID);
+      expect(round.startTime).to.equal(startAt + DELAY * 2);
+      expect(round.depositWindowEnd - round.startTime).to.equal(DEPOSIT_WINDOW);
+      expect(round.endTime - round.startTime).to.equal(STAKING_DURATION);
+    });
+
+    it("Should not reschedule a round that has started", async function () {
+      const { stakingContract, startAt } = await loadFixture(scheduledFixture);
+
+      await time.increaseTo(startAt);
+      await expect(stakingContract.scheduleStaking(startAt + DELAY))
+        .to.be.revertedWithCustomError(stakingContract, "CurrentRoundNotEnded");
+    });
+  });
+
+  describe("Cancelling", function () {
+    it("Should cancel a scheduled round", async function () {
+      const { stakingContract, user1 } = await loadFixture(scheduledFixture);
+
+      await expect(stakingContract.cancelScheduledStaking())
+        .to.emit(stakingContract, "StakingScheduleCancelled")
+        .withArgs(ROUND_ID);
+
+      expect(await stakingContract.currentRoundId()).to.equal(0);
+      const [startTime, endTime, depositWindowEnd] = await stakingContract.getTimeInfo(ROUND_ID);
+      expect(startTime).to.equal(0);
+      expect(depositWindowEnd).to.equal(0);
+      expect(endTime).to.equal(0);
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotStarted");
+    });
+
+    it("Should reuse the cancelled round's id for the next round", async function () {
+      const { stakingContract } = await loadFixture(scheduledFixture);
+      await stakingContract.cancelScheduledStaking();
+
+      await stakingContract.startStaking();
+      expect(await stakingContract.currentRoundId()).to.equal(ROUND_ID);
+      expect((await stakingContract.rounds(ROUND_ID)).startTime).to.equal(await time.latest());
+    });
+
+    it("Should remove the cancelled round's reward tokens and receipt token", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(scheduledFixture);
+
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const partnerToken = await MockToken.deploy("Partner Token", "PART", INITIAL_SUPPLY);
+      await stakingContract.addRewardToken(ROUND_ID, partnerToken.target, 500);
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+
+      await stakingContract.cancelScheduledStaking();
+      expect(await stakingContract.getRewardTokens(ROUND_ID)).to.deep.equal([]);
+      expect(await stakingContract.receiptTokens(ROUND_ID)).to.equal(ethers.ZeroAddress);
+
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT));
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      expect(await stakingContract.rewardTokenOutstanding(partnerToken.target)).to.equal(0);
+      expect(await receiptToken.balanceOf(user1.address)).to.equal(0);
+
+      await time.increase(STAKING_DURATION);
+      const before = await stakingToken.balanceOf(user1.address);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(before + STAKE_AMOUNT + rewardOn(STAKE_AMOUNT));
+    });
+
+    it("Should return to the previous round when a later round is cancelled", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployFixture);
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT));
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await stakingContract.scheduleStaking((await time.latest()) + DELAY);
+      await stakingContract.cancelScheduledStaking();
+
+      expect(await stakingContract.currentRoundId()).to.equal(ROUND_ID);
+      expect(await stakingContract.currentPhase()).to.equal(3); // Claimable
+      await expect(stakingContract.connect(user1).claim(ROUND_ID)).to.not.be.reverted;
+    });
+
+    it("Should not cancel without a scheduled round", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.cancelScheduledStaking())
+        .to.be.revertedWithCustomError(stakingContract, "NoScheduledRound");
+
+      await stakingContract.startStaking();
+      await expect(stakingContract.cancelScheduledStaking())
+        .to.be.revertedWithCustomError(stakingContract, "NoScheduledRound");
+    });
+
+    it("Should not cancel a round once it has started", async function () {
+      const { stakingContract, startAt } = await loadFixture(scheduledFixture);
+
+      await time.increaseTo(startAt);
+      await expect(stakingContract.cancelScheduledStaking())
+        .to.be.revertedWithCustomError(stakingContract, "NoScheduledRound");
+    });
+  });
+
+  describe("Surplus Withdrawal", function () {
+    it("Should allow withdrawing the surplus while the next round is scheduled", async function () {
+      const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployFixture);
+      const surplus = ethers.parseUnits("1000", 18);
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT) + surplus);
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await stakingContract.scheduleStaking((await time.latest()) + DELAY);
+
+      expect(await stakingContract.withdrawableSurplus()).to.equal(surplus);
+      const before = await stakingToken.balanceOf(owner.address);
+      await stakingContract.withdrawUnusedTokens(surplus);
+      expect(await stakingToken.balanceOf(owner.address)).to.equal(before + surplus);
+    });
+
+    it("Should block withdrawals once the scheduled round starts, until it ends", async function () {
+      const { stakingContract, startAt } = await loadFixture(scheduledFixture);
+      await stakingContract.depositRewards(rewardOn(STAKE_AMOUNT));
+
+      await expect(stakingContract.withdrawUnusedTokens(1)).to.not.be.reverted;
+
+      await time.increaseTo(startAt);
+      await expect(stakingContract.withdrawUnusedTokens(1))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+
+      await time.increase(STAKING_DURATION);
+      await expect(stakingContract.withdrawUnusedTokens(1)).to.not.be.reverted;
+    });
+  });
+});
@@ -0,0 +1,273 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+
+describe("StakingContract - Pro-Rata Settlement", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  // Mirrors StakingContract.SettlementMode
+  const SettlementMode = { Full: 0, ProRata: 1 };
+
+  async function deployFixture(settlementMode) {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking({ settlementMode });
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2, user3]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    await stakingContract.startStaking();
+
+    // user1 and user2 stake 1M, user3 stakes 2M
+    await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+    await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+    await stakingContract.connect(user3).stake(STAKE_AMOUNT * 2n);
+
+    return { stakingContract, stakingToken, owner, user1, user2, user3 };
+  }
+
+  async function proRataFixture() {
+    return deployFixture(SettlementMode.ProRata);
+  }
+
+  async function fullFixture() {
+    return deployFixture(SettlementMode.Full);
+  }
+
+  function fullReward(amount) {
+    return amount * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  async function claimAll(stakingContract, stakingToken, users) {
+    const received = [];
+    for (const user of users) {
+      const initialBalance = await stakingToken.balanceOf(user.address);
+      await stakingContract.connect(user).claim(ROUND_ID);
+      received.push(await stakingToken.balanceOf(user.address) - initialBalance);
+    }
+    return received;
+  }
+
+  describe("Full Settlement", function () {
+    it("Should pay the first claimers in full and fail the last ones when underfunded", async function () {
+      const { stakingContract, stakingToken, user1, user2, user3 } = await loadFixture(fullFixture);
+
+      await stakingContract.depositRewards(fullReward(STAKE_AMOUNT));
+      await time.increase(STAKING_DURATION);
+
+      await stakingContract.connect(user3).claim(ROUND_ID);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+
+      await expect(stakingContract.connect(user2).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingToken, "ERC20InsufficientBalance");
+    });
+
+    it("Should report the round's rate as the effective rate", async function () {
+      const { stakingContract } = await loadFixture(fullFixture);
+
+      await time.increase(STAKING_DURATION);
+
+      expect(await stakingContract.effectiveRewardBps(ROUND_ID)).to.equal(REWARD_BPS);
+    });
+
+    it("Should not allow settling a round", async function () {
+      const { stakingContract } = await loadFixture(fullFixture);
+
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.settleRound(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "ProRataNotEnabled");
+    });
+  });
+
+  describe("Exact Funding", function () {
+    it("Should pay every staker the full reward", async function () {
+      const { stakingContract, stakingToken, user1, user2, user3 } = await loadFixture(proRataFixture);
+
+      const totalStaked = STAKE_AMOUNT * 4n;
+      await stakingContract.depositRewards(fullReward(totalStaked));
+      await time.increase(STAKING_DURATION);
+
+      expect(await stakingContract.effectiveRewardBps(ROUND_ID)).to.equal(REWARD_BPS);
+
+      const received = await claimAll(stakingContract, stakingToken, [user1, user2, user3]);
+
+      expect(received[0]).to.equal(STAKE_AMOUNT + fullReward(STAKE_AMOUNT));
+      expect(received[1]).to.equal(STAKE_AMOUNT + fullReward(STAKE_AMOUNT));
+      expect(received[2]).to.equal(STAKE_AMOUNT * 2n + fullReward(STAKE_AMOUNT * 2n));
+      expect(await stakingToken.balanceOf(stakingContract.target)).to.equal(0);
+    });
+
+    it("Should cap the pool at the round's obligation when overfunded", async function () {
+      const { stakingContract } = await loadFixture(proRataFixture);
+
+      const totalStaked = STAKE_AMOUNT * 4n;
+      await stakingContract.depositRewards(fullReward(totalStaked) * 2n);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.settleRound(ROUND_ID))
+        .to.emit(stakingContract, "RoundSettled")
+        .withArgs(ROUND_ID, fullReward(totalStaked), fullReward(totalStaked));
+
+      expect(await stakingContract.effectiveRewardBps(ROUND_ID)).to.equal(REWARD_BPS);
+      expect(await stakingContract.withdrawableSurplus()).to.equal(fullReward(totalStaked));
+    });
+  });
+
+  describe("Partial Funding", function () {
+    it("Should pay full principal and a pro-rata share of the rewards", async function () {
+      const { stakingContract, stakingToken, user1, user2, user3 } = await loadFixture(proRataFixture);
+
+      const totalStaked = STAKE_AMOUNT * 4n;
+      await stakingContract.depositRewards(fullReward(totalStaked) / 4n);
+      await time.increase(STAKING_DURATION);
+
+      expect(await stakingContract.effectiveRewardBps(ROUND_ID)).to.equal(REWARD_BPS / 4n);
+
+      // Claim order does not matter
+      const received = await claimAll(stakingContract, stakingToken, [user3, user2, user1]);
+
+      expect(received[0]).to.equal(STAKE_AMOUNT * 2n + fullReward(STAKE_AMOUNT * 2n) / 4n);
+      expect(received[1]).to.equal(STAKE_AMOUNT + fullReward(STAKE_AMOUNT) / 4n);
+      expect(received[2]).to.equal(STAKE_AMOUNT + fullReward(STAKE_AMOUNT) / 4n);
+      expect(await stakingToken.balanceOf(stakingContract.target)).to.equal(0);
+    });
+
+    it("Should emit the pro-rata reward in the Claimed event", async function () {
+      const { stakingContract, user1 } = await loadFixture(proRataFixture);
+
+      await stakingContract.depositRewards(fullReward(STAKE_AMOUNT * 4n) / 2n);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, STAKE_AMOUNT, fullReward(STAKE_AMOUNT) / 2n);
+    });
+
+    it("Should snapshot the pool on the first claim", async function () {
+      const { stakingContract, stakingToken, user1, user2 } = await loadFixture(proRataFixture);
+
+      const totalRewards = fullReward(STAKE_AMOUNT * 4n);
+      await stakingContract.depositRewards(totalRewards / 2n);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "RoundSettled")
+        .withArgs(ROUND_ID, totalRewards / 2n, totalRewards);
+
+      // Late deposits do not change the settled rate
+      await stakingContract.depositRewards(totalRewards);
+      expect(await stakingContract.effectiveRewardBps(ROUND_ID)).to.equal(REWARD_BPS / 2n);
+
+      const initialBalance = await stakingToken.balanceOf(user2.address);
+      await stakingContract.connect(user2).claim(ROUND_ID);
+      const finalBalance = await stakingToken.balanceOf(user2.address);
+
+      expect(finalBalance - initialBalance).to.equal(STAKE_AMOUNT + fullReward(STAKE_AMOUNT) / 2n);
+    });
+
+    it("Should project the effective rate from the balance before settlement", async function () {
+      const { stakingContract } = await loadFixture(proRataFixture);
+
+      const totalRewards = fullReward(STAKE_AMOUNT * 4n);
+      await stakingContract.depositRewards(totalRewards / 4n);
+      expect(await stakingContract.effectiveRewardBps(ROUND_ID)).to.equal(REWARD_BPS / 4n);
+
+      await stakingContract.depositRewards(totalRewards / 4n);
+      expect(await stakingContract.effectiveRewardBps(ROUND_ID)).to.equal(REWARD_BPS / 2n);
+    });
+
+    it("Should release the unfunded obligation when settled", async function () {
+      const { stakingContract } = await loadFixture(proRataFixture);
+
+      const totalRewards = fullReward(STAKE_AMOUNT * 4n);
+      await stakingContract.depositRewards(totalRewards / 4n);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.settleRound(ROUND_ID);
+
+      expect(await stakingContract.outstandingRewards()).to.equal(totalRewards / 4n);
+      expect(await stakingContract.withdrawableSurplus()).to.equal(0);
+    });
+
+    it("Should restake with the pro-rata reward", async function () {
+      const { stakingContract, user1 } = await loadFixture(proRataFixture);
+
+      await stakingContract.depositRewards(fullReward(STAKE_AMOUNT * 4n) / 2n);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+
+      const reward = fullReward(STAKE_AMOUNT) / 2n;
+      await expect(stakingContract.connect(user1).restake(ROUND_ID, true))
+        .to.emit(stakingContract, "Restaked")
+        .withArgs(ROUND_ID, ROUND_ID + 1, user1.address, STAKE_AMOUNT, reward, true);
+
+      const [stakedAmount] = await stakingContract.stakes(ROUND_ID + 1, user1.address);
+      expect(stakedAmount).to.equal(STAKE_AMOUNT + reward);
+    });
+  });
+
+  describe("Zero Funding", function () {
+    it("Should return principal without rewards", async function () {
+      const { stakingContract, stakingToken, user1, user2, user3 } = await loadFixture(proRataFixture);
+
+      await time.increase(STAKING_DURATION);
+
+      expect(await stakingContract.effectiveRewardBps(ROUND_ID)).to.equal(0);
+
+      const received = await claimAll(stakingContract, stakingToken, [user1, user2, user3]);
+
+      expect(received).to.deep.equal([STAKE_AMOUNT, STAKE_AMOUNT, STAKE_AMOUNT * 2n]);
+      expect(await stakingContract.totalObligations()).to.equal(0);
+    });
+
+    it("Should not use another round's principal as reward", async function () {
+      const { stakingContract, stakingToken, user1, user2 } = await loadFixture(proRataFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+      await stakingContract.connect(user2).restake(ROUND_ID, false);
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      const finalBalance = await stakingToken.balanceOf(user1.address);
+
+      expect(finalBalance - initialBalance).to.equal(STAKE_AMOUNT);
+      expect(await stakingToken.balanceOf(stakingContract.target)).to.equal(await stakingContract.outstandingPrincipal());
+    });
+  });
+
+  describe("Settlement Errors", function () {
+    it("Should not allow settling before the round ends", async function () {
+      const { stakingContract } = await loadFixture(proRataFixture);
+
+      await expect(stakingContract.settleRound(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
+    });
+
+    it("Should not allow settling a round twice", async function () {
+      const { stakingContract } = await loadFixture(proRataFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.settleRound(ROUND_ID);
+
+      await expect(stakingContract.settleRound(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "RoundAlreadySettled");
+    });
+
+    it("Should not allow settling a round that was never started", async function () {
+      const { stakingContract } = await loadFixture(proRataFixture);
+
+      await expect(stakingContract.settleRound(ROUND_ID + 1))
+        .to.be.revertedWithCustomError(stakingContract, "RoundNotStarted");
+    });
+  });
+});
@@ -0,0 +1,22 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const { STAKING_LIBRARIES } = require("../ignition/lib/libraries");
+
+describe("StakingContract - Contract Size", function () {
+  const MAX_CODE_SIZE = 24576; // EIP-170 limit on deployed bytecode, in bytes
+
+  async function deployedSize(name) {
+    const { deployedBytecode } = await artifacts.readArtifact(name);
+    return (deployedBytecode.length - 2) / 2;
+  }
+
+  it("Should keep StakingContract within the EIP-170 limit", async function () {
+    expect(await deployedSize("StakingContract")).to.be.at.most(MAX_CODE_SIZE);
+  });
+
+  it("Should keep each logic library within the EIP-170 limit", async function () {
+    for (const name of STAKING_LIBRARIES) {
+      expect(await deployedSize(name), name).to.be.at.most(MAX_CODE_SIZE);
+    }
+  });
+});
@@ -0,0 +1,251 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+
+describe("StakingContract - Reward Solvency", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+
+  // Mirrors StakingContract enums
+  const RewardMode = { Flat: 0, TimeProportional: 1 };
+  const PenaltyDestination = { Owner: 0, RewardPool: 1, Stakers: 2 };
+
+  async function deployFixture(rewardMode) {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking({ rewardMode });
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    await stakingToken.transfer(user1.address, userAmount);
+    await stakingToken.transfer(user2.address, userAmount);
+    await stakingToken.connect(user1).approve(stakingContract.target, userAmount);
+    await stakingToken.connect(user2).approve(stakingContract.target, userAmount);
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    await stakingContract.startStaking();
+
+    return { stakingContract, stakingToken, owner, user1, user2 };
+  }
+
+  async function deployAndStartStakingFixture() {
+    return deployFixture(RewardMode.Flat);
+  }
+
+  async function timeProportionalFixture() {
+    return deployFixture(RewardMode.TimeProportional);
+  }
+
+  describe("Reward Deposits", function () {
+    it("Should track total rewards deposited", async function () {
+      const { stakingContract, owner } = await loadFixture(deployAndStartStakingFixture);
+
+      const firstDeposit = ethers.parseUnits("1000", 18);
+      const secondDeposit = ethers.parseUnits("500", 18);
+
+      await expect(stakingContract.depositRewards(firstDeposit))
+        .to.emit(stakingContract, "RewardsDeposited")
+        .withArgs(owner.address, firstDeposit);
+      await stakingContract.depositRewards(secondDeposit);
+
+      expect(await stakingContract.totalRewardsDeposited()).to.equal(firstDeposit + secondDeposit);
+    });
+  });
+
+  describe("Obligations", function () {
+    it("Should count staked principal and rewards owed", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT * 2n);
+
+      const totalStaked = STAKE_AMOUNT * 3n;
+      const rewards = totalStaked * REWARD_BPS / BPS_DENOMINATOR;
+
+      expect(await stakingContract.outstandingPrincipal()).to.equal(totalStaked);
+      expect(await stakingContract.outstandingRewards()).to.equal(rewards);
+      expect(await stakingContract.totalObligations()).to.equal(totalStaked + rewards);
+    });
+
+    it("Should release obligations as users claim", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await stakingContract.depositRewards(STAKE_AMOUNT * 2n * REWARD_BPS / BPS_DENOMINATOR);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      expect(await stakingContract.totalObligations()).to.equal(STAKE_AMOUNT + reward);
+
+      await stakingContract.connect(user2).claim(ROUND_ID);
+      expect(await stakingContract.totalObligations()).to.equal(0);
+    });
+
+    it("Should release obligations on unstake and include redistributed penalties", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      const penaltyBps = 1000n;
+      await stakingContract.setUnstakePenalty(penaltyBps, PenaltyDestination.Stakers);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await stakingContract.connect(user1).unstake(STAKE_AMOUNT);
+
+      const penalty = STAKE_AMOUNT * penaltyBps / BPS_DENOMINATOR;
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+
+      expect(await stakingContract.outstandingPrincipal()).to.equal(STAKE_AMOUNT);
+      expect(await stakingContract.outstandingRewards()).to.equal(reward + penalty);
+    });
+
+    it("Should move obligations to the next round on restake", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+
+      await stakingContract.connect(user1).restake(ROUND_ID, true);
+
+      const compounded = STAKE_AMOUNT + STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      expect(await stakingContract.outstandingPrincipal()).to.equal(compounded);
+      expect(await stakingContract.outstandingRewards()).to.equal(compounded * REWARD_BPS / BPS_DENOMINATOR);
+    });
+
+    it("Should cover every time-proportional reward paid", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(timeProportionalFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(60 * 60);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT / 3n);
+      await stakingContract.connect(user1).unstake(STAKE_AMOUNT / 7n);
+
+      const outstanding = await stakingContract.outstandingRewards();
+      const [, reward1] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+      const [, reward2] = await stakingContract.calculateReward(ROUND_ID, user2.address);
+
+      expect(outstanding).to.be.greaterThanOrEqual(reward1 + reward2);
+      expect(outstanding - (reward1 + reward2)).to.be.lessThanOrEqual(2n);
+
+      await stakingContract.depositRewards(outstanding);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      await stakingContract.connect(user2).claim(ROUND_ID);
+
+      expect(await stakingContract.outstandingPrincipal()).to.equal(0);
+    });
+  });
+
+  describe("Withdrawable Surplus", function () {
+    it("Should exclude obligations from the surplus", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deposit = ethers.parseUnits("500000", 18);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.depositRewards(deposit);
+
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      expect(await stakingContract.withdrawableSurplus()).to.equal(deposit - reward);
+    });
+
+    it("Should report zero surplus when underfunded", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      expect(await stakingContract.withdrawableSurplus()).to.equal(0);
+    });
+
+    it("Should not allow withdrawing principal or owed rewards", async function () {
+      const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const deposit = ethers.parseUnits("500000", 18);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.depositRewards(deposit);
+      await time.increase(STAKING_DURATION);
+
+      const surplus = await stakingContract.withdrawableSurplus();
+
+      await expect(stakingContract.withdrawUnusedTokens(surplus + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "ExceedsSurplus");
+
+      await expect(stakingContract.withdrawUnusedTokens(surplus))
+        .to.emit(stakingContract, "UnusedTokensWithdrawn")
+        .withArgs(owner.address, surplus);
+
+      // The remaining balance still pays the staker in full
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      const finalBalance = await stakingToken.balanceOf(user1.address);
+
+      expect(finalBalance - initialBalance).to.equal(STAKE_AMOUNT + STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR);
+      expect(await stakingToken.balanceOf(stakingContract.target)).to.equal(0);
+    });
+  });
+
+  describe("Funded Stakes", function () {
+    it("Should allow owner to require funded rewards", async function () {
+      const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.setRequireFundedRewards(true))
+        .to.emit(stakingContract, "RequireFundedRewardsUpdated")
+        .withArgs(true);
+
+      expect(await stakingContract.requireFundedRewards()).to.be.true;
+    });
+
+    it("Should not allow non-campaign-admin to require funded rewards", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(user1).setRequireFundedRewards(true))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+
+    it("Should accept unfunded stakes by default", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.not.be.reverted;
+    });
+
+    it("Should refuse stakes whose rewards are not covered", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.setRequireFundedRewards(true);
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      await stakingContract.depositRewards(reward);
+
+      await expect(stakingContract.connect(user1).stake(STAKE_AMOUNT))
+        .to.not.be.reverted;
+
+      await expect(stakingContract.connect(user2).stake(1000n))
+        .to.be.revertedWithCustomError(stakingContract, "InsufficientRewardFunding");
+    });
+
+    it("Should refuse compounding restakes whose rewards are not covered", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      await stakingContract.depositRewards(reward);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+      await stakingContract.setRequireFundedRewards(true);
+
+      await expect(stakingContract.connect(user1).restake(ROUND_ID, true))
+        .to.be.revertedWithCustomError(stakingContract, "InsufficientRewardFunding");
+
+      await stakingContract.depositRewards((STAKE_AMOUNT + reward) * REWARD_BPS / BPS_DENOMINATOR);
+      await expect(stakingContract.connect(user1).restake(ROUND_ID, true))
+        .to.not.be.reverted;
+    });
+  });
+});
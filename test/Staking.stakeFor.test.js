@@ -0,0 +1,269 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  deployStaking,
+} = require("./config");
+
+describe("StakingContract - Stake For", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000", 18); // 1K tokens
+
+  async function deployAndStartStakingFixture() {
+    const [owner, payer, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const payerAmount = ethers.parseUnits("300000000", 18); // 300M tokens
+    await stakingToken.transfer(payer.address, payerAmount);
+    await stakingToken.connect(payer).approve(stakingContract.target, payerAmount);
+
+    await stakingContract.startStaking();
+
+    return { stakingContract, stakingToken, owner, payer, user1, user2 };
+  }
+
+  describe("stakeFor", function () {
+    it("Should credit the beneficiary and take tokens from the payer", async function () {
+      const { stakingContract, stakingToken, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const initialBalance = await stakingToken.balanceOf(payer.address);
+
+      await expect(stakingContract.connect(payer).stakeFor(user1.address, STAKE_AMOUNT))
+        .to.emit(stakingContract, "StakedFor")
+        .withArgs(ROUND_ID, payer.address, user1.address, STAKE_AMOUNT, STAKE_AMOUNT);
+
+      expect(await stakingToken.balanceOf(payer.address)).to.equal(initialBalance - STAKE_AMOUNT);
+
+      const [stakedAmount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(stakedAmount).to.equal(STAKE_AMOUNT);
+
+      const [payerStake] = await stakingContract.getUserStakeInfo(ROUND_ID, payer.address);
+      expect(payerStake).to.equal(0);
+    });
+
+    it("Should add to the beneficiary's existing stake", async function () {
+      const { stakingContract, stakingToken, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingToken.connect(payer).transfer(user1.address, STAKE_AMOUNT);
+      await stakingToken.connect(user1).approve(stakingContract.target, STAKE_AMOUNT);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      await expect(stakingContract.connect(payer).stakeFor(user1.address, STAKE_AMOUNT))
+        .to.emit(stakingContract, "StakedFor")
+        .withArgs(ROUND_ID, payer.address, user1.address, STAKE_AMOUNT, STAKE_AMOUNT * 2n);
+
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(1);
+    });
+
+    it("Should let the beneficiary claim", async function () {
+      const { stakingContract, stakingToken, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      const reward = STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+      await stakingToken.approve(stakingContract.target, reward);
+      await stakingContract.depositRewards(reward);
+
+      await stakingContract.connect(payer).stakeFor(user1.address, STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, STAKE_AMOUNT, reward);
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(STAKE_AMOUNT + reward);
+      await expect(stakingContract.connect(payer).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "NoTokensStaked");
+    });
+
+    it("Should revert for the zero address", async function () {
+      const { stakingContract, payer } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(payer).stakeFor(ethers.ZeroAddress, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidBeneficiary");
+    });
+
+    it("Should revert for a zero amount", async function () {
+      const { stakingContract, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(payer).stakeFor(user1.address, 0))
+        .to.be.revertedWithCustomError(stakingContract, "ZeroAmount");
+    });
+
+    it("Should respect the cap", async function () {
+      const { stakingContract, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(payer).stakeFor(user1.address, MAX_TOTAL_STAKE + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
+    });
+
+    it("Should respect the deposit window", async function () {
+      const { stakingContract, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await time.increase(DEPOSIT_WINDOW + 1);
+
+      await expect(stakingContract.connect(payer).stakeFor(user1.address, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+
+    it("Should revert while staking is paused", async function () {
+      const { stakingContract, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.pauseStaking();
+
+      await expect(stakingContract.connect(payer).stakeFor(user1.address, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(stakingContract, "StakingIsPaused");
+    });
+  });
+
+  describe("stakeForMany", function () {
+    it("Should credit every beneficiary with a single transfer", async function () {
+      const { stakingContract, stakingToken, payer, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      const initialBalance = await stakingToken.balanceOf(payer.address);
+
+      const tx = stakingContract.connect(payer).stakeForMany(
+        [user1.address, user2.address],
+        [STAKE_AMOUNT, STAKE_AMOUNT * 2n]
+      );
+      await expect(tx)
+        .to.emit(stakingContract, "StakedFor")
+        .withArgs(ROUND_ID, payer.address, user1.address, STAKE_AMOUNT, STAKE_AMOUNT);
+      await expect(tx)
+        .to.emit(stakingContract, "StakedFor")
+        .withArgs(ROUND_ID, payer.address, user2.address, STAKE_AMOUNT * 2n, STAKE_AMOUNT * 2n);
+
+      expect(await stakingToken.balanceOf(payer.address)).to.equal(initialBalance - STAKE_AMOUNT * 3n);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(STAKE_AMOUNT * 3n);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(2);
+    });
+
+    it("Should add up repeated beneficiaries", async function () {
+      const { stakingContract, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.connect(payer).stakeForMany(
+        [user1.address, user1.address],
+        [STAKE_AMOUNT, STAKE_AMOUNT]
+      );
+
+      const [stakedAmount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(stakedAmount).to.equal(STAKE_AMOUNT * 2n);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(1);
+    });
+
+    it("Should revert for mismatched arrays", async function () {
+      const { stakingContract, payer, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(payer).stakeForMany([user1.address, user2.address], [STAKE_AMOUNT]))
+        .to.be.revertedWithCustomError(stakingContract, "ArrayLengthMismatch");
+    });
+
+    it("Should revert for an empty batch", async function () {
+      const { stakingContract, payer } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(payer).stakeForMany([], []))
+        .to.be.revertedWithCustomError(stakingContract, "NoBeneficiaries");
+    });
+
+    it("Should revert if any entry is invalid", async function () {
+      const { stakingContract, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(payer).stakeForMany(
+        [user1.address, ethers.ZeroAddress],
+        [STAKE_AMOUNT, STAKE_AMOUNT]
+      )).to.be.revertedWithCustomError(stakingContract, "InvalidBeneficiary");
+
+      await expect(stakingContract.connect(payer).stakeForMany(
+        [user1.address, user1.address],
+        [STAKE_AMOUNT, 0]
+      )).to.be.revertedWithCustomError(stakingContract, "ZeroAmount");
+    });
+
+    it("Should revert if the batch exceeds the cap", async function () {
+      const { stakingContract, payer, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(payer).stakeForMany(
+        [user1.address, user2.address],
+        [MAX_TOTAL_STAKE / 2n, MAX_TOTAL_STAKE / 2n + 1n]
+      )).to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
+    });
+
+    it("Should respect the deposit window", async function () {
+      const { stakingContract, payer, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await time.increase(DEPOSIT_WINDOW + 1);
+
+      await expect(stakingContract.connect(payer).stakeForMany([user1.address], [STAKE_AMOUNT]))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+  });
+
+  describe("stake-for-many task", function () {
+    const BENEFICIARY_COUNT = 250;
+
+    function beneficiaryAddress(index) {
+      return ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(index + 1), 20));
+    }
+
+    function writeCsv(lines) {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "stake-for-many-")), "beneficiaries.csv");
+      fs.writeFileSync(file, lines.join("\n"));
+      return file;
+    }
+
+    it("Should stake every row in batches under the block gas limit", async function () {
+      const { stakingContract, owner } = await loadFixture(deployAndStartStakingFixture);
+
+      const lines = ["beneficiary,amount"];
+      for (let i = 0; i < BENEFICIARY_COUNT; i++) {
+        lines.push(`${beneficiaryAddress(i)},${i + 1}`);
+      }
+      const csv = writeCsv(lines);
+
+      const { batches, totalAmount } = await hre.run("stake-for-many", {
+        staking: stakingContract.target,
+        csv,
+      });
+
+      const blockGasLimit = BigInt(hre.config.networks.hardhat.blockGasLimit);
+      expect(batches.length).to.be.greaterThan(1);
+      for (const batch of batches) {
+        expect(batch.gasUsed).to.be.lessThan(blockGasLimit);
+      }
+      expect(batches.reduce((sum, batch) => sum + batch.size, 0)).to.equal(BENEFICIARY_COUNT);
+
+      const expectedTotal = ethers.parseUnits(String(BENEFICIARY_COUNT * (BENEFICIARY_COUNT + 1) / 2), 18);
+      expect(totalAmount).to.equal(expectedTotal);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(expectedTotal);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(BENEFICIARY_COUNT);
+
+      const [lastStake] = await stakingContract.getUserStakeInfo(ROUND_ID, beneficiaryAddress(BENEFICIARY_COUNT - 1));
+      expect(lastStake).to.equal(ethers.parseUnits(String(BENEFICIARY_COUNT), 18));
+
+      // The task pays from the first signer
+      const [payerStake] = await stakingContract.getUserStakeInfo(ROUND_ID, owner.address);
+      expect(payerStake).to.equal(0);
+    });
+
+    it("Should reject an invalid row before sending anything", async function () {
+      const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
+
+      const csv = writeCsv([`${beneficiaryAddress(0)},10`, "not-an-address,10"]);
+
+      await expect(hre.run("stake-for-many", { staking: stakingContract.target, csv }))
+        .to.be.rejectedWith('Row 2: invalid beneficiary "not-an-address"');
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(0);
+    });
+  });
+});
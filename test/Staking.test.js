@@ -4,24 +4,23 @@ const {
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const {
+  STAKING_CONFIG,
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  deployStaking,
+} = require("./config");
 
 describe("StakingContract", function () {
-  const DEPOSIT_WINDOW = 24 * 60 * 60; // 24 hours in seconds
-  const STAKING_DURATION = 14 * 24 * 60 * 60; // 14 days in seconds
-  const REWARD_PERCENTAGE = 10;
-  const MAX_TOTAL_STAKE = ethers.parseUnits("150000000", 18); // 150M tokens
-  const INITIAL_SUPPLY = ethers.parseUnits("2000000000", 18); // 2B tokens
+  const ROUND_ID = 1; // First round opened by startStaking()
 
   async function deployStakingFixture() {
     const [owner, user1, user2, user3] = await ethers.getSigners();
 
-    // Deploy mock ERC20 token
-    const MockToken = await ethers.getContractFactory("MockERC20");
-    const stakingToken = await MockToken.deploy("UOMI Token", "UOMI", INITIAL_SUPPLY);
-
-    // Deploy staking contract
-    const StakingContract = await ethers.getContractFactory("StakingContract");
-    const stakingContract = await StakingContract.deploy(stakingToken.target);
+    const { stakingToken, stakingContract } = await deployStaking();
 
     // Transfer tokens to users for testing
     const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each (more than enough)
@@ -62,22 +61,28 @@ describe("StakingContract", function () {
       expect(await stakingContract.owner()).to.equal(owner.address);
     });
 
-    it("Should have correct constants", async function () {
+    it("Should set the configured staking parameters", async function () {
       const { stakingContract } = await loadFixture(deployStakingFixture);
       
-      expect(await stakingContract.DEPOSIT_WINDOW()).to.equal(DEPOSIT_WINDOW);
-      expect(await stakingContract.STAKING_DURATION()).to.equal(STAKING_DURATION);
-      expect(await stakingContract.REWARD_PERCENTAGE()).to.equal(REWARD_PERCENTAGE);
-      expect(await stakingContract.MAX_TOTAL_STAKE()).to.equal(MAX_TOTAL_STAKE);
+      expect(await stakingContract.DEPOSIT_WINDOW()).to.equal(STAKING_CONFIG.depositWindow);
+      expect(await stakingContract.STAKING_DURATION()).to.equal(STAKING_CONFIG.stakingDuration);
+      expect(await stakingContract.REWARD_BPS()).to.equal(STAKING_CONFIG.rewardBps);
+      expect(await stakingContract.MAX_TOTAL_STAKE()).to.equal(STAKING_CONFIG.maxTotalStake);
+      expect(await stakingContract.REWARD_MODE()).to.equal(STAKING_CONFIG.rewardMode);
+      expect(await stakingContract.SETTLEMENT_MODE()).to.equal(STAKING_CONFIG.settlementMode);
+      expect(await stakingContract.ROUND_CHANGE_DELAY()).to.equal(STAKING_CONFIG.roundChangeDelay);
     });
 
     it("Should initialize with zero values", async function () {
       const { stakingContract } = await loadFixture(deployStakingFixture);
       
-      expect(await stakingContract.startTime()).to.equal(0);
-      expect(await stakingContract.endTime()).to.equal(0);
-      expect(await stakingContract.totalStaked()).to.equal(0);
-      expect(await stakingContract.getTotalStakers()).to.equal(0);
+      const round = await stakingContract.rounds(ROUND_ID);
+      
+      expect(await stakingContract.currentRoundId()).to.equal(0);
+      expect(round.startTime).to.equal(0);
+      expect(round.endTime).to.equal(0);
+      expect(round.totalStaked).to.equal(0);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(0);
     });
   });
 
@@ -88,27 +93,28 @@ describe("StakingContract", function () {
       await expect(stakingContract.startStaking())
         .to.emit(stakingContract, "StakingStarted");
       
-      const startTime = await stakingContract.startTime();
-      const endTime = await stakingContract.endTime();
+      const startTime = (await stakingContract.rounds(ROUND_ID)).startTime;
+      const endTime = (await stakingContract.rounds(ROUND_ID)).endTime;
       
       expect(startTime).to.be.greaterThan(0);
       expect(endTime).to.equal(startTime + BigInt(STAKING_DURATION));
     });
 
-    it("Should not allow non-owner to start staking", async function () {
+    it("Should not allow non-campaign-admin to start staking", async function () {
       const { stakingContract, user1 } = await loadFixture(deployStakingFixture);
       
       await expect(stakingContract.connect(user1).startStaking())
-        .to.be.revertedWithCustomError(stakingContract, "OwnableUnauthorizedAccount");
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
     });
 
-    it("Should not allow starting staking twice", async function () {
+    it("Should not allow starting a new round before the current one ends", async function () {
       const { stakingContract } = await loadFixture(deployStakingFixture);
       
       await stakingContract.startStaking();
       
       await expect(stakingContract.startStaking())
-        .to.be.revertedWith("Staking already started");
+        .to.be.revertedWithCustomError(stakingContract, "CurrentRoundNotEnded");
     });
   });
 
@@ -116,13 +122,13 @@ describe("StakingContract", function () {
     it("Should return false before staking starts", async function () {
       const { stakingContract } = await loadFixture(deployStakingFixture);
       
-      expect(await stakingContract.isDepositWindowOpen()).to.be.false;
+      expect(await stakingContract.isDepositWindowOpen(ROUND_ID)).to.be.false;
     });
 
     it("Should return true during deposit window", async function () {
       const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
       
-      expect(await stakingContract.isDepositWindowOpen()).to.be.true;
+      expect(await stakingContract.isDepositWindowOpen(ROUND_ID)).to.be.true;
     });
 
     it("Should return false after deposit window closes", async function () {
@@ -130,7 +136,7 @@ describe("StakingContract", function () {
       
       await time.increase(DEPOSIT_WINDOW + 1);
       
-      expect(await stakingContract.isDepositWindowOpen()).to.be.false;
+      expect(await stakingContract.isDepositWindowOpen(ROUND_ID)).to.be.false;
     });
   });
 
@@ -145,14 +151,14 @@ describe("StakingContract", function () {
       
       await expect(stakingContract.connect(user1).stake(stakeAmount))
         .to.emit(stakingContract, "Staked")
-        .withArgs(user1.address, stakeAmount);
+        .withArgs(ROUND_ID, user1.address, stakeAmount);
       
-      const userStake = await stakingContract.stakes(user1.address);
+      const userStake = await stakingContract.stakes(ROUND_ID, user1.address);
       expect(userStake.amount).to.equal(stakeAmount);
       expect(userStake.claimed).to.be.false;
       
-      expect(await stakingContract.totalStaked()).to.equal(stakeAmount);
-      expect(await stakingContract.getTotalStakers()).to.equal(1);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(stakeAmount);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(1);
     });
 
     it("Should not allow staking before deposit window opens", async function () {
@@ -162,7 +168,7 @@ describe("StakingContract", function () {
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       
       await expect(stakingContract.connect(user1).stake(stakeAmount))
-        .to.be.revertedWith("Staking not started yet");
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotStarted");
     });
 
     it("Should not allow staking after deposit window closes", async function () {
@@ -174,14 +180,14 @@ describe("StakingContract", function () {
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       
       await expect(stakingContract.connect(user1).stake(stakeAmount))
-        .to.be.revertedWith("Deposit window closed");
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
     });
 
     it("Should not allow staking zero amount", async function () {
       const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
       
       await expect(stakingContract.connect(user1).stake(0))
-        .to.be.revertedWith("Amount must be greater than 0");
+        .to.be.revertedWithCustomError(stakingContract, "ZeroAmount");
     });
 
     it("Should allow user to increase stake during deposit window", async function () {
@@ -195,19 +201,19 @@ describe("StakingContract", function () {
       // First stake should emit Staked event
       await expect(stakingContract.connect(user1).stake(firstStake))
         .to.emit(stakingContract, "Staked")
-        .withArgs(user1.address, firstStake);
+        .withArgs(ROUND_ID, user1.address, firstStake);
       
       // Second stake should emit StakeIncreased event
       await expect(stakingContract.connect(user1).stake(secondStake))
         .to.emit(stakingContract, "StakeIncreased")
-        .withArgs(user1.address, secondStake, firstStake + secondStake);
+        .withArgs(ROUND_ID, user1.address, secondStake, firstStake + secondStake);
 
       // Verify total stake
-      const [userStake] = await stakingContract.getUserStakeInfo(user1.address);
+      const [userStake] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       expect(userStake).to.equal(firstStake + secondStake);
       
       // Verify only counted as one staker
-      expect(await stakingContract.getTotalStakers()).to.equal(1);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(1);
     });
 
     it("Should not allow staking beyond max cap", async function () {
@@ -218,7 +224,7 @@ describe("StakingContract", function () {
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       
       await expect(stakingContract.connect(user1).stake(stakeAmount))
-        .to.be.revertedWith("Exceeds maximum cap of 150M tokens");
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
     });
 
     it("Should handle multiple users staking", async function () {
@@ -240,10 +246,10 @@ describe("StakingContract", function () {
       await stakingToken.connect(user3).approve(stakingContract.target, stakeAmount3);
       await stakingContract.connect(user3).stake(stakeAmount3);
       
-      expect(await stakingContract.totalStaked()).to.equal(MAX_TOTAL_STAKE);
-      expect(await stakingContract.getTotalStakers()).to.equal(3);
-      expect(await stakingContract.isCapReached()).to.be.true;
-      expect(await stakingContract.getRemainingCapacity()).to.equal(0);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(MAX_TOTAL_STAKE);
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(3);
+      expect(await stakingContract.isCapReached(ROUND_ID)).to.be.true;
+      expect(await stakingContract.getRemainingCapacity(ROUND_ID)).to.equal(0);
     });
   });
 
@@ -252,12 +258,12 @@ describe("StakingContract", function () {
       const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
       
       const stakeAmount = ethers.parseUnits("1000000", 18); // 1M tokens
-      const expectedReward = stakeAmount * BigInt(REWARD_PERCENTAGE) / 100n; // 150k tokens
+      const expectedReward = stakeAmount * REWARD_BPS / BPS_DENOMINATOR; // 150k tokens
       
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       await stakingContract.connect(user1).stake(stakeAmount);
       
-      const [stakedAmount, rewardAmount] = await stakingContract.calculateReward(user1.address);
+      const [stakedAmount, rewardAmount] = await stakingContract.calculateReward(ROUND_ID, user1.address);
       
       expect(stakedAmount).to.equal(stakeAmount);
       expect(rewardAmount).to.equal(expectedReward);
@@ -266,7 +272,7 @@ describe("StakingContract", function () {
     it("Should return zero for user with no stake", async function () {
       const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
       
-      const [stakedAmount, rewardAmount] = await stakingContract.calculateReward(user1.address);
+      const [stakedAmount, rewardAmount] = await stakingContract.calculateReward(ROUND_ID, user1.address);
       
       expect(stakedAmount).to.equal(0);
       expect(rewardAmount).to.equal(0);
@@ -278,7 +284,7 @@ describe("StakingContract", function () {
       const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployAndStartStakingFixture);
       
       const stakeAmount = ethers.parseUnits("1000000", 18);
-      const expectedReward = stakeAmount * BigInt(REWARD_PERCENTAGE) / 100n;
+      const expectedReward = stakeAmount * REWARD_BPS / BPS_DENOMINATOR;
       const totalExpected = stakeAmount + expectedReward;
       
       // User stakes
@@ -294,15 +300,15 @@ describe("StakingContract", function () {
       
       const initialBalance = await stakingToken.balanceOf(user1.address);
       
-      await expect(stakingContract.connect(user1).claim())
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
         .to.emit(stakingContract, "Claimed")
-        .withArgs(user1.address, stakeAmount, expectedReward);
+        .withArgs(ROUND_ID, user1.address, user1.address, stakeAmount, expectedReward);
       
       const finalBalance = await stakingToken.balanceOf(user1.address);
       expect(finalBalance - initialBalance).to.equal(totalExpected);
       
       // Check that stake is marked as claimed
-      const userStake = await stakingContract.stakes(user1.address);
+      const userStake = await stakingContract.stakes(ROUND_ID, user1.address);
       expect(userStake.claimed).to.be.true;
     });
 
@@ -314,8 +320,8 @@ describe("StakingContract", function () {
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       await stakingContract.connect(user1).stake(stakeAmount);
       
-      await expect(stakingContract.connect(user1).claim())
-        .to.be.revertedWith("Staking period not ended yet");
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
     });
 
     it("Should not allow claim for user with no stake", async function () {
@@ -323,15 +329,15 @@ describe("StakingContract", function () {
       
       await time.increase(STAKING_DURATION + 1);
       
-      await expect(stakingContract.connect(user1).claim())
-        .to.be.revertedWith("No tokens staked");
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "NoTokensStaked");
     });
 
     it("Should not allow claiming twice", async function () {
       const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployAndStartStakingFixture);
       
       const stakeAmount = ethers.parseUnits("1000000", 18);
-      const expectedReward = stakeAmount * BigInt(REWARD_PERCENTAGE) / 100n;
+      const expectedReward = stakeAmount * REWARD_BPS / BPS_DENOMINATOR;
       
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       await stakingContract.connect(user1).stake(stakeAmount);
@@ -341,10 +347,10 @@ describe("StakingContract", function () {
       
       await time.increase(STAKING_DURATION + 1);
       
-      await stakingContract.connect(user1).claim();
+      await stakingContract.connect(user1).claim(ROUND_ID);
       
-      await expect(stakingContract.connect(user1).claim())
-        .to.be.revertedWith("Rewards already claimed");
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "AlreadyClaimed");
     });
   });
 
@@ -360,7 +366,7 @@ describe("StakingContract", function () {
         .to.not.be.reverted;
     });
 
-    it("Should not allow non-owner to deposit rewards", async function () {
+    it("Should not allow non-reward-funder to deposit rewards", async function () {
       const { stakingContract, stakingToken, user1 } = await loadFixture(deployStakingFixture);
       
       const rewardAmount = ethers.parseUnits("1000000", 18);
@@ -368,7 +374,8 @@ describe("StakingContract", function () {
       await stakingToken.connect(user1).approve(stakingContract.target, rewardAmount);
       
       await expect(stakingContract.connect(user1).depositRewards(rewardAmount))
-        .to.be.revertedWithCustomError(stakingContract, "OwnableUnauthorizedAccount");
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.REWARD_FUNDER_ROLE());
     });
 
     it("Should allow owner to withdraw unused tokens after staking ends", async function () {
@@ -397,7 +404,7 @@ describe("StakingContract", function () {
       const withdrawAmount = ethers.parseUnits("500000", 18);
       
       await expect(stakingContract.connect(owner).withdrawUnusedTokens(withdrawAmount))
-        .to.be.revertedWith("Staking period not ended yet");
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotEnded");
     });
   });
 
@@ -405,7 +412,7 @@ describe("StakingContract", function () {
     it("Should return correct time info", async function () {
       const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
       
-      const [startTime, endTime, depositWindowEnd, currentTime] = await stakingContract.getTimeInfo();
+      const [startTime, endTime, depositWindowEnd, currentTime] = await stakingContract.getTimeInfo(ROUND_ID);
       
       expect(startTime).to.be.greaterThan(0);
       expect(endTime).to.equal(startTime + BigInt(STAKING_DURATION));
@@ -417,12 +424,12 @@ describe("StakingContract", function () {
       const { stakingContract, stakingToken, user1 } = await loadFixture(deployAndStartStakingFixture);
       
       const stakeAmount = ethers.parseUnits("1000000", 18);
-      const expectedReward = stakeAmount * BigInt(REWARD_PERCENTAGE) / 100n;
+      const expectedReward = stakeAmount * REWARD_BPS / BPS_DENOMINATOR;
       
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       await stakingContract.connect(user1).stake(stakeAmount);
       
-      const [stakedAmount, claimed, potentialReward] = await stakingContract.getUserStakeInfo(user1.address);
+      const [stakedAmount, claimed, potentialReward] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
       
       expect(stakedAmount).to.equal(stakeAmount);
       expect(claimed).to.be.false;
@@ -432,11 +439,11 @@ describe("StakingContract", function () {
     it("Should return correct staking status", async function () {
       const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
       
-      expect(await stakingContract.isStakingEnded()).to.be.false;
+      expect(await stakingContract.isStakingEnded(ROUND_ID)).to.be.false;
       
       await time.increase(STAKING_DURATION + 1);
       
-      expect(await stakingContract.isStakingEnded()).to.be.true;
+      expect(await stakingContract.isStakingEnded(ROUND_ID)).to.be.true;
     });
   });
 
@@ -449,15 +456,15 @@ describe("StakingContract", function () {
       await expect(stakingContract.connect(user1).stake(MAX_TOTAL_STAKE))
         .to.not.be.reverted;
       
-      expect(await stakingContract.totalStaked()).to.equal(MAX_TOTAL_STAKE);
-      expect(await stakingContract.isCapReached()).to.be.true;
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(MAX_TOTAL_STAKE);
+      expect(await stakingContract.isCapReached(ROUND_ID)).to.be.true;
     });
 
     it("Should handle claiming at exact end time", async function () {
       const { stakingContract, stakingToken, owner, user1 } = await loadFixture(deployAndStartStakingFixture);
       
       const stakeAmount = ethers.parseUnits("1000000", 18);
-      const expectedReward = stakeAmount * BigInt(REWARD_PERCENTAGE) / 100n;
+      const expectedReward = stakeAmount * REWARD_BPS / BPS_DENOMINATOR;
       
       await stakingToken.connect(user1).approve(stakingContract.target, stakeAmount);
       await stakingContract.connect(user1).stake(stakeAmount);
@@ -468,14 +475,14 @@ describe("StakingContract", function () {
       // Fast forward to exactly the end time
       await time.increase(STAKING_DURATION);
       
-      await expect(stakingContract.connect(user1).claim())
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
         .to.not.be.reverted;
     });
 
     it("Should handle zero reward calculation", async function () {
       const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
       
-      const [stakedAmount, rewardAmount] = await stakingContract.calculateReward(user1.address);
+      const [stakedAmount, rewardAmount] = await stakingContract.calculateReward(ROUND_ID, user1.address);
       
       expect(stakedAmount).to.equal(0);
       expect(rewardAmount).to.equal(0);
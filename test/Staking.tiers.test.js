@@ -0,0 +1,269 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  deployStaking,
+} = require("./config");
+
+describe("StakingContract - Reward Tiers", function () {
+  const ROUND_ID = 1; // First round opened by startTieredRound()
+  const STAKE_AMOUNT = ethers.parseUnits("100000", 18); // 100K tokens
+  const LOCK_DURATION = 30 * 24 * 60 * 60; // 30 days
+
+  // Mirrors StakingContract.RewardMode
+  const RewardMode = { Flat: 0, TimeProportional: 1 };
+
+  // Tier 0 is the round's base rate; these are tiers 1 and 2
+  const BASE_TIER = 0;
+  const SIZE_TIER = 1;
+  const LOCK_TIER = 2;
+  const SIZE_TIER_MINIMUM = ethers.parseUnits("1000000", 18); // 1M tokens
+  const TIERS = [
+    { minStake: SIZE_TIER_MINIMUM, lockDuration: 0, rewardBps: 1500 }, // 15% above 1M tokens
+    { minStake: 0, lockDuration: LOCK_DURATION, rewardBps: 2000 }, // 20% for 30 more days
+  ];
+
+  async function deployFixture(rewardMode = RewardMode.Flat) {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking({ rewardMode });
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    return { stakingContract, stakingToken, owner, user1, user2 };
+  }
+
+  async function startTieredRound(stakingContract) {
+    return stakingContract.startTieredRound(DEPOSIT_WINDOW, STAKING_DURATION, REWARD_BPS, MAX_TOTAL_STAKE, TIERS);
+  }
+
+  async function tieredRoundFixture() {
+    const fixture = await deployFixture(RewardMode.Flat);
+    await startTieredRound(fixture.stakingContract);
+    await fixture.stakingContract.depositRewards(ethers.parseUnits("10000000", 18));
+    return fixture;
+  }
+
+  async function proportionalTieredRoundFixture() {
+    const fixture = await deployFixture(RewardMode.TimeProportional);
+    await startTieredRound(fixture.stakingContract);
+    return fixture;
+  }
+
+  function rewardAt(amount, tierIndex) {
+    const rewardBps = tierIndex === BASE_TIER ? REWARD_BPS : BigInt(TIERS[tierIndex - 1].rewardBps);
+    return amount * rewardBps / BPS_DENOMINATOR;
+  }
+
+  describe("Tier Table", function () {
+    it("Should set the tier table at round creation", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      await expect(startTieredRound(stakingContract))
+        .to.emit(stakingContract, "RewardTierAdded")
+        .withArgs(ROUND_ID, SIZE_TIER, SIZE_TIER_MINIMUM, 0, TIERS[0].rewardBps)
+        .and.to.emit(stakingContract, "RewardTierAdded")
+        .withArgs(ROUND_ID, LOCK_TIER, 0, LOCK_DURATION, TIERS[1].rewardBps);
+
+      const tiers = await stakingContract.getRewardTiers(ROUND_ID);
+      expect(tiers.map((tier) => [tier.minStake, tier.lockDuration, tier.rewardBps])).to.deep.equal([
+        [0n, 0n, REWARD_BPS],
+        [SIZE_TIER_MINIMUM, 0n, 1500n],
+        [0n, BigInt(LOCK_DURATION), 2000n],
+      ]);
+    });
+
+    it("Should give untiered rounds only the base tier", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+
+      const tiers = await stakingContract.getRewardTiers(ROUND_ID);
+      expect(tiers.length).to.equal(1);
+      expect(tiers[0].rewardBps).to.equal(REWARD_BPS);
+    });
+
+    it("Should size the required rewards on the highest tier", async function () {
+      const { stakingContract } = await loadFixture(tieredRoundFixture);
+
+      expect(await stakingContract.requiredRewards(ROUND_ID)).to.equal(rewardAt(MAX_TOTAL_STAKE, LOCK_TIER));
+    });
+
+    it("Should reject invalid tier tables", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployFixture);
+
+      const maxTiers = Number(await stakingContract.MAX_REWARD_TIERS());
+      const tooMany = Array(maxTiers).fill(TIERS[0]);
+      await expect(stakingContract.startTieredRound(DEPOSIT_WINDOW, STAKING_DURATION, REWARD_BPS, MAX_TOTAL_STAKE, tooMany))
+        .to.be.revertedWithCustomError(stakingContract, "TooManyTiers");
+
+      const tooHigh = [{ minStake: 0, lockDuration: 0, rewardBps: BPS_DENOMINATOR + 1n }];
+      await expect(stakingContract.startTieredRound(DEPOSIT_WINDOW, STAKING_DURATION, REWARD_BPS, MAX_TOTAL_STAKE, tooHigh))
+        .to.be.revertedWithCustomError(stakingContract, "RewardBpsTooHigh");
+
+      await expect(stakingContract.connect(user1).startTieredRound(DEPOSIT_WINDOW, STAKING_DURATION, REWARD_BPS, MAX_TOTAL_STAKE, TIERS))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+  });
+
+  describe("Size Tiers", function () {
+    it("Should require the tier minimum", async function () {
+      const { stakingContract, user1 } = await loadFixture(tieredRoundFixture);
+
+      await expect(stakingContract.connect(user1).stakeWithTier(SIZE_TIER_MINIMUM - 1n, SIZE_TIER))
+        .to.be.revertedWithCustomError(stakingContract, "BelowTierMinimum");
+    });
+
+    it("Should pay the tier rate above the threshold", async function () {
+      const { stakingContract, stakingToken, user1, user2 } = await loadFixture(tieredRoundFixture);
+
+      await expect(stakingContract.connect(user1).stakeWithTier(SIZE_TIER_MINIMUM, SIZE_TIER))
+        .to.emit(stakingContract, "TierSelected")
+        .withArgs(ROUND_ID, user1.address, SIZE_TIER);
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+
+      const [, reward1] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+      const [, reward2] = await stakingContract.calculateReward(ROUND_ID, user2.address);
+      expect(reward1).to.equal(rewardAt(SIZE_TIER_MINIMUM, SIZE_TIER));
+      expect(reward2).to.equal(rewardAt(STAKE_AMOUNT, BASE_TIER));
+      expect(await stakingContract.outstandingRewards()).to.equal(reward1 + reward2);
+
+      const [stakedAmount, , potentialReward, , tierId, unlockTime] =
+        await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(stakedAmount).to.equal(SIZE_TIER_MINIMUM);
+      expect(potentialReward).to.equal(reward1);
+      expect(tierId).to.equal(SIZE_TIER);
+      expect(unlockTime).to.equal((await stakingContract.rounds(ROUND_ID)).endTime);
+
+      await time.increase(STAKING_DURATION);
+      const balanceBefore = await stakingToken.balanceOf(user1.address);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(balanceBefore + SIZE_TIER_MINIMUM + reward1);
+    });
+
+    it("Should keep the tier when the stake is increased", async function () {
+      const { stakingContract, user1 } = await loadFixture(tieredRoundFixture);
+
+      await stakingContract.connect(user1).stakeWithTier(SIZE_TIER_MINIMUM, SIZE_TIER);
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+      const [, reward] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+      expect(reward).to.equal(rewardAt(SIZE_TIER_MINIMUM + STAKE_AMOUNT, SIZE_TIER));
+    });
+
+    it("Should move the whole stake up once it crosses the threshold", async function () {
+      const { stakingContract, user1 } = await loadFixture(tieredRoundFixture);
+
+      await stakingContract.connect(user1).stake(SIZE_TIER_MINIMUM - STAKE_AMOUNT);
+      await stakingContract.connect(user1).stakeWithTier(STAKE_AMOUNT, SIZE_TIER);
+
+      const [, reward] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+      expect(reward).to.equal(rewardAt(SIZE_TIER_MINIMUM, SIZE_TIER));
+      expect(await stakingContract.outstandingRewards()).to.equal(reward);
+    });
+
+    it("Should not unstake below the tier minimum", async function () {
+      const { stakingContract, user1 } = await loadFixture(tieredRoundFixture);
+
+      await stakingContract.connect(user1).stakeWithTier(SIZE_TIER_MINIMUM + STAKE_AMOUNT, SIZE_TIER);
+
+      await expect(stakingContract.connect(user1).unstake(STAKE_AMOUNT + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "RemainingBelowTierMinimum");
+
+      await stakingContract.connect(user1).unstake(STAKE_AMOUNT);
+      expect(await stakingContract.outstandingRewards()).to.equal(rewardAt(SIZE_TIER_MINIMUM, SIZE_TIER));
+
+      await stakingContract.connect(user1).unstake(SIZE_TIER_MINIMUM);
+      expect(await stakingContract.outstandingRewards()).to.equal(0);
+    });
+  });
+
+  describe("Lock Tiers", function () {
+    it("Should hold the stake for the extra lock and pay the tier rate", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(tieredRoundFixture);
+
+      await stakingContract.connect(user1).stakeWithTier(STAKE_AMOUNT, LOCK_TIER);
+      const endTime = (await stakingContract.rounds(ROUND_ID)).endTime;
+
+      const [, , potentialReward, , tierId, unlockTime] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(potentialReward).to.equal(rewardAt(STAKE_AMOUNT, LOCK_TIER));
+      expect(tierId).to.equal(LOCK_TIER);
+      expect(unlockTime).to.equal(endTime + BigInt(LOCK_DURATION));
+
+      await time.increaseTo(endTime);
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "StakeLocked");
+
+      await stakingContract.startStaking();
+      await expect(stakingContract.connect(user1).restake(ROUND_ID, true))
+        .to.be.revertedWithCustomError(stakingContract, "StakeLocked");
+
+      await time.increaseTo(unlockTime);
+      const balanceBefore = await stakingToken.balanceOf(user1.address);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+      expect(await stakingToken.balanceOf(user1.address))
+        .to.equal(balanceBefore + STAKE_AMOUNT + rewardAt(STAKE_AMOUNT, LOCK_TIER));
+    });
+
+    it("Should not move a stake to a shorter lock", async function () {
+      const { stakingContract, user1 } = await loadFixture(tieredRoundFixture);
+
+      await stakingContract.connect(user1).stakeWithTier(SIZE_TIER_MINIMUM, LOCK_TIER);
+
+      await expect(stakingContract.connect(user1).stakeWithTier(STAKE_AMOUNT, SIZE_TIER))
+        .to.be.revertedWithCustomError(stakingContract, "CannotShortenLock");
+      await expect(stakingContract.connect(user1).stakeWithTier(STAKE_AMOUNT, BASE_TIER))
+        .to.be.revertedWithCustomError(stakingContract, "CannotShortenLock");
+    });
+
+    it("Should accrue the tier rate over the round in TimeProportional mode", async function () {
+      const { stakingContract, user1 } = await loadFixture(proportionalTieredRoundFixture);
+
+      await stakingContract.connect(user1).stakeWithTier(STAKE_AMOUNT, LOCK_TIER);
+      const endTime = (await stakingContract.rounds(ROUND_ID)).endTime;
+      const stakedAt = BigInt(await time.latest());
+
+      const [, potentialReward] = await stakingContract.calculateReward(ROUND_ID, user1.address);
+      const expected = STAKE_AMOUNT * (endTime - stakedAt) * BigInt(TIERS[1].rewardBps) /
+        (BPS_DENOMINATOR * BigInt(STAKING_DURATION));
+      expect(potentialReward).to.equal(expected);
+      expect(await stakingContract.outstandingRewards()).to.equal(expected);
+    });
+  });
+
+  describe("Invalid Choices", function () {
+    it("Should reject an unknown tier", async function () {
+      const { stakingContract, user1 } = await loadFixture(tieredRoundFixture);
+
+      await expect(stakingContract.connect(user1).stakeWithTier(STAKE_AMOUNT, TIERS.length + 1))
+        .to.be.revertedWithCustomError(stakingContract, "InvalidTier");
+    });
+
+    it("Should reject tiers in receipt rounds", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployFixture);
+
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await startTieredRound(stakingContract);
+
+      await expect(stakingContract.connect(user1).stakeWithTier(STAKE_AMOUNT, LOCK_TIER))
+        .to.be.revertedWithCustomError(stakingContract, "TierInReceiptRound");
+      await stakingContract.connect(user1).stakeWithTier(STAKE_AMOUNT, BASE_TIER);
+    });
+  });
+});
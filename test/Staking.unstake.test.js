@@ -0,0 +1,311 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  stakingArgs,
+  getStakingFactory,
+  deployStaking,
+} = require("./config");
+
+describe("StakingContract - Early Unstake", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const PENALTY_BPS = 500n; // 5%
+
+  // Mirrors StakingContract.PenaltyDestination
+  const PenaltyDestination = { Owner: 0, RewardPool: 1, Stakers: 2 };
+
+  async function deployAndStartStakingFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    await stakingToken.transfer(user1.address, userAmount);
+    await stakingToken.transfer(user2.address, userAmount);
+    await stakingToken.connect(user1).approve(stakingContract.target, userAmount);
+    await stakingToken.connect(user2).approve(stakingContract.target, userAmount);
+
+    const rewardAmount = ethers.parseUnits("50000000", 18);
+    await stakingToken.approve(stakingContract.target, rewardAmount);
+    await stakingContract.depositRewards(rewardAmount);
+
+    await stakingContract.setUnstakePenalty(PENALTY_BPS, PenaltyDestination.Owner);
+    await stakingContract.startStaking();
+
+    return { stakingContract, stakingToken, owner, user1, user2 };
+  }
+
+  async function stakedFixture() {
+    const fixture = await deployAndStartStakingFixture();
+    const stakeAmount = ethers.parseUnits("1000000", 18);
+
+    await fixture.stakingContract.connect(fixture.user1).stake(stakeAmount);
+    await fixture.stakingContract.connect(fixture.user2).stake(stakeAmount);
+
+    return { ...fixture, stakeAmount };
+  }
+
+  describe("Penalty Configuration", function () {
+    it("Should allow owner to set the penalty and destination", async function () {
+      const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.setUnstakePenalty(1000, PenaltyDestination.Stakers))
+        .to.emit(stakingContract, "UnstakePenaltyUpdated")
+        .withArgs(1000, PenaltyDestination.Stakers);
+
+      expect(await stakingContract.unstakePenaltyBps()).to.equal(1000);
+      expect(await stakingContract.penaltyDestination()).to.equal(PenaltyDestination.Stakers);
+    });
+
+    it("Should not allow non-campaign-admin to set the penalty", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.connect(user1).setUnstakePenalty(0, PenaltyDestination.Owner))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+
+    it("Should not allow a penalty above 100%", async function () {
+      const { stakingContract } = await loadFixture(deployAndStartStakingFixture);
+
+      await expect(stakingContract.setUnstakePenalty(BPS_DENOMINATOR + 1n, PenaltyDestination.Owner))
+        .to.be.revertedWithCustomError(stakingContract, "PenaltyTooHigh");
+    });
+  });
+
+  describe("Unstake", function () {
+    it("Should return principal minus the penalty", async function () {
+      const { stakingContract, stakingToken, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      const unstakeAmount = ethers.parseUnits("400000", 18);
+      const penalty = unstakeAmount * PENALTY_BPS / BPS_DENOMINATOR;
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).unstake(unstakeAmount))
+        .to.emit(stakingContract, "Unstaked")
+        .withArgs(ROUND_ID, user1.address, unstakeAmount, penalty, stakeAmount - unstakeAmount);
+
+      const finalBalance = await stakingToken.balanceOf(user1.address);
+      expect(finalBalance - initialBalance).to.equal(unstakeAmount - penalty);
+
+      const [stakedAmount] = await stakingContract.getUserStakeInfo(ROUND_ID, user1.address);
+      expect(stakedAmount).to.equal(stakeAmount - unstakeAmount);
+      expect((await stakingContract.rounds(ROUND_ID)).totalStaked).to.equal(stakeAmount * 2n - unstakeAmount);
+    });
+
+    it("Should return the full principal when no penalty is set", async function () {
+      const { stakingContract, stakingToken, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      await stakingContract.setUnstakePenalty(0, PenaltyDestination.Owner);
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+      await stakingContract.connect(user1).unstake(stakeAmount);
+      const finalBalance = await stakingToken.balanceOf(user1.address);
+
+      expect(finalBalance - initialBalance).to.equal(stakeAmount);
+    });
+
+    it("Should allow unstaking during the lock period", async function () {
+      const { stakingContract, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      await time.increase(DEPOSIT_WINDOW + 1);
+
+      await expect(stakingContract.connect(user1).unstake(stakeAmount))
+        .to.not.be.reverted;
+    });
+
+    it("Should not allow unstaking after the staking period ends", async function () {
+      const { stakingContract, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).unstake(stakeAmount))
+        .to.be.revertedWithCustomError(stakingContract, "StakingEnded");
+    });
+
+    it("Should not allow unstaking before staking starts", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployAndStartStakingFixture);
+      const StakingContract = await getStakingFactory();
+      const notStarted = await StakingContract.deploy(...stakingArgs(await stakingContract.stakingToken()));
+
+      await expect(notStarted.connect(user1).unstake(1n))
+        .to.be.revertedWithCustomError(stakingContract, "StakingNotStarted");
+    });
+
+    it("Should not allow unstaking zero or more than the stake", async function () {
+      const { stakingContract, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      await expect(stakingContract.connect(user1).unstake(0))
+        .to.be.revertedWithCustomError(stakingContract, "ZeroAmount");
+      await expect(stakingContract.connect(user1).unstake(stakeAmount + 1n))
+        .to.be.revertedWithCustomError(stakingContract, "AmountExceedsStake");
+    });
+  });
+
+  describe("Interaction with the Cap", function () {
+    it("Should free capacity while the deposit window is open", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployAndStartStakingFixture);
+
+      await stakingContract.connect(user1).stake(MAX_TOTAL_STAKE);
+      expect(await stakingContract.isCapReached(ROUND_ID)).to.be.true;
+
+      const freed = ethers.parseUnits("10000000", 18);
+      await expect(stakingContract.connect(user2).stake(freed))
+        .to.be.revertedWithCustomError(stakingContract, "CapExceeded").withArgs(MAX_TOTAL_STAKE);
+
+      await stakingContract.connect(user1).unstake(freed);
+
+      expect(await stakingContract.getRemainingCapacity(ROUND_ID)).to.equal(freed);
+      await stakingContract.connect(user2).stake(freed);
+      expect(await stakingContract.isCapReached(ROUND_ID)).to.be.true;
+    });
+
+    it("Should not allow using freed capacity after the deposit window closes", async function () {
+      const { stakingContract, user1, user2, stakeAmount } = await loadFixture(stakedFixture);
+
+      await time.increase(DEPOSIT_WINDOW + 1);
+      await stakingContract.connect(user1).unstake(stakeAmount);
+
+      await expect(stakingContract.connect(user2).stake(stakeAmount))
+        .to.be.revertedWithCustomError(stakingContract, "DepositWindowClosed");
+    });
+
+    it("Should not list a user twice after unstaking fully and staking again", async function () {
+      const { stakingContract, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      await stakingContract.connect(user1).unstake(stakeAmount);
+
+      await expect(stakingContract.connect(user1).stake(stakeAmount))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(ROUND_ID, user1.address, stakeAmount);
+
+      expect(await stakingContract.getTotalStakers(ROUND_ID)).to.equal(2);
+    });
+  });
+
+  describe("Interaction with Claim", function () {
+    it("Should forfeit the reward on the unstaked part", async function () {
+      const { stakingContract, stakingToken, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      const unstakeAmount = ethers.parseUnits("400000", 18);
+      const remaining = stakeAmount - unstakeAmount;
+      const expectedReward = remaining * REWARD_BPS / BPS_DENOMINATOR;
+
+      await stakingContract.connect(user1).unstake(unstakeAmount);
+      await time.increase(STAKING_DURATION);
+
+      const initialBalance = await stakingToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, remaining, expectedReward);
+
+      const finalBalance = await stakingToken.balanceOf(user1.address);
+      expect(finalBalance - initialBalance).to.equal(remaining + expectedReward);
+    });
+
+    it("Should leave nothing to claim after a full unstake", async function () {
+      const { stakingContract, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      await stakingContract.connect(user1).unstake(stakeAmount);
+      await time.increase(STAKING_DURATION);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.be.revertedWithCustomError(stakingContract, "NoTokensStaked");
+    });
+  });
+
+  describe("Penalty Destinations", function () {
+    it("Should send penalties to the owner", async function () {
+      const { stakingContract, stakingToken, owner, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      const penalty = stakeAmount * PENALTY_BPS / BPS_DENOMINATOR;
+      const initialBalance = await stakingToken.balanceOf(owner.address);
+
+      await stakingContract.connect(user1).unstake(stakeAmount);
+
+      expect(await stakingToken.balanceOf(owner.address) - initialBalance).to.equal(penalty);
+    });
+
+    it("Should keep penalties in the contract for the reward pool", async function () {
+      const { stakingContract, stakingToken, owner, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      await stakingContract.setUnstakePenalty(PENALTY_BPS, PenaltyDestination.RewardPool);
+
+      const penalty = stakeAmount * PENALTY_BPS / BPS_DENOMINATOR;
+      const initialContractBalance = await stakingToken.balanceOf(stakingContract.target);
+      const initialOwnerBalance = await stakingToken.balanceOf(owner.address);
+
+      await stakingContract.connect(user1).unstake(stakeAmount);
+
+      expect(initialContractBalance - await stakingToken.balanceOf(stakingContract.target))
+        .to.equal(stakeAmount - penalty);
+      expect(await stakingToken.balanceOf(owner.address)).to.equal(initialOwnerBalance);
+    });
+
+    it("Should redistribute penalties to the remaining stakers", async function () {
+      const { stakingContract, stakingToken, user1, user2, stakeAmount } = await loadFixture(stakedFixture);
+
+      await stakingContract.setUnstakePenalty(PENALTY_BPS, PenaltyDestination.Stakers);
+
+      const unstakeAmount = ethers.parseUnits("500000", 18);
+      const penalty = unstakeAmount * PENALTY_BPS / BPS_DENOMINATOR;
+      await stakingContract.connect(user1).unstake(unstakeAmount);
+
+      expect((await stakingContract.rounds(ROUND_ID)).redistributedPenalties).to.equal(penalty);
+
+      await time.increase(STAKING_DURATION);
+
+      // user2 holds 1M of the remaining 1.5M, so receives two thirds of the penalty
+      const totalStaked = stakeAmount * 2n - unstakeAmount;
+      const expectedReward = stakeAmount * REWARD_BPS / BPS_DENOMINATOR + penalty * stakeAmount / totalStaked;
+
+      const [, rewardAmount] = await stakingContract.calculateReward(ROUND_ID, user2.address);
+      expect(rewardAmount).to.equal(expectedReward);
+
+      const initialBalance = await stakingToken.balanceOf(user2.address);
+      await stakingContract.connect(user2).claim(ROUND_ID);
+      const finalBalance = await stakingToken.balanceOf(user2.address);
+
+      expect(finalBalance - initialBalance).to.equal(stakeAmount + expectedReward);
+    });
+
+    it("Should not change the required rewards when redistributing penalties", async function () {
+      const { stakingContract, user1, stakeAmount } = await loadFixture(stakedFixture);
+
+      await stakingContract.setUnstakePenalty(PENALTY_BPS, PenaltyDestination.Stakers);
+      const requiredBefore = await stakingContract.requiredRewards(ROUND_ID);
+
+      await stakingContract.connect(user1).unstake(stakeAmount);
+
+      expect(await stakingContract.requiredRewards(ROUND_ID)).to.equal(requiredBefore);
+    });
+
+    it("Should keep penalties in the contract once every staker has unstaked", async function () {
+      const { stakingContract, stakingToken, user1, user2, stakeAmount } = await loadFixture(stakedFixture);
+
+      await stakingContract.setUnstakePenalty(PENALTY_BPS, PenaltyDestination.Stakers);
+
+      await stakingContract.connect(user1).unstake(stakeAmount);
+      await stakingContract.connect(user2).unstake(stakeAmount);
+
+      const round = await stakingContract.rounds(ROUND_ID);
+      expect(round.redistributedPenalties).to.equal(0);
+      expect(round.rewardObligation).to.equal(0);
+      expect(await stakingContract.totalObligations()).to.equal(0);
+
+      await time.increase(STAKING_DURATION);
+      expect(await stakingContract.withdrawableSurplus())
+        .to.equal(await stakingToken.balanceOf(stakingContract.target));
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_DURATION, REWARD_BPS, BPS_DENOMINATOR, deployStaking } = require("./config");
+
+describe("StakingContract - Reward Vesting", function () {
+  const ROUND_ID = 1; // First round opened by startStaking()
+  const STAKE_AMOUNT = ethers.parseUnits("1000000", 18); // 1M tokens
+  const VESTING_DURATION = 30 * 24 * 60 * 60; // 30 days
+  const VESTING_CLIFF = 7 * 24 * 60 * 60; // 7 days
+
+  async function deployFixture() {
+    const [owner, user1, user2, recipient] = await ethers.getSigners();
+
+    const { stakingToken, stakingContract } = await deployStaking();
+
+    const userAmount = ethers.parseUnits("300000000", 18); // 300M tokens each
+    for (const user of [user1, user2]) {
+      await stakingToken.transfer(user.address, userAmount);
+      await stakingToken.connect(user).approve(stakingContract.target, userAmount);
+    }
+    await stakingToken.approve(stakingContract.target, ethers.MaxUint256);
+
+    return { stakingContract, stakingToken, owner, user1, user2, recipient };
+  }
+
+  async function vestingFixture() {
+    const fixture = await deployFixture();
+    const { stakingContract, user1 } = fixture;
+
+    await stakingContract.setRewardVesting(VESTING_DURATION, VESTING_CLIFF);
+    await stakingContract.startStaking();
+    await stakingContract.depositRewards(ethers.parseUnits("10000000", 18));
+    await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+
+    return fixture;
+  }
+
+  async function claimedFixture() {
+    const fixture = await vestingFixture();
+    const { stakingContract, user1 } = fixture;
+
+    await time.increase(STAKING_DURATION);
+    await stakingContract.connect(user1).claim(ROUND_ID);
+
+    return fixture;
+  }
+
+  function stakeReward() {
+    return STAKE_AMOUNT * REWARD_BPS / BPS_DENOMINATOR;
+  }
+
+  async function endTime(stakingContract, roundId = ROUND_ID) {
+    return (await stakingContract.rounds(roundId)).endTime;
+  }
+
+  describe("Configuration", function () {
+    it("Should set the vesting terms for rounds opened afterwards", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+      await expect(stakingContract.setRewardVesting(VESTING_DURATION, VESTING_CLIFF))
+        .to.emit(stakingContract, "RewardVestingUpdated")
+        .withArgs(VESTING_DURATION, VESTING_CLIFF);
+
+      expect((await stakingContract.roundVesting(ROUND_ID)).duration).to.equal(0);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+      const vesting = await stakingContract.roundVesting(ROUND_ID + 1);
+      expect(vesting.duration).to.equal(VESTING_DURATION);
+      expect(vesting.cliff).to.equal(VESTING_CLIFF);
+    });
+
+    it("Should reject a cliff longer than the vesting period", async function () {
+      const { stakingContract } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.setRewardVesting(VESTING_CLIFF, VESTING_DURATION))
+        .to.be.revertedWithCustomError(stakingContract, "CliffExceedsDuration");
+    });
+
+    it("Should only let the campaign admin set the vesting terms", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployFixture);
+
+      await expect(stakingContract.connect(user1).setRewardVesting(VESTING_DURATION, VESTING_CLIFF))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.CAMPAIGN_ADMIN_ROLE());
+    });
+  });
+
+  describe("Claiming", function () {
+    it("Should return the principal at claim and vest the reward", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(vestingFixture);
+
+      await time.increase(STAKING_DURATION);
+      const balanceBefore = await stakingToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.emit(stakingContract, "Claimed")
+        .withArgs(ROUND_ID, user1.address, user1.address, STAKE_AMOUNT, stakeReward())
+        .and.to.emit(stakingContract, "RewardsVesting")
+        .withArgs(ROUND_ID, user1.address, stakeReward());
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(balanceBefore + STAKE_AMOUNT);
+      expect(await stakingContract.unreleasedRewards()).to.equal(stakeReward());
+      expect(await stakingContract.outstandingRewards()).to.equal(0);
+      expect(await stakingContract.totalObligations()).to.equal(stakeReward());
+    });
+
+    it("Should vest the reward for the claim recipient", async function () {
+      const { stakingContract, user1, recipient } = await loadFixture(vestingFixture);
+
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claimTo(ROUND_ID, recipient.address);
+
+      const [total] = await stakingContract.getVestingInfo(recipient.address);
+      expect(total).to.equal(stakeReward());
+      expect((await stakingContract.getVestingInfo(user1.address)).total).to.equal(0);
+    });
+
+    it("Should vest the reward paid out by a restake, but not a compounded one", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(vestingFixture);
+
+      await stakingContract.connect(user2).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.startStaking();
+
+      await stakingContract.connect(user1).restake(ROUND_ID, false);
+      await stakingContract.connect(user2).restake(ROUND_ID, true);
+
+      expect((await stakingContract.getVestingInfo(user1.address)).total).to.equal(stakeReward());
+      expect((await stakingContract.getVestingInfo(user2.address)).total).to.equal(0);
+      expect(await stakingContract.stakedBalance(ROUND_ID + 1, user2.address)).to.equal(STAKE_AMOUNT + stakeReward());
+    });
+
+    it("Should pay rewards at claim in rounds opened before vesting was set", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(deployFixture);
+
+      await stakingContract.startStaking();
+      await stakingContract.depositRewards(stakeReward());
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await stakingContract.setRewardVesting(VESTING_DURATION, VESTING_CLIFF);
+      await time.increase(STAKING_DURATION);
+
+      const balanceBefore = await stakingToken.balanceOf(user1.address);
+      await expect(stakingContract.connect(user1).claim(ROUND_ID))
+        .to.not.emit(stakingContract, "RewardsVesting");
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(balanceBefore + STAKE_AMOUNT + stakeReward());
+    });
+  });
+
+  describe("Releasing", function () {
+    it("Should release nothing before the cliff", async function () {
+      const { stakingContract, user1 } = await loadFixture(claimedFixture);
+
+      await time.increaseTo((await endTime(stakingContract)) + BigInt(VESTING_CLIFF) - 2n);
+      const [, vested, , pending] = await stakingContract.getVestingInfo(user1.address);
+      expect(vested).to.equal(0);
+      expect(pending).to.equal(0);
+
+      await expect(stakingContract.connect(user1).releaseRewards())
+        .to.be.revertedWithCustomError(stakingContract, "NoRewardsToRelease");
+    });
+
+    it("Should release linearly from the end of the round", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(claimedFixture);
+
+      const releaseTime = (await endTime(stakingContract)) + BigInt(VESTING_CLIFF);
+      await time.setNextBlockTimestamp(releaseTime);
+      const expected = stakeReward() * BigInt(VESTING_CLIFF) / BigInt(VESTING_DURATION);
+      const balanceBefore = await stakingToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).releaseRewards())
+        .to.emit(stakingContract, "RewardsReleased")
+        .withArgs(ROUND_ID, user1.address, expected);
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(balanceBefore + expected);
+      const [total, vested, released, pending] = await stakingContract.getRoundVestingInfo(ROUND_ID, user1.address);
+      expect(total).to.equal(stakeReward());
+      expect(vested).to.equal(expected);
+      expect(released).to.equal(expected);
+      expect(pending).to.equal(0);
+      expect(await stakingContract.unreleasedRewards()).to.equal(stakeReward() - expected);
+    });
+
+    it("Should release the whole reward once vested", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(claimedFixture);
+
+      await time.increaseTo((await endTime(stakingContract)) + BigInt(VESTING_CLIFF));
+      await stakingContract.connect(user1).releaseRewards();
+      await time.increase(VESTING_DURATION);
+
+      const balanceBefore = await stakingToken.balanceOf(user1.address);
+      const [, , , pending] = await stakingContract.getVestingInfo(user1.address);
+      await stakingContract.connect(user1).releaseRewards();
+
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(balanceBefore + pending);
+      const [total, vested, released] = await stakingContract.getVestingInfo(user1.address);
+      expect(vested).to.equal(total);
+      expect(released).to.equal(stakeReward());
+      expect(await stakingContract.unreleasedRewards()).to.equal(0);
+
+      await expect(stakingContract.connect(user1).releaseRewards())
+        .to.be.revertedWithCustomError(stakingContract, "NoRewardsToRelease");
+    });
+
+    it("Should release every round's schedule in one call", async function () {
+      const { stakingContract, user1 } = await loadFixture(claimedFixture);
+
+      await stakingContract.startStaking();
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user1).claim(ROUND_ID + 1);
+      await time.increase(VESTING_DURATION);
+
+      await expect(stakingContract.connect(user1).releaseRewards())
+        .to.emit(stakingContract, "RewardsReleased")
+        .withArgs(ROUND_ID, user1.address, stakeReward())
+        .and.to.emit(stakingContract, "RewardsReleased")
+        .withArgs(ROUND_ID + 1, user1.address, stakeReward());
+
+      const [total, , released] = await stakingContract.getVestingInfo(user1.address);
+      expect(total).to.equal(stakeReward() * 2n);
+      expect(released).to.equal(stakeReward() * 2n);
+    });
+
+    it("Should keep unreleased rewards out of the withdrawable surplus", async function () {
+      const { stakingContract, stakingToken } = await loadFixture(claimedFixture);
+
+      const balance = await stakingToken.balanceOf(stakingContract.target);
+      expect(await stakingContract.withdrawableSurplus()).to.equal(balance - stakeReward());
+    });
+
+    it("Should not release while claiming is paused", async function () {
+      const { stakingContract, user1 } = await loadFixture(claimedFixture);
+
+      await time.increase(VESTING_DURATION);
+      await stakingContract.pauseClaiming();
+
+      await expect(stakingContract.connect(user1).releaseRewards())
+        .to.be.revertedWithCustomError(stakingContract, "ClaimingIsPaused");
+    });
+
+    it("Should keep releasing vested rewards in emergency mode", async function () {
+      const { stakingContract, stakingToken, user1 } = await loadFixture(claimedFixture);
+
+      await time.increase(VESTING_DURATION);
+      await stakingContract.enableEmergencyMode();
+
+      const before = await stakingToken.balanceOf(user1.address);
+      await expect(stakingContract.connect(user1).releaseRewards())
+        .to.emit(stakingContract, "RewardsReleased")
+        .withArgs(ROUND_ID, user1.address, stakeReward());
+      expect(await stakingToken.balanceOf(user1.address)).to.equal(before + stakeReward());
+      expect(await stakingContract.unreleasedRewards()).to.equal(0);
+    });
+  });
+
+  describe("Receipts and Positions", function () {
+    it("Should add partial redemptions to one schedule", async function () {
+      const { stakingContract, user1 } = await loadFixture(deployFixture);
+
+      const StakeReceipt = await ethers.getContractFactory("StakeReceipt");
+      const receiptToken = await StakeReceipt.deploy("Staked UOMI", "stUOMI", stakingContract.target, ROUND_ID);
+      await stakingContract.setReceiptToken(receiptToken.target);
+      await stakingContract.setRewardVesting(VESTING_DURATION, 0);
+      await stakingContract.startStaking();
+      await stakingContract.depositRewards(stakeReward());
+      await stakingContract.connect(user1).stake(STAKE_AMOUNT);
+      await time.increase(STAKING_DURATION);
+
+      await stakingContract.connect(user1).redeem(ROUND_ID, STAKE_AMOUNT / 4n);
+      await stakingContract.connect(user1).claim(ROUND_ID);
+
+      expect((await stakingContract.getRoundVestingInfo(ROUND_ID, user1.address)).total).to.equal(stakeReward());
+    });
+
+    it("Should vest a position's reward for its holder", async function () {
+      const { stakingContract, user1, user2 } = await loadFixture(deployFixture);
+
+      const StakePosition = await ethers.getContractFactory("StakePosition");
+      const positionToken = await StakePosition.deploy("UOMI Stake Position", "UOMI-POS", stakingContract.target);
+      await stakingContract.setPositionToken(positionToken.target);
+      await stakingContract.setRewardVesting(VESTING_DURATION, VESTING_CLIFF);
+      await stakingContract.startStaking();
+      await stakingContract.depositRewards(stakeReward());
+
+      await stakingContract.connect(user1).stakePosition(STAKE_AMOUNT);
+      await positionToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+      await time.increase(STAKING_DURATION);
+      await stakingContract.connect(user2).claimPosition(1);
+
+      expect((await stakingContract.getVestingInfo(user2.address)).total).to.equal(stakeReward());
+    });
+  });
+});
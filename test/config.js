@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { STAKING_LIBRARIES } = require("../ignition/lib/libraries");
+
+const INITIAL_SUPPLY = ethers.parseUnits("2000000000", 18); // 2B tokens of the mock staking token
+
+// StakingContract constructor parameters shared by the test suites
+const STAKING_CONFIG = {
+  depositWindow: 24 * 60 * 60, // 24 hours
+  stakingDuration: 14 * 24 * 60 * 60, // 14 days
+  rewardBps: 1000, // 10%
+  maxTotalStake: ethers.parseUnits("150000000", 18), // 150M tokens
+  rewardMode: 0, // RewardMode.Flat
+  settlementMode: 0, // SettlementMode.Full
+  roundChangeDelay: 12 * 60 * 60, // 12 hours
+  trustedForwarder: ethers.ZeroAddress, // No meta-transactions
+};
+
+// The parameters as a contract deployed with STAKING_CONFIG reports them, for
+// the suites to compute expected values with. The root hook below reads them
+// back from such a contract before any suite runs, so they cannot drift from it.
+const DEPOSIT_WINDOW = STAKING_CONFIG.depositWindow;
+const STAKING_DURATION = STAKING_CONFIG.stakingDuration;
+const REWARD_BPS = BigInt(STAKING_CONFIG.rewardBps);
+const BPS_DENOMINATOR = 10_000n;
+const MAX_TOTAL_STAKE = STAKING_CONFIG.maxTotalStake;
+const ROUND_CHANGE_DELAY = STAKING_CONFIG.roundChangeDelay;
+
+function stakingArgs(stakingToken, overrides = {}) {
+  const config = { ...STAKING_CONFIG, ...overrides };
+  return [
+    stakingToken,
+    config.depositWindow,
+    config.stakingDuration,
+    config.rewardBps,
+    config.maxTotalStake,
+    config.rewardMode,
+    config.settlementMode,
+    config.roundChangeDelay,
+    config.trustedForwarder,
+  ];
+}
+
+async function readStakingConfig(stakingContract) {
+  return {
+    DEPOSIT_WINDOW: Number(await stakingContract.DEPOSIT_WINDOW()),
+    STAKING_DURATION: Number(await stakingContract.STAKING_DURATION()),
+    REWARD_BPS: await stakingContract.REWARD_BPS(),
+    BPS_DENOMINATOR: await stakingContract.BPS_DENOMINATOR(),
+    MAX_TOTAL_STAKE: await stakingContract.MAX_TOTAL_STAKE(),
+    ROUND_CHANGE_DELAY: Number(await stakingContract.ROUND_CHANGE_DELAY()),
+  };
+}
+
+// Deploy the logic libraries and return a StakingContract factory linked to them
+async function getStakingFactory() {
+  const libraries = {};
+  for (const name of STAKING_LIBRARIES) {
+    const library = await ethers.deployContract(name);
+    libraries[name] = library.target;
+  }
+  return ethers.getContractFactory("StakingContract", { libraries });
+}
+
+// Deploy a mock staking token minting INITIAL_SUPPLY to the deployer, and a
+// StakingContract using it with STAKING_CONFIG and any overrides
+async function deployStaking(overrides = {}) {
+  const stakingToken = await ethers.deployContract("MockERC20", ["UOMI Token", "UOMI", INITIAL_SUPPLY]);
+  const StakingContract = await getStakingFactory();
+  const stakingContract = await StakingContract.deploy(...stakingArgs(stakingToken.target, overrides));
+  return { stakingToken, stakingContract };
+}
+
+before(async function () {
+  const { stakingContract } = await deployStaking();
+  expect(await readStakingConfig(stakingContract)).to.deep.equal({
+    DEPOSIT_WINDOW,
+    STAKING_DURATION,
+    REWARD_BPS,
+    BPS_DENOMINATOR,
+    MAX_TOTAL_STAKE,
+    ROUND_CHANGE_DELAY,
+  });
+});
+
+module.exports = {
+  INITIAL_SUPPLY,
+  STAKING_CONFIG,
+  DEPOSIT_WINDOW,
+  STAKING_DURATION,
+  REWARD_BPS,
+  BPS_DENOMINATOR,
+  MAX_TOTAL_STAKE,
+  ROUND_CHANGE_DELAY,
+  stakingArgs,
+  getStakingFactory,
+  deployStaking,
+};
@@ -0,0 +1,103 @@
+const { ethers } = require("hardhat");
+
+// EIP-712 signing helpers shared by the test suites. Hardhat signers sign
+// typed data directly, so the helpers only assemble the domain and message.
+
+// Sign an EIP-2612 permit for an ERC20Permit token and return its v, r, s
+async function signPermit(token, owner, spender, value, deadline, nonce) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = {
+    name: await token.name(),
+    version: "1",
+    chainId,
+    verifyingContract: token.target,
+  };
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const message = {
+    owner: owner.address,
+    spender,
+    value,
+    nonce: nonce ?? await token.nonces(owner.address),
+    deadline,
+  };
+
+  return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+}
+
+// Build an ERC2771Forwarder request for a call to `target` and sign it as
+// `signer`. The result can be passed as is to forwarder.execute().
+async function signForwardRequest(forwarder, signer, target, functionName, args, options = {}) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const { name, version } = await forwarder.eip712Domain();
+  const domain = {
+    name,
+    version,
+    chainId,
+    verifyingContract: forwarder.target,
+  };
+  const types = {
+    ForwardRequest: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "gas", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint48" },
+      { name: "data", type: "bytes" },
+    ],
+  };
+  const block = await ethers.provider.getBlock("latest");
+  const request = {
+    from: signer.address,
+    to: target.target,
+    value: options.value ?? 0n,
+    gas: options.gas ?? 1_000_000n,
+    nonce: options.nonce ?? await forwarder.nonces(signer.address),
+    deadline: options.deadline ?? BigInt(block.timestamp) + 3600n,
+    data: target.interface.encodeFunctionData(functionName, args),
+  };
+
+  const signature = await signer.signTypedData(domain, types, request);
+  // execute() takes the request without the nonce, which the forwarder tracks itself
+  const { nonce, ...forwardRequest } = request;
+  return { ...forwardRequest, signature };
+}
+
+// Sign a StakingContract claim authorization for claimBySig()
+async function signClaim(stakingContract, staker, roundId, recipient, deadline, nonce) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = {
+    name: "StakingContract",
+    version: "1",
+    chainId,
+    verifyingContract: stakingContract.target,
+  };
+  const types = {
+    Claim: [
+      { name: "roundId", type: "uint256" },
+      { name: "staker", type: "address" },
+      { name: "recipient", type: "address" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+  const message = {
+    roundId,
+    staker: staker.address,
+    recipient,
+    nonce: nonce ?? await stakingContract.nonces(staker.address),
+    deadline,
+  };
+
+  return staker.signTypedData(domain, types, message);
+}
+
+module.exports = { signPermit, signForwardRequest, signClaim };